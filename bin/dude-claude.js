@@ -25,14 +25,62 @@ switch (command) {
     await import('../hooks/auto-persist-plan.js');
     break;
   }
+  case 'migrate': {
+    const { run } = await import('../src/commands/migrate.js');
+    await run(process.argv.slice(3));
+    break;
+  }
+  case 'config': {
+    const { run } = await import('../src/commands/config.js');
+    await run(process.argv.slice(3));
+    break;
+  }
+  case 'dedupe': {
+    const { run } = await import('../src/commands/dedupe.js');
+    await run(process.argv.slice(3));
+    break;
+  }
+  case 'project': {
+    const { run } = await import('../src/commands/project.js');
+    await run(process.argv.slice(3));
+    break;
+  }
+  case 'kinds': {
+    const { run } = await import('../src/commands/kinds.js');
+    await run(process.argv.slice(3));
+    break;
+  }
+  case 'reembed': {
+    const { run } = await import('../src/commands/reembed.js');
+    await run(process.argv.slice(3));
+    break;
+  }
+  case 'daemon': {
+    const { run } = await import('../src/commands/daemon.js');
+    await run(process.argv.slice(3));
+    break;
+  }
+  case 'whoami': {
+    const { run } = await import('../src/commands/whoami.js');
+    await run(process.argv.slice(3));
+    break;
+  }
   default:
-    console.error(`Usage: dude-claude [mcp|serve|auto-retrieve|auto-persist|auto-persist-plan]
+    console.error(`Usage: dude-claude [mcp|serve|auto-retrieve|auto-persist|auto-persist-plan|migrate|config|dedupe|project|kinds|reembed|daemon|whoami]
 
 Commands:
   mcp               Start the MCP stdio server (default)
-  serve             Start the web UI server on http://127.0.0.1:${process.env.DUDE_PORT || 3456}
+  serve             Start the web UI server on http://127.0.0.1:<port> (default 3456)
   auto-retrieve     Run the auto-retrieve hook (reads prompt from stdin)
   auto-persist      Run the auto-persist utility (reads classification JSON from stdin)
-  auto-persist-plan Run the auto-persist-plan utility (reads classification JSON from stdin)`);
+  auto-persist-plan Run the auto-persist-plan utility (reads classification JSON from stdin)
+  migrate           Apply schema migrations (--status to inspect, --to <version> to stop early)
+  config            Show or change settings in ~/.dude-claude/config.json (list|get|set|unset)
+  dedupe            Find clusters of near-duplicate records (--merge to merge them)
+  project           List, rename or merge projects and move records between them
+  kinds             List, add or remove record kinds (list|set|remove)
+  reembed           Rebuild all vectors with the configured embedding model (resumable)
+  daemon            Keep the model and database warm for the hooks (start|stop|status)
+  whoami            Show which project the current directory maps to and why`);
     process.exit(1);
 }
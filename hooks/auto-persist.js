@@ -3,58 +3,10 @@
 /**
  * Stop hook — auto-persist records from conversation classification.
  * Reads classification JSON from stdin, upserts records as needed.
- * On malformed JSON or action=none, exits silently.
+ * On malformed JSON or action=none, exits silently. The work is done by the
+ * daemon when it runs, else in this process (see src/daemon-client.js).
  */
 
-import { embed } from '../src/embed.js';
-import { initDb } from '../src/db.js';
+import { runHook } from '../src/daemon-client.js';
 
-try {
-  const chunks = [];
-  for await (const chunk of process.stdin) {
-    chunks.push(chunk);
-  }
-  const raw = Buffer.concat(chunks).toString().trim();
-
-  let input;
-  try {
-    input = JSON.parse(raw);
-  } catch {
-    process.stdout.write('Auto-persist skipped: malformed JSON from classification prompt\n');
-    process.exit(0);
-  }
-
-  if (!input.action || input.action === 'none') {
-    process.exit(0);
-  }
-
-  if (input.action === 'upsert') {
-    const kind = input.kind || 'issue';
-    const title = input.title || 'Untitled';
-    const body = input.body || '';
-    const status = input.status || 'open';
-
-    const db = await initDb();
-    const text = `${title} ${body}`.trim();
-    const embedding = await embed(text);
-
-    const project = await db.getCurrentProject();
-    const record = await db.upsert(
-      {
-        projectId: project.id,
-        kind,
-        title,
-        body,
-        status,
-      },
-      embedding,
-    );
-
-    process.stdout.write(`Auto-persisted ${kind}: "${record.title}" (id=${record.id})\n`);
-  }
-} catch (err) {
-  // Non-blocking: exit cleanly on any error
-  console.error(`[dude] auto-persist error: ${err.message}`);
-  process.stdout.write(`Auto-persist skipped: ${err.message}\n`);
-  process.exit(0);
-}
+await runHook('auto-persist');
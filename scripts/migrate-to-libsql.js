@@ -13,43 +13,7 @@
 import Database from 'better-sqlite3';
 import * as sqliteVec from 'sqlite-vec';
 import { createClient } from '@libsql/client';
-
-/**
- * Create the libsql schema (mirrors LibsqlAdapter._runSchema).
- */
-async function createSchema(db) {
-  await db.batch([
-    {
-      sql: `CREATE TABLE IF NOT EXISTS project (
-        id         INTEGER PRIMARY KEY AUTOINCREMENT,
-        name       TEXT NOT NULL UNIQUE,
-        created_at TEXT NOT NULL DEFAULT (datetime('now')),
-        updated_at TEXT NOT NULL DEFAULT (datetime('now'))
-      )`,
-    },
-    {
-      sql: `CREATE TABLE IF NOT EXISTS record (
-        id         INTEGER PRIMARY KEY AUTOINCREMENT,
-        project_id INTEGER NOT NULL REFERENCES project(id) ON DELETE CASCADE,
-        kind       TEXT NOT NULL CHECK (kind IN ('issue','spec','arch','update')),
-        title      TEXT NOT NULL,
-        body       TEXT NOT NULL DEFAULT '',
-        status     TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open','resolved','archived')),
-        embedding  F32_BLOB(384),
-        created_at TEXT NOT NULL DEFAULT (datetime('now')),
-        updated_at TEXT NOT NULL DEFAULT (datetime('now'))
-      )`,
-    },
-    {
-      sql: `CREATE INDEX IF NOT EXISTS idx_record_project_kind
-            ON record(project_id, kind)`,
-    },
-    {
-      sql: `CREATE INDEX IF NOT EXISTS idx_record_embedding
-            ON record(libsql_vector_idx(embedding, 'metric=cosine'))`,
-    },
-  ], 'write');
-}
+import { migrateSchema } from '../src/schema.js';
 
 /**
  * Migrate data from pre-opened old DB and new libsql client.
@@ -60,7 +24,7 @@ async function createSchema(db) {
  * @returns {Promise<{ projects: number, records: number, embeddings: number }>}
  */
 export async function migrateFromDb(oldDb, newDb) {
-  await createSchema(newDb);
+  await migrateSchema(newDb);
 
   // 1. Migrate projects
   const projects = oldDb.prepare('SELECT * FROM project').all();
@@ -71,8 +35,11 @@ export async function migrateFromDb(oldDb, newDb) {
     });
   }
 
-  // 2. Migrate records with embeddings
+  // 2. Migrate records with embeddings, registering any kind the new database doesn't know
   const records = oldDb.prepare('SELECT * FROM record').all();
+  for (const kind of new Set(records.map(r => r.kind))) {
+    await newDb.execute({ sql: 'INSERT OR IGNORE INTO record_kind (name) VALUES (?)', args: [kind] });
+  }
   let embeddingCount = 0;
 
   for (const r of records) {
@@ -93,8 +60,9 @@ export async function migrateFromDb(oldDb, newDb) {
 
     if (embeddingJson) {
       await newDb.execute({
-        sql: `INSERT INTO record (id, project_id, kind, title, body, status, embedding, created_at, updated_at)
-              VALUES (?, ?, ?, ?, ?, ?, vector(?), ?, ?)`,
+        // The sqlite-vec database only ever held all-MiniLM-L6-v2 vectors
+        sql: `INSERT INTO record (id, project_id, kind, title, body, status, embedding, embedding_model, created_at, updated_at)
+              VALUES (?, ?, ?, ?, ?, ?, vector(?), 'Xenova/all-MiniLM-L6-v2', ?, ?)`,
         args: [r.id, r.project_id, r.kind, r.title, r.body, r.status, embeddingJson, r.created_at, r.updated_at],
       });
     } else {
@@ -0,0 +1,53 @@
+/**
+ * Characters per chunk. all-MiniLM-L6-v2 reads at most 256 word pieces,
+ * which is roughly this much English prose; anything past it is ignored.
+ */
+export const CHUNK_SIZE = 1000;
+
+/** Characters shared by consecutive chunks, so a passage cut in two still lands whole in one of them. */
+export const CHUNK_OVERLAP = 200;
+
+/**
+ * Split a record body into overlapping windows of at most `size` characters,
+ * breaking at a paragraph, line, sentence or word boundary where there is one
+ * in the second half of the window. Bodies that fit in one window give no
+ * chunks: the record's own embedding already covers them.
+ * @param {string} text
+ * @param {{ size?: number, overlap?: number }} [opts]
+ * @returns {Array<{ start: number, end: number }>} Offsets into `text`
+ */
+export function chunkText(text, { size = CHUNK_SIZE, overlap = CHUNK_OVERLAP } = {}) {
+  if (!text || text.length <= size) return [];
+  const chunks = [];
+  let start = 0;
+  for (;;) {
+    const end = start + size >= text.length
+      ? text.length
+      : breakBefore(text, start + Math.ceil(size / 2), start + size);
+    chunks.push({ start, end });
+    if (end === text.length) return chunks;
+    start = wordStart(text, Math.max(end - overlap, start + 1), end);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const BREAKS = ['\n\n', '\n', '. ', ' '];
+
+/** Offset just past the last break between `min` and `max`, or `max` when there is none. */
+function breakBefore(text, min, max) {
+  for (const sep of BREAKS) {
+    const at = text.lastIndexOf(sep, max - sep.length);
+    if (at >= min) return at + sep.length;
+  }
+  return max;
+}
+
+/** First word start at or after `from` (before `end`), so chunks don't open mid-word. */
+function wordStart(text, from, end) {
+  if (from === 0 || /\s/.test(text[from - 1])) return from;
+  const gap = text.slice(from, end).search(/\s\S/);
+  return gap === -1 ? from : from + gap + 1;
+}
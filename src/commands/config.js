@@ -0,0 +1,95 @@
+import { parseArgs } from 'node:util';
+import {
+  getConfigPath, getConfigValue, loadConfig, setConfigValue, unsetConfigValue,
+} from '../config.js';
+
+const USAGE = `Usage: dude-claude config <list|get|set|unset> [key] [value] [--project <name>]
+
+Subcommands:
+  list               Show the effective configuration
+  get <key>          Show one effective value (dot path, e.g. search.ranking.halfLifeDays)
+  set <key> <value>  Write a value to the config file (JSON values are parsed: 10, true, "text")
+  unset <key>        Remove a value from the config file
+
+Options:
+  --project <name>   Read or write the per-project override for <name> (e.g. org/repo)`;
+
+/** Parse a CLI value as JSON when possible (numbers, booleans, objects), else keep the string. */
+function parseValue(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+/** Flatten nested config into `a.b.c = value` lines. */
+function flatten(obj, prefix = '') {
+  const lines = [];
+  for (const [key, value] of Object.entries(obj)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      lines.push(...flatten(value, path));
+    } else {
+      lines.push(`${path} = ${JSON.stringify(value)}`);
+    }
+  }
+  return lines;
+}
+
+/**
+ * `dude-claude config` — read and write ~/.dude-claude/config.json.
+ * @param {string[]} argv - Arguments after the command name
+ */
+export async function run(argv) {
+  let values, positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: argv,
+      options: { project: { type: 'string' } },
+      allowPositionals: true,
+    }));
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  const [sub, key, value] = positionals;
+  const opts = { project: values.project };
+
+  try {
+    switch (sub) {
+      case 'list': {
+        const { projects: _projects, ...config } = loadConfig(opts);
+        console.log(`# ${getConfigPath()}${opts.project ? ` (project ${opts.project})` : ''}`);
+        console.log(flatten(config).join('\n'));
+        break;
+      }
+      case 'get': {
+        if (!key) throw new Error('Missing <key>');
+        const result = getConfigValue(key, opts);
+        if (result === undefined) throw new Error(`Unknown config key "${key}"`);
+        console.log(typeof result === 'object' ? JSON.stringify(result, null, 2) : String(result));
+        break;
+      }
+      case 'set': {
+        if (!key || value === undefined) throw new Error('Usage: config set <key> <value>');
+        setConfigValue(key, parseValue(value), opts);
+        console.log(`Set ${key} = ${JSON.stringify(getConfigValue(key, opts))}`);
+        break;
+      }
+      case 'unset': {
+        if (!key) throw new Error('Missing <key>');
+        const removed = unsetConfigValue(key, opts);
+        console.log(removed ? `Unset ${key}` : `${key} was not set`);
+        break;
+      }
+      default:
+        console.error(USAGE);
+        process.exit(1);
+    }
+  } catch (err) {
+    console.error(`[dude] config: ${err.message}`);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,116 @@
+import { join } from 'node:path';
+import { parseArgs } from 'node:util';
+import { loadConfig } from '../config.js';
+import { daemonSocketPath, requestDaemon, spawnDaemon } from '../daemon-client.js';
+
+const USAGE = `Usage: dude-claude daemon [start|stop|status] [--detach]
+
+Keeps the embedding model and the database open so the hooks answer without
+loading them on every prompt. Hooks start it on demand (daemon.autoStart).
+
+Subcommands:
+  start       Run the daemon in the foreground (default)
+                --detach  Start it in the background instead, logging to daemon.log in the data directory
+  stop        Stop the running daemon
+  status      Show whether the daemon is running and which checkouts it serves`;
+
+/** How long `start --detach` waits for the new daemon to answer. */
+const DETACH_WAIT_MS = 10_000;
+
+/**
+ * `dude-claude daemon` — run, stop or inspect the hook daemon (see daemon.js).
+ * @param {string[]} argv - Arguments after the command name
+ */
+export async function run(argv) {
+  let values, positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: argv,
+      options: {
+        detach: { type: 'boolean' },
+      },
+      allowPositionals: true,
+    }));
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  const [sub = 'start'] = positionals;
+  if (!['start', 'stop', 'status'].includes(sub) || positionals.length > 1 || (values.detach && sub !== 'start')) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const socketPath = daemonSocketPath();
+  switch (sub) {
+    case 'start': {
+      if (values.detach) {
+        await startDetached(socketPath);
+        break;
+      }
+      const { startDaemon } = await import('../daemon.js');
+      let daemon;
+      try {
+        daemon = await startDaemon({ socketPath });
+      } catch (err) {
+        console.error(`[dude] daemon: ${err.message}`);
+        process.exit(1);
+      }
+      for (const signal of ['SIGINT', 'SIGTERM']) process.once(signal, () => daemon.close());
+      await daemon.closed;
+      // The ONNX runtime can keep the event loop alive
+      process.exit(0);
+    }
+    case 'stop': {
+      const status = await ping(socketPath);
+      if (!status) {
+        console.log('No daemon is running.');
+        break;
+      }
+      await requestDaemon({ command: 'stop' }, { socketPath });
+      console.log(`Stopped the daemon (pid ${status.pid}).`);
+      break;
+    }
+    case 'status': {
+      const status = await ping(socketPath);
+      if (!status) {
+        console.log(`No daemon is running (socket ${socketPath}).`);
+        break;
+      }
+      console.log(`Daemon running on ${socketPath} (pid ${status.pid}, up ${status.uptime}s)`);
+      for (const cwd of status.sessions) console.log(`  ${cwd}`);
+      break;
+    }
+  }
+}
+
+/** The daemon's ping response, or null when none answers. */
+async function ping(socketPath) {
+  try {
+    const response = await requestDaemon({ command: 'ping' }, { socketPath, timeoutMs: 2000 });
+    return response.ok ? response : null;
+  } catch {
+    return null;
+  }
+}
+
+async function startDetached(socketPath) {
+  const running = await ping(socketPath);
+  if (running) {
+    console.log(`The daemon is already running (pid ${running.pid}).`);
+    return;
+  }
+  spawnDaemon();
+  const log = join(loadConfig().dataDir, 'daemon.log');
+  for (const deadline = Date.now() + DETACH_WAIT_MS; Date.now() < deadline;) {
+    await new Promise(resolve => setTimeout(resolve, 200));
+    const status = await ping(socketPath);
+    if (status) {
+      console.log(`Daemon started in the background (pid ${status.pid}); log: ${log}`);
+      return;
+    }
+  }
+  console.error(`[dude] The daemon did not come up within ${DETACH_WAIT_MS / 1000}s; see ${log}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,71 @@
+import { parseArgs } from 'node:util';
+import { initDb } from '../db.js';
+
+const USAGE = `Usage: dude-claude dedupe [--threshold <0-1>] [--kind <kind>] [--project <name|*>] [--merge]
+
+Options:
+  --threshold <n>  Minimum similarity (default: the configured dedup threshold per kind)
+  --kind <kind>    Only look at records of this kind
+  --project <name> Project to scan (default: current), or "*" for all projects
+  --merge          Merge each cluster into its oldest record instead of only listing`;
+
+/**
+ * `dude-claude dedupe` — list clusters of near-duplicate records, and
+ * optionally merge each cluster into its oldest record.
+ * @param {string[]} argv - Arguments after the command name
+ */
+export async function run(argv) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv,
+      options: {
+        threshold: { type: 'string' },
+        kind: { type: 'string' },
+        project: { type: 'string' },
+        merge: { type: 'boolean' },
+      },
+    }));
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  let threshold;
+  if (values.threshold !== undefined) {
+    threshold = Number(values.threshold);
+    if (!(threshold >= 0 && threshold <= 1)) {
+      console.error(`Invalid --threshold "${values.threshold}" (expected a number between 0 and 1)\n\n${USAGE}`);
+      process.exit(1);
+    }
+  }
+
+  const db = await initDb();
+  try {
+    const clusters = await db.findDuplicates({ threshold, kind: values.kind, project: values.project });
+    if (clusters.length === 0) {
+      console.log('No duplicates found.');
+      return;
+    }
+
+    for (const [i, cluster] of clusters.entries()) {
+      console.log(`Cluster ${i + 1} (similarity up to ${cluster.similarity.toFixed(3)}):`);
+      for (const r of cluster.records) {
+        console.log(`  #${r.id} [${r.project}/${r.kind}/${r.status}] ${r.title}  (created ${r.created_at})`);
+      }
+      if (values.merge) {
+        const [target, ...sources] = cluster.records;
+        await db.mergeRecords(target.id, sources.map(r => r.id), { source: 'cli' });
+        console.log(`  -> merged ${sources.map(r => `#${r.id}`).join(', ')} into #${target.id}`);
+      }
+    }
+    if (!values.merge) {
+      console.log(`\n${clusters.length} cluster(s). Re-run with --merge to merge each into its oldest record.`);
+    }
+  } catch (err) {
+    console.error(`[dude] dedupe failed: ${err.message}`);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+  }
+}
@@ -0,0 +1,95 @@
+import { parseArgs } from 'node:util';
+import { initDb } from '../db.js';
+
+const USAGE = `Usage: dude-claude kinds <list|set|remove> [args]
+
+Subcommands:
+  list            List record kinds with their settings and record counts
+  set <name>      Add a kind or change an existing one:
+                    --description <text>  What records of this kind are for
+                    --color <#rrggbb>     Badge color in the web UI
+                    --status <status>     Default status for new records
+                    --weight <n>          Auto-retrieve weight (1 neutral, 0 leaves the kind out)
+                    --workflow <json>     Status workflow, e.g.
+                                          '{"statuses":["proposed","accepted","superseded"],"closed":["superseded"],
+                                            "transitions":{"proposed":["accepted"],"accepted":["superseded"]}}'
+                                          or "default" for open/resolved
+  remove <name>   Delete a custom kind that no record uses`;
+
+/**
+ * `dude-claude kinds` — manage the registry of record kinds.
+ * @param {string[]} argv - Arguments after the command name
+ */
+export async function run(argv) {
+  let values, positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: argv,
+      options: {
+        description: { type: 'string' },
+        color: { type: 'string' },
+        status: { type: 'string' },
+        weight: { type: 'string' },
+        workflow: { type: 'string' },
+      },
+      allowPositionals: true,
+    }));
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  const [sub, name] = positionals;
+  if (!['list', 'set', 'remove'].includes(sub) || (sub !== 'list' && !name)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const db = await initDb();
+  try {
+    switch (sub) {
+      case 'list': {
+        for (const k of await db.listKinds()) {
+          const notes = [`statuses ${k.workflow.statuses.join('/')}`, `default ${k.default_status}`,
+            `weight ${k.retrieve_weight}`, k.color, k.builtin && 'built-in'];
+          console.log(`${k.name.padEnd(16)} ${String(k.record_count).padStart(5)} record(s)  ${notes.filter(Boolean).join(', ')}`);
+          if (k.description) console.log(`${' '.repeat(17)}${k.description}`);
+        }
+        break;
+      }
+      case 'set': {
+        const weight = values.weight == null ? undefined : Number(values.weight);
+        let workflow;
+        if (values.workflow === 'default') {
+          workflow = null;
+        } else if (values.workflow != null) {
+          try {
+            workflow = JSON.parse(values.workflow);
+          } catch (err) {
+            throw new Error(`--workflow is not valid JSON: ${err.message}`);
+          }
+        }
+        const kind = await db.defineKind({
+          name,
+          description: values.description,
+          color: values.color,
+          defaultStatus: values.status,
+          retrieveWeight: weight,
+          workflow,
+        });
+        console.log(`Saved kind "${kind.name}" (default ${kind.default_status}, weight ${kind.retrieve_weight}, ${kind.color})`);
+        break;
+      }
+      case 'remove': {
+        if (!(await db.deleteKind(name))) throw new Error(`Kind "${name}" not found`);
+        console.log(`Removed kind "${name}"`);
+        break;
+      }
+    }
+  } catch (err) {
+    console.error(`[dude] kinds: ${err.message}`);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+  }
+}
@@ -0,0 +1,65 @@
+import { parseArgs } from 'node:util';
+import { openDb } from '../db.js';
+import { getSchemaStatus, migrateSchema } from '../schema.js';
+
+const USAGE = `Usage: dude-claude migrate [--status] [--to <version>]
+
+Options:
+  --status        Show the current schema version and pending migrations
+  --to <version>  Migrate up to the given version (default: latest)`;
+
+/**
+ * `dude-claude migrate` — inspect or apply libsql schema migrations.
+ * @param {string[]} argv - Arguments after the command name
+ */
+export async function run(argv) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv,
+      options: {
+        status: { type: 'boolean' },
+        to: { type: 'string' },
+      },
+    }));
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  let to;
+  if (values.to !== undefined) {
+    to = Number(values.to);
+    if (!Number.isInteger(to)) {
+      console.error(`Invalid --to version "${values.to}"\n\n${USAGE}`);
+      process.exit(1);
+    }
+  }
+
+  const adapter = await openDb();
+  try {
+    if (values.status) {
+      const status = await getSchemaStatus(adapter.db);
+      console.log(`Schema version: ${status.current} (latest ${status.latest})`);
+      for (const m of status.applied) {
+        console.log(`  [x] ${String(m.version).padStart(3, '0')} ${m.name}  (applied ${m.applied_at})`);
+      }
+      for (const m of status.pending) {
+        console.log(`  [ ] ${String(m.version).padStart(3, '0')} ${m.name}`);
+      }
+      return;
+    }
+
+    const result = await migrateSchema(adapter.db, { to });
+    if (result.applied.length === 0) {
+      console.log(`Schema already at version ${result.from}; nothing to do.`);
+    } else {
+      console.log(`Migrated schema from version ${result.from} to ${result.to} (applied ${result.applied.join(', ')}).`);
+    }
+  } catch (err) {
+    console.error(`[dude] migrate failed: ${err.message}`);
+    process.exitCode = 1;
+  } finally {
+    await adapter.close();
+  }
+}
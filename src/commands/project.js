@@ -0,0 +1,83 @@
+import { parseArgs } from 'node:util';
+import { initDb } from '../db.js';
+
+const USAGE = `Usage: dude-claude project <list|rename|merge|move> [args]
+
+Subcommands:
+  list                         List projects (--all to include archived ones)
+  rename <project> <new-name>  Rename a project; the old name keeps resolving as an alias
+  merge <source> <target>      Move everything from <source> into <target> and delete <source>
+  move <project> <id>...       Move records to <project>
+
+Projects are given by name (current or former) or by numeric id.`;
+
+/** A numeric argument is a project id, anything else a name. */
+function parseRef(text) {
+  return /^\d+$/.test(text) ? Number(text) : text;
+}
+
+/**
+ * `dude-claude project` — list, rename and merge projects, and move records between them.
+ * @param {string[]} argv - Arguments after the command name
+ */
+export async function run(argv) {
+  let values, positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: argv,
+      options: { all: { type: 'boolean' } },
+      allowPositionals: true,
+    }));
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  const [sub, ...args] = positionals;
+  if (!['list', 'rename', 'merge', 'move'].includes(sub)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const db = await initDb();
+  try {
+    switch (sub) {
+      case 'list': {
+        for (const p of await db.listProjects({ includeInactive: values.all })) {
+          const notes = [p.parent && `in ${p.parent}`, !p.active && 'archived'].filter(Boolean);
+          console.log(`#${p.id} ${p.name}${notes.length ? `  (${notes.join(', ')})` : ''}`);
+        }
+        break;
+      }
+      case 'rename': {
+        const [project, name] = args;
+        if (!project || !name) throw new Error('Usage: project rename <project> <new-name>');
+        const renamed = await db.renameProject(parseRef(project), name);
+        if (!renamed) throw new Error(`Project "${project}" not found`);
+        console.log(`Renamed project #${renamed.id} to "${renamed.name}" (aliases: ${renamed.aliases.join(', ')})`);
+        break;
+      }
+      case 'merge': {
+        const [source, target] = args;
+        if (!source || !target) throw new Error('Usage: project merge <source> <target>');
+        const { project, moved } = await db.mergeProjects(parseRef(source), parseRef(target), { source: 'cli' });
+        console.log(`Merged "${source}" into "${project.name}" (#${project.id}), moving ${moved} record(s)`);
+        break;
+      }
+      case 'move': {
+        const [project, ...ids] = args;
+        if (!project || ids.length === 0 || ids.some(id => !/^\d+$/.test(id))) {
+          throw new Error('Usage: project move <project> <id>...');
+        }
+        const moved = await db.moveRecords(ids.map(Number), parseRef(project), { source: 'cli' });
+        console.log(`Moved ${moved} record(s) to "${project}"`);
+        break;
+      }
+    }
+  } catch (err) {
+    console.error(`[dude] project: ${err.message}`);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+  }
+}
@@ -0,0 +1,80 @@
+import { parseArgs } from 'node:util';
+import { initDb } from '../db.js';
+import { embedMany } from '../embed.js';
+
+const USAGE = `Usage: dude-claude reembed [--batch-size <n>] [--all]
+
+Rebuilds record and chunk vectors with the model configured under "embedding"
+in the config file. Safe to interrupt: run it again to continue where it stopped.
+
+Options:
+  --batch-size <n>  Records embedded together between progress reports (default 32)
+  --all             Start over and re-embed every record, even those already on the configured model`;
+
+/**
+ * `dude-claude reembed` — move every record to the configured embedding
+ * model, in batches. Records already embedded with it are skipped, which is
+ * what makes an interrupted run resumable.
+ * @param {string[]} argv - Arguments after the command name
+ */
+export async function run(argv) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv,
+      options: {
+        'batch-size': { type: 'string' },
+        all: { type: 'boolean' },
+      },
+    }));
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  const batchSize = Number(values['batch-size'] ?? 32);
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    console.error(`Invalid --batch-size "${values['batch-size']}" (expected a positive integer)\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  const db = await initDb();
+  try {
+    let status = await db.embeddingStatus();
+    const resize = status.storedDimension !== status.dimension;
+    if (resize || values.all) {
+      if (resize) {
+        console.log(`Resizing vectors from ${status.storedDimension} to ${status.dimension} dimensions; `
+          + 'the old vectors are dropped and rebuilt from the record text.');
+      }
+      await db.resetEmbeddings();
+      status = await db.embeddingStatus();
+    }
+    if (status.pending === 0) {
+      console.log(`All ${status.total} record(s) already have ${status.model} vectors.`);
+      return;
+    }
+
+    console.log(`Re-embedding ${status.pending} of ${status.total} record(s) with ${status.model}…`);
+    const started = Date.now();
+    let done = 0;
+    for (;;) {
+      const batch = await db.pendingEmbeddings({ limit: batchSize });
+      if (batch.length === 0) break;
+      const embeddings = await embedMany(batch.map(record => `${record.title} ${record.body}`.trim()));
+      for (const [i, record] of batch.entries()) {
+        await db.setEmbedding(record.id, embeddings[i]);
+      }
+      done += batch.length;
+      const pct = Math.min(100, Math.round((done / status.pending) * 100));
+      console.log(`  ${done}/${status.pending} (${pct}%, ${((Date.now() - started) / 1000).toFixed(0)}s)`);
+    }
+    console.log(`Done: ${done} record(s) re-embedded with ${status.model}.`);
+  } catch (err) {
+    console.error(`[dude] reembed: ${err.message}`);
+    console.error('[dude] Records embedded so far are kept; run `dude-claude reembed` again to continue.');
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+  }
+}
@@ -0,0 +1,64 @@
+import { parseArgs } from 'node:util';
+import { initDb } from '../db.js';
+
+const USAGE = `Usage: dude-claude whoami [--json]
+
+Shows which project the current directory maps to and how it was resolved.
+
+Options:
+  --json  Print the resolution details as JSON`;
+
+const SOURCES = {
+  override: 'checked-in override file',
+  remote: 'git remote URL',
+  directory: 'repository directory name (no remote on a known host)',
+  cwd: 'working directory path (not a git repository)',
+};
+
+/**
+ * `dude-claude whoami` — explain how the current project was resolved.
+ * @param {string[]} argv - Arguments after the command name
+ */
+export async function run(argv) {
+  let values;
+  try {
+    ({ values } = parseArgs({ args: argv, options: { json: { type: 'boolean' } } }));
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  const db = await initDb();
+  try {
+    const { identity } = db;
+    const project = await db.getProject();
+    if (values.json) {
+      console.log(JSON.stringify({ project, identity }, null, 2));
+      return;
+    }
+
+    const rows = [
+      ['Project', `${project.name} (id=${project.id})`],
+      ['Resolved by', `${identity.source} — ${SOURCES[identity.source]}`],
+    ];
+    if (project.name !== identity.name) rows.push(['Resolved name', `${identity.name} (alias of ${project.name})`]);
+    if (identity.overrideFile) rows.push(['Override file', identity.overrideFile]);
+    if (identity.remote) rows.push(['Remote', identity.remote]);
+    if (identity.host) {
+      rows.push(['Host', identity.sshAlias ? `${identity.host} (SSH alias "${identity.sshAlias}")` : identity.host]);
+    }
+    if (identity.root) rows.push(['Git root', identity.root]);
+    if (identity.mainRoot && identity.mainRoot !== identity.root) rows.push(['Main worktree', identity.mainRoot]);
+    if (identity.package) rows.push(['Package', identity.package]);
+    if (project.parent) rows.push(['Parent project', project.parent]);
+    if (project.aliases.length) rows.push(['Aliases', project.aliases.join(', ')]);
+
+    const width = Math.max(...rows.map(([label]) => label.length)) + 1;
+    for (const [label, value] of rows) console.log(`${`${label}:`.padEnd(width + 1)} ${value}`);
+  } catch (err) {
+    console.error(`[dude] whoami failed: ${err.message}`);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+  }
+}
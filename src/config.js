@@ -0,0 +1,250 @@
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { homedir } from 'node:os';
+import { z } from 'zod';
+
+/**
+ * Settings that may be overridden per project under `projects["org/repo"]`.
+ * Every key has a default, so an empty config file is valid.
+ */
+const projectSettingsShape = {
+  contextLimit: z.number().int().positive().default(5)
+    .describe('Max records injected per prompt by auto-retrieve'),
+  recencyHours: z.number().positive().default(1)
+    .describe('Lookback window for "recently updated" records in auto-retrieve'),
+  search: z.object({
+    mode: z.enum(['vector', 'lexical', 'hybrid']).default('hybrid'),
+    minSimilarity: z.number().min(0).max(1).default(0.3),
+    projectBoost: z.number().min(0).max(1).default(0.1),
+    ranking: z.object({
+      halfLifeDays: z.number().positive().default(90),
+      recencyWeight: z.number().min(0).max(1).default(0.25),
+      statusWeights: z.object({
+        open: z.number().min(0).default(1),
+        resolved: z.number().min(0).default(0.8),
+        archived: z.number().min(0).default(0.5),
+      }).catchall(z.number().min(0)).default({})
+        .describe('Score multiplier per status; custom statuses that close a record weigh like resolved, others 1'),
+    }).strict().default({}),
+  }).strict().default({}),
+  dedup: z.object({
+    similarity: z.number().min(0).max(1).default(0.85)
+      .describe('Similarity at which a new record counts as a duplicate'),
+    policy: z.enum(['merge', 'append', 'skip', 'create', 'ask']).default('merge')
+      .describe('What upsert does with a duplicate when the caller does not say'),
+    kinds: z.record(z.string(), z.object({
+      similarity: z.number().min(0).max(1),
+    }).strict()).default({})
+      .describe('Per-kind overrides of the duplicate threshold, e.g. { "issue": { "similarity": 0.9 } }'),
+  }).strict().default({}),
+};
+
+const ProjectSettingsSchema = z.object(projectSettingsShape).strict();
+
+const ConfigSchema = z.object({
+  dataDir: z.string().optional().describe('Directory holding the database (default ~/.dude-claude)'),
+  port: z.number().int().min(0).max(65535).default(3456).describe('Web UI port'),
+  trash: z.object({
+    purgeAfterDays: z.number().int().min(0).default(30)
+      .describe('Permanently delete trashed records after this many days (0 keeps them forever)'),
+  }).strict().default({}),
+  embedding: z.object({
+    model: z.string().min(1).default('Xenova/all-MiniLM-L6-v2')
+      .describe('Feature-extraction model (Hugging Face id); run `dude-claude reembed` after changing it'),
+    dimension: z.number().int().positive().default(384).describe('Length of the vectors the model produces'),
+    pooling: z.enum(['mean', 'cls', 'first_token', 'eos', 'last_token']).default('mean')
+      .describe('How the token vectors are pooled into one'),
+    localPath: z.string().optional()
+      .describe('Load models from this directory (as <localPath>/<model>) instead of downloading them'),
+    cacheSize: z.number().int().min(0).default(10000)
+      .describe('Most vectors kept in the embedding cache, least recently used dropped first (0 disables it)'),
+  }).strict().default({}),
+  daemon: z.object({
+    autoStart: z.boolean().default(true)
+      .describe('Start `dude-claude daemon` in the background when a hook finds it not running'),
+    idleMinutes: z.number().min(0).default(30)
+      .describe('Stop the daemon after this many minutes without requests (0 keeps it running)'),
+  }).strict().default({}),
+  identity: z.object({
+    remote: z.string().default('origin').describe('Git remote whose URL names the project'),
+    hosts: z.array(z.string()).default([])
+      .describe('Extra git hosts (globs allowed, e.g. "git.*.example.com") besides github.com, gitlab.com and bitbucket.org'),
+    hostAliases: z.record(z.string(), z.string()).default({})
+      .describe('SSH host aliases mapped to real hosts, e.g. { "gh-work": "github.com" }; ~/.ssh/config is also consulted'),
+    monorepo: z.object({
+      enabled: z.boolean().default(false).describe('Scope the project to the nearest package directory below the git root'),
+      markers: z.array(z.string()).min(1).default(['package.json']).describe('Files that mark a package directory'),
+    }).strict().default({}),
+  }).strict().default({}),
+  ...projectSettingsShape,
+  projects: z.record(z.string(), z.record(z.string(), z.unknown())).default({}),
+}).strict();
+
+/** Environment variables that override config keys (highest precedence). */
+const ENV_OVERRIDES = [
+  ['DUDE_DATA_DIR', 'dataDir', String],
+  ['DUDE_PORT', 'port', Number],
+  ['DUDE_CONTEXT_LIMIT', 'contextLimit', Number],
+  ['DUDE_RECENCY_HOURS', 'recencyHours', Number],
+  ['DUDE_SEARCH_MODE', 'search.mode', String],
+];
+
+/** Path of the config file (`DUDE_CONFIG` overrides the default location). */
+export function getConfigPath() {
+  return process.env.DUDE_CONFIG || join(homedir(), '.dude-claude', 'config.json');
+}
+
+/**
+ * Read the raw config file. Returns {} when it doesn't exist.
+ * @returns {object}
+ */
+export function readConfigFile() {
+  const path = getConfigPath();
+  if (!existsSync(path)) return {};
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not parse config file ${path}: ${err.message}`);
+  }
+}
+
+/**
+ * Validate and write the raw config file.
+ * @param {object} raw
+ */
+export function writeConfigFile(raw) {
+  validateRaw(raw);
+  const path = getConfigPath();
+  mkdirSync(dirname(path), { recursive: true });
+  writeFileSync(path, JSON.stringify(raw, null, 2) + '\n');
+}
+
+/**
+ * Resolve the effective configuration.
+ * Precedence: defaults < config file < `projects[project]` override < env vars.
+ *
+ * @param {{ project?: string }} [opts] - Project name whose overrides apply
+ * @returns {object} Fully-populated, validated config
+ */
+export function loadConfig({ project } = {}) {
+  const raw = readConfigFile();
+  const { projects = {}, ...global } = raw;
+  const merged = deepMerge(global, project ? projects[project] : undefined);
+
+  for (const [env, key, cast] of ENV_OVERRIDES) {
+    if (process.env[env]) setPath(merged, key, cast(process.env[env]));
+  }
+
+  const config = parse(ConfigSchema, { ...merged, projects }, project ? `project "${project}"` : null);
+  config.dataDir = config.dataDir || join(homedir(), '.dude-claude');
+  return config;
+}
+
+/**
+ * Read one key (dot path) from the effective config.
+ * @param {string} key - e.g. `search.ranking.halfLifeDays`
+ * @param {{ project?: string }} [opts]
+ */
+export function getConfigValue(key, opts = {}) {
+  return getPath(loadConfig(opts), key);
+}
+
+/**
+ * Set one key (dot path) in the config file, globally or for a project.
+ * The resulting file is validated before it is written.
+ * @param {string} key
+ * @param {*} value
+ * @param {{ project?: string }} [opts]
+ */
+export function setConfigValue(key, value, { project } = {}) {
+  const raw = readConfigFile();
+  if (project) {
+    raw.projects ??= {};
+    raw.projects[project] ??= {};
+    setPath(raw.projects[project], key, value);
+  } else {
+    setPath(raw, key, value);
+  }
+  writeConfigFile(raw);
+}
+
+/**
+ * Remove one key (dot path) from the config file, globally or for a project,
+ * so the default (or the global value) applies again.
+ * @returns {boolean} Whether the key was present
+ */
+export function unsetConfigValue(key, { project } = {}) {
+  const raw = readConfigFile();
+  const target = project ? raw.projects?.[project] : raw;
+  if (!target) return false;
+
+  const parts = key.split('.');
+  const last = parts.pop();
+  const parent = parts.reduce((obj, part) => obj?.[part], target);
+  if (!parent || !(last in parent)) return false;
+  delete parent[last];
+
+  pruneEmpty(raw);
+  writeConfigFile(raw);
+  return true;
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function validateRaw(raw) {
+  const path = getConfigPath();
+  const { projects = {} } = parse(ConfigSchema, raw, null, path);
+  for (const [name, override] of Object.entries(projects)) {
+    parse(ProjectSettingsSchema, override, `project "${name}"`, path);
+  }
+}
+
+function parse(schema, value, scope, path = getConfigPath()) {
+  const result = schema.safeParse(value);
+  if (result.success) return result.data;
+  const issues = result.error.issues
+    .map(i => `${i.path.join('.') || '(root)'}: ${i.message}`)
+    .join('; ');
+  throw new Error(`Invalid config in ${path}${scope ? ` (${scope})` : ''}: ${issues}`);
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function deepMerge(base, override) {
+  if (!isPlainObject(override)) return structuredClone(base);
+  const out = structuredClone(base);
+  for (const [key, value] of Object.entries(override)) {
+    out[key] = isPlainObject(value) && isPlainObject(out[key])
+      ? deepMerge(out[key], value)
+      : structuredClone(value);
+  }
+  return out;
+}
+
+/** Drop nested objects left empty by unset (the root object is kept). */
+function pruneEmpty(obj) {
+  for (const [key, value] of Object.entries(obj)) {
+    if (!isPlainObject(value)) continue;
+    pruneEmpty(value);
+    if (Object.keys(value).length === 0) delete obj[key];
+  }
+}
+
+function getPath(obj, key) {
+  return key.split('.').reduce((o, part) => (o == null ? undefined : o[part]), obj);
+}
+
+function setPath(obj, key, value) {
+  const parts = key.split('.');
+  const last = parts.pop();
+  let cur = obj;
+  for (const part of parts) {
+    if (!isPlainObject(cur[part])) cur[part] = {};
+    cur = cur[part];
+  }
+  cur[last] = value;
+}
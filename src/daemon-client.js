@@ -0,0 +1,146 @@
+import { spawn } from 'node:child_process';
+import { createHash } from 'node:crypto';
+import { closeSync, mkdirSync, openSync } from 'node:fs';
+import { connect } from 'node:net';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { loadConfig } from './config.js';
+
+/**
+ * How long a hook waits for the daemon's answer before handling the call
+ * itself. Short enough that the wait plus a cold in-process run stays within
+ * the 60 s hook timeout in hooks.json.
+ */
+export const REQUEST_TIMEOUT_MS = 15_000;
+
+/** Hooks that only read, so they can safely be retried in-process after a daemon timeout. */
+const READ_ONLY_HOOKS = new Set(['auto-retrieve']);
+
+/** Connection errors that mean no daemon is listening. */
+const NOT_RUNNING = new Set(['ENOENT', 'ECONNREFUSED']);
+
+const BIN = fileURLToPath(new URL('../bin/dude-claude.js', import.meta.url));
+
+/**
+ * Where the daemon listens: `daemon.sock` in the data directory, or a named
+ * pipe derived from it on Windows. Each data directory has its own daemon.
+ * @param {string} [dataDir]
+ */
+export function daemonSocketPath(dataDir = loadConfig().dataDir) {
+  if (process.platform === 'win32') {
+    return `\\\\.\\pipe\\dude-claude-${createHash('sha256').update(dataDir).digest('hex').slice(0, 16)}`;
+  }
+  return join(dataDir, 'daemon.sock');
+}
+
+/**
+ * Send one request to the daemon and wait for its answer. Rejects with the
+ * socket error (`code` ENOENT or ECONNREFUSED when no daemon is listening),
+ * or with code ETIMEDOUT when it doesn't answer in time; `err.sent` is true
+ * once the request went out.
+ * @param {object} message - `{ command: 'ping' | 'stop' | 'hook', ... }`
+ * @param {{ socketPath?: string, timeoutMs?: number }} [opts]
+ * @returns {Promise<object>} The daemon's response; `ok: false` carries an `error`
+ */
+export function requestDaemon(message, { socketPath = daemonSocketPath(), timeoutMs = REQUEST_TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    const socket = connect(socketPath);
+    let data = '';
+    let sent = false;
+    // `sent` tells callers whether the daemon may have acted on the request
+    const fail = (err) => {
+      socket.destroy();
+      reject(Object.assign(err, { sent }));
+    };
+    socket.setTimeout(timeoutMs, () => {
+      fail(Object.assign(new Error(`Daemon did not answer within ${timeoutMs} ms`), { code: 'ETIMEDOUT' }));
+    });
+    socket.on('connect', () => {
+      sent = true;
+      socket.write(`${JSON.stringify(message)}\n`);
+    });
+    socket.on('data', (chunk) => {
+      data += chunk;
+    });
+    socket.on('end', () => {
+      try {
+        resolve(JSON.parse(data));
+      } catch {
+        fail(new Error('Malformed response from daemon'));
+      }
+    });
+    socket.on('error', fail);
+  });
+}
+
+/**
+ * Start the daemon as a detached background process that outlives this one.
+ * Its output goes to `daemon.log` in the data directory.
+ */
+export function spawnDaemon() {
+  const { dataDir } = loadConfig();
+  mkdirSync(dataDir, { recursive: true });
+  const log = openSync(join(dataDir, 'daemon.log'), 'a');
+  try {
+    const child = spawn(process.execPath, [BIN, 'daemon', 'start'], {
+      cwd: dataDir,
+      detached: true,
+      stdio: ['ignore', log, log],
+      windowsHide: true,
+    });
+    child.unref();
+  } finally {
+    closeSync(log);
+  }
+}
+
+/**
+ * Run a hook through the daemon. When no daemon is listening, start one for
+ * the next call (unless `daemon.autoStart` is off) and handle this call in
+ * this process, as the hooks did before the daemon existed.
+ * @param {string} name - Hook name (see HOOKS in hooks.js)
+ * @param {string} raw - The hook's stdin
+ * @param {{ cwd?: string, socketPath?: string, timeoutMs?: number }} [opts]
+ * @returns {Promise<{ stdout: string, stderr: string }>}
+ */
+export async function dispatchHook(name, raw, { cwd = process.cwd(), socketPath, timeoutMs } = {}) {
+  const config = loadConfig();
+  try {
+    const response = await requestDaemon({ command: 'hook', name, cwd, input: raw }, {
+      socketPath: socketPath ?? daemonSocketPath(config.dataDir),
+      timeoutMs,
+    });
+    if (response.ok) return { stdout: response.stdout, stderr: response.stderr };
+    console.error(`[dude] daemon: ${response.error}`);
+  } catch (err) {
+    if (err.sent && !READ_ONLY_HOOKS.has(name)) {
+      // The daemon may still finish the write; doing it here too could save the record twice
+      return { stdout: '', stderr: `[dude] ${name}: ${err.message}; not retried in-process\n` };
+    }
+    if (NOT_RUNNING.has(err.code) && config.daemon.autoStart) {
+      try {
+        spawnDaemon();
+      } catch (spawnErr) {
+        console.error(`[dude] Could not start the daemon: ${spawnErr.message}`);
+      }
+    }
+  }
+
+  const { handleHook } = await import('./hooks.js');
+  const { initDb } = await import('./db.js');
+  return handleHook(name, raw, () => initDb());
+}
+
+/**
+ * Entry point of the hook scripts: read stdin, run the hook and print its output.
+ * @param {string} name
+ */
+export async function runHook(name) {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  const { stdout, stderr } = await dispatchHook(name, Buffer.concat(chunks).toString());
+  if (stderr) process.stderr.write(stderr);
+  if (stdout) process.stdout.write(stdout);
+}
@@ -0,0 +1,204 @@
+import { existsSync, unlinkSync } from 'node:fs';
+import { createServer } from 'node:net';
+import { isAbsolute } from 'node:path';
+import { loadConfig } from './config.js';
+import { daemonSocketPath, requestDaemon } from './daemon-client.js';
+import { closeDb, initDbAt } from './db.js';
+import { embed } from './embed.js';
+import { handleHook } from './hooks.js';
+
+/**
+ * Most databases kept open at once, one per working directory. Opening
+ * another closes the least recently used one that no hook is using.
+ */
+export const MAX_SESSIONS = 8;
+
+/**
+ * Start the daemon: a local server that keeps the embedding model loaded and
+ * an open database for each recently used working directory (up to
+ * MAX_SESSIONS), so hooks answer without a cold start. Clients connect to the socket, send one JSON line and read one JSON
+ * response before the daemon closes the connection:
+ *
+ *   { command: 'hook', name, cwd, input } → { ok, stdout, stderr }
+ *   { command: 'ping' }                   → { ok, pid, uptime, sessions }
+ *   { command: 'stop' }                   → { ok }, then the daemon shuts down
+ *
+ * Failures come back as `{ ok: false, error }`. Settings are read when a
+ * working directory's database is opened; restart the daemon to pick up config changes.
+ *
+ * @param {{ socketPath?: string, idleMinutes?: number, warmUp?: boolean }} [opts]
+ *   `idleMinutes` (default `daemon.idleMinutes`) stops the daemon after that long
+ *   without requests, 0 never; `warmUp` loads the model before the first request.
+ * @returns {Promise<{ socketPath: string, close: () => Promise<void>, closed: Promise<void> }>}
+ * @throws {Error} When another daemon is already listening on the socket
+ */
+export async function startDaemon({
+  socketPath = daemonSocketPath(),
+  idleMinutes = loadConfig().daemon.idleMinutes,
+  warmUp = true,
+} = {}) {
+  await clearSocket(socketPath);
+  const started = Date.now();
+
+  // Working directory → { db: Promise of its adapter, users: hooks using it },
+  // least recently used first
+  const sessions = new Map();
+  let opening = Promise.resolve();
+  const acquire = (cwd) => {
+    let entry = sessions.get(cwd);
+    if (entry) {
+      sessions.delete(cwd);
+    } else {
+      // One at a time, so a fresh database is migrated once
+      const db = opening.then(() => initDbAt(cwd));
+      opening = db.catch(() => {});
+      entry = { db, users: 0 };
+      // Don't keep a failed open around; the next request retries it
+      db.catch(() => {
+        if (sessions.get(cwd) === entry) sessions.delete(cwd);
+      });
+    }
+    sessions.set(cwd, entry);
+    entry.users++;
+    evict();
+    return entry;
+  };
+  const release = (entry) => {
+    entry.users--;
+    evict();
+  };
+  const evict = () => {
+    for (const [cwd, entry] of sessions) {
+      if (sessions.size <= MAX_SESSIONS) break;
+      if (entry.users > 0) continue;
+      sessions.delete(cwd);
+      closeSession(entry);
+    }
+  };
+
+  let active = 0;
+  let idleTimer = null;
+  const idleMs = idleMinutes * 60_000;
+  const scheduleIdleStop = () => {
+    clearTimeout(idleTimer);
+    if (idleMs > 0 && active === 0) {
+      idleTimer = setTimeout(() => {
+        console.error(`[dude] Daemon idle for ${idleMinutes} minute(s), stopping`);
+        close();
+      }, idleMs);
+    }
+  };
+
+  async function respond(line) {
+    active++;
+    clearTimeout(idleTimer);
+    try {
+      const message = JSON.parse(line);
+      switch (message.command) {
+        case 'hook': {
+          if (typeof message.cwd !== 'string' || !isAbsolute(message.cwd)) {
+            throw new Error('A hook request needs the absolute cwd of the hook');
+          }
+          let entry = null;
+          try {
+            const { stdout, stderr } = await handleHook(message.name, String(message.input ?? ''), () => {
+              entry ??= acquire(message.cwd);
+              return entry.db;
+            });
+            return { ok: true, stdout, stderr };
+          } finally {
+            if (entry) release(entry);
+          }
+        }
+        case 'ping':
+          return { ok: true, pid: process.pid, uptime: Math.round((Date.now() - started) / 1000), sessions: [...sessions.keys()] };
+        case 'stop':
+          setImmediate(close);
+          return { ok: true };
+        default:
+          throw new Error(`Unknown command "${message.command}"`);
+      }
+    } catch (err) {
+      return { ok: false, error: err.message };
+    } finally {
+      active--;
+      scheduleIdleStop();
+    }
+  }
+
+  const server = createServer((socket) => {
+    let data = '';
+    socket.setEncoding('utf8');
+    socket.on('data', async (chunk) => {
+      data += chunk;
+      const end = data.indexOf('\n');
+      if (end === -1) return;
+      socket.removeAllListeners('data');
+      socket.end(JSON.stringify(await respond(data.slice(0, end))));
+    });
+    // The client went away; nothing to answer
+    socket.on('error', () => {});
+  });
+
+  let closing = null;
+  let markClosed;
+  const closed = new Promise((resolve) => { markClosed = resolve; });
+  function close() {
+    closing ??= (async () => {
+      clearTimeout(idleTimer);
+      await new Promise(resolve => server.close(() => resolve()));
+      for (const entry of sessions.values()) await closeSession(entry);
+      removeSocketFile(socketPath);
+      console.error('[dude] Daemon stopped');
+      markClosed();
+    })();
+    return closing;
+  }
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(socketPath, () => {
+      server.off('error', reject);
+      resolve();
+    });
+  });
+  console.error(`[dude] Daemon listening on ${socketPath} (pid ${process.pid})`);
+  scheduleIdleStop();
+
+  if (warmUp) {
+    embed('dude').catch(err => console.error(`[dude] Could not load the embedding model: ${err.message}`));
+  }
+  return { socketPath, close, closed };
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+async function closeSession({ db }) {
+  try {
+    await closeDb(await db);
+  } catch { /* failed opens have nothing to close */ }
+}
+
+/** Make way for a new daemon: fail when one answers, remove the socket file a dead one left behind. */
+async function clearSocket(socketPath) {
+  try {
+    await requestDaemon({ command: 'ping' }, { socketPath, timeoutMs: 2000 });
+  } catch (err) {
+    if (err.code === 'ENOENT') return;
+    if (err.code === 'ECONNREFUSED') {
+      removeSocketFile(socketPath);
+      return;
+    }
+    throw new Error(`Another process holds ${socketPath} but does not answer (${err.message})`);
+  }
+  throw new Error(`A daemon is already running on ${socketPath}`);
+}
+
+function removeSocketFile(socketPath) {
+  if (process.platform === 'win32') return;
+  try {
+    if (existsSync(socketPath)) unlinkSync(socketPath);
+  } catch { /* already gone */ }
+}
@@ -7,8 +7,12 @@ export class DbAdapter {
   /**
    * Semantic search across records.
    * @param {Float32Array} embedding - Query embedding vector
-   * @param {{ limit?: number, kind?: string, projectId?: number }} opts
-   * @returns {Promise<Array<Object>>} Records with similarity scores
+   * @param {{ limit?: number, kind?: string, tags?: string[], projectId?: number, project?: string, projects?: string[], strict?: boolean,
+   *   branch?: string, commits?: string[] }} opts
+   *   `project` is the name to boost (`'*'` for equal weight); `projects` and `strict` restrict results;
+   *   `tags` keeps records carrying all of the given tags; `branch` and `commits` keep records saved
+   *   on that branch or at one of those commits (full or abbreviated SHAs)
+   * @returns {Promise<Array<Object>>} Records with similarity scores and the best-matching `snippet`
    */
   async search(embedding, opts = {}) {
     throw new Error('Not implemented');
@@ -16,7 +20,14 @@ export class DbAdapter {
 
   /**
    * Create or update a record with dedup.
-   * @param {{ id?: number, projectId?: number, kind: string, title: string, body?: string, status?: string }} record
+   * Updates (including dedup merges) save the previous values as a revision.
+   * @param {{ id?: number, projectId?: number, kind: string, title: string, body?: string, status?: string, tags?: string[],
+   *   refs?: Array<string|Object>, priority?: string|null, severity?: string|null, dueDate?: string|null,
+   *   git?: { branch: string|null, sha: string, dirty: string[] }|null, source?: string }} record
+   *   `source` names the writer recorded on the revision (mcp, web, auto-persist, …);
+   *   `refs` are code references (paths with line ranges, symbols, commit SHAs), handled like `tags`;
+   *   `priority` (P0–P3), `severity` and `dueDate` are kept when omitted and cleared by null;
+   *   `git` is the checkout state at save time, replacing the stored one when given
    * @param {Float32Array} embedding
    * @returns {Promise<Object>} The saved record
    */
@@ -25,7 +36,8 @@ export class DbAdapter {
   }
 
   /**
-   * Get a single record by ID.
+   * Get a single record by ID, including its tags, inbound/outbound links and
+   * the ids of records merged into it (`absorbed_ids`).
    * @param {number} id
    * @returns {Promise<Object|null>}
    */
@@ -35,7 +47,12 @@ export class DbAdapter {
 
   /**
    * List records with optional filters.
-   * @param {{ kind?: string, status?: string, project?: string }} filters
+   * @param {{ kind?: string, status?: string, project?: string, tags?: string[], priority?: string|string[],
+   *   severity?: string|string[], overdue?: boolean, dueBefore?: string, path?: string, symbol?: string,
+   *   commit?: string, branch?: string, commits?: string[], sort?: string }} filters
+   *   `sort` is `updated` (default), `created`, `priority`, `severity` or `due`;
+   *   `path`, `symbol` and `commit` keep records with a matching code reference;
+   *   `branch` and `commits` match the git context the record was saved with
    * @returns {Promise<Array<Object>>}
    */
   async list(filters = {}) {
@@ -43,7 +60,17 @@ export class DbAdapter {
   }
 
   /**
-   * Delete a record by ID.
+   * Find live records with a code reference to a file or directory.
+   * @param {string} path - Relative to the repository root, absolute, or a directory
+   * @param {{ project?: string, line?: number }} opts - `project` name (default: current) or `'*'`
+   * @returns {Promise<Array<Object>>} Records with the `refs` that matched
+   */
+  async findByPath(path, opts = {}) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Move a record to the trash (soft delete).
    * @param {number} id
    * @returns {Promise<boolean>}
    */
@@ -52,10 +79,354 @@ export class DbAdapter {
   }
 
   /**
-   * List all projects.
+   * List trashed records.
+   * @param {{ project?: string }} filters - Project name (default: current) or `'*'`
+   * @returns {Promise<Array<Object>>}
+   */
+  async listTrash(filters = {}) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Take a record out of the trash.
+   * @param {number} id
+   * @returns {Promise<Object|null>} The restored record, or null if it isn't trashed
+   */
+  async restore(id) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Permanently delete trashed records (all, or only `ids` / `project` / those trashed more than `olderThanDays` ago).
+   * @param {{ ids?: number[], olderThanDays?: number, project?: string }} opts
+   * @returns {Promise<number>} Number of records purged
+   */
+  async purgeTrash(opts = {}) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Revision history of a record, newest first, each with a `diff` of the fields it changed.
+   * @param {number} id
+   * @returns {Promise<Array<Object>|null>} null when the record doesn't exist
+   */
+  async getHistory(id) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Get one revision.
+   * @param {number} revisionId
+   * @returns {Promise<Object|null>}
+   */
+  async getRevision(revisionId) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Restore a record to the values stored in a revision.
+   * @param {number} revisionId
+   * @param {Float32Array} embedding - Embedding of the revision's title + body
+   * @param {{ source?: string }} [opts]
+   * @returns {Promise<Object|null>} The restored record, or null if the revision doesn't exist or its record is in the trash
+   */
+  async restoreRevision(revisionId, embedding, opts = {}) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Create a typed, directed link `sourceId` <type> `targetId`.
+   * @param {number} sourceId
+   * @param {number} targetId
+   * @param {string} type - One of relates_to, blocks, fixes, supersedes, duplicate_of, child_of
+   * @returns {Promise<Object>} The link row
+   */
+  async link(sourceId, targetId, type) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Remove links from `sourceId` to `targetId` (all types unless `type` is given).
+   * @param {number} sourceId
+   * @param {number} targetId
+   * @param {string} [type]
+   * @returns {Promise<number>} Number of links removed
+   */
+  async unlink(sourceId, targetId, type) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Inbound and outbound links of a record.
+   * @param {number} id
+   * @returns {Promise<{ outbound: Array<Object>, inbound: Array<Object> }>}
+   */
+  async getLinks(id) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Cluster near-duplicate records (same project and kind, similarity at or above the threshold).
+   * @param {{ threshold?: number, project?: string, kind?: string }} opts
+   *   `threshold` defaults to the configured dedup threshold; `project` is a name or `'*'`
+   * @returns {Promise<Array<{ similarity: number, records: Array<Object>, pairs: Array<Object> }>>}
+   */
+  async findDuplicates(opts = {}) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Merge records into a target: bodies and tags are combined, the earliest
+   * created_at is kept, links are re-pointed, and the sources are trashed and
+   * recorded as absorbed by the target.
+   * @param {number} targetId
+   * @param {number[]} sourceIds
+   * @param {{ source?: string }} [opts]
+   * @returns {Promise<Object|null>} The merged record, or null if the target doesn't exist
+   */
+  async mergeRecords(targetId, sourceIds, opts = {}) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * List tags in use with their record counts.
+   * @param {{ project?: string }} filters
+   * @returns {Promise<Array<{ name: string, count: number }>>}
+   */
+  async listTags(filters = {}) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Add tags to a record, saving the previous tags as a revision.
+   * @param {number} recordId
+   * @param {string[]} tags
+   * @param {{ source?: string }} [opts]
+   * @returns {Promise<string[]|null>} The record's tags, or null if it doesn't exist
+   */
+  async addTags(recordId, tags, opts = {}) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Remove tags from a record, saving the previous tags as a revision.
+   * @param {number} recordId
+   * @param {string[]} tags
+   * @param {{ source?: string }} [opts]
+   * @returns {Promise<string[]|null>} The record's tags, or null if it doesn't exist
+   */
+  async removeTags(recordId, tags, opts = {}) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Rename a tag everywhere (merging into `to` if it already exists).
+   * @param {string} from
+   * @param {string} to
+   * @param {{ source?: string }} [opts]
+   * @returns {Promise<boolean>}
+   */
+  async renameTag(from, to, opts) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Delete a tag from every record.
+   * @param {string} name
+   * @param {{ source?: string }} [opts]
+   * @returns {Promise<boolean>}
+   */
+  async deleteTag(name, opts) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * List the registered record kinds, with `record_count` of live records each.
+   * @returns {Promise<Array<{ name: string, description: string, color: string, default_status: string, retrieve_weight: number, builtin: boolean, record_count: number }>>}
+   */
+  async listKinds() {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Get a record kind by name.
+   * @param {string} name
+   * @returns {Promise<Object|null>}
+   */
+  async getKind(name) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Register a record kind, or change the given fields of an existing one.
+   * @param {{ name: string, description?: string, color?: string, defaultStatus?: string, retrieveWeight?: number }} kind
+   * @returns {Promise<Object>} The saved kind
+   */
+  async defineKind(kind) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Delete a custom kind no record uses (throws for built-in or used kinds).
+   * @param {string} name
+   * @returns {Promise<boolean>} false when the kind doesn't exist
+   */
+  async deleteKind(name) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * List projects, each with its parent's name.
+   * @param {{ parent?: number|string, includeInactive?: boolean }} [filters]
+   *   `parent` (id or name) keeps only its direct children; archived projects are hidden by default
    * @returns {Promise<Array<Object>>}
    */
-  async listProjects() {
+  async listProjects(filters = {}) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Get a project by id, name or former name (default: current) with its aliases, children and record counts.
+   * @param {number|string} [ref]
+   * @returns {Promise<Object|null>}
+   */
+  async getProject(ref) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Get a project with its open issues and specs, optionally nesting the context of its subprojects.
+   * @param {number|string} [ref]
+   * @param {{ includeSubprojects?: boolean }} [opts]
+   * @returns {Promise<Object|null>}
+   */
+  async getProjectContext(ref, opts = {}) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Create a project.
+   * @param {{ name: string, directory?: string, parent?: number|string }} project
+   * @returns {Promise<Object>}
+   */
+  async createProject(project) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Update a project's name, directory, parent (null for top-level) or active flag.
+   * @param {number|string} ref
+   * @param {{ name?: string, directory?: string|null, parent?: number|string|null, active?: boolean }} changes
+   * @returns {Promise<Object|null>}
+   */
+  async updateProject(ref, changes) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Rename a project; the old name becomes an alias.
+   * @param {number|string} ref
+   * @param {string} name
+   * @returns {Promise<Object|null>}
+   */
+  async renameProject(ref, name) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Merge one project into another (records, subprojects and aliases move; the source is deleted).
+   * Each moved record gets a revision.
+   * @param {number|string} sourceRef
+   * @param {number|string} targetRef
+   * @param {{ alias?: boolean, source?: string }} [opts]
+   * @returns {Promise<{ project: Object, moved: number }>}
+   */
+  async mergeProjects(sourceRef, targetRef, opts = {}) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Move records to another project, saving a revision for each.
+   * @param {number[]} ids
+   * @param {number|string} projectRef
+   * @param {{ source?: string }} [opts]
+   * @returns {Promise<number>} Number of records moved
+   */
+  async moveRecords(ids, projectRef, opts = {}) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Progress of moving stored vectors to the configured embedding model.
+   * @returns {Promise<{ model: string, dimension: number, storedDimension: number, total: number, pending: number }>}
+   */
+  async embeddingStatus() {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Mark all vectors for re-embedding, resizing the vector columns when the
+   * configured dimension changed.
+   */
+  async resetEmbeddings() {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Records that still need a vector from the configured model.
+   * @param {{ limit?: number }} opts
+   * @returns {Promise<Array<{ id: number, title: string, body: string }>>}
+   */
+  async pendingEmbeddings(opts = {}) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Store a re-embedded vector for a record and rebuild its chunks.
+   * @param {number} id
+   * @param {Float32Array} embedding
+   * @returns {Promise<boolean>}
+   */
+  async setEmbedding(id, embedding) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Look up cached vectors of an embedding model by text hash.
+   * @param {string} model
+   * @param {string[]} hashes
+   * @returns {Promise<Map<string, Float32Array>>}
+   */
+  async getCachedEmbeddings(model, hashes) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Add vectors to the embedding cache, pruning it to `embedding.cacheSize`.
+   * @param {string} model
+   * @param {Array<{ hash: string, embedding: Float32Array }>} entries
+   */
+  async cacheEmbeddings(model, entries) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Switch the current project for this process (default: back to the detected one).
+   * @param {number|string} [ref] - Project id or name
+   * @param {{ create?: boolean }} [opts] - Create the project if it doesn't exist
+   * @returns {Promise<{ id: number, name: string }|null>}
+   */
+  async setCurrentProject(ref, opts = {}) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Directory of a project's checkout: its `directory`, or the working
+   * directory when it is the detected project.
+   * @param {number|string} ref - Project id or name
+   * @returns {Promise<string|null>}
+   */
+  async projectDirectory(ref) {
     throw new Error('Not implemented');
   }
 
@@ -77,6 +448,16 @@ export class DbAdapter {
     throw new Error('Not implemented');
   }
 
+  /**
+   * Get open records of a project that are P0 or overdue, most urgent first.
+   * @param {number} projectId
+   * @param {{ limit?: number }} opts
+   * @returns {Promise<Array<Object>>}
+   */
+  async getUrgentRecords(projectId, opts = {}) {
+    throw new Error('Not implemented');
+  }
+
   /**
    * Close the database connection.
    */
@@ -1,19 +1,380 @@
 import { createClient } from '@libsql/client';
-import { execSync } from 'node:child_process';
+import { AsyncLocalStorage } from 'node:async_hooks';
 import { existsSync, mkdirSync } from 'node:fs';
-import { join, basename } from 'node:path';
-import { homedir } from 'node:os';
+import { join, basename, dirname } from 'node:path';
 import { DbAdapter } from './db-adapter.js';
+import { migrateSchema } from './schema.js';
+import { loadConfig } from './config.js';
+import { resolveProject } from './project-identity.js';
+import { CHUNK_SIZE, chunkText } from './chunk.js';
 
-const DATA_DIR = join(homedir(), '.dude-claude');
-const DB_PATH = join(DATA_DIR, 'dude-libsql.db');
+/** The transaction (see LibsqlAdapter#_transaction) the current call chain runs in. */
+const transactionScope = new AsyncLocalStorage();
 
 /** Column list for record queries (excludes embedding blob). */
-const RECORD_COLS = `r.id, r.project_id, r.kind, r.title, r.body, r.status, r.created_at, r.updated_at`;
+const RECORD_COLS = `r.id, r.project_id, r.kind, r.title, r.body, r.status, r.created_at, r.updated_at,
+  r.status_changed_at, r.resolved_at, r.priority, r.severity, r.due_date, r.git_branch, r.git_sha`;
+/** Column list for project queries (`pp` is the LEFT JOINed parent). */
+const PROJECT_COLS = `p.id, p.name, p.parent_id, pp.name AS parent, p.directory, p.active, p.created_at, p.updated_at`;
+
+export const SEARCH_MODES = ['vector', 'lexical', 'hybrid'];
+
+/**
+ * What upsert does when a new record closely matches an existing one:
+ * merge (overwrite the match), append (add the new text to the match),
+ * skip (keep the match untouched), create (insert anyway), ask (write
+ * nothing and report the match so the caller can decide).
+ */
+export const DEDUP_POLICIES = ['merge', 'append', 'skip', 'create', 'ask'];
+
+/** Directed link types between records (source <type> target). */
+export const LINK_TYPES = ['relates_to', 'blocks', 'fixes', 'supersedes', 'duplicate_of', 'child_of'];
+
+/**
+ * Workflow of kinds that don't define their own: `statuses` (the first is a
+ * sensible default), the `closed` ones that mark a record resolved, and the
+ * allowed `transitions` (`{ from: [to, …] }`; null allows any).
+ */
+export const DEFAULT_WORKFLOW = { statuses: ['open', 'resolved'], closed: ['resolved'], transitions: null };
+
+/** Status outside every workflow: any record can be archived, and brought back to any status. */
+export const ARCHIVED = 'archived';
+
+/** Priorities, most urgent first: P0 is drop-everything, P3 someday. */
+export const PRIORITIES = ['P0', 'P1', 'P2', 'P3'];
+
+/** Severities of a problem's impact, worst first. */
+export const SEVERITIES = ['critical', 'major', 'minor', 'trivial'];
+
+/**
+ * Orders for list(): most recently `updated` (default) or `created` first;
+ * `priority` (then severity, then due date), `severity` (then priority) or
+ * `due` date (soonest first), untriaged records last.
+ */
+export const LIST_SORTS = ['updated', 'created', 'priority', 'severity', 'due'];
+
+/** Status names: lower-case, starting with a letter (`in_progress`). */
+const STATUS_NAME = /^[a-z][a-z0-9_]{0,31}$/;
+
+/** Abbreviated (7+ hex digits) or full commit SHAs. */
+const COMMIT_SHA = /^[0-9a-f]{7,40}$/i;
+
+/** Kind names: lower-case, starting with a letter (`runbook`, `decision-log`). */
+const KIND_NAME = /^[a-z][a-z0-9_-]{0,31}$/;
+
+/** Record fields captured in each revision row (the project name is kept alongside project_id). */
+const REVISION_FIELDS = ['project_id', 'kind', 'title', 'body', 'status', 'tags', 'refs', 'priority', 'severity', 'due_date'];
+
+/** SQL ranking severities in SEVERITIES order, unset last. */
+const SEVERITY_RANK = `CASE r.severity ${SEVERITIES.map((s, i) => `WHEN '${s}' THEN ${i}`).join(' ')} ELSE ${SEVERITIES.length} END`;
+
+/** ORDER BY clause for each of LIST_SORTS. */
+const SORT_ORDER = {
+  updated: 'r.updated_at DESC',
+  created: 'r.created_at DESC',
+  priority: `r.priority IS NULL, r.priority, ${SEVERITY_RANK}, r.due_date IS NULL, r.due_date, r.updated_at DESC`,
+  severity: `${SEVERITY_RANK}, r.priority IS NULL, r.priority, r.updated_at DESC`,
+  due: 'r.due_date IS NULL, r.due_date, r.priority IS NULL, r.priority, r.updated_at DESC',
+};
+
+/** SQL condition for records that are still open: not in a closed status, not archived. */
+const OPEN_RECORD = "r.resolved_at IS NULL AND r.status != 'archived'";
+
+/** Reciprocal rank fusion constant (Cormack et al. use 60). */
+const RRF_K = 60;
+
+/**
+ * Turn free text into a safe FTS5 query: every word/identifier becomes a
+ * quoted term, OR-ed together so BM25 rewards records matching more of them.
+ * Returns null when the text has no indexable terms.
+ */
+function toFtsQuery(text) {
+  const terms = (text || '').match(/[\p{L}\p{N}_]+/gu);
+  if (!terms) return null;
+  return [...new Set(terms)].map(t => `"${t}"`).join(' OR ');
+}
+
+/**
+ * Normalise tag names: trimmed, lower-case, inner whitespace collapsed to '-',
+ * a leading '#' dropped, duplicates and empties removed.
+ * Accepts an array or a comma-separated string.
+ */
+export function normalizeTags(tags) {
+  if (tags == null) return [];
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  const names = list
+    .map(t => String(t).trim().replace(/^#/, '').toLowerCase().replace(/\s+/g, '-'))
+    .filter(Boolean);
+  for (const name of names) {
+    if (name.length > 64) throw new Error(`Tag "${name.slice(0, 20)}…" is longer than 64 characters`);
+  }
+  return [...new Set(names)];
+}
+
+/**
+ * SQL condition matching records that carry every tag in `tags`
+ * (already normalised). Returns null when there is nothing to filter on.
+ */
+function tagCondition(tags) {
+  if (!tags.length) return null;
+  return {
+    sql: `r.id IN (SELECT rt.record_id FROM record_tag rt JOIN tag t ON t.id = rt.tag_id
+                   WHERE t.name IN (${tags.map(() => '?').join(', ')})
+                   GROUP BY rt.record_id HAVING COUNT(*) = ${tags.length})`,
+    args: tags,
+  };
+}
+
+/**
+ * Normalise code references to `{ path, line_start, line_end, symbol, commit }`
+ * objects (parts not given are null), sorted and without duplicates.
+ * Each reference is such an object or a string: `path[:start[-end]][#symbol][@sha]`,
+ * `#symbol`, or a commit SHA. Paths use '/' and lose a leading './'.
+ */
+export function normalizeRefs(refs) {
+  if (refs == null) return [];
+  const unique = new Map();
+  for (const ref of Array.isArray(refs) ? refs : [refs]) {
+    const parsed = parseRef(ref);
+    unique.set(JSON.stringify(parsed), parsed);
+  }
+  return [...unique.values()].sort(compareRefs);
+}
+
+function parseRef(ref) {
+  const fields = typeof ref === 'string' ? refFromString(ref) : (ref ?? {});
+  const path = normalizeRefPath(fields.path);
+  const symbol = fields.symbol?.trim() || null;
+  const commit = fields.commit?.trim().toLowerCase() || null;
+  if (!path && !symbol && !commit) {
+    throw new Error(`Empty code reference ${JSON.stringify(ref)}: give a path, a symbol or a commit`);
+  }
+  if (commit && !COMMIT_SHA.test(commit)) throw new Error(`Invalid commit SHA "${commit}"`);
+  let start = fields.line_start ?? null;
+  let end = fields.line_end ?? null;
+  if (start != null || end != null) {
+    if (!path) throw new Error(`Line numbers need a path (reference ${JSON.stringify(ref)})`);
+    start = Number(start ?? end);
+    end = Number(end ?? start);
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 1 || end < start) {
+      throw new Error(`Invalid line range ${fields.line_start ?? ''}-${fields.line_end ?? ''} for ${path}`);
+    }
+  }
+  return { path, line_start: start, line_end: end, symbol, commit };
+}
+
+/** `src/a.js:10-20#fn@3f2a9c1`, `src/a.js:7`, `#fn` or a bare SHA, as reference fields. */
+function refFromString(text) {
+  const value = text.trim();
+  if (COMMIT_SHA.test(value)) return { commit: value };
+  const [, path, start, end, symbol, commit] = value.match(/^(.*?)(?::(\d+)(?:-(\d+))?)?(?:#(.+?))?(?:@([0-9a-f]{7,40}))?$/i);
+  return { path, line_start: start, line_end: end, symbol, commit };
+}
+
+/** A reference path with '/' separators, no leading './' and no trailing '/'. */
+function normalizeRefPath(path) {
+  return path?.trim().replace(/\\/g, '/').replace(/^(\.\/)+/, '').replace(/\/+$/, '') || null;
+}
+
+function compareRefs(a, b) {
+  return (a.path ?? '').localeCompare(b.path ?? '')
+    || (a.line_start ?? 0) - (b.line_start ?? 0)
+    || (a.line_end ?? 0) - (b.line_end ?? 0)
+    || (a.symbol ?? '').localeCompare(b.symbol ?? '')
+    || (a.commit ?? '').localeCompare(b.commit ?? '');
+}
+
+/**
+ * SQL condition on `rf` (record_ref) matching references to `path`: the file
+ * itself, anything below it when it is a directory, or — for an absolute or
+ * longer path — a stored path it ends with.
+ */
+function refPathCondition(path) {
+  const target = normalizeRefPath(path);
+  if (!target) throw new Error('A path is required');
+  return {
+    sql: `(rf.path = ?
+           OR substr(rf.path, 1, length(?) + 1) = ? || '/'
+           OR (length(?) > length(rf.path) AND substr(?, -length(rf.path) - 1) = '/' || rf.path))`,
+    args: [target, target, target, target, target],
+  };
+}
+
+/**
+ * Validate the git context of a save (see git-context.js). Anything but an
+ * object with a SHA means "unknown" and returns null.
+ */
+function normalizeGitContext(git) {
+  if (!git?.sha) return null;
+  if (!COMMIT_SHA.test(git.sha)) throw new Error(`Invalid git commit SHA "${git.sha}"`);
+  const dirty = Array.isArray(git.dirty) ? git.dirty.map(String).filter(Boolean) : [];
+  return { branch: git.branch || null, sha: git.sha.toLowerCase(), dirty };
+}
+
+/**
+ * SQL condition matching records saved at one of `shas`: full SHAs exactly,
+ * abbreviated ones as a prefix.
+ */
+function commitCondition(shas) {
+  const normalized = shas.map(sha => String(sha).trim().toLowerCase());
+  const full = normalized.filter(sha => sha.length === 40);
+  const parts = normalized.filter(sha => sha.length < 40).map(() => "r.git_sha LIKE ? || '%'");
+  if (full.length) parts.unshift(`r.git_sha IN (${full.map(() => '?').join(', ')})`);
+  return {
+    sql: `(${parts.join(' OR ')})`,
+    args: [...full, ...normalized.filter(sha => sha.length < 40)],
+  };
+}
+
+/**
+ * Validate a kind's workflow and fill in its defaults: `closed` defaults to
+ * `resolved` when that is one of the statuses, `transitions` to any.
+ */
+function normalizeWorkflow({ statuses, closed, transitions } = {}) {
+  if (!Array.isArray(statuses) || statuses.length === 0) throw new Error('A workflow needs at least one status');
+  for (const status of statuses) {
+    if (!STATUS_NAME.test(status ?? '') || status === ARCHIVED || status === 'all') {
+      throw new Error(`Invalid status "${status}": use lower-case letters, digits or '_'; "${ARCHIVED}" is always available`);
+    }
+  }
+  if (new Set(statuses).size !== statuses.length) throw new Error('Workflow statuses must be unique');
+  const known = (status, where) => {
+    if (!statuses.includes(status)) throw new Error(`Unknown status "${status}" in workflow ${where}`);
+  };
+  closed ??= statuses.filter(status => status === 'resolved');
+  closed.forEach(status => known(status, 'closed'));
+  if (transitions != null) {
+    for (const [from, targets] of Object.entries(transitions)) {
+      known(from, 'transitions');
+      targets.forEach(to => known(to, 'transitions'));
+    }
+  }
+  return { statuses: [...statuses], closed: [...closed], transitions: transitions ?? null };
+}
+
+/**
+ * Throw unless a record of `kind` may move from status `from` to `to`.
+ * `to` must be in the kind's workflow (or archived); with `transitions`, the
+ * workflow's transition list must allow the move. A null `from` (new record,
+ * changed kind), archived, or a status the workflow no longer lists, may go
+ * to any status.
+ */
+function checkStatus(kind, from, to, { transitions = true } = {}) {
+  const { statuses, transitions: allowed } = kind.workflow;
+  if (to === ARCHIVED || to === from) return;
+  if (!statuses.includes(to)) {
+    throw new Error(`Status "${to}" is not in the ${kind.name} workflow (${[...statuses, ARCHIVED].join(', ')})`);
+  }
+  if (!transitions || !allowed || from == null || from === ARCHIVED || !statuses.includes(from)) return;
+  const next = allowed[from] ?? [];
+  if (!next.includes(to)) {
+    throw new Error(`A ${kind.name} can't move from "${from}" to "${to}" (allowed: ${[...next, ARCHIVED].join(', ')})`);
+  }
+}
+
+/** Field equality for revisions (tags compared as sorted name lists). */
+function sameField(a, b) {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return JSON.stringify([...(a ?? [])].sort()) === JSON.stringify([...(b ?? [])].sort());
+  }
+  return (a ?? '') === (b ?? '');
+}
+
+/**
+ * Validate priority, severity and due date for upsert. Priorities are
+ * case-insensitive (`p1`), due dates become `YYYY-MM-DD`. undefined (keep
+ * the current value) and null (clear it) pass through.
+ */
+function normalizeTriage({ priority, severity, dueDate }) {
+  const pick = (value, allowed, name) => {
+    if (value == null) return value;
+    if (value === '') return null;
+    const normalized = String(value).trim()[name === 'priority' ? 'toUpperCase' : 'toLowerCase']();
+    if (!allowed.includes(normalized)) throw new Error(`Unknown ${name} "${value}" (expected ${allowed.join(', ')})`);
+    return normalized;
+  };
+  return {
+    priority: pick(priority, PRIORITIES, 'priority'),
+    severity: pick(severity, SEVERITIES, 'severity'),
+    due_date: dueDate === '' ? null : dueDate == null ? dueDate : toDay(dueDate, 'due'),
+  };
+}
+
+/** A date as `YYYY-MM-DD` (date-only input is kept as given, anything else is read as UTC). */
+function toDay(value, name) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value))) return value;
+  return toIsoDate(value, name).slice(0, 10);
+}
+
+/** Today's date (UTC) as `YYYY-MM-DD`, for due date comparisons. */
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/** One value, an array or a comma-separated string, as a list. */
+function toList(value) {
+  if (value == null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(',')).map(v => String(v).trim()).filter(Boolean);
+}
+
+/** Normalise a date filter value to ISO-8601 for comparison with updated_at. */
+function toIsoDate(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new Error(`Invalid ${name} date "${value}"`);
+  return date.toISOString();
+}
+
+/**
+ * Merge ranked lists with reciprocal rank fusion.
+ * Each row gets `score` = Σ 1 / (RRF_K + rank) over the lists it appears in.
+ */
+function fuseRanks(lists) {
+  const fused = new Map();
+  for (const list of lists) {
+    list.forEach((row, i) => {
+      const entry = fused.get(row.id) ?? { ...row, relevance: 0 };
+      entry.relevance += 1 / (RRF_K + i + 1);
+      if (row.bm25 != null) entry.bm25 = row.bm25;
+      entry.snippet ??= row.snippet;
+      fused.set(row.id, entry);
+    });
+  }
+  return [...fused.values()];
+}
+
+/**
+ * Time-decay multiplier for a record last updated at `updatedAt`.
+ * Decays towards (1 - recencyWeight) with the given half-life, so old
+ * records are down-weighted but never drop out on age alone.
+ */
+function recencyFactor(updatedAt, now, { halfLifeDays, recencyWeight }) {
+  if (!recencyWeight || !halfLifeDays) return 1;
+  const ts = Date.parse(/(?:[zZ]|[+-]\d\d:?\d\d)$/.test(updatedAt) ? updatedAt : `${updatedAt.replace(' ', 'T')}Z`);
+  if (Number.isNaN(ts)) return 1;
+  const ageDays = Math.max(0, now - ts) / 86_400_000;
+  return (1 - recencyWeight) + recencyWeight * 0.5 ** (ageDays / halfLifeDays);
+}
+
+/** Start of a body as a search snippet, cut at a word boundary. */
+function leadingSnippet(body) {
+  if (!body || body.length <= CHUNK_SIZE) return body || null;
+  const cut = body.lastIndexOf(' ', CHUNK_SIZE);
+  return `${body.slice(0, cut > CHUNK_SIZE / 2 ? cut : CHUNK_SIZE).trimEnd()}…`;
+}
 
 /**
  * LibsqlAdapter — implements DbAdapter using @libsql/client with native vector columns.
- * Vectors are stored as F32_BLOB(384) directly on the record table.
+ * Vectors are stored as F32_BLOB(<dimension>) directly on the record table; long
+ * bodies also get per-chunk vectors in record_chunk. Each vector is tagged with
+ * the model that produced it, and only vectors of the configured model
+ * (`embedding.model`) take part in similarity queries.
+ *
+ * `config.embedMany` (texts → Float32Array[]) embeds those chunks, a record's
+ * chunks in one call. Without it, records are saved without chunks and only
+ * their own embedding is searched.
+ *
+ * `config.cwd` is the directory the current project is detected from
+ * (default: the process working directory).
  */
 export class LibsqlAdapter extends DbAdapter {
   constructor(config = {}) {
@@ -21,6 +382,18 @@ export class LibsqlAdapter extends DbAdapter {
     this.config = config;
     this.db = null;
     this.currentProject = null;
+    /** How the current project was resolved (see resolveProject), set on init(). */
+    this.identity = null;
+    /** Effective settings from config.js, resolved for the current project on init(). */
+    this.settings = null;
+    /** Length of the stored vectors (from the embedding column type), read on init(). */
+    this.vectorDimension = null;
+    /** The raw client behind `db`. */
+    this._client = null;
+    /** Tail of the queue of write transactions (see _transaction). */
+    this._transactions = Promise.resolve();
+    /** Whether a transaction holds the connection; statements from outside it wait. */
+    this._transactionOpen = false;
   }
 
   // ---------------------------------------------------------------------------
@@ -28,25 +401,108 @@ export class LibsqlAdapter extends DbAdapter {
   // ---------------------------------------------------------------------------
 
   async init() {
-    if (this.db) return;
-    this._ensureDataDir();
-    this.db = this._createClient();
-    await this._runSchema();
-    const projectName = this._detectProject();
+    if (this.currentProject) return;
+    await this.open();
+    await migrateSchema(this.db);
+    this.identity = this._detectProject();
+    const projectName = this.identity.name;
     this.currentProject = await this._upsertProject(projectName);
-    await this._migrateProjectNames(projectName);
+    if (this.identity.parent && this.currentProject.parent_id == null) {
+      // A monorepo package or a .dude.json "parent" nests under its parent project
+      const parent = await this._upsertProject(this.identity.parent);
+      if (parent.id !== this.currentProject.id) {
+        await this.updateProject(this.currentProject.id, { parent: parent.id });
+      }
+    }
+    if (this.identity.source === 'remote' && !this.identity.package) {
+      await this._migrateProjectNames(projectName);
+    }
+    this.settings = loadConfig({ project: this.currentProject.name });
+    this.vectorDimension = await this._storedDimension();
+    await this._checkEmbeddingModel();
+    const { purgeAfterDays } = this.settings.trash;
+    if (purgeAfterDays > 0) {
+      const purged = await this.purgeTrash({ olderThanDays: purgeAfterDays });
+      if (purged) console.error(`[dude] Purged ${purged} record(s) trashed more than ${purgeAfterDays} days ago`);
+    }
     console.error(`[dude] LibSQL DB ready — project "${this.currentProject.name}" (id=${this.currentProject.id})`);
   }
 
+  /** Dimension of the record.embedding column, e.g. 384 for F32_BLOB(384). */
+  async _storedDimension() {
+    const result = await this.db.execute('PRAGMA table_info(record)');
+    const column = result.rows.find(row => row.name === 'embedding');
+    return Number(/\((\d+)\)/.exec(column?.type ?? '')?.[1]) || null;
+  }
+
+  /** Warn when stored vectors don't fit the configured embedding model. */
+  async _checkEmbeddingModel() {
+    const { model, dimension } = this.settings.embedding;
+    if (this.vectorDimension !== dimension) {
+      console.error(`[dude] embedding.dimension is ${dimension} but the database stores ${this.vectorDimension}-dimension vectors; `
+        + 'run `dude-claude reembed` to rebuild them');
+      return;
+    }
+    const stale = await this.db.execute({
+      sql: 'SELECT COUNT(*) AS n FROM record WHERE embedding_model IS NOT ?',
+      args: [model],
+    });
+    const n = Number(stale.rows[0].n);
+    if (n > 0) {
+      console.error(`[dude] ${n} record(s) have no ${model} vector yet and are left out of vector search; `
+        + 'run `dude-claude reembed` to rebuild them');
+    }
+  }
+
+  /**
+   * Open the client without migrating or detecting the project.
+   * Used by maintenance commands that manage the schema themselves.
+   */
+  async open() {
+    if (this.db) return;
+    this._ensureDataDir();
+    this._client = this._createClient();
+    this.db = this._guardClient(this._client);
+  }
+
+  /**
+   * Wrap the client so statements run in the transaction of their call chain
+   * (see _transaction), and statements from outside it wait for it to end
+   * rather than joining it — a rollback must not take their writes along.
+   */
+  _guardClient(client) {
+    const connection = async () => {
+      const scope = transactionScope.getStore();
+      if (scope?.adapter === this) return scope.connection;
+      while (this._transactionOpen) await this._transactions;
+      return client;
+    };
+    return {
+      get protocol() {
+        return client.protocol;
+      },
+      execute: async stmt => (await connection()).execute(stmt),
+      batch: async (stmts, mode) => (await connection()).batch(stmts, mode),
+      transaction: mode => client.transaction(mode),
+      close: () => client.close(),
+    };
+  }
+
+  _dbPath() {
+    return this.config.dbPath || join(loadConfig().dataDir, 'dude-libsql.db');
+  }
+
   _ensureDataDir() {
-    if (!existsSync(DATA_DIR)) {
-      mkdirSync(DATA_DIR, { recursive: true });
+    if (this.config.url) return;
+    const dir = dirname(this._dbPath());
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
     }
   }
 
   _createClient() {
     const url = this.config.url
-      || `file:${this.config.dbPath || DB_PATH}`;
+      || `file:${this._dbPath()}`;
 
     const opts = { url };
 
@@ -60,70 +516,68 @@ export class LibsqlAdapter extends DbAdapter {
     return createClient(opts);
   }
 
-  async _runSchema() {
-    await this.db.batch([
-      {
-        sql: `CREATE TABLE IF NOT EXISTS project (
-          id         INTEGER PRIMARY KEY AUTOINCREMENT,
-          name       TEXT NOT NULL UNIQUE,
-          created_at TEXT NOT NULL DEFAULT (datetime('now')),
-          updated_at TEXT NOT NULL DEFAULT (datetime('now'))
-        )`,
-      },
-      {
-        sql: `CREATE TABLE IF NOT EXISTS record (
-          id         INTEGER PRIMARY KEY AUTOINCREMENT,
-          project_id INTEGER NOT NULL REFERENCES project(id) ON DELETE CASCADE,
-          kind       TEXT NOT NULL CHECK (kind IN ('issue','spec','arch','update')),
-          title      TEXT NOT NULL,
-          body       TEXT NOT NULL DEFAULT '',
-          status     TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open','resolved','archived')),
-          embedding  F32_BLOB(384),
-          created_at TEXT NOT NULL DEFAULT (datetime('now')),
-          updated_at TEXT NOT NULL DEFAULT (datetime('now'))
-        )`,
-      },
-      {
-        sql: `CREATE INDEX IF NOT EXISTS idx_record_project_kind
-              ON record(project_id, kind)`,
-      },
-      {
-        sql: `CREATE INDEX IF NOT EXISTS idx_record_embedding
-              ON record(libsql_vector_idx(embedding, 'metric=cosine'))`,
-      },
-    ], 'write');
-  }
-
+  /**
+   * Resolve the current project from the working directory (see
+   * project-identity.js); the `identity` config section tunes it.
+   */
   _detectProject() {
-    let name;
-    try {
-      const toplevel = execSync('git rev-parse --show-toplevel', {
-        encoding: 'utf8',
-        stdio: ['pipe', 'pipe', 'pipe'],
-      }).trim();
-      name = basename(toplevel);
+    return resolveProject({ cwd: this.config.cwd, identity: loadConfig().identity });
+  }
 
+  /**
+   * Run `fn` in one write transaction: commit when it resolves, roll back when
+   * it throws. Local clients drive it on their single connection, as
+   * migrations do (see schema.js); remote ones use an interactive transaction.
+   * Statements `fn` runs through `this.db` go to the transaction, others wait
+   * until it ends. Transactions queue behind each other, and a call made from
+   * within `fn` joins the one already open.
+   */
+  async _transaction(fn) {
+    if (transactionScope.getStore()?.adapter === this) return fn();
+    const run = this._transactions.then(async () => {
+      this._transactionOpen = true;
+      const client = this._client;
+      let tx = null;
       try {
-        const remoteUrl = execSync('git remote get-url origin', {
-          encoding: 'utf8',
-          stdio: ['pipe', 'pipe', 'pipe'],
-        }).trim();
-        const match = remoteUrl.match(
-          /(?:github\.com|gitlab\.com|bitbucket\.org)[/:]([^/]+)\/([^/.]+)/,
-        );
-        if (match) {
-          name = `${match[1]}/${match[2]}`;
-        }
-      } catch {
-        // No remote — keep basename
+        tx = client.protocol === 'file' ? null : await client.transaction('write');
+        if (!tx) await client.execute('BEGIN IMMEDIATE');
+      } catch (err) {
+        this._transactionOpen = false;
+        throw err;
       }
-    } catch {
-      name = process.cwd();
-    }
-    return name;
+      const connection = tx ?? {
+        execute: stmt => client.execute(stmt),
+        // A batch would open a transaction of its own
+        batch: async (stmts) => {
+          const results = [];
+          for (const stmt of stmts) results.push(await client.execute(stmt));
+          return results;
+        },
+      };
+      try {
+        const result = await transactionScope.run({ adapter: this, connection }, fn);
+        await (tx ? tx.commit() : client.execute('COMMIT'));
+        return result;
+      } catch (err) {
+        await (tx ? tx.rollback() : client.execute('ROLLBACK'));
+        throw err;
+      } finally {
+        this._transactionOpen = false;
+        tx?.close();
+      }
+    });
+    this._transactions = run.catch(() => {});
+    return run;
   }
 
   async _upsertProject(name) {
+    // A former name of a renamed or merged project resolves to that project
+    const alias = await this.db.execute({
+      sql: 'SELECT p.* FROM project_alias a JOIN project p ON p.id = a.project_id WHERE a.name = ?',
+      args: [name],
+    });
+    if (alias.rows[0]) return alias.rows[0];
+
     await this.db.execute({
       sql: `INSERT INTO project (name) VALUES (?)
             ON CONFLICT(name) DO UPDATE SET updated_at = datetime('now')`,
@@ -145,14 +599,8 @@ export class LibsqlAdapter extends DbAdapter {
       });
       const oldProject = oldResult.rows[0];
       if (oldProject && oldProject.id !== this.currentProject.id) {
-        await this.db.execute({
-          sql: 'UPDATE record SET project_id = ? WHERE project_id = ?',
-          args: [this.currentProject.id, oldProject.id],
-        });
-        await this.db.execute({
-          sql: 'DELETE FROM project WHERE id = ?',
-          args: [oldProject.id],
-        });
+        // No alias: another checkout without a remote may legitimately use the basename
+        await this.mergeProjects(oldProject.id, this.currentProject.id, { alias: false });
         console.error(`[dude] Migrated records from "${oldName}" to "${projectName}"`);
       }
     }
@@ -167,6 +615,10 @@ export class LibsqlAdapter extends DbAdapter {
    * libsql's vector() SQL function.
    */
   _embeddingToJson(embedding) {
+    if (this.vectorDimension && embedding.length !== this.vectorDimension) {
+      throw new Error(`Got a ${embedding.length}-dimension embedding but the database stores ${this.vectorDimension}-dimension vectors; `
+        + 'run `dude-claude reembed` after changing the embedding model');
+    }
     return JSON.stringify(Array.from(embedding));
   }
 
@@ -200,6 +652,26 @@ export class LibsqlAdapter extends DbAdapter {
     return dot;
   }
 
+  /**
+   * Rewrite a record's chunks (see chunk.js) from its title and body. Each
+   * chunk is embedded with the title in front, so it keeps the record's topic.
+   */
+  async _indexChunks(recordId, title, body) {
+    await this.db.execute({ sql: 'DELETE FROM record_chunk WHERE record_id = ?', args: [recordId] });
+    if (!this.config.embedMany) return;
+    const chunks = chunkText(body);
+    if (chunks.length === 0) return;
+    const embeddings = await this.config.embedMany(chunks.map(({ start, end }) => `${title}\n${body.slice(start, end)}`));
+    for (const [seq, { start, end }] of chunks.entries()) {
+      const embedding = embeddings[seq];
+      await this.db.execute({
+        sql: `INSERT INTO record_chunk (record_id, seq, start_offset, end_offset, embedding, embedding_model)
+              VALUES (?, ?, ?, ?, vector(?), ?)`,
+        args: [recordId, seq, start, end, this._embeddingToJson(embedding), this.settings.embedding.model],
+      });
+    }
+  }
+
   // ---------------------------------------------------------------------------
   // DbAdapter interface
   // ---------------------------------------------------------------------------
@@ -209,170 +681,1790 @@ export class LibsqlAdapter extends DbAdapter {
     return { id: this.currentProject.id, name: this.currentProject.name };
   }
 
-  async listProjects() {
-    const result = await this.db.execute(
-      'SELECT id, name, created_at, updated_at FROM project ORDER BY name',
-    );
-    return result.rows;
+  /**
+   * Make another project current for the rest of this process: new records,
+   * default list and search scopes and per-project settings follow it.
+   * No `ref` switches back to the project detected at init(); with `create`,
+   * a missing project (given by name) is created on the fly.
+   * @returns {Promise<{ id: number, name: string }|null>} The new current project, or null if it doesn't exist
+   */
+  async setCurrentProject(ref, { create = false } = {}) {
+    let project = await this._findProject(ref ?? this.identity.name);
+    if (!project && create && typeof ref === 'string') project = await this.createProject({ name: ref });
+    if (!project) return null;
+    this.settings = loadConfig({ project: project.name });
+    this.currentProject = project;
+    return this.getCurrentProject();
   }
 
-  async get(id) {
-    const result = await this.db.execute({
-      sql: `SELECT ${RECORD_COLS}, p.name AS project
-            FROM record r JOIN project p ON r.project_id = p.id
-            WHERE r.id = ?`,
-      args: [id],
-    });
-    return result.rows[0] ?? null;
+  /**
+   * Where a project's checkout lives, for reading its git state: the
+   * project's `directory`, else the working directory when it is the project
+   * detected at init(). Null when unknown.
+   * @param {number|string} ref - Project id or name
+   */
+  async projectDirectory(ref) {
+    const project = await this._findProject(ref);
+    if (!project) return null;
+    if (project.directory) return project.directory;
+    if (!this.identity) return null;
+    const detected = await this._findProject(this.identity.name);
+    return detected?.id === project.id ? this.identity.cwd : null;
   }
 
-  async list({ kind, status, project } = {}) {
-    let projectId;
-    if (!project || project === 'current') {
-      projectId = (await this.getCurrentProject()).id;
-    } else if (project !== '*') {
-      const p = await this.db.execute({
-        sql: 'SELECT id FROM project WHERE name = ?',
-        args: [project],
-      });
-      projectId = p.rows[0]?.id;
-    }
-
-    let sql = `
-      SELECT r.id, r.kind, r.title, r.status, r.updated_at, p.name AS project
-      FROM record r JOIN project p ON r.project_id = p.id
-      WHERE 1=1
-    `;
+  /**
+   * Projects ordered by name, each with its `parent` name.
+   * `parent` (id or name) keeps only that project's direct children;
+   * archived projects are left out unless `includeInactive` is set.
+   */
+  async listProjects({ parent, includeInactive = false } = {}) {
+    const where = [];
     const args = [];
-
-    if (projectId) {
-      sql += ' AND r.project_id = ?';
-      args.push(projectId);
-    }
-    if (kind && kind !== 'all') {
-      sql += ' AND r.kind = ?';
-      args.push(kind);
-    }
-    if (status && status !== 'all') {
-      sql += ' AND r.status = ?';
-      args.push(status);
+    if (parent !== undefined) {
+      const parentProject = await this._findProject(parent);
+      if (!parentProject) return [];
+      where.push('p.parent_id = ?');
+      args.push(parentProject.id);
     }
-    sql += ' ORDER BY r.updated_at DESC';
-
-    const result = await this.db.execute({ sql, args });
-    return result.rows;
-  }
-
-  async getRecentRecords(projectId, hours = 1) {
-    const cutoff = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+    if (!includeInactive) where.push('p.active = 1');
     const result = await this.db.execute({
-      sql: `SELECT r.id, r.kind, r.title, r.status, r.updated_at, p.name AS project
-            FROM record r JOIN project p ON r.project_id = p.id
-            WHERE r.project_id = ? AND r.updated_at > ?
-            ORDER BY r.updated_at DESC LIMIT 10`,
-      args: [projectId, cutoff],
+      sql: `SELECT ${PROJECT_COLS} FROM project p LEFT JOIN project pp ON pp.id = p.parent_id
+            ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+            ORDER BY p.name`,
+      args,
     });
     return result.rows;
   }
 
-  async delete(id) {
+  // ---------------------------------------------------------------------------
+  // Projects
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Look up a project by id (number), name or former name; no ref or
+   * `'current'` means the current project.
+   * @returns {Promise<Object|null>}
+   */
+  async _findProject(ref) {
+    if (ref == null || ref === 'current') ref = (await this.getCurrentProject()).id;
+    const byName = typeof ref !== 'number';
     const result = await this.db.execute({
-      sql: 'DELETE FROM record WHERE id = ?',
-      args: [id],
+      sql: `SELECT ${PROJECT_COLS} FROM project p LEFT JOIN project pp ON pp.id = p.parent_id
+            WHERE ${byName ? 'p.name = ? OR p.id = (SELECT project_id FROM project_alias WHERE name = ?)' : 'p.id = ?'}`,
+      args: byName ? [ref, ref] : [ref],
     });
-    return result.rowsAffected > 0;
+    return result.rows[0] ?? null;
   }
 
-  async search(embedding, { kind, projectId, limit = 5 } = {}) {
-    const curProject = await this.getCurrentProject();
-    const embJson = this._embeddingToJson(embedding);
-    const candidateLimit = Math.floor(limit * 3);
-
-    // vector_top_k returns rowid matches; join to get full record data + embedding for similarity
-    // k must be inlined as a literal integer — libsql rejects bound float params for k
-    let sql = `
-      SELECT ${RECORD_COLS}, r.embedding, p.name AS project
-      FROM vector_top_k('idx_record_embedding', vector(?), ${candidateLimit}) AS v
-      JOIN record r ON r.rowid = v.id
-      JOIN project p ON r.project_id = p.id
-    `;
-    const args = [embJson];
-
-    if (kind && kind !== 'all') {
-      sql += ' WHERE r.kind = ?';
-      args.push(kind);
+  /**
+   * A project with its direct `children` (archived ones included), former
+   * names as `aliases`, and `record_counts` of live records as `{ kind: { status: n } }`.
+   * @returns {Promise<Object|null>}
+   */
+  async getProject(ref) {
+    const project = await this._findProject(ref);
+    if (!project) return null;
+    const counts = await this.db.execute({
+      sql: `SELECT kind, status, COUNT(*) AS count FROM record
+            WHERE project_id = ? AND deleted_at IS NULL
+            GROUP BY kind, status`,
+      args: [project.id],
+    });
+    const recordCounts = {};
+    for (const { kind, status, count } of counts.rows) {
+      (recordCounts[kind] ??= {})[status] = count;
     }
+    const aliases = await this.db.execute({
+      sql: 'SELECT name FROM project_alias WHERE project_id = ? ORDER BY name',
+      args: [project.id],
+    });
+    return {
+      ...project,
+      aliases: aliases.rows.map(row => row.name),
+      children: await this.listProjects({ parent: project.id, includeInactive: true }),
+      record_counts: recordCounts,
+    };
+  }
 
-    const result = await this.db.execute({ sql, args });
-
-    let rows = result.rows.map(row => {
-      const similarity = this._computeSimilarity(embedding, row.embedding);
-      const boosted = (row.project === curProject.name)
-        ? Math.min(1.0, similarity + 0.1)
-        : similarity;
-      return { ...row, similarity: boosted };
+  /**
+   * A project (as from getProject) with its open `issues` and `specs` (any
+   * status that isn't closed or archived), bodies included, most recently updated first. With `includeSubprojects` the
+   * context of every child project is nested under `subprojects`, recursively.
+   * @returns {Promise<Object|null>}
+   */
+  async getProjectContext(ref, { includeSubprojects = false } = {}) {
+    const project = await this.getProject(ref);
+    if (!project) return null;
+    const result = await this.db.execute({
+      sql: `SELECT id, kind, title, body, status, created_at, updated_at FROM record
+            WHERE project_id = ? AND deleted_at IS NULL AND resolved_at IS NULL AND status != 'archived'
+              AND kind IN ('issue', 'spec')
+            ORDER BY updated_at DESC`,
+      args: [project.id],
     });
+    const records = await this._attachTags(result.rows);
+    const context = {
+      ...project,
+      issues: records.filter(r => r.kind === 'issue'),
+      specs: records.filter(r => r.kind === 'spec'),
+    };
+    if (includeSubprojects) {
+      context.subprojects = [];
+      for (const child of project.children) {
+        context.subprojects.push(await this.getProjectContext(child.id, { includeSubprojects }));
+      }
+    }
+    return context;
+  }
 
-    return rows
-      .filter(r => r.similarity >= 0.3)
-      .sort((a, b) => b.similarity - a.similarity)
-      .slice(0, limit)
-      .map(({ embedding: _emb, ...rest }) => rest);
+  /**
+   * Create a project, optionally nested under `parent` (id or name).
+   * @returns {Promise<Object>} The new project, as from getProject
+   */
+  async createProject({ name, directory, parent } = {}) {
+    name = name?.trim();
+    if (!name) throw new Error('Project name is required');
+    if (await this._findProject(name)) throw new Error(`Project "${name}" already exists`);
+    const parentId = parent == null ? null : await this._parentId(parent);
+    const result = await this.db.execute({
+      sql: 'INSERT INTO project (name, directory, parent_id) VALUES (?, ?, ?)',
+      args: [name, directory ?? null, parentId],
+    });
+    return this.getProject(Number(result.lastInsertRowid));
   }
 
-  async upsert({ id, projectId, kind, title, body = '', status = 'open' }, embedding) {
-    const proj = projectId ?? (await this.getCurrentProject()).id;
-    const now = new Date().toISOString();
-    const embJson = this._embeddingToJson(embedding);
+  /**
+   * Change a project's name, directory, parent or active flag. Omitted fields
+   * are kept; `parent: null` makes it top-level and `active: false` archives it.
+   * A renamed project keeps its old name as an alias.
+   * @returns {Promise<Object|null>} The updated project, or null if it doesn't exist
+   */
+  async updateProject(ref, { name, directory, parent, active } = {}) {
+    const project = await this._findProject(ref);
+    if (!project) return null;
 
-    if (id) {
-      await this.db.execute({
-        sql: `UPDATE record SET kind = ?, title = ?, body = ?, status = ?,
-              embedding = vector(?), updated_at = ?
-              WHERE id = ?`,
-        args: [kind, title, body, status, embJson, now, id],
-      });
-      return this.get(id);
+    const sets = [];
+    const args = [];
+    if (name !== undefined) {
+      name = name.trim();
+      if (!name) throw new Error('Project name is required');
+      const clash = await this._findProject(name);
+      if (clash && clash.id !== project.id) throw new Error(`Project "${name}" already exists`);
+      sets.push('name = ?');
+      args.push(name);
+    }
+    if (directory !== undefined) {
+      sets.push('directory = ?');
+      args.push(directory);
+    }
+    if (parent !== undefined) {
+      const parentId = parent === null ? null : await this._parentId(parent);
+      // Walk up from the new parent: meeting the project itself would make a cycle
+      for (let id = parentId; id != null;) {
+        if (id === project.id) throw new Error(`Project "${project.name}" cannot be nested under itself or its subprojects`);
+        id = (await this._findProject(id)).parent_id;
+      }
+      sets.push('parent_id = ?');
+      args.push(parentId);
+    }
+    if (active !== undefined) {
+      sets.push('active = ?');
+      args.push(active ? 1 : 0);
+    }
+    if (sets.length) {
+      await this.db.execute({
+        sql: `UPDATE project SET ${sets.join(', ')}, updated_at = datetime('now') WHERE id = ?`,
+        args: [...args, project.id],
+      });
+      if (name !== undefined && name !== project.name) {
+        await this.db.execute({ sql: 'DELETE FROM project_alias WHERE name = ?', args: [name] });
+        await this.db.execute({
+          sql: 'INSERT OR REPLACE INTO project_alias (name, project_id) VALUES (?, ?)',
+          args: [project.name, project.id],
+        });
+        if (project.id === this.currentProject?.id) this.currentProject.name = name;
+      }
+    }
+    return this.getProject(project.id);
+  }
+
+  /**
+   * Rename a project. Records keep their ids and history, and the old name
+   * becomes an alias that still resolves to the project.
+   * @returns {Promise<Object|null>} The renamed project, or null if it doesn't exist
+   */
+  async renameProject(ref, name) {
+    return this.updateProject(ref, { name });
+  }
+
+  /**
+   * Fold project `sourceRef` into `targetRef`: its records (trashed ones
+   * included), subprojects and aliases move to the target and the source is
+   * deleted. Its name becomes an alias of the target unless `alias` is false.
+   * Each moved record gets a revision, and the merge is one transaction.
+   * @returns {Promise<{ project: Object, moved: number }>} The target and the number of records moved
+   */
+  async mergeProjects(sourceRef, targetRef, { alias = true, source: changeSource = 'api' } = {}) {
+    const source = await this._findProject(sourceRef);
+    if (!source) throw new Error(`Project "${sourceRef}" not found`);
+    const target = await this._findProject(targetRef);
+    if (!target) throw new Error(`Project "${targetRef}" not found`);
+    if (source.id === target.id) throw new Error('Cannot merge a project into itself');
+
+    const moved = await this._transaction(async () => {
+      const records = await this.db.execute({ sql: 'SELECT id FROM record WHERE project_id = ?', args: [source.id] });
+      const count = await this._moveRecords(records.rows.map(row => row.id), target, { source: changeSource });
+      await this.db.execute({
+        sql: 'UPDATE project SET parent_id = ? WHERE parent_id = ? AND id != ?',
+        args: [target.id, source.id, target.id],
+      });
+      if (target.parent_id === source.id) {
+        // The target was a subproject of the source: it takes the source's place
+        await this.db.execute({
+          sql: 'UPDATE project SET parent_id = ? WHERE id = ?',
+          args: [source.parent_id, target.id],
+        });
+      }
+      await this.db.execute({
+        sql: 'UPDATE project_alias SET project_id = ? WHERE project_id = ?',
+        args: [target.id, source.id],
+      });
+      if (alias) {
+        await this.db.execute({
+          sql: 'INSERT OR REPLACE INTO project_alias (name, project_id) VALUES (?, ?)',
+          args: [source.name, target.id],
+        });
+      }
+      await this.db.execute({ sql: 'DELETE FROM project WHERE id = ?', args: [source.id] });
+      return count;
+    });
+    if (this.currentProject?.id === source.id) {
+      this.currentProject = { id: target.id, name: target.name };
+    }
+    return { project: await this.getProject(target.id), moved };
+  }
+
+  /**
+   * Move records (live or trashed) to another project, keeping their ids,
+   * tags, links and history. Each moved record gets a revision.
+   * @returns {Promise<number>} Number of records moved
+   */
+  async moveRecords(ids, projectRef, { source = 'api' } = {}) {
+    const target = await this._findProject(projectRef);
+    if (!target) throw new Error(`Project "${projectRef}" not found`);
+    if (!ids?.length) return 0;
+    return this._transaction(() => this._moveRecords(ids, target, { source }));
+  }
+
+  /** Point records at project `target`, saving a revision for those that were elsewhere. */
+  async _moveRecords(ids, target, { source }) {
+    if (ids.length === 0) return 0;
+    const marks = ids.map(() => '?').join(', ');
+    const now = new Date().toISOString();
+    for (const record of await this._snapshots(`r.id IN (${marks}) AND r.project_id != ?`, [...ids, target.id])) {
+      await this._saveRevision(record, { source, action: 'move' }, now);
+    }
+    const moved = await this.db.execute({
+      sql: `UPDATE record SET project_id = ? WHERE id IN (${marks})`,
+      args: [target.id, ...ids],
+    });
+    return moved.rowsAffected;
+  }
+
+  async _parentId(ref) {
+    const parent = await this._findProject(ref);
+    if (!parent) throw new Error(`Parent project "${ref}" not found`);
+    return parent.id;
+  }
+
+  async get(id) {
+    const result = await this.db.execute({
+      sql: `SELECT ${RECORD_COLS}, r.git_dirty, p.name AS project
+            FROM record r JOIN project p ON r.project_id = p.id
+            WHERE r.id = ? AND r.deleted_at IS NULL`,
+      args: [id],
+    });
+    if (!result.rows[0]) return null;
+    const [tagged] = await this._attachTags(result.rows);
+    const record = { ...tagged, git_dirty: tagged.git_dirty == null ? null : JSON.parse(tagged.git_dirty) };
+    const absorbed = await this.db.execute({
+      sql: 'SELECT absorbed_id FROM record_merge WHERE record_id = ? ORDER BY absorbed_id',
+      args: [id],
+    });
+    return {
+      ...record,
+      refs: await this._getRefs(id),
+      links: await this.getLinks(id),
+      absorbed_ids: absorbed.rows.map(row => row.absorbed_id),
+      status_history: await this._statusHistory(record),
+    };
+  }
+
+  /**
+   * Status changes of a record, oldest first, as `{ from, to, at, source }`;
+   * the first entry (`from: null`) is the status it was created with.
+   * Derived from the revisions, each of which holds the status before a change.
+   */
+  async _statusHistory(record) {
+    const revisions = await this.db.execute({
+      sql: 'SELECT status, source, created_at FROM record_revision WHERE record_id = ? ORDER BY id',
+      args: [record.id],
+    });
+    const states = [...revisions.rows, { status: record.status }];
+    const history = [{ from: null, to: states[0].status, at: record.created_at, source: null }];
+    for (let i = 1; i < states.length; i++) {
+      if (states[i].status !== states[i - 1].status) {
+        const change = revisions.rows[i - 1];
+        history.push({ from: states[i - 1].status, to: states[i].status, at: change.created_at, source: change.source });
+      }
+    }
+    return history;
+  }
+
+  async list({
+    kind, status, project, tags, priority, severity, overdue, dueBefore, path, symbol, commit, branch, commits,
+    sort = 'updated',
+  } = {}) {
+    if (!LIST_SORTS.includes(sort)) throw new Error(`Unknown sort "${sort}" (expected ${LIST_SORTS.join(', ')})`);
+    const projectId = project === '*' ? null : await this._resolveProjectId(project);
+
+    let sql = `
+      SELECT r.id, r.kind, r.title, r.status, r.priority, r.severity, r.due_date, r.git_branch, r.git_sha,
+             r.updated_at, p.name AS project
+      FROM record r JOIN project p ON r.project_id = p.id
+      WHERE r.deleted_at IS NULL
+    `;
+    const args = [];
+
+    if (projectId) {
+      sql += ' AND r.project_id = ?';
+      args.push(projectId);
+    }
+    if (kind && kind !== 'all') {
+      sql += ' AND r.kind = ?';
+      args.push(kind);
+    }
+    if (status && status !== 'all') {
+      sql += ' AND r.status = ?';
+      args.push(status);
+    }
+    const tagged = tagCondition(normalizeTags(tags));
+    if (tagged) {
+      sql += ` AND ${tagged.sql}`;
+      args.push(...tagged.args);
     }
+    for (const [column, values] of [['priority', toList(priority)], ['severity', toList(severity)]]) {
+      if (!values.length) continue;
+      const normalized = values.map(value => normalizeTriage({ [column]: value })[column]);
+      sql += ` AND r.${column} IN (${normalized.map(() => '?').join(', ')})`;
+      args.push(...normalized);
+    }
+    if (overdue) {
+      sql += ` AND r.due_date < ? AND ${OPEN_RECORD}`;
+      args.push(today());
+    }
+    if (dueBefore) {
+      sql += ' AND r.due_date <= ?';
+      args.push(toDay(dueBefore, 'dueBefore'));
+    }
+    if (path || symbol || commit) {
+      const refWhere = [];
+      if (path) {
+        const cond = refPathCondition(path);
+        refWhere.push(cond.sql);
+        args.push(...cond.args);
+      }
+      if (symbol) {
+        refWhere.push('rf.symbol = ?');
+        args.push(symbol.trim());
+      }
+      if (commit) {
+        // Abbreviated SHAs match the full ones they start
+        refWhere.push("(rf.commit_sha LIKE ? || '%' OR ? LIKE rf.commit_sha || '%')");
+        args.push(commit.trim().toLowerCase(), commit.trim().toLowerCase());
+      }
+      sql += ` AND r.id IN (SELECT rf.record_id FROM record_ref rf WHERE ${refWhere.join(' AND ')})`;
+    }
+    if (branch) {
+      sql += ' AND r.git_branch = ?';
+      args.push(branch);
+    }
+    if (commits) {
+      if (commits.length === 0) return [];
+      const cond = commitCondition(commits);
+      sql += ` AND ${cond.sql}`;
+      args.push(...cond.args);
+    }
+    sql += ` ORDER BY ${SORT_ORDER[sort]}`;
+
+    const result = await this.db.execute({ sql, args });
+    return this._attachTags(result.rows);
+  }
+
+  async getRecentRecords(projectId, hours = 1) {
+    const cutoff = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+    const result = await this.db.execute({
+      sql: `SELECT r.id, r.kind, r.title, r.status, r.updated_at, p.name AS project
+            FROM record r JOIN project p ON r.project_id = p.id
+            WHERE r.project_id = ? AND r.updated_at > ? AND r.deleted_at IS NULL
+            ORDER BY r.updated_at DESC LIMIT 10`,
+      args: [projectId, cutoff],
+    });
+    return this._attachTags(result.rows);
+  }
+
+  /**
+   * Open records of a project that need attention: priority P0, or past
+   * their due date. Most urgent first (the `priority` sort of list()).
+   */
+  async getUrgentRecords(projectId, { limit = 10 } = {}) {
+    const result = await this.db.execute({
+      sql: `SELECT r.id, r.kind, r.title, r.status, r.priority, r.severity, r.due_date, r.updated_at, p.name AS project
+            FROM record r JOIN project p ON r.project_id = p.id
+            WHERE r.project_id = ? AND r.deleted_at IS NULL AND ${OPEN_RECORD}
+              AND (r.priority = 'P0' OR r.due_date < ?)
+            ORDER BY ${SORT_ORDER.priority} LIMIT ${Number(limit)}`,
+      args: [projectId, today()],
+    });
+    return this._attachTags(result.rows);
+  }
+
+  /**
+   * Move a record to the trash. Trashed records are hidden from get, list,
+   * search and dedup until restored, and removed for good by purgeTrash().
+   */
+  async delete(id) {
+    const result = await this.db.execute({
+      sql: 'UPDATE record SET deleted_at = ? WHERE id = ? AND deleted_at IS NULL',
+      args: [new Date().toISOString(), id],
+    });
+    return result.rowsAffected > 0;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Trash
+  // ---------------------------------------------------------------------------
 
-    // Dedup check: find close matches in same project + kind
+  /**
+   * Trashed records, most recently deleted first.
+   * `project` is a name (default: current) or `'*'` for all projects.
+   */
+  async listTrash({ project } = {}) {
+    let sql = `
+      SELECT r.id, r.kind, r.title, r.status, r.updated_at, r.deleted_at, p.name AS project
+      FROM record r JOIN project p ON r.project_id = p.id
+      WHERE r.deleted_at IS NOT NULL
+    `;
+    const args = [];
+    if (project !== '*') {
+      sql += ' AND r.project_id = ?';
+      args.push(await this._resolveProjectId(project));
+    }
+    sql += ' ORDER BY r.deleted_at DESC';
+    const result = await this.db.execute({ sql, args });
+    return this._attachTags(result.rows);
+  }
+
+  /**
+   * Take a record out of the trash.
+   * @returns {Promise<Object|null>} The restored record, or null if it isn't in the trash
+   */
+  async restore(id) {
+    const result = await this.db.execute({
+      sql: 'UPDATE record SET deleted_at = NULL WHERE id = ? AND deleted_at IS NOT NULL',
+      args: [id],
+    });
+    if (result.rowsAffected === 0) return null;
+    // A restored record stands on its own again, even if a merge absorbed it
+    await this.db.execute({ sql: 'DELETE FROM record_merge WHERE absorbed_id = ?', args: [id] });
+    return this.get(id);
+  }
+
+  /**
+   * Permanently delete trashed records, together with their tags, links and
+   * revisions. With no options the whole trash is emptied; `ids` limits the
+   * purge to those records, `olderThanDays` to records trashed before then and
+   * `project` (a name, `'*'` or omitted for all) to one project.
+   * @returns {Promise<number>} Number of records purged
+   */
+  async purgeTrash({ ids, olderThanDays, project } = {}) {
+    let sql = 'DELETE FROM record WHERE deleted_at IS NOT NULL';
+    const args = [];
+    if (project && project !== '*') {
+      sql += ' AND project_id = ?';
+      args.push(await this._resolveProjectId(project));
+    }
+    if (ids) {
+      if (ids.length === 0) return 0;
+      sql += ` AND id IN (${ids.map(() => '?').join(', ')})`;
+      args.push(...ids);
+    }
+    if (olderThanDays != null) {
+      sql += ' AND deleted_at < ?';
+      args.push(new Date(Date.now() - olderThanDays * 86_400_000).toISOString());
+    }
+    const result = await this.db.execute({ sql, args });
+    return result.rowsAffected;
+  }
+
+  /**
+   * Resolve a project name (or a former name, see project_alias) to its id.
+   * No name or `'current'` means the current project; unknown names resolve to null.
+   */
+  async _resolveProjectId(name) {
+    if (!name || name === 'current') return (await this.getCurrentProject()).id;
+    return (await this._findProject(name))?.id ?? null;
+  }
+
+  /**
+   * Search records.
+   * `mode` is `'vector'` (embedding similarity), `'lexical'` (FTS5 BM25 over
+   * title/body, needs `query`) or `'hybrid'` (both, merged by reciprocal rank
+   * fusion; falls back to vector when no `query` is given).
+   * `project` names the project to boost (default: current; `'*'` for equal weight).
+   * `projects` restricts results to the listed projects, and `strict` restricts
+   * them to `project` itself instead of merely boosting it.
+   * `kind`, `status`, `tags` (records must carry all of them), `since` and
+   * `until` (ISO dates, on updated_at) filter results;
+   * filtering happens before the limit is applied, so up to `limit` qualifying
+   * records are returned whenever they exist. Archived records are excluded
+   * unless `status` is `'archived'` or `'all'`.
+   *
+   * Results are ordered by `score = relevance × recency × status × kind`, where
+   * relevance is the boosted similarity (vector), the fused rank (hybrid) or
+   * -BM25 (lexical). A record's similarity is the best of its own embedding
+   * and its body chunks', and `snippet` holds the passage that matched best:
+   * the closest chunk, the FTS match, or else the start of the body. Each result carries a `breakdown` of those factors;
+   * `ranking` overrides the configured `search.ranking` weights, and `mode`
+   * defaults to the configured `search.mode`. `ranking.kindWeights` (e.g. the
+   * kinds' `retrieve_weight`s) scales scores per kind, and leaves out kinds
+   * weighted 0; kinds not listed weigh 1.
+   */
+  async search(embedding, {
+    query, mode, kind, status, tags, since, until, branch, commits,
+    projectId, project, projects, strict = false, limit = 5, ranking,
+  } = {}) {
+    const { minSimilarity, projectBoost, ...settings } = this.settings.search;
+    mode ??= settings.mode;
+    if (!SEARCH_MODES.includes(mode)) {
+      throw new Error(`Unknown search mode "${mode}" (expected ${SEARCH_MODES.join(', ')})`);
+    }
+    const weights = {
+      ...settings.ranking,
+      ...ranking,
+      statusWeights: { ...settings.ranking.statusWeights, ...ranking?.statusWeights },
+      kindWeights: { ...ranking?.kindWeights },
+    };
+
+    const boostId = project === '*'
+      ? null
+      : (projectId ?? await this._resolveProjectId(project));
+
+    let scoped = false;
+    const scope = [];
+    if (projects?.length) {
+      scoped = true;
+      for (const name of projects) scope.push(await this._resolveProjectId(name));
+    }
+    if (strict && project !== '*') {
+      scoped = true;
+      scope.push(boostId);
+    }
+    const scopeIds = [...new Set(scope.filter(id => id != null))];
+    if (scoped && scopeIds.length === 0) return [];
+
+    const filter = { where: ['r.deleted_at IS NULL'], args: [] };
+    if (kind && kind !== 'all') {
+      filter.where.push('r.kind = ?');
+      filter.args.push(kind);
+    }
+    const excludedKinds = Object.keys(weights.kindWeights).filter(k => weights.kindWeights[k] === 0);
+    if (excludedKinds.length) {
+      filter.where.push(`r.kind NOT IN (${excludedKinds.map(() => '?').join(', ')})`);
+      filter.args.push(...excludedKinds);
+    }
+    if (!status) {
+      filter.where.push("r.status != 'archived'");
+    } else if (status !== 'all') {
+      filter.where.push('r.status = ?');
+      filter.args.push(status);
+    }
+    const tagged = tagCondition(normalizeTags(tags));
+    if (tagged) {
+      filter.where.push(tagged.sql);
+      filter.args.push(...tagged.args);
+    }
+    if (since) {
+      filter.where.push('r.updated_at >= ?');
+      filter.args.push(toIsoDate(since, 'since'));
+    }
+    if (until) {
+      filter.where.push('r.updated_at <= ?');
+      filter.args.push(toIsoDate(until, 'until'));
+    }
+    if (branch) {
+      filter.where.push('r.git_branch = ?');
+      filter.args.push(branch);
+    }
+    if (commits) {
+      if (commits.length === 0) return [];
+      const cond = commitCondition(commits);
+      filter.where.push(cond.sql);
+      filter.args.push(...cond.args);
+    }
+    if (scoped) {
+      filter.where.push(`r.project_id IN (${scopeIds.map(() => '?').join(', ')})`);
+      filter.args.push(...scopeIds);
+    }
+
+    const ftsQuery = toFtsQuery(query);
+    const useVector = mode !== 'lexical' && embedding;
+    const useLexical = mode !== 'vector' && ftsQuery;
+
+    const score = (row) => {
+      if (!embedding) return { ...row, similarity: null, rawSimilarity: null };
+      const similarity = this._computeSimilarity(embedding, row.embedding);
+      const boosted = (boostId != null && row.project_id === boostId)
+        ? Math.min(1.0, similarity + projectBoost)
+        : similarity;
+      return { ...row, similarity: boosted, rawSimilarity: similarity };
+    };
+
+    const vectorHits = useVector
+      ? await this._vectorHits(embedding, filter, limit, {
+        score,
+        minSimilarity,
+        maxBoost: boostId != null ? projectBoost : 0,
+      })
+      : [];
+    const lexicalHits = useLexical
+      ? (await this._lexicalCandidates(ftsQuery, filter, limit * 3)).map(score)
+      : [];
+
+    let rows;
+    if (mode === 'vector' || !useLexical) {
+      rows = vectorHits.map(r => ({ ...r, relevance: r.similarity }));
+    } else if (mode === 'lexical') {
+      rows = lexicalHits.map(r => ({ ...r, relevance: -r.bm25 }));
+    } else {
+      rows = fuseRanks([vectorHits, lexicalHits]);
+    }
+
+    const now = Date.now();
+    const ranked = rows
+      .map(({ embedding: _emb, rawSimilarity, relevance, snippet, ...rest }) => {
+        const recency = recencyFactor(rest.updated_at, now, weights);
+        // Custom statuses that close a record weigh like resolved
+        const statusWeight = weights.statusWeights[rest.status] ?? (rest.resolved_at ? weights.statusWeights.resolved : 1);
+        const kindWeight = weights.kindWeights[rest.kind] ?? 1;
+        return {
+          ...rest,
+          snippet: snippet ?? leadingSnippet(rest.body),
+          score: relevance * recency * statusWeight * kindWeight,
+          breakdown: {
+            relevance,
+            similarity: rawSimilarity,
+            projectBoost: rest.similarity != null ? rest.similarity - rawSimilarity : 0,
+            recency,
+            status: statusWeight,
+            kind: kindWeight,
+          },
+        };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+    return this._attachTags(ranked);
+  }
+
+  /**
+   * Nearest neighbours that pass `filter` and the similarity threshold, one
+   * row per record. Records are matched through their own embedding and their
+   * body chunks; a record scores its best match, and a winning chunk becomes
+   * the row's `snippet`.
+   *
+   * vector_top_k knows nothing about our filters, so a rare kind or a narrow
+   * project scope can leave the first k candidates with few qualifying rows.
+   * We widen k until `limit` records qualify, both indexes are exhausted, or
+   * the farthest candidates are already below the threshold (nothing beyond
+   * them can qualify either).
+   *
+   * @param {{ where: string[], args: Array }} filter
+   * @param {{ score: Function, minSimilarity: number, maxBoost: number }} opts
+   */
+  async _vectorHits(embedding, filter, limit, { score, minSimilarity, maxBoost }) {
+    const embJson = this._embeddingToJson(embedding);
+    const { model } = this.settings.embedding;
+    const matches = filter.where.length ? filter.where.join(' AND ') : '1';
+
+    for (let k = Math.max(limit * 3, 10); ; k *= 4) {
+      // vector_top_k returns rowid matches; join to get full record data + embedding for similarity
+      // k must be inlined as a literal integer — libsql rejects bound float params for k
+      // Filter args come first: the `matches` expression precedes vector(?) in the SQL text
+      const records = await this.db.execute({
+        sql: `SELECT ${RECORD_COLS}, r.embedding, p.name AS project, (${matches}) AS matches
+              FROM vector_top_k('idx_record_embedding', vector(?), ${k}) AS v
+              JOIN record r ON r.rowid = v.id
+              JOIN project p ON r.project_id = p.id
+              WHERE r.embedding_model = ?`,
+        args: [...filter.args, embJson, model],
+      });
+      const chunks = await this.db.execute({
+        sql: `SELECT ${RECORD_COLS}, c.embedding, c.start_offset, c.end_offset, p.name AS project,
+                     (${matches}) AS matches
+              FROM vector_top_k('idx_record_chunk_embedding', vector(?), ${k}) AS v
+              JOIN record_chunk c ON c.rowid = v.id
+              JOIN record r ON r.id = c.record_id
+              JOIN project p ON r.project_id = p.id
+              WHERE c.embedding_model = ?`,
+        args: [...filter.args, embJson, model],
+      });
+
+      const best = new Map();
+      const keep = (hit) => {
+        const seen = best.get(hit.id);
+        if (hit.similarity >= minSimilarity && (!seen || hit.similarity > seen.similarity)) best.set(hit.id, hit);
+      };
+      for (const { matches: ok, ...row } of records.rows) {
+        if (ok) keep(score(row));
+      }
+      for (const { matches: ok, start_offset: start, end_offset: end, ...row } of chunks.rows) {
+        if (ok) keep({ ...score(row), snippet: row.body.slice(start, end).trim() });
+      }
+      const hits = [...best.values()].sort((a, b) => b.similarity - a.similarity);
+
+      // Rows of other models still count against k, so an index is only exhausted below k rows
+      const open = [records, chunks].filter(result => result.rows.length === k);
+      if (hits.length >= limit || open.length === 0) return hits;
+
+      const floor = Math.max(...open.map(result => Math.min(
+        ...result.rows.map(row => this._computeSimilarity(embedding, row.embedding)),
+      )));
+      if (floor + maxBoost < minSimilarity) return hits;
+    }
+  }
+
+  /**
+   * Full-text matches ordered by BM25 (title weighted above body).
+   * @param {{ where: string[], args: Array }} filter
+   */
+  async _lexicalCandidates(ftsQuery, filter, k) {
+    const where = ['record_fts MATCH ?', ...filter.where];
+    const result = await this.db.execute({
+      sql: `SELECT ${RECORD_COLS}, r.embedding, p.name AS project,
+                   bm25(record_fts, 10.0, 1.0) AS bm25,
+                   snippet(record_fts, 1, '', '', '…', 48) AS snippet
+            FROM record_fts
+            JOIN record r ON r.id = record_fts.rowid
+            JOIN project p ON r.project_id = p.id
+            WHERE ${where.join(' AND ')}
+            ORDER BY bm25
+            LIMIT ${k}`,
+      args: [ftsQuery, ...filter.args],
+    });
+    return result.rows;
+  }
+
+  /**
+   * `tags` replaces the record's tags when updating by id, is added to the
+   * existing tags on a dedup match, and is left untouched when omitted.
+   * Every update that changes the record first stores its previous values as
+   * a revision attributed to `source` (e.g. `'mcp'`, `'web'`, `'auto-persist'`).
+   *
+   * Without an id, the closest record of the same project and kind is checked
+   * against the kind's similarity threshold and handled per the `dedup` policy
+   * (default: the configured `dedup.policy`; see DEDUP_POLICIES). The result
+   * then carries `dedup: { policy, action, match, threshold }`, where `action`
+   * is `'created'`, `'merged'`, `'appended'`, `'skipped'` or `'ask'` and
+   * `match` is `{ id, title, similarity }` of the closest duplicate (or null).
+   * With `'skip'` and `'ask'` nothing is written and the match is returned.
+   *
+   * `kind` must be registered (see defineKind), and `status` must be in its
+   * workflow and reachable from the record's current status. An omitted
+   * `status` is kept on update (dedup matches included) and defaults to the
+   * kind's `default_status` for new records.
+   */
+  async upsert({
+    id, projectId, kind, title, body = '', status, tags, refs, priority, severity, dueDate, git, source = 'api', dedup,
+  }, embedding) {
+    const proj = projectId ?? (await this.getCurrentProject()).id;
+    const now = new Date().toISOString();
+    const embJson = this._embeddingToJson(embedding);
+    const tagNames = tags === undefined ? null : normalizeTags(tags);
+    const refList = refs === undefined ? null : normalizeRefs(refs);
+    const triage = normalizeTriage({ priority, severity, dueDate });
+    const gitContext = normalizeGitContext(git);
+
+    if (id) {
+      return this._update(
+        id,
+        { kind, title, body, status, tags: tagNames, refs: refList, ...triage, git: gitContext },
+        embJson,
+        { source, action: 'update' },
+      );
+    }
+
+    const kindDef = await this._requireKind(kind);
+    const policy = dedup ?? this.settings.dedup.policy;
+    if (!DEDUP_POLICIES.includes(policy)) {
+      throw new Error(`Unknown dedup policy "${policy}" (expected ${DEDUP_POLICIES.join(', ')})`);
+    }
+    const threshold = this.settings.dedup.kinds[kind]?.similarity ?? this.settings.dedup.similarity;
+    const match = await this._findDuplicate(embedding, embJson, proj, kind, threshold);
+    const report = (action, record) => ({
+      ...record,
+      dedup: {
+        policy,
+        action,
+        match: match ? { id: match.id, title: match.title, similarity: match.similarity } : null,
+        threshold,
+      },
+    });
+
+    if (match && policy === 'merge') {
+      const record = await this._update(match.id, { title, body, status, tags: tagNames, refs: refList, ...triage, git: gitContext }, embJson, { source, action: 'dedup' });
+      return report('merged', record);
+    }
+    if (match && policy === 'append') {
+      // The match keeps its title and embedding; only FTS sees the appended text
+      const heading = title !== match.title ? `${title}\n` : '';
+      const addition = `${heading}${body}`.trim();
+      const merged = !addition || match.body.includes(addition)
+        ? match.body
+        : [match.body, addition].filter(Boolean).join('\n\n---\n\n');
+      const record = await this._update(
+        match.id,
+        { title: match.title, body: merged, status, tags: tagNames, refs: refList, ...triage, git: gitContext },
+        null,
+        { source, action: 'append' },
+      );
+      return report('appended', record);
+    }
+    if (match && (policy === 'skip' || policy === 'ask')) {
+      return report(policy === 'skip' ? 'skipped' : 'ask', await this.get(match.id));
+    }
+
+    // Insert new record
+    status ??= kindDef.default_status;
+    checkStatus(kindDef, null, status);
+    const resolvedAt = kindDef.workflow.closed.includes(status) ? now : null;
+    const result = await this.db.execute({
+      sql: `INSERT INTO record (project_id, kind, title, body, status, embedding, embedding_model, created_at, updated_at,
+                                status_changed_at, resolved_at, priority, severity, due_date, git_branch, git_sha, git_dirty)
+            VALUES (?, ?, ?, ?, ?, vector(?), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      args: [proj, kind, title, body, status, embJson, this.settings.embedding.model, now, now, now, resolvedAt,
+        triage.priority ?? null, triage.severity ?? null, triage.due_date ?? null,
+        gitContext?.branch ?? null, gitContext?.sha ?? null, gitContext ? JSON.stringify(gitContext.dirty) : null],
+    });
+
+    const newId = Number(result.lastInsertRowid);
+    if (tagNames) await this._setTags(newId, tagNames);
+    if (refList) await this._setRefs(newId, refList);
+    await this._indexChunks(newId, title, body);
+    return report('created', await this.get(newId));
+  }
+
+  /**
+   * Closest live record in the same project and kind whose similarity
+   * reaches `threshold`, or null.
+   */
+  async _findDuplicate(embedding, embJson, projectId, kind, threshold) {
     // k=5 inlined as literal — libsql rejects bound float params for k
     const candidates = await this.db.execute({
-      sql: `SELECT r.id, r.embedding
+      sql: `SELECT r.id, r.title, r.body, r.embedding
             FROM vector_top_k('idx_record_embedding', vector(?), 5) AS v
             JOIN record r ON r.rowid = v.id
-            WHERE r.project_id = ? AND r.kind = ?`,
-      args: [embJson, proj, kind],
+            WHERE r.project_id = ? AND r.kind = ? AND r.deleted_at IS NULL AND r.embedding_model = ?`,
+      args: [embJson, projectId, kind, this.settings.embedding.model],
     });
 
+    let best = null;
     for (const row of candidates.rows) {
       const similarity = this._computeSimilarity(embedding, row.embedding);
-      if (similarity >= 0.85) {
-        // Close match — update existing record
+      if (similarity >= threshold && (!best || similarity > best.similarity)) {
+        best = { id: row.id, title: row.title, body: row.body, similarity };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Overwrite a record, saving its previous values as a revision when anything changes.
+   * `'dedup'` and `'append'` updates add `tags` and `refs` instead of replacing them; omitted
+   * `project_id`/`kind`/`status`/`tags`/`refs`/triage fields are kept (null clears priority,
+   * severity and due_date), and a null `embJson` keeps the stored embedding. A `git` context
+   * (branch, sha, dirty) replaces the stored one; it isn't part of revisions.
+   * @returns {Promise<Object|null>} The updated record, or null if it doesn't exist
+   */
+  async _update(id, { project_id, kind, title, body, status, tags, refs, priority, severity, due_date, git }, embJson, { source, action }) {
+    const before = await this.get(id);
+    if (!before) return null;
+
+    const additive = action === 'dedup' || action === 'append';
+    const after = {
+      project_id: project_id ?? before.project_id,
+      kind: kind ?? before.kind,
+      title,
+      body,
+      status: status ?? before.status,
+      tags: !tags ? before.tags : additive ? [...new Set([...before.tags, ...tags])] : tags,
+      refs: !refs ? before.refs : additive ? normalizeRefs([...before.refs, ...refs]) : refs,
+      priority: priority === undefined ? before.priority : priority,
+      severity: severity === undefined ? before.severity : severity,
+      due_date: due_date === undefined ? before.due_date : due_date,
+    };
+    const now = new Date().toISOString();
+    let { status_changed_at: statusChangedAt, resolved_at: resolvedAt } = before;
+    if (after.kind !== before.kind || after.status !== before.status) {
+      // Restoring a revision may go back against the transitions, but not outside the workflow
+      const kindDef = await this._requireKind(after.kind);
+      checkStatus(kindDef, after.kind === before.kind ? before.status : null, after.status, { transitions: action !== 'restore' });
+      if (after.status !== before.status) statusChangedAt = now;
+      if (kindDef.workflow.closed.includes(after.status)) resolvedAt ??= now;
+      else if (after.status !== ARCHIVED) resolvedAt = null;
+    }
+    if (REVISION_FIELDS.some(f => !sameField(before[f], after[f]))) {
+      await this._saveRevision(before, { source, action }, now);
+    }
+
+    const embeddingSql = embJson == null ? '' : ', embedding = vector(?), embedding_model = ?';
+    const gitSql = git ? ', git_branch = ?, git_sha = ?, git_dirty = ?' : '';
+    await this.db.execute({
+      sql: `UPDATE record SET project_id = ?, kind = ?, title = ?, body = ?, status = ?${embeddingSql}, updated_at = ?,
+              status_changed_at = ?, resolved_at = ?, priority = ?, severity = ?, due_date = ?${gitSql}
+            WHERE id = ?`,
+      args: [after.project_id, after.kind, title, body, after.status, ...(embJson == null ? [] : [embJson, this.settings.embedding.model]), now,
+        statusChangedAt, resolvedAt, after.priority, after.severity, after.due_date,
+        ...(git ? [git.branch, git.sha, JSON.stringify(git.dirty)] : []), id],
+    });
+    if (tags) await this._setTags(id, after.tags, { replace: true });
+    if (refs) await this._setRefs(id, after.refs);
+    if (title !== before.title || body !== before.body) await this._indexChunks(id, title, body);
+    return this.get(id);
+  }
+
+  /** Current values of the records matching `where` (trashed ones included), ready for _saveRevision(). */
+  async _snapshots(where, args) {
+    const result = await this.db.execute({
+      sql: `SELECT ${RECORD_COLS}, p.name AS project FROM record r JOIN project p ON r.project_id = p.id WHERE ${where}`,
+      args,
+    });
+    const records = [];
+    for (const record of await this._attachTags(result.rows)) {
+      records.push({ ...record, refs: await this._getRefs(record.id) });
+    }
+    return records;
+  }
+
+  /** Save revisions of the records carrying tag `tagId`, before the tag is renamed or deleted. */
+  async _saveTagRevisions(tagId, source) {
+    const now = new Date().toISOString();
+    const tagged = await this._snapshots('r.id IN (SELECT record_id FROM record_tag WHERE tag_id = ?)', [tagId]);
+    for (const record of tagged) {
+      await this._saveRevision(record, { source, action: 'update' }, now);
+    }
+  }
+
+  /** Save `record`'s current values (as returned by get()) as a revision. */
+  async _saveRevision(record, { source, action }, now) {
+    await this.db.execute({
+      sql: `INSERT INTO record_revision (record_id, project_id, project, kind, title, body, status, tags, refs,
+                                         priority, severity, due_date, source, action, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      args: [record.id, record.project_id, record.project, record.kind, record.title, record.body, record.status,
+        JSON.stringify(record.tags), JSON.stringify(record.refs), record.priority, record.severity, record.due_date,
+        source, action, now],
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Revisions
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Revision history of a record, newest first.
+   * Each revision holds the values the record had before that change, plus a
+   * `diff` of `{ field: { from, to } }` for the fields the change modified.
+   * @returns {Promise<Array<Object>|null>} null when the record doesn't exist
+   */
+  async getHistory(id) {
+    const current = await this.get(id);
+    if (!current) return null;
+    const result = await this.db.execute({
+      sql: 'SELECT * FROM record_revision WHERE record_id = ? ORDER BY id',
+      args: [id],
+    });
+    const revisions = result.rows.map(row => this._parseRevision(row));
+    // Revisions from before projects were recorded stayed in the project of the next one
+    for (let i = revisions.length - 1; i >= 0; i--) {
+      const next = revisions[i + 1] ?? current;
+      if (revisions[i].project_id == null) Object.assign(revisions[i], { project_id: next.project_id, project: next.project });
+    }
+    return revisions
+      .map((rev, i) => {
+        const next = revisions[i + 1] ?? current;
+        const diff = {};
+        for (const field of REVISION_FIELDS) {
+          if (sameField(rev[field], next[field])) continue;
+          if (field === 'project_id') diff.project = { from: rev.project, to: next.project };
+          else diff[field] = { from: rev[field], to: next[field] };
+        }
+        return { ...rev, diff };
+      })
+      .reverse();
+  }
+
+  /**
+   * Get one revision by its id.
+   * @returns {Promise<Object|null>}
+   */
+  async getRevision(revisionId) {
+    const result = await this.db.execute({
+      sql: 'SELECT * FROM record_revision WHERE id = ?',
+      args: [revisionId],
+    });
+    return result.rows[0] ? this._parseRevision(result.rows[0]) : null;
+  }
+
+  /**
+   * Put a record back to the values stored in a revision. The values being
+   * replaced are themselves saved as a revision, so a restore can be undone.
+   * `embedding` must be computed from the revision's title and body.
+   * @returns {Promise<Object|null>} The restored record, or null if the revision doesn't exist or its record is in the trash
+   */
+  async restoreRevision(revisionId, embedding, { source = 'api' } = {}) {
+    const rev = await this.getRevision(revisionId);
+    if (!rev) return null;
+    // The project may since have been merged away; its name is then an alias
+    const project = rev.project_id == null ? null
+      : await this._findProject(rev.project_id) ?? (rev.project && await this._findProject(rev.project));
+    return this._update(
+      rev.record_id,
+      {
+        project_id: project?.id,
+        kind: rev.kind, title: rev.title, body: rev.body, status: rev.status, tags: rev.tags, refs: rev.refs,
+        priority: rev.priority, severity: rev.severity, due_date: rev.due_date,
+      },
+      this._embeddingToJson(embedding),
+      { source, action: 'restore' },
+    );
+  }
+
+  _parseRevision(row) {
+    return { ...row, tags: JSON.parse(row.tags || '[]'), refs: JSON.parse(row.refs || '[]') };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Links
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Link two records: `sourceId` <type> `targetId` (e.g. update 7 `fixes` issue 3).
+   * Linking the same pair with the same type twice is a no-op.
+   * @returns {Promise<Object>} The link row
+   */
+  async link(sourceId, targetId, type = 'relates_to') {
+    if (!LINK_TYPES.includes(type)) {
+      throw new Error(`Unknown link type "${type}" (expected ${LINK_TYPES.join(', ')})`);
+    }
+    if (sourceId === targetId) throw new Error('A record cannot be linked to itself');
+    for (const id of [sourceId, targetId]) {
+      const exists = await this.db.execute({
+        sql: 'SELECT 1 FROM record WHERE id = ? AND deleted_at IS NULL',
+        args: [id],
+      });
+      if (!exists.rows[0]) throw new Error(`Record ${id} not found`);
+    }
+
+    await this.db.execute({
+      sql: `INSERT OR IGNORE INTO record_link (source_id, target_id, type, created_at)
+            VALUES (?, ?, ?, ?)`,
+      args: [sourceId, targetId, type, new Date().toISOString()],
+    });
+    const result = await this.db.execute({
+      sql: 'SELECT * FROM record_link WHERE source_id = ? AND target_id = ? AND type = ?',
+      args: [sourceId, targetId, type],
+    });
+    return result.rows[0];
+  }
+
+  /**
+   * Remove links from `sourceId` to `targetId` — only those of `type` when given.
+   * @returns {Promise<number>} Number of links removed
+   */
+  async unlink(sourceId, targetId, type) {
+    let sql = 'DELETE FROM record_link WHERE source_id = ? AND target_id = ?';
+    const args = [sourceId, targetId];
+    if (type) {
+      sql += ' AND type = ?';
+      args.push(type);
+    }
+    const result = await this.db.execute({ sql, args });
+    return result.rowsAffected;
+  }
+
+  /**
+   * Links touching a record, with a summary of the record at the other end.
+   * `outbound` are links where it is the source, `inbound` where it is the target.
+   * @returns {Promise<{ outbound: Array<Object>, inbound: Array<Object> }>}
+   */
+  async getLinks(id) {
+    const query = (self, other) => this.db.execute({
+      sql: `SELECT l.type, l.created_at AS linked_at, r.id, r.kind, r.title, r.status, p.name AS project
+            FROM record_link l
+            JOIN record r ON r.id = l.${other}
+            JOIN project p ON r.project_id = p.id
+            WHERE l.${self} = ? AND r.deleted_at IS NULL
+            ORDER BY l.type, r.id`,
+      args: [id],
+    });
+    const outbound = await query('source_id', 'target_id');
+    const inbound = await query('target_id', 'source_id');
+    return { outbound: outbound.rows, inbound: inbound.rows };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Re-embedding
+  // ---------------------------------------------------------------------------
+
+  /**
+   * How far the stored vectors are from the configured embedding model.
+   * `pending` counts records (trashed ones included) without a vector from
+   * `model`; when `storedDimension` differs from `dimension`, resetEmbeddings()
+   * has to resize the vector columns first.
+   * @returns {Promise<{ model: string, dimension: number, storedDimension: number, total: number, pending: number }>}
+   */
+  async embeddingStatus() {
+    const { model, dimension } = this.settings.embedding;
+    const result = await this.db.execute({
+      sql: `SELECT COUNT(*) AS total,
+                   COUNT(CASE WHEN embedding IS NULL OR embedding_model IS NOT ? THEN 1 END) AS pending
+            FROM record`,
+      args: [model],
+    });
+    const { total, pending } = result.rows[0];
+    return { model, dimension, storedDimension: this.vectorDimension, total: Number(total), pending: Number(pending) };
+  }
+
+  /**
+   * Mark every vector as stale, so re-embedding starts over. When the configured
+   * dimension differs from the stored one, the vector columns and their
+   * indexes are recreated at the new size, which drops the old vectors.
+   */
+  async resetEmbeddings() {
+    const { dimension } = this.settings.embedding;
+    const statements = [];
+    if (dimension !== this.vectorDimension) {
+      for (const [table, index] of [['record', 'idx_record_embedding'], ['record_chunk', 'idx_record_chunk_embedding']]) {
+        statements.push(
+          `DROP INDEX IF EXISTS ${index}`,
+          `ALTER TABLE ${table} DROP COLUMN embedding`,
+          `ALTER TABLE ${table} ADD COLUMN embedding F32_BLOB(${dimension})`,
+          `CREATE INDEX ${index} ON ${table}(libsql_vector_idx(embedding, 'metric=cosine'))`,
+        );
+      }
+    }
+    statements.push('UPDATE record SET embedding_model = NULL', 'UPDATE record_chunk SET embedding_model = NULL');
+    await this.db.batch(statements, 'write');
+    this.vectorDimension = await this._storedDimension();
+  }
+
+  /**
+   * Records still waiting for a vector from the configured model, lowest id first.
+   * @returns {Promise<Array<{ id: number, title: string, body: string }>>}
+   */
+  async pendingEmbeddings({ limit = 32 } = {}) {
+    const result = await this.db.execute({
+      sql: `SELECT id, title, body FROM record
+            WHERE embedding IS NULL OR embedding_model IS NOT ?
+            ORDER BY id LIMIT ${Math.max(1, Math.trunc(limit))}`,
+      args: [this.settings.embedding.model],
+    });
+    return result.rows;
+  }
+
+  /**
+   * Store a record's vector from the configured model (embedded from
+   * `title + ' ' + body`) and rebuild its chunks. Leaves revisions and
+   * `updated_at` alone: re-embedding doesn't change the record.
+   * @returns {Promise<boolean>} Whether the record exists
+   */
+  async setEmbedding(id, embedding) {
+    const result = await this.db.execute({
+      sql: 'UPDATE record SET embedding = vector(?), embedding_model = ? WHERE id = ?',
+      args: [this._embeddingToJson(embedding), this.settings.embedding.model, id],
+    });
+    if (result.rowsAffected === 0) return false;
+    const { rows: [row] } = await this.db.execute({ sql: 'SELECT title, body FROM record WHERE id = ?', args: [id] });
+    await this._indexChunks(id, row.title, row.body);
+    return true;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Embedding cache
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Cached vectors of `model` for the given text hashes (computed by embed.js).
+   * Hits are marked as used, so pruning drops the least recently used vectors
+   * first. Always empty when `embedding.cacheSize` is 0.
+   * @param {string} model
+   * @param {string[]} hashes
+   * @returns {Promise<Map<string, Float32Array>>} Hash → vector, for the hashes found
+   */
+  async getCachedEmbeddings(model, hashes) {
+    const found = new Map();
+    if (hashes.length === 0 || this.settings.embedding.cacheSize === 0) return found;
+    const result = await this.db.execute({
+      sql: `SELECT text_hash, embedding FROM embedding_cache
+            WHERE model = ? AND text_hash IN (${hashes.map(() => '?').join(', ')})`,
+      args: [model, ...hashes],
+    });
+    for (const row of result.rows) found.set(row.text_hash, this._parseEmbedding(row.embedding));
+    if (found.size > 0) {
+      await this.db.execute({
+        sql: `UPDATE embedding_cache SET used_at = ?
+              WHERE model = ? AND text_hash IN (${[...found.keys()].map(() => '?').join(', ')})`,
+        args: [new Date().toISOString(), model, ...found.keys()],
+      });
+    }
+    return found;
+  }
+
+  /**
+   * Store freshly computed vectors of `model`, then drop the least recently
+   * used entries beyond `embedding.cacheSize`.
+   * @param {string} model
+   * @param {Array<{ hash: string, embedding: Float32Array }>} entries
+   */
+  async cacheEmbeddings(model, entries) {
+    const { cacheSize } = this.settings.embedding;
+    if (entries.length === 0 || cacheSize === 0) return;
+    const usedAt = new Date().toISOString();
+    await this.db.batch([
+      ...entries.map(({ hash, embedding }) => ({
+        sql: `INSERT OR REPLACE INTO embedding_cache (model, text_hash, embedding, used_at)
+              VALUES (?, ?, ?, ?)`,
+        args: [model, hash, new Uint8Array(embedding.buffer, embedding.byteOffset, embedding.byteLength), usedAt],
+      })),
+      {
+        sql: `DELETE FROM embedding_cache WHERE rowid IN (
+                SELECT rowid FROM embedding_cache ORDER BY used_at DESC, rowid DESC LIMIT -1 OFFSET ?)`,
+        args: [cacheSize],
+      },
+    ], 'write');
+  }
+
+  // ---------------------------------------------------------------------------
+  // Duplicates
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Cluster near-duplicate records. Two live records of the same project are
+   * paired when their similarity reaches `threshold` (default: the configured
+   * dedup threshold of their kinds, the stricter one when they differ), and
+   * pairs are chained into clusters. Records of different kinds pair too.
+   * `project` is a name (default: current) or `'*'` for every project;
+   * `kind` limits the scan to one kind.
+   * @returns {Promise<Array<{ similarity: number, records: Array<Object>, pairs: Array<Object> }>>}
+   *   Clusters, most similar first. Records are oldest first, so `records[0]`
+   *   is the natural merge target; `pairs` are `{ a, b, similarity }`.
+   */
+  async findDuplicates({ threshold, project, kind } = {}) {
+    const where = ['r.deleted_at IS NULL', 'r.embedding_model = ?'];
+    const args = [this.settings.embedding.model];
+    if (project !== '*') {
+      where.push('r.project_id = ?');
+      args.push(await this._resolveProjectId(project));
+    }
+    if (kind && kind !== 'all') {
+      where.push('r.kind = ?');
+      args.push(kind);
+    }
+    const result = await this.db.execute({
+      sql: `SELECT r.id, r.project_id, r.kind, r.title, r.status, r.created_at, r.embedding, p.name AS project
+            FROM record r JOIN project p ON r.project_id = p.id
+            WHERE ${where.join(' AND ')}
+            ORDER BY r.id`,
+      args,
+    });
+    const byId = new Map(result.rows.map(row => [row.id, row]));
+    const { dedup } = this.settings;
+    const kindLimit = recordKind => threshold ?? dedup.kinds[recordKind]?.similarity ?? dedup.similarity;
+    // No pair can qualify below the most lenient threshold in play
+    const minLimit = threshold ?? Math.min(dedup.similarity, ...Object.values(dedup.kinds).map(k => k.similarity));
+
+    // Union-find over the pairs, keyed by record id
+    const parent = new Map();
+    const find = (id) => {
+      while (parent.get(id) !== id) {
+        parent.set(id, parent.get(parent.get(id)));
+        id = parent.get(id);
+      }
+      return id;
+    };
+    const pairs = [];
+    for (const row of result.rows) {
+      parent.set(row.id, row.id);
+      const embedding = this._parseEmbedding(row.embedding);
+      if (!embedding) continue;
+      for (const other of await this._nearRecords(embedding, minLimit)) {
+        const candidate = byId.get(other.id);
+        if (!candidate || other.id >= row.id || candidate.project_id !== row.project_id) continue;
+        const similarity = this._computeSimilarity(embedding, other.embedding);
+        if (similarity >= Math.max(kindLimit(row.kind), kindLimit(candidate.kind))) {
+          pairs.push({ a: other.id, b: row.id, similarity });
+        }
+      }
+    }
+    for (const { a, b } of pairs) parent.set(find(b), find(a));
+
+    const clusters = new Map();
+    for (const pair of pairs) {
+      const root = find(pair.a);
+      if (!clusters.has(root)) clusters.set(root, { ids: new Set(), pairs: [] });
+      const cluster = clusters.get(root);
+      cluster.ids.add(pair.a).add(pair.b);
+      cluster.pairs.push(pair);
+    }
+    return [...clusters.values()]
+      .map(({ ids, pairs: clusterPairs }) => ({
+        similarity: Math.max(...clusterPairs.map(p => p.similarity)),
+        records: [...ids]
+          .map(id => {
+            const { embedding: _e, project_id: _p, ...rest } = byId.get(id);
+            return rest;
+          })
+          .sort((x, y) => x.created_at.localeCompare(y.created_at) || x.id - y.id),
+        pairs: clusterPairs.sort((x, y) => y.similarity - x.similarity),
+      }))
+      .sort((x, y) => y.similarity - x.similarity);
+  }
+
+  /**
+   * Every record whose vector may reach `minSimilarity` to `embedding`, from
+   * any project or kind. vector_top_k ignores our filters, so k is widened
+   * until the farthest candidate falls below `minSimilarity` (nothing beyond
+   * it can qualify) or the index is exhausted.
+   * @returns {Promise<Array<{ id: number, embedding: * }>>}
+   */
+  async _nearRecords(embedding, minSimilarity) {
+    const embJson = this._embeddingToJson(embedding);
+    for (let k = 10; ; k *= 4) {
+      // k must be inlined as a literal integer — libsql rejects bound float params for k
+      const result = await this.db.execute({
+        sql: `SELECT r.id, r.embedding
+              FROM vector_top_k('idx_record_embedding', vector(?), ${k}) AS v
+              JOIN record r ON r.rowid = v.id`,
+        args: [embJson],
+      });
+      if (result.rows.length < k) return result.rows;
+      const farthest = Math.min(...result.rows.map(row => this._computeSimilarity(embedding, row.embedding)));
+      if (farthest < minSimilarity) return result.rows;
+    }
+  }
+
+  /**
+   * Fold `sourceIds` into `targetId`. The target keeps its title, kind, status
+   * and embedding; each source's title and body are appended to its body, tags
+   * are combined, it takes the earliest created_at of the group, and links to
+   * or from a source are moved onto it (links between merged records are
+   * dropped). Sources go to the trash and are listed in the target's
+   * `absorbed_ids`. All records must be live and in the same project. The
+   * merge is written in one transaction, so a failure leaves every record as it was.
+   * @returns {Promise<Object|null>} The merged record, or null if the target doesn't exist
+   */
+  async mergeRecords(targetId, sourceIds, { source = 'api' } = {}) {
+    const target = await this.get(targetId);
+    if (!target) return null;
+    const ids = [...new Set(sourceIds)].filter(id => id !== targetId);
+    if (ids.length === 0) throw new Error('Nothing to merge: give at least one record other than the target');
+
+    const sources = [];
+    for (const id of ids) {
+      const record = await this.get(id);
+      if (!record) throw new Error(`Record ${id} not found`);
+      if (record.project !== target.project) {
+        throw new Error(`Record ${id} belongs to project "${record.project}", not "${target.project}"`);
+      }
+      sources.push(record);
+    }
+
+    let body = target.body;
+    for (const rec of sources) {
+      const heading = rec.title !== target.title ? `${rec.title}\n` : '';
+      const addition = `${heading}${rec.body}`.trim();
+      if (addition && !body.includes(addition)) body = [body, addition].filter(Boolean).join('\n\n---\n\n');
+    }
+    const tags = [...new Set([target.tags, ...sources.map(r => r.tags)].flat())].sort();
+    const refs = normalizeRefs([target.refs, ...sources.map(r => r.refs)].flat());
+    const now = new Date().toISOString();
+    const marks = ids.map(() => '?').join(', ');
+    const createdAt = [target, ...sources].map(r => r.created_at).sort()[0];
+    await this._transaction(async () => {
+      await this._update(
+        targetId,
+        { title: target.title, body, status: target.status, tags, refs },
+        null,
+        { source, action: 'merge' },
+      );
+
+      await this.db.execute({
+        sql: 'UPDATE record SET created_at = ? WHERE id = ?',
+        args: [createdAt, targetId],
+      });
+      for (const column of ['source_id', 'target_id']) {
+        await this.db.execute({
+          sql: `UPDATE OR IGNORE record_link SET ${column} = ? WHERE ${column} IN (${marks})`,
+          args: [targetId, ...ids],
+        });
+      }
+      await this.db.execute({
+        sql: `DELETE FROM record_link
+              WHERE source_id = target_id OR source_id IN (${marks}) OR target_id IN (${marks})`,
+        args: [...ids, ...ids],
+      });
+      // Records the sources had absorbed earlier now belong to the target too
+      await this.db.execute({
+        sql: `UPDATE record_merge SET record_id = ? WHERE record_id IN (${marks})`,
+        args: [targetId, ...ids],
+      });
+      for (const rec of sources) {
         await this.db.execute({
-          sql: `UPDATE record SET title = ?, body = ?, status = ?,
-                embedding = vector(?), updated_at = ?
-                WHERE id = ?`,
-          args: [title, body, status, embJson, now, row.id],
+          sql: 'INSERT OR REPLACE INTO record_merge (absorbed_id, record_id, title, merged_at) VALUES (?, ?, ?, ?)',
+          args: [rec.id, targetId, rec.title, now],
         });
-        return this.get(row.id);
       }
+      await this.db.execute({
+        sql: `UPDATE record SET deleted_at = ? WHERE id IN (${marks})`,
+        args: [now, ...ids],
+      });
+    });
+    return this.get(targetId);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Code references
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Live records referencing a file or directory, most recently updated first.
+   * Each carries the `refs` that matched. `path` may be relative to the
+   * repository root, absolute, or a directory (everything below it matches).
+   * `line` keeps references whose range covers it, and those without a range.
+   * `project` is a project name (default: current) or `'*'`.
+   */
+  async findByPath(path, { project, line } = {}) {
+    const cond = refPathCondition(path);
+    let sql = `
+      SELECT rf.path, rf.line_start, rf.line_end, rf.symbol, rf.commit_sha,
+             r.id, r.kind, r.title, r.status, r.priority, r.updated_at, p.name AS project
+      FROM record_ref rf
+      JOIN record r ON r.id = rf.record_id
+      JOIN project p ON r.project_id = p.id
+      WHERE r.deleted_at IS NULL AND ${cond.sql}
+    `;
+    const args = [...cond.args];
+    if (project !== '*') {
+      sql += ' AND r.project_id = ?';
+      args.push(await this._resolveProjectId(project));
+    }
+    if (line != null) {
+      sql += ' AND (rf.line_start IS NULL OR ? BETWEEN rf.line_start AND rf.line_end)';
+      args.push(line);
     }
+    sql += ' ORDER BY r.updated_at DESC, r.id';
 
-    // Insert new record
+    const result = await this.db.execute({ sql, args });
+    const records = new Map();
+    for (const row of result.rows) {
+      const { path: refPath, line_start, line_end, symbol, commit_sha, ...record } = row;
+      if (!records.has(record.id)) records.set(record.id, { ...record, refs: [] });
+      records.get(record.id).refs.push({ path: refPath, line_start, line_end, symbol, commit: commit_sha });
+    }
+    for (const record of records.values()) record.refs.sort(compareRefs);
+    return this._attachTags([...records.values()]);
+  }
+
+  /** Replace a record's references with `refs` (already normalised). */
+  async _setRefs(recordId, refs) {
+    await this.db.execute({ sql: 'DELETE FROM record_ref WHERE record_id = ?', args: [recordId] });
+    for (const ref of refs) {
+      await this.db.execute({
+        sql: `INSERT INTO record_ref (record_id, path, line_start, line_end, symbol, commit_sha)
+              VALUES (?, ?, ?, ?, ?, ?)`,
+        args: [recordId, ref.path, ref.line_start, ref.line_end, ref.symbol, ref.commit],
+      });
+    }
+  }
+
+  /** A record's references, sorted like normalizeRefs(). */
+  async _getRefs(recordId) {
+    const result = await this.db.execute({
+      sql: 'SELECT path, line_start, line_end, symbol, commit_sha FROM record_ref WHERE record_id = ?',
+      args: [recordId],
+    });
+    return result.rows
+      .map(row => ({
+        path: row.path, line_start: row.line_start, line_end: row.line_end, symbol: row.symbol, commit: row.commit_sha,
+      }))
+      .sort(compareRefs);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Tags
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Add `tags` to a record, or make them its only tags when `replace` is set.
+   * Unknown tag names are created on the fly.
+   */
+  async _setTags(recordId, tags, { replace = false } = {}) {
+    if (replace) {
+      await this.db.execute({ sql: 'DELETE FROM record_tag WHERE record_id = ?', args: [recordId] });
+    }
+    for (const name of tags) {
+      await this.db.execute({ sql: 'INSERT OR IGNORE INTO tag (name) VALUES (?)', args: [name] });
+      await this.db.execute({
+        sql: `INSERT OR IGNORE INTO record_tag (record_id, tag_id)
+              SELECT ?, id FROM tag WHERE name = ?`,
+        args: [recordId, name],
+      });
+    }
+  }
+
+  /** Return copies of `rows` with a sorted `tags` array of names on each. */
+  async _attachTags(rows) {
+    if (rows.length === 0) return [];
+    const ids = rows.map(r => r.id);
     const result = await this.db.execute({
-      sql: `INSERT INTO record (project_id, kind, title, body, status, embedding, created_at, updated_at)
-            VALUES (?, ?, ?, ?, ?, vector(?), ?, ?)`,
-      args: [proj, kind, title, body, status, embJson, now, now],
+      sql: `SELECT rt.record_id, t.name FROM record_tag rt JOIN tag t ON t.id = rt.tag_id
+            WHERE rt.record_id IN (${ids.map(() => '?').join(', ')})
+            ORDER BY t.name`,
+      args: ids,
     });
+    const byRecord = new Map();
+    for (const { record_id: recordId, name } of result.rows) {
+      if (!byRecord.has(recordId)) byRecord.set(recordId, []);
+      byRecord.get(recordId).push(name);
+    }
+    return rows.map(r => ({ ...r, tags: byRecord.get(r.id) ?? [] }));
+  }
+
+  /**
+   * Tags in use with their record counts.
+   * `project` limits the counts to one project (`'current'` by name, `'*'` or omitted for all).
+   */
+  async listTags({ project } = {}) {
+    let scope = '';
+    const args = [];
+    if (project && project !== '*') {
+      scope = 'AND r.project_id = ?';
+      args.push(await this._resolveProjectId(project));
+    }
+    const result = await this.db.execute({
+      sql: `SELECT t.name, COUNT(rt.record_id) AS count
+            FROM tag t
+            JOIN record_tag rt ON rt.tag_id = t.id
+            JOIN record r ON r.id = rt.record_id AND r.deleted_at IS NULL ${scope}
+            GROUP BY t.id ORDER BY t.name`,
+      args,
+    });
+    return result.rows.map(r => ({ name: r.name, count: Number(r.count) }));
+  }
+
+  /**
+   * Add tags to a record. The tags it had before are saved as a revision.
+   * @returns {Promise<string[]|null>} The record's tags, or null if it doesn't exist
+   */
+  async addTags(recordId, tags, { source = 'api' } = {}) {
+    const record = await this.get(recordId);
+    if (!record) return null;
+    return this._retag(record, [...new Set([...record.tags, ...normalizeTags(tags)])], source);
+  }
+
+  /**
+   * Remove tags from a record. The tags it had before are saved as a revision.
+   * @returns {Promise<string[]|null>} The record's tags, or null if it doesn't exist
+   */
+  async removeTags(recordId, tags, { source = 'api' } = {}) {
+    const record = await this.get(recordId);
+    if (!record) return null;
+    const names = normalizeTags(tags);
+    return this._retag(record, record.tags.filter(name => !names.includes(name)), source);
+  }
+
+  /** Give `record` exactly `tags` through _update, so the change is revisioned. */
+  async _retag(record, tags, source) {
+    if (sameField(record.tags, tags)) return record.tags;
+    const updated = await this._update(record.id, { title: record.title, body: record.body, tags }, null, { source, action: 'update' });
+    return updated.tags;
+  }
+
+  /**
+   * Rename a tag on every record. Renaming onto an existing tag merges the two.
+   * Each record carrying the tag gets a revision.
+   * @returns {Promise<boolean>} false when `from` doesn't exist
+   */
+  async renameTag(from, to, { source = 'api' } = {}) {
+    const [oldName] = normalizeTags([from]);
+    const [newName] = normalizeTags([to]);
+    if (!newName) throw new Error('New tag name is empty');
+    const old = await this.db.execute({ sql: 'SELECT id FROM tag WHERE name = ?', args: [oldName ?? ''] });
+    if (!old.rows[0]) return false;
+    if (oldName === newName) return true;
+
+    const oldId = old.rows[0].id;
+    await this._transaction(async () => {
+      await this._saveTagRevisions(oldId, source);
+      await this.db.execute({ sql: 'INSERT OR IGNORE INTO tag (name) VALUES (?)', args: [newName] });
+      await this.db.execute({
+        sql: `INSERT OR IGNORE INTO record_tag (record_id, tag_id)
+              SELECT record_id, (SELECT id FROM tag WHERE name = ?) FROM record_tag WHERE tag_id = ?`,
+        args: [newName, oldId],
+      });
+      await this.db.execute({ sql: 'DELETE FROM record_tag WHERE tag_id = ?', args: [oldId] });
+      await this.db.execute({ sql: 'DELETE FROM tag WHERE id = ?', args: [oldId] });
+    });
+    return true;
+  }
+
+  /**
+   * Delete a tag and remove it from every record.
+   * Each record carrying the tag gets a revision.
+   * @returns {Promise<boolean>}
+   */
+  async deleteTag(name, { source = 'api' } = {}) {
+    const [tagName] = normalizeTags([name]);
+    const tag = await this.db.execute({ sql: 'SELECT id FROM tag WHERE name = ?', args: [tagName ?? ''] });
+    if (!tag.rows[0]) return false;
+    await this._transaction(async () => {
+      await this._saveTagRevisions(tag.rows[0].id, source);
+      await this.db.execute({ sql: 'DELETE FROM record_tag WHERE tag_id = ?', args: [tag.rows[0].id] });
+      await this.db.execute({ sql: 'DELETE FROM tag WHERE id = ?', args: [tag.rows[0].id] });
+    });
+    return true;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Kinds
+  // ---------------------------------------------------------------------------
+
+  /** Registered record kinds with their live record counts, built-in kinds first. */
+  async listKinds() {
+    const result = await this.db.execute(`
+      SELECT k.*, (SELECT COUNT(*) FROM record r WHERE r.kind = k.name AND r.deleted_at IS NULL) AS record_count
+      FROM record_kind k
+      ORDER BY k.builtin DESC, k.name`);
+    return result.rows.map(row => ({ ...this._parseKind(row), record_count: Number(row.record_count) }));
+  }
+
+  /** @returns {Promise<Object|null>} */
+  async getKind(name) {
+    const result = await this.db.execute({ sql: 'SELECT * FROM record_kind WHERE name = ?', args: [name] });
+    return result.rows[0] ? this._parseKind(result.rows[0]) : null;
+  }
+
+  _parseKind(row) {
+    return {
+      ...row,
+      builtin: Boolean(row.builtin),
+      workflow: row.workflow ? JSON.parse(row.workflow) : DEFAULT_WORKFLOW,
+    };
+  }
+
+  /**
+   * Register a kind, or change the given fields of an existing one.
+   * `defaultStatus` is what new records of the kind get when no status is
+   * given; `retrieveWeight` scales their score in auto-retrieve (0 leaves
+   * them out); `color` (`#rrggbb`) is used for badges in the web UI.
+   * `workflow` is `{ statuses, closed?, transitions? }` (see DEFAULT_WORKFLOW;
+   * null restores the default). It can't drop a status that records of the
+   * kind still have.
+   */
+  async defineKind({ name, description, color, defaultStatus, retrieveWeight, workflow }) {
+    if (!KIND_NAME.test(name ?? '') || name === 'all') {
+      throw new Error(`Invalid kind name "${name}": use up to 32 lower-case letters, digits, '-' or '_', starting with a letter`);
+    }
+    if (color != null && !/^#[0-9a-f]{6}$/i.test(color)) {
+      throw new Error(`Invalid color "${color}" (expected #rrggbb)`);
+    }
+    if (retrieveWeight != null && !(retrieveWeight >= 0)) {
+      throw new Error('Retrieve weight must be a number ≥ 0');
+    }
+
+    const existing = await this.getKind(name);
+    let flow = existing?.workflow ?? DEFAULT_WORKFLOW;
+    if (workflow !== undefined) flow = workflow === null ? DEFAULT_WORKFLOW : normalizeWorkflow(workflow);
+    const status = defaultStatus
+      ?? (flow.statuses.includes(existing?.default_status) ? existing.default_status : flow.statuses[0]);
+    if (!flow.statuses.includes(status)) {
+      throw new Error(`Default status "${status}" is not in the ${name} workflow (${flow.statuses.join(', ')})`);
+    }
+
+    if (existing && workflow !== undefined) {
+      const allowed = [...flow.statuses, ARCHIVED];
+      const stranded = await this.db.execute({
+        sql: `SELECT status, COUNT(*) AS count FROM record
+              WHERE kind = ? AND status NOT IN (${allowed.map(() => '?').join(', ')})
+              GROUP BY status`,
+        args: [name, ...allowed],
+      });
+      if (stranded.rows.length) {
+        const used = stranded.rows.map(row => `"${row.status}" (${row.count})`).join(', ');
+        throw new Error(`Records of kind "${name}" still have statuses the new workflow lacks: ${used}`);
+      }
+    }
+    const workflowJson = flow === DEFAULT_WORKFLOW ? null : JSON.stringify(flow);
+
+    if (existing) {
+      await this.db.execute({
+        sql: `UPDATE record_kind SET description = COALESCE(?, description), color = COALESCE(?, color),
+                default_status = ?, retrieve_weight = COALESCE(?, retrieve_weight), workflow = ?,
+                updated_at = datetime('now')
+              WHERE name = ?`,
+        args: [description ?? null, color?.toLowerCase() ?? null, status, retrieveWeight ?? null, workflowJson, name],
+      });
+    } else {
+      await this.db.execute({
+        sql: `INSERT INTO record_kind (name, description, color, default_status, retrieve_weight, workflow)
+              VALUES (?, ?, COALESCE(?, '#546e7a'), ?, ?, ?)`,
+        args: [name, description ?? '', color?.toLowerCase() ?? null, status, retrieveWeight ?? 1, workflowJson],
+      });
+    }
+    return this.getKind(name);
+  }
+
+  /**
+   * Remove a custom kind. Built-in kinds, and kinds still used by any record
+   * (trashed ones included), can't be deleted.
+   * @returns {Promise<boolean>} false when the kind doesn't exist
+   */
+  async deleteKind(name) {
+    const kind = await this.getKind(name);
+    if (!kind) return false;
+    if (kind.builtin) throw new Error(`"${name}" is a built-in kind and can't be deleted`);
+    const used = await this.db.execute({ sql: 'SELECT COUNT(*) AS count FROM record WHERE kind = ?', args: [name] });
+    const count = Number(used.rows[0].count);
+    if (count > 0) {
+      throw new Error(`Kind "${name}" is used by ${count} record(s); move them to another kind first`);
+    }
+    await this.db.execute({ sql: 'DELETE FROM record_kind WHERE name = ?', args: [name] });
+    return true;
+  }
 
-    return this.get(Number(result.lastInsertRowid));
+  /** The registered kind `name`; throws, listing the known kinds, when there is none. */
+  async _requireKind(name) {
+    const kind = await this.getKind(name);
+    if (kind) return kind;
+    const known = (await this.listKinds()).map(k => k.name);
+    throw new Error(`Unknown kind "${name}" (expected ${known.join(', ')})`);
   }
 
   async close() {
     if (this.db) {
       this.db.close();
       this.db = null;
+      this._client = null;
     }
   }
 }
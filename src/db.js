@@ -1,15 +1,29 @@
 import { existsSync } from 'node:fs';
 import { rename, unlink } from 'node:fs/promises';
 import { join } from 'node:path';
-import { homedir } from 'node:os';
 import { LibsqlAdapter } from './db-libsql.js';
+import { loadConfig } from './config.js';
 
-const DATA_DIR = join(homedir(), '.dude-claude');
-const OLD_DB   = join(DATA_DIR, 'dude.db');
-const NEW_DB   = join(DATA_DIR, 'dude-libsql.db');
+/** Database file paths under the configured data dir. */
+function dbPaths() {
+  const { dataDir } = loadConfig();
+  return {
+    oldDb: join(dataDir, 'dude.db'),
+    newDb: join(dataDir, 'dude-libsql.db'),
+  };
+}
 
 let adapter = null;
 
+/** Adapters opened by initDbAt() and not closed yet, oldest first. */
+const opened = new Set();
+
+/** Embeds the chunks of long record bodies; the model is loaded on first use. */
+async function embedChunks(texts) {
+  const { embedMany } = await import('./embed.js');
+  return embedMany(texts);
+}
+
 /**
  * Initialise the database and return a DbAdapter instance.
  * Detects the DB state on disk:
@@ -24,19 +38,58 @@ let adapter = null;
 export async function initDb(config = {}) {
   if (adapter) return adapter;
 
-  const hasOldDb = existsSync(OLD_DB);
-  const hasNewDb = existsSync(NEW_DB);
+  await _migrateLegacyIfNeeded();
 
-  // Old DB exists, not yet migrated → auto-migrate
-  if (hasOldDb && !hasNewDb) {
-    await _autoMigrate();
-  }
-
-  adapter = new LibsqlAdapter({ dbPath: NEW_DB, ...config });
+  adapter = new LibsqlAdapter({ dbPath: dbPaths().newDb, embedMany: embedChunks, ...config });
   await adapter.init();
   return adapter;
 }
 
+/**
+ * Initialise a separate adapter whose current project is detected from `cwd`
+ * instead of the process working directory. Used by the daemon, which serves
+ * hooks for many checkouts from one process. The first adapter opened this
+ * way also becomes the shared instance returned by getDb(), which the
+ * embedding cache reads.
+ * @param {string} cwd
+ * @returns {Promise<import('./db-adapter.js').DbAdapter>}
+ */
+export async function initDbAt(cwd) {
+  await _migrateLegacyIfNeeded();
+
+  const db = new LibsqlAdapter({ dbPath: dbPaths().newDb, embedMany: embedChunks, cwd });
+  await db.init();
+  opened.add(db);
+  adapter ??= db;
+  return db;
+}
+
+/**
+ * Open the database without running schema migrations or project detection.
+ * Used by maintenance commands (e.g. `dude-claude migrate`) that manage the
+ * schema themselves. Returns a fresh adapter, not the shared singleton.
+ * @param {object} [config] - Optional config passed to LibsqlAdapter
+ * @returns {Promise<LibsqlAdapter>}
+ */
+export async function openDb(config = {}) {
+  await _migrateLegacyIfNeeded();
+  const db = new LibsqlAdapter({ dbPath: dbPaths().newDb, ...config });
+  await db.open();
+  return db;
+}
+
+/**
+ * Close an adapter opened with initDbAt(). When it was the shared instance,
+ * the oldest adapter still open takes its place, so the embedding cache keeps
+ * working while the daemon evicts sessions.
+ * @param {import('./db-adapter.js').DbAdapter} db
+ */
+export async function closeDb(db) {
+  opened.delete(db);
+  if (adapter === db) adapter = opened.values().next().value ?? null;
+  await db.close();
+}
+
 /** Return the raw adapter (must call initDb first). */
 export function getDb() {
   return adapter;
@@ -45,13 +98,25 @@ export function getDb() {
 /** @internal Reset singleton for testing — not for production use. */
 export function _resetForTesting() {
   adapter = null;
+  opened.clear();
+}
+
+/**
+ * Auto-migrate the old better-sqlite3 DB if it exists and has not been migrated yet.
+ * @private
+ */
+async function _migrateLegacyIfNeeded() {
+  const { oldDb, newDb } = dbPaths();
+  if (existsSync(oldDb) && !existsSync(newDb)) {
+    await _autoMigrate(oldDb, newDb);
+  }
 }
 
 /**
  * Run the one-time auto-migration from old better-sqlite3 DB to libsql.
  * @private
  */
-async function _autoMigrate() {
+async function _autoMigrate(oldDb, newDb) {
   console.error('[dude] Old database detected. Migrating to libsql format...');
 
   let migrate;
@@ -68,25 +133,25 @@ async function _autoMigrate() {
   }
 
   try {
-    const stats = await migrate(OLD_DB, `file:${NEW_DB}`);
+    const stats = await migrate(oldDb, `file:${newDb}`);
     console.error(
       `[dude] Migration complete: ${stats.projects} projects, ` +
       `${stats.records} records, ${stats.embeddings} embeddings.`
     );
   } catch (err) {
     // Clean up partial migration so next startup can retry
-    if (existsSync(NEW_DB)) {
-      try { await unlink(NEW_DB); } catch { /* ignore cleanup errors */ }
+    if (existsSync(newDb)) {
+      try { await unlink(newDb); } catch { /* ignore cleanup errors */ }
     }
     throw new Error(
-      `Database migration failed. Old database preserved at ${OLD_DB}. Error: ${err.message}`
+      `Database migration failed. Old database preserved at ${oldDb}. Error: ${err.message}`
     );
   }
 
   // Rename old DB to .backup
   try {
-    await rename(OLD_DB, `${OLD_DB}.backup`);
-    console.error(`[dude] Old database backed up to ${OLD_DB}.backup`);
+    await rename(oldDb, `${oldDb}.backup`);
+    console.error(`[dude] Old database backed up to ${oldDb}.backup`);
   } catch (err) {
     console.error(
       `[dude] Warning: Could not rename old database to .backup: ${err.message}\n` +
@@ -1,23 +1,120 @@
-import { pipeline } from '@huggingface/transformers';
+import { createHash } from 'node:crypto';
+import { env, pipeline } from '@huggingface/transformers';
+import { loadConfig } from './config.js';
+import { getDb } from './db.js';
 
+/** Most texts sent to the model in one call; larger batches are split. */
+const BATCH_SIZE = 32;
+
+/** Promise of the loaded pipeline, shared by concurrent first calls; reset when loading fails. */
 let extractor = null;
+/** The `embedding` settings, read from the config file on first use. */
+let settings = null;
 
-async function getExtractor() {
-  if (!extractor) {
-    console.error('[dude] Loading embedding model (first call may download ~80 MB)…');
-    extractor = await pipeline('feature-extraction', 'Xenova/all-MiniLM-L6-v2');
-    console.error('[dude] Embedding model ready.');
-  }
+function getSettings() {
+  settings ??= loadConfig().embedding;
+  return settings;
+}
+
+function getExtractor() {
+  extractor ??= loadExtractor().catch((err) => {
+    extractor = null;
+    throw err;
+  });
   return extractor;
 }
 
+async function loadExtractor() {
+  const { model, localPath } = getSettings();
+  if (localPath) {
+    env.localModelPath = localPath;
+    env.allowRemoteModels = false;
+  }
+  console.error(`[dude] Loading embedding model ${model} (first call may download it)…`);
+  const loaded = await pipeline('feature-extraction', model);
+  console.error('[dude] Embedding model ready.');
+  return loaded;
+}
+
 /**
- * Embed a text string into a 384-dim Float32Array.
- * First call is slow (model download + ONNX init); subsequent calls are fast.
+ * Embed a text string with the configured model (`embedding` in the config
+ * file; all-MiniLM-L6-v2 by default) into a normalised Float32Array.
+ * First call is slow (model download + ONNX init); subsequent calls are fast,
+ * and texts embedded before come from the cache without loading the model.
  */
 export async function embed(text) {
-  const ext = await getExtractor();
-  const result = await ext(text, { pooling: 'mean', normalize: true });
-  // result.data is a Float32Array of length 384
-  return new Float32Array(result.data);
+  const [embedding] = await embedMany([text]);
+  return embedding;
+}
+
+/**
+ * Embed several texts, in order. Vectors are looked up in the database's
+ * embedding cache first (when the database is open); the rest go to the model
+ * in batches and are added to the cache.
+ * @param {string[]} texts
+ * @returns {Promise<Float32Array[]>}
+ */
+export async function embedMany(texts) {
+  const { model, pooling, dimension } = getSettings();
+  const inputs = texts.map(normalizeText);
+  const keys = inputs.map(input => cacheKey(pooling, input));
+  const vectors = await lookupCache(model, [...new Set(keys)]);
+
+  // Texts to compute, once per key
+  const missing = [...new Map(keys.map((key, i) => [key, inputs[i]]))].filter(([key]) => !vectors.has(key));
+  for (let i = 0; i < missing.length; i += BATCH_SIZE) {
+    const batch = missing.slice(i, i + BATCH_SIZE);
+    const ext = await getExtractor();
+    const result = await ext(batch.map(([, input]) => input), { pooling, normalize: true });
+    const size = result.data.length / batch.length;
+    if (size !== dimension) {
+      throw new Error(`Embedding model ${model} returned ${size} dimensions, but embedding.dimension is ${dimension}`);
+    }
+    const computed = batch.map(([hash], j) => ({ hash, embedding: new Float32Array(result.data.slice(j * size, (j + 1) * size)) }));
+    for (const { hash, embedding } of computed) vectors.set(hash, embedding);
+    await storeCache(model, computed);
+  }
+  return keys.map(key => vectors.get(key));
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Text as the model sees it: Unicode NFC with runs of whitespace collapsed.
+ * The tokenizer ignores that whitespace anyway, so the vector doesn't change,
+ * but reflowed text still hits the cache.
+ */
+function normalizeText(text) {
+  return String(text ?? '').normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+/** Cache key of a normalised text; the pooling mode is part of it because it changes the vector. */
+function cacheKey(pooling, input) {
+  return createHash('sha256').update(`${pooling}\n${input}`).digest('hex');
+}
+
+// The cache is an optimisation: when the database isn't open (or fails),
+// texts are simply embedded again.
+
+async function lookupCache(model, hashes) {
+  const db = getDb();
+  if (!db) return new Map();
+  try {
+    return await db.getCachedEmbeddings(model, hashes);
+  } catch (err) {
+    console.error(`[dude] Embedding cache unavailable: ${err.message}`);
+    return new Map();
+  }
+}
+
+async function storeCache(model, entries) {
+  const db = getDb();
+  if (!db) return;
+  try {
+    await db.cacheEmbeddings(model, entries);
+  } catch (err) {
+    console.error(`[dude] Could not update the embedding cache: ${err.message}`);
+  }
 }
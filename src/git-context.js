@@ -0,0 +1,72 @@
+import { execFileSync } from 'node:child_process';
+
+/** Most uncommitted files kept with a record. */
+export const MAX_DIRTY_FILES = 100;
+
+/** Most commits a range filter expands to. */
+const MAX_RANGE_COMMITS = 5000;
+
+/**
+ * Branch, HEAD commit and uncommitted files of the checkout at `cwd`, taken
+ * when a record is saved. `branch` is null on a detached HEAD; `dirty` lists
+ * changed, staged and untracked paths relative to the repository root.
+ * @param {string|null} cwd
+ * @returns {{ branch: string|null, sha: string, dirty: string[] }|null} null outside git or before the first commit
+ */
+export function captureGitContext(cwd) {
+  if (!cwd) return null;
+  const sha = git(['rev-parse', '--verify', '-q', 'HEAD'], cwd)?.trim();
+  if (!sha) return null;
+  const branch = git(['symbolic-ref', '--short', '-q', 'HEAD'], cwd)?.trim() || null;
+  return { branch, sha, dirty: parseStatus(git(['status', '--porcelain', '-z'], cwd) ?? '') };
+}
+
+/**
+ * Commits a filter refers to, as SHAs: a range git rev-list understands
+ * (`main..feature/x`, `abc1234...def5678`), or one commit, branch or tag.
+ * A bare SHA that git can't resolve (another clone, or no checkout at `cwd`)
+ * is kept as given and matches records by prefix.
+ * @returns {string[]}
+ */
+export function resolveCommits(spec, cwd) {
+  const value = spec.trim();
+  if (!value || value.startsWith('-')) throw new Error(`Invalid commit range "${spec}"`);
+  const isSha = /^[0-9a-f]{7,40}$/i.test(value);
+  if (value.includes('..')) {
+    const out = cwd ? git(['rev-list', `--max-count=${MAX_RANGE_COMMITS}`, value], cwd) : null;
+    if (out == null) throw new Error(`Could not resolve commit range "${spec}"${cwd ? '' : ' without a git checkout'}`);
+    return out.split('\n').filter(Boolean);
+  }
+  const sha = cwd ? git(['rev-parse', '--verify', '-q', `${value}^{commit}`], cwd)?.trim() : null;
+  if (sha) return [sha];
+  if (isSha) return [value.toLowerCase()];
+  throw new Error(`Unknown commit "${spec}"`);
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function git(args, cwd) {
+  try {
+    return execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Paths from `git status --porcelain -z`. Each entry is `XY path`; renames
+ * and copies are followed by their source path, which is skipped.
+ */
+function parseStatus(output) {
+  const entries = output.split('\0');
+  const paths = [];
+  for (let i = 0; i < entries.length && paths.length < MAX_DIRTY_FILES; i++) {
+    const entry = entries[i];
+    if (entry.length < 4) continue;
+    paths.push(entry.slice(3));
+    if (/[RC]/.test(entry.slice(0, 2))) i++;
+  }
+  return paths;
+}
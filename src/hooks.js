@@ -0,0 +1,151 @@
+import { embed } from './embed.js';
+import { captureGitContext } from './git-context.js';
+
+/**
+ * Hook logic shared by the hook scripts (in-process mode) and the daemon.
+ * Each handler gets the raw stdin text and a `connect()` that opens the
+ * database for the hook's working directory, and returns what the script
+ * would print. Handlers never throw: like the scripts always did, they report
+ * errors and let Claude carry on.
+ */
+export const HOOKS = {
+  'auto-retrieve': autoRetrieve,
+  'auto-persist': (raw, connect) => autoPersist(raw, connect, {
+    source: 'auto-persist', label: 'Auto-persist', defaultKind: 'issue', defaultTitle: 'Untitled', persisted: '',
+  }),
+  'auto-persist-plan': (raw, connect) => autoPersist(raw, connect, {
+    source: 'auto-persist-plan', label: 'Auto-persist-plan', defaultKind: 'spec', defaultTitle: 'Untitled Plan', persisted: 'plan as ',
+  }),
+};
+
+/**
+ * Run a hook by name.
+ * @param {string} name - A key of HOOKS
+ * @param {string} raw - The hook's stdin
+ * @param {() => Promise<import('./db-adapter.js').DbAdapter>} connect
+ * @returns {Promise<{ stdout: string, stderr: string }>}
+ */
+export async function handleHook(name, raw, connect) {
+  const hook = HOOKS[name];
+  if (!hook) throw new Error(`Unknown hook "${name}"`);
+  return hook(raw, connect);
+}
+
+/**
+ * UserPromptSubmit: the project, recently updated and urgent records, and
+ * records related to the prompt, as context for Claude.
+ */
+async function autoRetrieve(raw, connect) {
+  const out = [];
+  try {
+    const input = JSON.parse(raw);
+    const prompt = input.prompt || input.tool_input?.prompt || '';
+    if (!prompt.trim()) return { stdout: '', stderr: '' };
+
+    const db = await connect();
+    const project = await db.getCurrentProject();
+
+    // 1) Project identification
+    out.push(`[dude] Project: ${project.name} (id=${project.id})`);
+
+    // 2) Recently updated records
+    const { contextLimit, recencyHours, search } = db.settings;
+    // Each kind's retrieve_weight scales its results; weight 0 keeps a kind out of the context
+    const kindWeights = Object.fromEntries((await db.listKinds()).map(k => [k.name, k.retrieve_weight]));
+    const recentRecords = (await db.getRecentRecords(project.id, recencyHours))
+      .filter(r => kindWeights[r.kind] !== 0);
+    if (recentRecords.length > 0) {
+      out.push('[dude] Recently updated records:');
+      for (const r of recentRecords) {
+        out.push(`- [${r.kind}] ${r.title} (id=${r.id}, status=${r.status}, updated: ${r.updated_at})`);
+      }
+    }
+
+    // 3) Open items that can't wait: P0 or past their due date
+    const urgentRecords = (await db.getUrgentRecords(project.id, { limit: contextLimit }))
+      .filter(r => kindWeights[r.kind] !== 0);
+    if (urgentRecords.length > 0) {
+      out.push('[dude] Needs attention (P0 or overdue):');
+      for (const r of urgentRecords) {
+        const triage = [r.priority, r.severity, r.due_date && `due ${r.due_date}`].filter(Boolean).join(', ');
+        out.push(`- [${r.kind}] ${r.title} (id=${r.id}, status=${r.status}, ${triage})`);
+      }
+    }
+
+    // 4) Semantic search
+    const embedding = search.mode === 'lexical' ? null : await embed(prompt);
+    const results = await db.search(embedding, { query: prompt, limit: contextLimit, ranking: { kindWeights } });
+    if (results.length > 0) {
+      out.push('[dude] Relevant context from memory:');
+      for (const r of results) {
+        const match = r.similarity != null ? `similarity: ${r.similarity.toFixed(2)}` : 'keyword match';
+        out.push(`- [${r.kind}] ${r.title} (project: ${r.project}, status: ${r.status}, ${match})`);
+        // The passage that matched, for long bodies; the start of the body otherwise
+        const text = r.snippet || r.body;
+        if (text) {
+          out.push(`  ${text.slice(0, 200)}${text.length > 200 ? '…' : ''}`);
+        }
+      }
+    }
+    return { stdout: lines(out), stderr: '' };
+  } catch (err) {
+    // Non-blocking: keep what was gathered and report the error
+    return { stdout: lines(out), stderr: `[dude] auto-retrieve error: ${err.message}\n` };
+  }
+}
+
+/**
+ * Stop / SubagentStop (Plan): upsert the record described by the
+ * classification JSON. On malformed JSON or action=none, does nothing.
+ */
+async function autoPersist(raw, connect, { source, label, defaultKind, defaultTitle, persisted }) {
+  try {
+    let input;
+    try {
+      input = JSON.parse(raw.trim());
+    } catch {
+      return { stdout: `${label} skipped: malformed JSON from classification prompt\n`, stderr: '' };
+    }
+    if (input?.action !== 'upsert') return { stdout: '', stderr: '' };
+
+    const kind = input.kind || defaultKind;
+    const title = input.title || defaultTitle;
+    const body = input.body || '';
+    // Omitted: the kind's default status
+    const status = input.status;
+
+    const db = await connect();
+    const embedding = await embed(`${title} ${body}`.trim());
+    const project = await db.getCurrentProject();
+    const record = await db.upsert(
+      {
+        projectId: project.id,
+        kind,
+        title,
+        body,
+        status,
+        git: captureGitContext(await db.projectDirectory(project.id)),
+        source,
+        dedup: input.dedup,
+      },
+      embedding,
+    );
+
+    const { action, match } = record.dedup ?? {};
+    const similarity = match ? `similarity ${match.similarity.toFixed(2)}` : '';
+    if (action === 'skipped' || action === 'ask') {
+      return { stdout: `${label} skipped: similar ${kind} "${record.title}" already exists (id=${record.id}, ${similarity})\n`, stderr: '' };
+    }
+    return {
+      stdout: `Auto-persisted ${persisted}${kind}: "${record.title}" (id=${record.id}${match ? `, ${action} — ${similarity}` : ''})\n`,
+      stderr: '',
+    };
+  } catch (err) {
+    // Non-blocking: report the error and carry on
+    return { stdout: `${label} skipped: ${err.message}\n`, stderr: `[dude] ${source} error: ${err.message}\n` };
+  }
+}
+
+function lines(out) {
+  return out.length > 0 ? `${out.join('\n')}\n` : '';
+}
@@ -0,0 +1,31 @@
+export const version = 1;
+export const name = 'initial';
+
+// Baseline schema. Uses IF NOT EXISTS so databases created before the
+// migration runner existed are adopted as version 1 without changes.
+export async function up(tx) {
+  await tx.execute(`CREATE TABLE IF NOT EXISTS project (
+    id         INTEGER PRIMARY KEY AUTOINCREMENT,
+    name       TEXT NOT NULL UNIQUE,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+  )`);
+
+  await tx.execute(`CREATE TABLE IF NOT EXISTS record (
+    id         INTEGER PRIMARY KEY AUTOINCREMENT,
+    project_id INTEGER NOT NULL REFERENCES project(id) ON DELETE CASCADE,
+    kind       TEXT NOT NULL CHECK (kind IN ('issue','spec','arch','update')),
+    title      TEXT NOT NULL,
+    body       TEXT NOT NULL DEFAULT '',
+    status     TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open','resolved','archived')),
+    embedding  F32_BLOB(384),
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+  )`);
+
+  await tx.execute(`CREATE INDEX IF NOT EXISTS idx_record_project_kind
+    ON record(project_id, kind)`);
+
+  await tx.execute(`CREATE INDEX IF NOT EXISTS idx_record_embedding
+    ON record(libsql_vector_idx(embedding, 'metric=cosine'))`);
+}
@@ -0,0 +1,30 @@
+export const version = 2;
+export const name = 'record-fts';
+
+// FTS5 index over record title/body for lexical (BM25) search.
+// External-content table kept in sync by triggers; '_' is a token character
+// so identifiers like ERR_CONN_RESET or snake_case names match as a whole.
+export async function up(tx) {
+  await tx.execute(`CREATE VIRTUAL TABLE IF NOT EXISTS record_fts USING fts5(
+    title, body,
+    content = 'record',
+    content_rowid = 'id',
+    tokenize = "unicode61 tokenchars '_'"
+  )`);
+
+  await tx.execute(`CREATE TRIGGER IF NOT EXISTS record_fts_ai AFTER INSERT ON record BEGIN
+    INSERT INTO record_fts (rowid, title, body) VALUES (new.id, new.title, new.body);
+  END`);
+
+  await tx.execute(`CREATE TRIGGER IF NOT EXISTS record_fts_ad AFTER DELETE ON record BEGIN
+    INSERT INTO record_fts (record_fts, rowid, title, body) VALUES ('delete', old.id, old.title, old.body);
+  END`);
+
+  await tx.execute(`CREATE TRIGGER IF NOT EXISTS record_fts_au AFTER UPDATE OF title, body ON record BEGIN
+    INSERT INTO record_fts (record_fts, rowid, title, body) VALUES ('delete', old.id, old.title, old.body);
+    INSERT INTO record_fts (rowid, title, body) VALUES (new.id, new.title, new.body);
+  END`);
+
+  // Index records that existed before this migration
+  await tx.execute(`INSERT INTO record_fts (record_fts) VALUES ('rebuild')`);
+}
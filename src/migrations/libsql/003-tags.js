@@ -0,0 +1,20 @@
+export const version = 3;
+export const name = 'tags';
+
+// Free-form labels on records (many-to-many). Tag names are stored
+// normalised (lower-case, no spaces) so "BUG" and "bug" are the same tag.
+export async function up(tx) {
+  await tx.execute(`CREATE TABLE IF NOT EXISTS tag (
+    id         INTEGER PRIMARY KEY AUTOINCREMENT,
+    name       TEXT NOT NULL UNIQUE,
+    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+  )`);
+
+  await tx.execute(`CREATE TABLE IF NOT EXISTS record_tag (
+    record_id INTEGER NOT NULL REFERENCES record(id) ON DELETE CASCADE,
+    tag_id    INTEGER NOT NULL REFERENCES tag(id) ON DELETE CASCADE,
+    PRIMARY KEY (record_id, tag_id)
+  )`);
+
+  await tx.execute('CREATE INDEX IF NOT EXISTS idx_record_tag_tag ON record_tag(tag_id)');
+}
@@ -0,0 +1,18 @@
+export const version = 4;
+export const name = 'record-links';
+
+// Typed, directed links between records ("update 7 fixes issue 3").
+// Link types are validated in the adapter (LINK_TYPES) rather than with a
+// CHECK constraint, so adding a type later doesn't need a table rebuild.
+export async function up(tx) {
+  await tx.execute(`CREATE TABLE IF NOT EXISTS record_link (
+    id         INTEGER PRIMARY KEY AUTOINCREMENT,
+    source_id  INTEGER NOT NULL REFERENCES record(id) ON DELETE CASCADE,
+    target_id  INTEGER NOT NULL REFERENCES record(id) ON DELETE CASCADE,
+    type       TEXT NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    UNIQUE (source_id, target_id, type)
+  )`);
+
+  await tx.execute('CREATE INDEX IF NOT EXISTS idx_record_link_target ON record_link(target_id)');
+}
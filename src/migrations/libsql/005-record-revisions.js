@@ -0,0 +1,23 @@
+export const version = 5;
+export const name = 'record-revisions';
+
+// One row per update, holding the values the record had *before* the change,
+// so overwrites (including silent dedup merges) can be inspected and undone.
+// `source` says who wrote the change (mcp, web, auto-persist, …) and
+// `action` how (update, dedup, restore). `tags` is a JSON array of names.
+export async function up(tx) {
+  await tx.execute(`CREATE TABLE IF NOT EXISTS record_revision (
+    id         INTEGER PRIMARY KEY AUTOINCREMENT,
+    record_id  INTEGER NOT NULL REFERENCES record(id) ON DELETE CASCADE,
+    kind       TEXT NOT NULL,
+    title      TEXT NOT NULL,
+    body       TEXT NOT NULL DEFAULT '',
+    status     TEXT NOT NULL,
+    tags       TEXT NOT NULL DEFAULT '[]',
+    source     TEXT NOT NULL DEFAULT 'api',
+    action     TEXT NOT NULL DEFAULT 'update',
+    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+  )`);
+
+  await tx.execute('CREATE INDEX IF NOT EXISTS idx_record_revision_record ON record_revision(record_id, id)');
+}
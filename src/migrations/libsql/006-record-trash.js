@@ -0,0 +1,9 @@
+export const version = 6;
+export const name = 'record-trash';
+
+// Soft delete: deleting a record stamps deleted_at instead of removing the
+// row. Trashed records are hidden from reads until restored or purged.
+export async function up(tx) {
+  await tx.execute('ALTER TABLE record ADD COLUMN deleted_at TEXT');
+  await tx.execute('CREATE INDEX IF NOT EXISTS idx_record_deleted ON record(deleted_at)');
+}
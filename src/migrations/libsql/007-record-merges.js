@@ -0,0 +1,17 @@
+export const version = 7;
+export const name = 'record-merges';
+
+// One row per record absorbed by mergeRecords(): which record it went into,
+// its title at the time, and when. The absorbed record itself goes to the
+// trash, so absorbed_id is deliberately not a foreign key.
+export async function up(tx) {
+  await tx.execute(`
+    CREATE TABLE IF NOT EXISTS record_merge (
+      absorbed_id INTEGER PRIMARY KEY,
+      record_id   INTEGER NOT NULL REFERENCES record(id) ON DELETE CASCADE,
+      title       TEXT NOT NULL,
+      merged_at   TEXT NOT NULL
+    )
+  `);
+  await tx.execute('CREATE INDEX IF NOT EXISTS idx_record_merge_record ON record_merge(record_id)');
+}
@@ -0,0 +1,11 @@
+export const version = 8;
+export const name = 'project-hierarchy';
+
+// Projects can nest under a parent, remember their directory on disk and be
+// archived (active = 0) without losing their records.
+export async function up(tx) {
+  await tx.execute('ALTER TABLE project ADD COLUMN parent_id INTEGER REFERENCES project(id) ON DELETE SET NULL');
+  await tx.execute('ALTER TABLE project ADD COLUMN directory TEXT');
+  await tx.execute('ALTER TABLE project ADD COLUMN active INTEGER NOT NULL DEFAULT 1');
+  await tx.execute('CREATE INDEX IF NOT EXISTS idx_project_parent ON project(parent_id)');
+}
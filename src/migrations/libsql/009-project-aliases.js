@@ -0,0 +1,15 @@
+export const version = 9;
+export const name = 'project-aliases';
+
+// Former names of renamed or merged projects. Lookups by name fall back to
+// this table, so an old name keeps resolving to the project it became.
+export async function up(tx) {
+  await tx.execute(`
+    CREATE TABLE IF NOT EXISTS project_alias (
+      name       TEXT PRIMARY KEY,
+      project_id INTEGER NOT NULL REFERENCES project(id) ON DELETE CASCADE,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+  await tx.execute('CREATE INDEX IF NOT EXISTS idx_project_alias_project ON project_alias(project_id)');
+}
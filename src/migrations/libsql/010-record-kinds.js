@@ -0,0 +1,71 @@
+export const version = 10;
+export const name = 'record-kinds';
+
+/** The kinds every database starts with; `builtin` ones can't be deleted. */
+const BUILTIN_KINDS = [
+  ['issue', 'bug or problem to fix', '#c62828'],
+  ['spec', 'plan or specification', '#1565c0'],
+  ['arch', 'architecture decision', '#e65100'],
+  ['update', 'feature change', '#1b5e20'],
+];
+
+// Registry of record kinds. record.kind was limited by a CHECK constraint;
+// it now references record_kind, so teams can add their own kinds.
+// SQLite can't drop a constraint, so the record table is rebuilt (the
+// migration runner turns foreign keys off, keeping child rows intact).
+export async function up(tx) {
+  await tx.execute(`
+    CREATE TABLE IF NOT EXISTS record_kind (
+      name            TEXT PRIMARY KEY,
+      description     TEXT NOT NULL DEFAULT '',
+      color           TEXT NOT NULL DEFAULT '#546e7a',
+      default_status  TEXT NOT NULL DEFAULT 'open',
+      retrieve_weight REAL NOT NULL DEFAULT 1.0,
+      builtin         INTEGER NOT NULL DEFAULT 0,
+      created_at      TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at      TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+  for (const [kind, description, color] of BUILTIN_KINDS) {
+    await tx.execute({
+      sql: 'INSERT OR IGNORE INTO record_kind (name, description, color, builtin) VALUES (?, ?, ?, 1)',
+      args: [kind, description, color],
+    });
+  }
+
+  await tx.execute(`
+    CREATE TABLE record_new (
+      id         INTEGER PRIMARY KEY AUTOINCREMENT,
+      project_id INTEGER NOT NULL REFERENCES project(id) ON DELETE CASCADE,
+      kind       TEXT NOT NULL REFERENCES record_kind(name),
+      title      TEXT NOT NULL,
+      body       TEXT NOT NULL DEFAULT '',
+      status     TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open','resolved','archived')),
+      embedding  F32_BLOB(384),
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+      deleted_at TEXT
+    )
+  `);
+  const cols = 'id, project_id, kind, title, body, status, embedding, created_at, updated_at, deleted_at';
+  await tx.execute(`INSERT INTO record_new (${cols}) SELECT ${cols} FROM record`);
+  await tx.execute('DROP TABLE record');
+  await tx.execute('ALTER TABLE record_new RENAME TO record');
+
+  await tx.execute('CREATE INDEX IF NOT EXISTS idx_record_project_kind ON record(project_id, kind)');
+  await tx.execute('CREATE INDEX IF NOT EXISTS idx_record_deleted ON record(deleted_at)');
+  await tx.execute(`CREATE INDEX IF NOT EXISTS idx_record_embedding
+    ON record(libsql_vector_idx(embedding, 'metric=cosine'))`);
+
+  // The FTS triggers went with the old table; record_fts itself still matches (ids are kept)
+  await tx.execute(`CREATE TRIGGER IF NOT EXISTS record_fts_ai AFTER INSERT ON record BEGIN
+    INSERT INTO record_fts (rowid, title, body) VALUES (new.id, new.title, new.body);
+  END`);
+  await tx.execute(`CREATE TRIGGER IF NOT EXISTS record_fts_ad AFTER DELETE ON record BEGIN
+    INSERT INTO record_fts (record_fts, rowid, title, body) VALUES ('delete', old.id, old.title, old.body);
+  END`);
+  await tx.execute(`CREATE TRIGGER IF NOT EXISTS record_fts_au AFTER UPDATE OF title, body ON record BEGIN
+    INSERT INTO record_fts (record_fts, rowid, title, body) VALUES ('delete', old.id, old.title, old.body);
+    INSERT INTO record_fts (rowid, title, body) VALUES (new.id, new.title, new.body);
+  END`);
+}
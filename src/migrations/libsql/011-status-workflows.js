@@ -0,0 +1,56 @@
+export const version = 11;
+export const name = 'status-workflows';
+
+// Per-kind status workflows. record_kind.workflow holds the kind's statuses,
+// which of them close a record and the allowed transitions (JSON; NULL is
+// the default open/resolved workflow). record.status loses its CHECK
+// constraint, which again means rebuilding the table, and gains the times
+// of the last status change and of closing.
+export async function up(tx) {
+  await tx.execute('ALTER TABLE record_kind ADD COLUMN workflow TEXT');
+
+  await tx.execute(`
+    CREATE TABLE record_new (
+      id                INTEGER PRIMARY KEY AUTOINCREMENT,
+      project_id        INTEGER NOT NULL REFERENCES project(id) ON DELETE CASCADE,
+      kind              TEXT NOT NULL REFERENCES record_kind(name),
+      title             TEXT NOT NULL,
+      body              TEXT NOT NULL DEFAULT '',
+      status            TEXT NOT NULL DEFAULT 'open',
+      embedding         F32_BLOB(384),
+      created_at        TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at        TEXT NOT NULL DEFAULT (datetime('now')),
+      deleted_at        TEXT,
+      status_changed_at TEXT,
+      resolved_at       TEXT
+    )
+  `);
+  const cols = 'id, project_id, kind, title, body, status, embedding, created_at, updated_at, deleted_at';
+  await tx.execute(`INSERT INTO record_new (${cols}) SELECT ${cols} FROM record`);
+  await tx.execute('DROP TABLE record');
+  await tx.execute('ALTER TABLE record_new RENAME TO record');
+
+  // The latest revision holding another status marks when the current one began
+  await tx.execute(`
+    UPDATE record SET status_changed_at = COALESCE(
+      (SELECT MAX(v.created_at) FROM record_revision v WHERE v.record_id = record.id AND v.status != record.status),
+      created_at)
+  `);
+  await tx.execute("UPDATE record SET resolved_at = status_changed_at WHERE status = 'resolved'");
+
+  await tx.execute('CREATE INDEX IF NOT EXISTS idx_record_project_kind ON record(project_id, kind)');
+  await tx.execute('CREATE INDEX IF NOT EXISTS idx_record_deleted ON record(deleted_at)');
+  await tx.execute(`CREATE INDEX IF NOT EXISTS idx_record_embedding
+    ON record(libsql_vector_idx(embedding, 'metric=cosine'))`);
+
+  await tx.execute(`CREATE TRIGGER IF NOT EXISTS record_fts_ai AFTER INSERT ON record BEGIN
+    INSERT INTO record_fts (rowid, title, body) VALUES (new.id, new.title, new.body);
+  END`);
+  await tx.execute(`CREATE TRIGGER IF NOT EXISTS record_fts_ad AFTER DELETE ON record BEGIN
+    INSERT INTO record_fts (record_fts, rowid, title, body) VALUES ('delete', old.id, old.title, old.body);
+  END`);
+  await tx.execute(`CREATE TRIGGER IF NOT EXISTS record_fts_au AFTER UPDATE OF title, body ON record BEGIN
+    INSERT INTO record_fts (record_fts, rowid, title, body) VALUES ('delete', old.id, old.title, old.body);
+    INSERT INTO record_fts (rowid, title, body) VALUES (new.id, new.title, new.body);
+  END`);
+}
@@ -0,0 +1,16 @@
+export const version = 12;
+export const name = 'record-priority';
+
+// Triage fields: priority P0 (drop everything) to P3 (someday), severity of
+// the impact, and an optional due date (YYYY-MM-DD). All nullable, so
+// existing records stay untriaged. Revisions keep them like the other fields.
+export async function up(tx) {
+  await tx.execute("ALTER TABLE record ADD COLUMN priority TEXT CHECK (priority IN ('P0','P1','P2','P3'))");
+  await tx.execute("ALTER TABLE record ADD COLUMN severity TEXT CHECK (severity IN ('critical','major','minor','trivial'))");
+  await tx.execute('ALTER TABLE record ADD COLUMN due_date TEXT');
+  await tx.execute('CREATE INDEX IF NOT EXISTS idx_record_triage ON record(project_id, priority, due_date)');
+
+  for (const column of ['priority', 'severity', 'due_date']) {
+    await tx.execute(`ALTER TABLE record_revision ADD COLUMN ${column} TEXT`);
+  }
+}
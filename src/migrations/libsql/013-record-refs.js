@@ -0,0 +1,27 @@
+export const version = 13;
+export const name = 'record-refs';
+
+// Structured code references on records: a file path (optionally a line
+// range), a symbol name and/or a commit SHA per row, so "what do we know
+// about this file?" is a query instead of a text search. Revisions keep the
+// previous references as a JSON array, like tags.
+export async function up(tx) {
+  await tx.execute(`CREATE TABLE IF NOT EXISTS record_ref (
+    id         INTEGER PRIMARY KEY AUTOINCREMENT,
+    record_id  INTEGER NOT NULL REFERENCES record(id) ON DELETE CASCADE,
+    path       TEXT,
+    line_start INTEGER,
+    line_end   INTEGER,
+    symbol     TEXT,
+    commit_sha TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    CHECK (path IS NOT NULL OR symbol IS NOT NULL OR commit_sha IS NOT NULL)
+  )`);
+
+  await tx.execute('CREATE INDEX IF NOT EXISTS idx_record_ref_record ON record_ref(record_id)');
+  await tx.execute('CREATE INDEX IF NOT EXISTS idx_record_ref_path ON record_ref(path)');
+  await tx.execute('CREATE INDEX IF NOT EXISTS idx_record_ref_symbol ON record_ref(symbol)');
+  await tx.execute('CREATE INDEX IF NOT EXISTS idx_record_ref_commit ON record_ref(commit_sha)');
+
+  await tx.execute("ALTER TABLE record_revision ADD COLUMN refs TEXT NOT NULL DEFAULT '[]'");
+}
@@ -0,0 +1,13 @@
+export const version = 14;
+export const name = 'record-git-context';
+
+// The git state a record was saved in: branch (NULL on a detached HEAD),
+// HEAD commit and the uncommitted files as a JSON array. Each save that
+// knows its checkout overwrites them, so they describe the latest save.
+export async function up(tx) {
+  await tx.execute('ALTER TABLE record ADD COLUMN git_branch TEXT');
+  await tx.execute('ALTER TABLE record ADD COLUMN git_sha TEXT');
+  await tx.execute('ALTER TABLE record ADD COLUMN git_dirty TEXT');
+  await tx.execute('CREATE INDEX IF NOT EXISTS idx_record_git_branch ON record(project_id, git_branch)');
+  await tx.execute('CREATE INDEX IF NOT EXISTS idx_record_git_sha ON record(git_sha)');
+}
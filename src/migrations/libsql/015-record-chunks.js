@@ -0,0 +1,19 @@
+export const version = 15;
+export const name = 'record-chunks';
+
+// Overlapping windows of long record bodies with their own embeddings, so
+// search sees past the ~256 tokens the model reads of title + body. Offsets
+// point into record.body; chunks are rewritten whenever title or body change.
+export async function up(tx) {
+  await tx.execute(`CREATE TABLE IF NOT EXISTS record_chunk (
+    id           INTEGER PRIMARY KEY AUTOINCREMENT,
+    record_id    INTEGER NOT NULL REFERENCES record(id) ON DELETE CASCADE,
+    seq          INTEGER NOT NULL,
+    start_offset INTEGER NOT NULL,
+    end_offset   INTEGER NOT NULL,
+    embedding    F32_BLOB(384),
+    UNIQUE (record_id, seq)
+  )`);
+  await tx.execute(`CREATE INDEX IF NOT EXISTS idx_record_chunk_embedding
+    ON record_chunk(libsql_vector_idx(embedding, 'metric=cosine'))`);
+}
@@ -0,0 +1,15 @@
+export const version = 16;
+export const name = 'embedding-model';
+
+// Which model produced each vector, so switching models (see `embedding` in
+// the config) can tell stale vectors apart and `dude-claude reembed` can pick
+// up where it stopped. Every vector so far came from the model embed.js used
+// to hardcode.
+export async function up(tx) {
+  await tx.execute('ALTER TABLE record ADD COLUMN embedding_model TEXT');
+  await tx.execute('ALTER TABLE record_chunk ADD COLUMN embedding_model TEXT');
+  for (const table of ['record', 'record_chunk']) {
+    await tx.execute(`UPDATE ${table} SET embedding_model = 'Xenova/all-MiniLM-L6-v2' WHERE embedding IS NOT NULL`);
+  }
+  await tx.execute('CREATE INDEX IF NOT EXISTS idx_record_embedding_model ON record(embedding_model)');
+}
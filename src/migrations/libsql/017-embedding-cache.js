@@ -0,0 +1,19 @@
+export const version = 17;
+export const name = 'embedding-cache';
+
+// Vectors embed.js has already computed, keyed by model and a hash of the
+// pooling mode and normalised text, so saving a record whose text didn't
+// change (a status edit) or embedding the same prompt twice skips the model.
+// Vectors are raw little-endian float32 bytes: their size varies with the
+// model, so they can't live in an F32_BLOB(n) column. `used_at` drives
+// least-recently-used pruning.
+export async function up(tx) {
+  await tx.execute(`CREATE TABLE IF NOT EXISTS embedding_cache (
+    model     TEXT NOT NULL,
+    text_hash TEXT NOT NULL,
+    embedding BLOB NOT NULL,
+    used_at   TEXT NOT NULL,
+    PRIMARY KEY (model, text_hash)
+  )`);
+  await tx.execute('CREATE INDEX IF NOT EXISTS idx_embedding_cache_used_at ON embedding_cache(used_at)');
+}
@@ -0,0 +1,10 @@
+export const version = 18;
+export const name = 'revision-project';
+
+// Revisions remember the project the record was in, so moving records to
+// another project is part of their history. `project` keeps the name it had,
+// for projects since merged away. Both NULL in earlier revisions.
+export async function up(tx) {
+  await tx.execute('ALTER TABLE record_revision ADD COLUMN project_id INTEGER');
+  await tx.execute('ALTER TABLE record_revision ADD COLUMN project TEXT');
+}
@@ -0,0 +1,44 @@
+import * as m001 from './001-initial.js';
+import * as m002 from './002-record-fts.js';
+import * as m003 from './003-tags.js';
+import * as m004 from './004-record-links.js';
+import * as m005 from './005-record-revisions.js';
+import * as m006 from './006-record-trash.js';
+import * as m007 from './007-record-merges.js';
+import * as m008 from './008-project-hierarchy.js';
+import * as m009 from './009-project-aliases.js';
+import * as m010 from './010-record-kinds.js';
+import * as m011 from './011-status-workflows.js';
+import * as m012 from './012-record-priority.js';
+import * as m013 from './013-record-refs.js';
+import * as m014 from './014-record-git-context.js';
+import * as m015 from './015-record-chunks.js';
+import * as m016 from './016-embedding-model.js';
+import * as m017 from './017-embedding-cache.js';
+import * as m018 from './018-revision-project.js';
+
+/**
+ * Ordered list of libsql schema migrations.
+ * Each module exports `version` (integer), `name` and `async up(tx)`.
+ * Append new migrations here — never renumber or edit an applied one.
+ */
+export const MIGRATIONS = [
+  m001,
+  m002,
+  m003,
+  m004,
+  m005,
+  m006,
+  m007,
+  m008,
+  m009,
+  m010,
+  m011,
+  m012,
+  m013,
+  m014,
+  m015,
+  m016,
+  m017,
+  m018,
+];
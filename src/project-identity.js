@@ -0,0 +1,208 @@
+import { execFileSync } from 'node:child_process';
+import { existsSync, readFileSync } from 'node:fs';
+import { basename, dirname, join, relative, resolve, sep } from 'node:path';
+import { homedir } from 'node:os';
+
+/** Hosts whose remote path always names the project; `identity.hosts` adds more. */
+export const DEFAULT_HOSTS = ['github.com', 'gitlab.com', 'bitbucket.org'];
+
+/** Checked-in file that pins a directory tree to a project name. */
+export const OVERRIDE_FILE = '.dude.json';
+
+/**
+ * Work out which project a working directory belongs to.
+ *
+ * Resolvers run in order and the first that yields a name wins:
+ * 1. `override`  — `.dude.json` between the cwd and the git root: `{ "project": "name", "parent"?: "name" }`
+ * 2. `remote`    — the path of the git remote URL, when its host (after SSH alias
+ *                  resolution) matches DEFAULT_HOSTS or `identity.hosts`
+ * 3. `directory` — the repository directory name (the main worktree's, for linked worktrees)
+ * 4. `cwd`       — the working directory path, outside git
+ *
+ * With `identity.monorepo.enabled`, a non-override name is scoped to the
+ * nearest package directory below the git root (`org/repo/packages/api`),
+ * and the repository name is returned as `parent`.
+ *
+ * @param {{ cwd?: string, identity?: object, sshConfigPath?: string }} [opts]
+ *   `identity` is the `identity` config section
+ * @returns {{ name: string, source: string, parent: string|null, cwd: string, root: string|null,
+ *   mainRoot: string|null, remote: string|null, host: string|null, sshAlias: string|null,
+ *   package: string|null, overrideFile: string|null }}
+ */
+export function resolveProject({ cwd = process.cwd(), identity = {}, sshConfigPath } = {}) {
+  const {
+    remote: remoteName = 'origin',
+    hosts = [],
+    hostAliases = {},
+    monorepo = {},
+  } = identity;
+
+  const result = {
+    name: null, source: null, parent: null, cwd,
+    root: null, mainRoot: null, remote: null, host: null, sshAlias: null, package: null, overrideFile: null,
+  };
+
+  result.root = git(['rev-parse', '--show-toplevel'], cwd);
+  if (result.root) {
+    const commonDir = git(['rev-parse', '--path-format=absolute', '--git-common-dir'], cwd);
+    result.mainRoot = commonDir && basename(commonDir) === '.git' ? dirname(commonDir) : result.root;
+  }
+  // Only look between the cwd and the git root (or at the cwd alone outside git)
+  const top = result.root ?? cwd;
+  const start = isInside(cwd, top) ? cwd : top;
+
+  const override = findUp(OVERRIDE_FILE, start, top);
+  if (override) {
+    const pinned = readOverride(override);
+    result.overrideFile = override;
+    result.name = pinned.project;
+    result.parent = pinned.parent ?? null;
+    result.source = 'override';
+    return result;
+  }
+
+  if (result.root) {
+    result.remote = git(['remote', 'get-url', remoteName], cwd);
+    const parsed = result.remote && parseRemoteUrl(result.remote);
+    if (parsed) {
+      const host = hostAliases[parsed.host] ?? sshHostName(parsed.host, sshConfigPath) ?? parsed.host;
+      if (host !== parsed.host) result.sshAlias = parsed.host;
+      result.host = host;
+      if ([...DEFAULT_HOSTS, ...hosts].some(pattern => matchesGlob(host, pattern))) {
+        result.name = parsed.path;
+        result.source = 'remote';
+      }
+    }
+    if (!result.name) {
+      // The main worktree's directory, so linked worktrees share one project
+      result.name = basename(result.mainRoot);
+      result.source = 'directory';
+    }
+
+    if (monorepo.enabled) {
+      const markers = monorepo.markers ?? ['package.json'];
+      const pkgDir = findPackageDir(start, result.root, markers);
+      if (pkgDir) {
+        result.package = relative(result.root, pkgDir).split(sep).join('/');
+        result.parent = result.name;
+        result.name = `${result.name}/${result.package}`;
+      }
+    }
+    return result;
+  }
+
+  result.name = cwd;
+  result.source = 'cwd';
+  return result;
+}
+
+/**
+ * Split a git remote URL into host and repository path, keeping dots in the
+ * repo name (`socket.io`) and every group level (`group/sub/repo`).
+ * Handles `https://`, `ssh://`, `git://` and scp-style `user@host:path`.
+ * @returns {{ host: string, path: string }|null}
+ */
+export function parseRemoteUrl(url) {
+  let host, path;
+  const scp = url.match(/^(?:[^@/]+@)?([^:/]+):(?!\/\/)(.+)$/);
+  if (scp) {
+    [, host, path] = scp;
+  } else {
+    try {
+      const parsed = new URL(url);
+      host = parsed.hostname;
+      path = decodeURIComponent(parsed.pathname);
+    } catch {
+      return null;
+    }
+  }
+  path = path.replace(/^\/+|\/+$/g, '').replace(/\.git$/, '');
+  if (!host || !path) return null;
+  return { host: host.toLowerCase(), path };
+}
+
+/** Case-insensitive match of a host against a pattern where `*` is a wildcard. */
+export function matchesGlob(value, pattern) {
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`, 'i').test(value);
+}
+
+/**
+ * The `HostName` that ~/.ssh/config gives an SSH alias, or null.
+ * Follows ssh's rule that the first matching `Host` block setting it wins.
+ */
+export function sshHostName(alias, path = join(homedir(), '.ssh', 'config')) {
+  if (!existsSync(path)) return null;
+  let patterns = [];
+  for (const raw of readFileSync(path, 'utf8').split('\n')) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) continue;
+    const [, key, value] = line.match(/^([^\s=]+)\s*=?\s*(.*)$/) ?? [];
+    if (!key) continue;
+    if (/^host$/i.test(key)) {
+      patterns = value.split(/\s+/);
+    } else if (/^match$/i.test(key)) {
+      patterns = [];
+    } else if (/^hostname$/i.test(key) && hostMatches(alias, patterns)) {
+      return value.replace(/%h/g, alias).toLowerCase();
+    }
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function git(args, cwd) {
+  try {
+    return execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] }).trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+/** ssh `Host` patterns: `*` and `?` wildcards, `!pattern` negates. */
+function hostMatches(host, patterns) {
+  const toRegex = p => new RegExp(`^${p.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+  if (patterns.some(p => p.startsWith('!') && toRegex(p.slice(1)).test(host))) return false;
+  return patterns.some(p => !p.startsWith('!') && toRegex(p).test(host));
+}
+
+function isInside(dir, root) {
+  const rel = relative(root, dir);
+  return rel === '' || (!rel.startsWith('..') && !rel.startsWith(sep) && !/^[a-z]:/i.test(rel));
+}
+
+/** Nearest `file` in `from` or its ancestors, stopping at `stop`. */
+function findUp(file, from, stop) {
+  for (let dir = resolve(from); ; dir = dirname(dir)) {
+    const candidate = join(dir, file);
+    if (existsSync(candidate)) return candidate;
+    if (dir === resolve(stop) || dir === dirname(dir)) return null;
+  }
+}
+
+/** Nearest directory below `root` (exclusive) holding one of `markers`. */
+function findPackageDir(from, root, markers) {
+  for (let dir = resolve(from); dir !== resolve(root) && dir !== dirname(dir); dir = dirname(dir)) {
+    if (markers.some(marker => existsSync(join(dir, marker)))) return dir;
+  }
+  return null;
+}
+
+function readOverride(path) {
+  let data;
+  try {
+    data = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not parse ${path}: ${err.message}`);
+  }
+  if (typeof data?.project !== 'string' || !data.project.trim()) {
+    throw new Error(`${path} must set "project" to a project name`);
+  }
+  if (data.parent != null && typeof data.parent !== 'string') {
+    throw new Error(`${path}: "parent" must be a project name`);
+  }
+  return { project: data.project.trim(), parent: data.parent?.trim() || null };
+}
@@ -0,0 +1,139 @@
+import { MIGRATIONS } from './migrations/libsql/index.js';
+
+/** Highest schema version this build knows how to produce. */
+export const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+async function ensureVersionTable(db) {
+  await db.execute(`CREATE TABLE IF NOT EXISTS schema_version (
+    version    INTEGER PRIMARY KEY,
+    name       TEXT NOT NULL DEFAULT '',
+    applied_at TEXT NOT NULL DEFAULT (datetime('now'))
+  )`);
+}
+
+/**
+ * Begin a write transaction.
+ * Local (file:) clients hold a single lazily-opened connection, and
+ * client.transaction() detaches it — which silently discards :memory:
+ * databases — so the transaction is driven on that connection directly.
+ * Foreign keys are switched off for the duration (as client.migrate() does)
+ * so table-rebuild migrations don't cascade into child tables.
+ *
+ * Remote clients run each request on a fresh stream, and a transaction
+ * can't switch foreign keys off once it has begun, so their statements are
+ * collected and sent together through client.migrate() on commit. Migrations
+ * therefore must not depend on the results of their own statements.
+ */
+async function beginTransaction(db) {
+  if (db.protocol !== 'file') {
+    const stmts = [];
+    return {
+      execute: async (stmt) => {
+        stmts.push(stmt);
+        return { rows: [], columns: [], rowsAffected: 0 };
+      },
+      commit: async () => {
+        await db.migrate(stmts);
+      },
+      rollback: async () => {},
+    };
+  }
+
+  const fk = await db.execute('PRAGMA foreign_keys');
+  const restoreFk = Number(fk.rows[0]?.foreign_keys) === 1;
+  await db.execute('PRAGMA foreign_keys = OFF');
+  await db.execute('BEGIN IMMEDIATE');
+
+  const finish = async (sql) => {
+    try {
+      await db.execute(sql);
+    } finally {
+      if (restoreFk) await db.execute('PRAGMA foreign_keys = ON');
+    }
+  };
+
+  return {
+    execute: (stmt) => db.execute(stmt),
+    commit: async () => {
+      const violations = await db.execute('PRAGMA foreign_key_check');
+      if (restoreFk && violations.rows.length > 0) {
+        throw new Error(`foreign key check failed on table "${violations.rows[0].table}"`);
+      }
+      await finish('COMMIT');
+    },
+    rollback: () => finish('ROLLBACK'),
+  };
+}
+
+/**
+ * Read the current schema version (0 for a database that has never been migrated).
+ * @param {import('@libsql/client').Client} db
+ * @returns {Promise<number>}
+ */
+export async function getSchemaVersion(db) {
+  await ensureVersionTable(db);
+  const result = await db.execute('SELECT MAX(version) AS version FROM schema_version');
+  return Number(result.rows[0]?.version ?? 0);
+}
+
+/**
+ * Describe applied and pending migrations.
+ * @param {import('@libsql/client').Client} db
+ * @returns {Promise<{ current: number, latest: number, applied: Array<Object>, pending: Array<{ version: number, name: string }> }>}
+ */
+export async function getSchemaStatus(db) {
+  const current = await getSchemaVersion(db);
+  const applied = await db.execute(
+    'SELECT version, name, applied_at FROM schema_version ORDER BY version',
+  );
+  const pending = MIGRATIONS
+    .filter(m => m.version > current)
+    .map(m => ({ version: m.version, name: m.name }));
+  return { current, latest: LATEST_VERSION, applied: applied.rows, pending };
+}
+
+/**
+ * Apply pending migrations up to `to` (default: latest), in version order.
+ * Each migration runs in its own transaction together with its schema_version
+ * row, so a failure leaves the database at the last successfully applied version.
+ *
+ * @param {import('@libsql/client').Client} db
+ * @param {{ to?: number }} [opts]
+ * @returns {Promise<{ from: number, to: number, applied: number[] }>}
+ */
+export async function migrateSchema(db, { to } = {}) {
+  const from = await getSchemaVersion(db);
+  const target = to ?? LATEST_VERSION;
+
+  if (from > LATEST_VERSION) {
+    throw new Error(
+      `Database schema version ${from} is newer than this build supports (${LATEST_VERSION}). ` +
+      'Upgrade dude-claude-plugin.',
+    );
+  }
+  if (!Number.isInteger(target) || target < 0 || target > LATEST_VERSION) {
+    throw new Error(`Unknown schema version ${to} (latest is ${LATEST_VERSION})`);
+  }
+  if (target < from) {
+    throw new Error(`Cannot migrate from version ${from} down to ${target}: downgrades are not supported`);
+  }
+
+  const pending = MIGRATIONS.filter(m => m.version > from && m.version <= target);
+
+  for (const migration of pending) {
+    const tx = await beginTransaction(db);
+    try {
+      await migration.up(tx);
+      await tx.execute({
+        sql: 'INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)',
+        args: [migration.version, migration.name, new Date().toISOString()],
+      });
+      await tx.commit();
+    } catch (err) {
+      await tx.rollback();
+      throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${err.message}`);
+    }
+  }
+
+  return { from, to: target, applied: pending.map(m => m.version) };
+}
@@ -3,10 +3,68 @@ import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js'
 import { z } from 'zod';
 import { embed } from './embed.js';
 import { initDb } from './db.js';
+import { captureGitContext, resolveCommits } from './git-context.js';
+import { DEDUP_POLICIES, DEFAULT_WORKFLOW, LINK_TYPES, LIST_SORTS, PRIORITIES, SEVERITIES } from './db-libsql.js';
+
+/** A project given by id or by name. */
+const projectRef = z.union([z.number().int(), z.string()]);
+
+/** A code reference, as a `path[:start[-end]][#symbol][@sha]` / `#symbol` / commit SHA string or as an object. */
+const codeRef = z.union([
+  z.string(),
+  z.object({
+    path: z.string().optional().describe('File or directory, relative to the repository root'),
+    line_start: z.number().int().positive().optional(),
+    line_end: z.number().int().positive().optional(),
+    symbol: z.string().optional().describe('Function, class or other symbol name'),
+    commit: z.string().optional().describe('Commit SHA (7 to 40 hex digits)'),
+  }),
+]);
+
+/** One-line outcome of an upsert, spelling out what dedup did. */
+function describeUpsert(record, updated) {
+  const tagText = record.tags?.length ? `, tags=${record.tags.join(',')}` : '';
+  const triageText = [record.priority, record.severity, record.due_date && `due ${record.due_date}`].filter(Boolean).join(', ');
+  const ref = `${record.kind}: "${record.title}" (id=${record.id}, status=${record.status}${triageText ? `, ${triageText}` : ''}${tagText})`;
+  if (updated) return `[dude] Updated ${ref}`;
+
+  const { action, match, threshold } = record.dedup ?? {};
+  const similar = match ? `similarity ${match.similarity.toFixed(2)} ≥ ${threshold}` : '';
+  switch (action) {
+    case 'merged': return `[dude] Merged into existing ${ref} — ${similar}`;
+    case 'appended': return `[dude] Appended to existing ${ref} — ${similar}`;
+    case 'skipped': return `[dude] Not saved: duplicate of existing ${ref} — ${similar}`;
+    case 'ask':
+      return `[dude] Not saved: a similar ${ref} already exists — ${similar}. `
+        + `Call upsert_record again with dedup "merge", "append" or "create", or with id=${record.id} to edit it.`;
+    default:
+      return `[dude] Saved ${ref}${match ? ` — similar to id=${match.id} (${similar}), created anyway` : ''}`;
+  }
+}
+
+/**
+ * SHAs a `commit_range` filter stands for, resolved in the checkout of
+ * `project` (or the current project for none or `'*'`).
+ */
+async function commitsFor(db, range, project) {
+  if (!range) return undefined;
+  const ref = project && project !== '*' ? project : (await db.getCurrentProject()).id;
+  return resolveCommits(range, await db.projectDirectory(ref));
+}
 
 export async function startServer() {
   const db = await initDb();
 
+  // Kinds come from the record_kind table; kinds defined later are accepted
+  // right away but only show up in these descriptions after a restart
+  const kinds = await db.listKinds();
+  const kindNames = kinds.map(k => k.name).join(', ');
+  const kindHelp = kinds.map((k) => {
+    const statuses = k.workflow && k.workflow !== DEFAULT_WORKFLOW && `statuses ${k.workflow.statuses.join('/')}`;
+    const notes = [k.description, statuses].filter(Boolean);
+    return notes.length ? `${k.name} (${notes.join('; ')})` : k.name;
+  }).join(', ');
+
   const server = new McpServer({
     name: 'dude',
     version: '1.0.0',
@@ -15,17 +73,35 @@ export async function startServer() {
   // ---- search ----
   server.tool(
     'search',
-    'Semantic search across records (issues, specs, arch decisions & updates). Returns cross-project results ranked by similarity.',
+    'Search across records (issues, specs, arch decisions & updates). Hybrid by default: combines semantic similarity with exact keyword matching (good for error codes, identifiers, "BUG:" prefixes). Returns cross-project results. Long bodies are matched chunk by chunk; each result carries the best-matching snippet.',
     {
       query: z.string().describe('Natural language search query'),
-      kind: z.enum(['issue', 'spec', 'arch', 'update', 'all']).optional().describe('Filter by record kind'),
-      project: z.string().optional().describe('Project name to boost; "*" for equal weight'),
+      kind: z.string().optional().describe(`Filter by record kind: ${kindNames}, or all`),
+      status: z.string().optional().describe('Filter by status: one from a kind workflow (see list_kinds), archived, or all (default: everything except archived)'),
+      tags: z.array(z.string()).optional().describe('Only records carrying all of these tags'),
+      since: z.string().optional().describe('Only records updated on or after this ISO date'),
+      until: z.string().optional().describe('Only records updated on or before this ISO date'),
+      project: z.string().optional().describe('Project name to boost (default: current); "*" for equal weight'),
+      projects: z.array(z.string()).optional().describe('Only return results from these projects'),
+      strict: z.boolean().optional().describe('Only return results from `project` instead of boosting it'),
+      branch: z.string().optional().describe('Only records saved while this git branch was checked out'),
+      commit_range: z.string().optional().describe('Only records saved at these commits: a range like "main..feature/x", a branch, tag or SHA'),
+      mode: z.enum(['vector', 'lexical', 'hybrid']).optional().describe('vector = semantic only, lexical = keyword (BM25) only, hybrid = both fused (default)'),
       limit: z.number().int().positive().optional().describe('Max results (default 5)'),
+      ranking: z.object({
+        halfLifeDays: z.number().positive().optional().describe('Recency half-life in days (default 90)'),
+        recencyWeight: z.number().min(0).max(1).optional().describe('Share of the score time decay can remove (default 0.25; 0 disables)'),
+        statusWeights: z.record(z.string(), z.number().min(0)).optional()
+          .describe('Score multiplier per status (defaults open 1, resolved 0.8, archived 0.5; other closed statuses weigh like resolved)'),
+      }).optional().describe('Ranking overrides; each result reports its score breakdown'),
     },
-    async ({ query, kind, project, limit }) => {
+    async ({ query, kind, status, tags, since, until, project, projects, strict, branch, commit_range, mode, limit, ranking }) => {
       try {
-        const embedding = await embed(query);
-        const results = await db.search(embedding, { kind, limit });
+        const commits = await commitsFor(db, commit_range, project);
+        const embedding = mode === 'lexical' ? null : await embed(query);
+        const results = await db.search(embedding, {
+          query, mode, kind, status, tags, since, until, project, projects, strict, branch, commits, limit, ranking,
+        });
         return {
           content: [{ type: 'text', text: JSON.stringify(results, null, 2) }],
         };
@@ -39,25 +115,42 @@ export async function startServer() {
   // ---- upsert_record ----
   server.tool(
     'upsert_record',
-    'Create or update a record. If id is provided, updates that record. Otherwise inserts with dedup.',
+    'Create or update a record. If id is provided, updates that record. Otherwise checks for a near-duplicate in the same project and kind and applies the dedup policy; the result reports the matched record and similarity. Use tags (e.g. "bug", "task", "blocker") instead of title prefixes.',
     {
       id: z.number().int().optional().describe('Record ID to update (omit for new)'),
-      kind: z.enum(['issue', 'spec', 'arch', 'update']).describe('Record kind: issue (bug), spec (plan), arch (architecture decision), update (feature change)'),
+      kind: z.string().describe(`Record kind: ${kindHelp}. list_kinds shows all, define_kind adds more`),
       title: z.string().describe('Short summary'),
       body: z.string().optional().describe('Full description'),
-      status: z.enum(['open', 'resolved', 'archived']).optional().describe('Defaults to open'),
+      status: z.string().optional().describe("A status from the kind's workflow (see list_kinds), reachable from the current one, or archived. Defaults to the kind's default status (usually open) for new records; kept when updating"),
+      tags: z.array(z.string()).optional().describe('Labels such as "bug" or "blocker". Replaces the tags when updating by id; omit to keep them'),
+      refs: z.array(codeRef).optional().describe('Code this record is about: "src/db.js:10-40#search", "#parseArgs", a commit SHA, "src/db.js@3f2a9c1", or { path, line_start, line_end, symbol, commit }. Replaces the refs when updating by id; omit to keep them'),
+      priority: z.enum(PRIORITIES).nullable().optional().describe('P0 (drop everything) to P3 (someday); null clears it, omit to keep it'),
+      severity: z.enum(SEVERITIES).nullable().optional().describe('Impact: critical, major, minor or trivial; null clears it, omit to keep it'),
+      due_date: z.string().nullable().optional().describe('Due date (YYYY-MM-DD); null clears it, omit to keep it'),
+      dedup: z.enum(DEDUP_POLICIES).optional().describe('On a near-duplicate: merge (overwrite it, default), append (add this text to it), skip (keep it), create (new record anyway), ask (save nothing, report the match)'),
+      project: projectRef.optional().describe('Project to file a new record under (id or name; default: the active project). Ignored when updating by id — use move_records'),
     },
-    async ({ id, kind, title, body, status }) => {
+    async ({ id, kind, title, body, status, tags, refs, priority, severity, due_date, dedup, project: projectName }) => {
       try {
+        const project = projectName === undefined ? await db.getCurrentProject() : await db.getProject(projectName);
+        if (!project) {
+          return { content: [{ type: 'text', text: `Project ${projectName} not found.` }], isError: true };
+        }
         const text = `${title} ${body || ''}`.trim();
         const embedding = await embed(text);
-        const project = await db.getCurrentProject();
+        const target = id ? (await db.get(id))?.project_id : project.id;
+        const git = target ? captureGitContext(await db.projectDirectory(target)) : null;
         const record = await db.upsert(
-          { id, projectId: project.id, kind, title, body: body || '', status: status || 'open' },
+          {
+            id, projectId: project.id, kind, title, body: body || '', status, tags, refs,
+            priority, severity, dueDate: due_date, git, source: 'mcp', dedup,
+          },
           embedding,
         );
-        const action = id ? 'Updated' : 'Saved';
-        const summary = `[dude] ${action} ${record.kind}: "${record.title}" (id=${record.id}, status=${record.status})`;
+        if (!record) {
+          return { content: [{ type: 'text', text: `Record ${id} not found.` }], isError: true };
+        }
+        const summary = describeUpsert(record, Boolean(id));
         return {
           content: [{ type: 'text', text: `${summary}\n\n${JSON.stringify(record, null, 2)}` }],
         };
@@ -71,7 +164,7 @@ export async function startServer() {
   // ---- get_record ----
   server.tool(
     'get_record',
-    'Get a record by ID.',
+    'Get a record by ID, including its tags, code refs, its inbound/outbound links to other records and its status_history (every status change, when and by whom).',
     {
       id: z.number().int().describe('Record ID'),
     },
@@ -91,18 +184,180 @@ export async function startServer() {
     },
   );
 
+  // ---- get_record_history ----
+  server.tool(
+    'get_record_history',
+    'Show the revision history of a record, newest first. Each revision holds the values the record had before a change (who made it, when, and a diff of what changed). Use restore_revision to undo a bad overwrite.',
+    {
+      id: z.number().int().describe('Record ID'),
+    },
+    async ({ id }) => {
+      try {
+        const history = await db.getHistory(id);
+        if (!history) {
+          return { content: [{ type: 'text', text: `Record ${id} not found.` }], isError: true };
+        }
+        return {
+          content: [{ type: 'text', text: JSON.stringify(history, null, 2) }],
+        };
+      } catch (err) {
+        console.error('[dude] get_record_history failed:', err);
+        return { content: [{ type: 'text', text: `Error in get_record_history: ${err.message}` }], isError: true };
+      }
+    },
+  );
+
+  // ---- restore_revision ----
+  server.tool(
+    'restore_revision',
+    'Restore a record to the values stored in one of its revisions (from get_record_history). The values being replaced are kept as a new revision.',
+    {
+      revision_id: z.number().int().describe('Revision ID from get_record_history'),
+    },
+    async ({ revision_id }) => {
+      try {
+        const revision = await db.getRevision(revision_id);
+        if (!revision) {
+          return { content: [{ type: 'text', text: `Revision ${revision_id} not found.` }], isError: true };
+        }
+        const embedding = await embed(`${revision.title} ${revision.body || ''}`.trim());
+        const record = await db.restoreRevision(revision_id, embedding, { source: 'mcp' });
+        if (!record) {
+          return { content: [{ type: 'text', text: `Record ${revision.record_id} not found or in trash.` }], isError: true };
+        }
+        const summary = `[dude] Restored ${record.kind}: "${record.title}" (id=${record.id}) to revision ${revision_id}`;
+        return {
+          content: [{ type: 'text', text: `${summary}\n\n${JSON.stringify(record, null, 2)}` }],
+        };
+      } catch (err) {
+        console.error('[dude] restore_revision failed:', err);
+        return { content: [{ type: 'text', text: `Error in restore_revision: ${err.message}` }], isError: true };
+      }
+    },
+  );
+
+  // ---- link_records ----
+  server.tool(
+    'link_records',
+    'Link two records with a typed, directed relation: source <type> target. E.g. an update that fixes an issue: { source_id: <update>, target_id: <issue>, type: "fixes" }.',
+    {
+      source_id: z.number().int().describe('Record the relation starts from'),
+      target_id: z.number().int().describe('Record the relation points to'),
+      type: z.enum(LINK_TYPES).optional().describe('relates_to (default), blocks, fixes, supersedes, duplicate_of, child_of'),
+    },
+    async ({ source_id, target_id, type }) => {
+      try {
+        const link = await db.link(source_id, target_id, type || 'relates_to');
+        return {
+          content: [{ type: 'text', text: `[dude] Linked ${source_id} ${link.type} ${target_id}` }],
+        };
+      } catch (err) {
+        console.error('[dude] link_records failed:', err);
+        return { content: [{ type: 'text', text: `Error in link_records: ${err.message}` }], isError: true };
+      }
+    },
+  );
+
+  // ---- unlink_records ----
+  server.tool(
+    'unlink_records',
+    'Remove links from source to target (all link types unless type is given).',
+    {
+      source_id: z.number().int().describe('Record the relation starts from'),
+      target_id: z.number().int().describe('Record the relation points to'),
+      type: z.enum(LINK_TYPES).optional().describe('Only remove links of this type'),
+    },
+    async ({ source_id, target_id, type }) => {
+      try {
+        const removed = await db.unlink(source_id, target_id, type);
+        return {
+          content: [{ type: 'text', text: removed ? `Removed ${removed} link(s) from ${source_id} to ${target_id}.` : `No link from ${source_id} to ${target_id}.` }],
+        };
+      } catch (err) {
+        console.error('[dude] unlink_records failed:', err);
+        return { content: [{ type: 'text', text: `Error in unlink_records: ${err.message}` }], isError: true };
+      }
+    },
+  );
+
+  // ---- find_duplicates ----
+  server.tool(
+    'find_duplicates',
+    'Find clusters of near-duplicate records in a project, across kinds unless `kind` is given, above a similarity threshold. Each cluster lists its records oldest first; merge them with merge_records.',
+    {
+      threshold: z.number().min(0).max(1).optional().describe('Minimum similarity (default: the configured dedup threshold of each kind, the stricter of the two for a cross-kind pair)'),
+      kind: z.string().optional().describe(`Only look at this kind: ${kindNames}`),
+      project: z.string().optional().describe('Project name (default: current), or "*" for all'),
+    },
+    async ({ threshold, kind, project }) => {
+      try {
+        const clusters = await db.findDuplicates({ threshold, kind, project });
+        if (clusters.length === 0) {
+          return { content: [{ type: 'text', text: 'No duplicates found.' }] };
+        }
+        return {
+          content: [{ type: 'text', text: JSON.stringify(clusters, null, 2) }],
+        };
+      } catch (err) {
+        console.error('[dude] find_duplicates failed:', err);
+        return { content: [{ type: 'text', text: `Error in find_duplicates: ${err.message}` }], isError: true };
+      }
+    },
+  );
+
+  // ---- merge_records ----
+  server.tool(
+    'merge_records',
+    'Merge duplicate records into one. The target keeps its title and status, gains the sources\' bodies and tags, the earliest created_at and their links; the sources are moved to the trash.',
+    {
+      target_id: z.number().int().describe('Record to keep'),
+      source_ids: z.array(z.number().int()).min(1).describe('Records to fold into the target'),
+    },
+    async ({ target_id, source_ids }) => {
+      try {
+        const record = await db.mergeRecords(target_id, source_ids, { source: 'mcp' });
+        if (!record) {
+          return { content: [{ type: 'text', text: `Record ${target_id} not found.` }], isError: true };
+        }
+        return {
+          content: [{ type: 'text', text: `[dude] Merged ${source_ids.join(', ')} into ${record.kind}: "${record.title}" (id=${record.id})` }],
+        };
+      } catch (err) {
+        console.error('[dude] merge_records failed:', err);
+        return { content: [{ type: 'text', text: `Error in merge_records: ${err.message}` }], isError: true };
+      }
+    },
+  );
+
   // ---- list_records ----
   server.tool(
     'list_records',
-    'List records with optional filters.',
+    'List records with optional filters. Sort by priority to triage: P0 first, then severity and due date.',
     {
-      kind: z.enum(['issue', 'spec', 'arch', 'update', 'all']).optional().describe('Filter by kind'),
-      status: z.enum(['open', 'resolved', 'archived', 'all']).optional().describe('Filter by status'),
+      kind: z.string().optional().describe(`Filter by kind: ${kindNames}, or all`),
+      status: z.string().optional().describe('Filter by status (e.g. open, resolved, archived), or all'),
       project: z.string().optional().describe('Project name, or "*" for all'),
+      tags: z.array(z.string()).optional().describe('Only records carrying all of these tags'),
+      priority: z.array(z.enum(PRIORITIES)).optional().describe('Only records with one of these priorities'),
+      severity: z.array(z.enum(SEVERITIES)).optional().describe('Only records with one of these severities'),
+      overdue: z.boolean().optional().describe('Only open records past their due date'),
+      due_before: z.string().optional().describe('Only records due on or before this date (YYYY-MM-DD)'),
+      path: z.string().optional().describe('Only records with a code ref to this file or directory'),
+      symbol: z.string().optional().describe('Only records with a code ref to this symbol'),
+      commit: z.string().optional().describe('Only records with a code ref to this commit (abbreviated SHAs match)'),
+      branch: z.string().optional().describe('Only records saved while this git branch was checked out, e.g. "feature/x"'),
+      commit_range: z.string().optional().describe('Only records saved at these commits: a range like "main..feature/x", a branch, tag or SHA'),
+      sort: z.enum(LIST_SORTS).optional().describe('updated (default, newest first), created, priority, severity or due (soonest first); untriaged records sort last'),
     },
-    async ({ kind, status, project }) => {
+    async ({
+      kind, status, project, tags, priority, severity, overdue, due_before, path, symbol, commit, branch, commit_range, sort,
+    }) => {
       try {
-        const records = await db.list({ kind, status, project });
+        const commits = await commitsFor(db, commit_range, project);
+        const records = await db.list({
+          kind, status, project, tags, priority, severity, overdue, dueBefore: due_before, path, symbol, commit,
+          branch, commits, sort,
+        });
         return {
           content: [{ type: 'text', text: JSON.stringify(records, null, 2) }],
         };
@@ -113,10 +368,35 @@ export async function startServer() {
     },
   );
 
+  // ---- find_by_path ----
+  server.tool(
+    'find_by_path',
+    'What do we know about this file? Lists records whose code refs point at a file or directory (everything below it), most recently updated first, with the refs that matched. Use before editing a file to recall past bugs and decisions about it.',
+    {
+      path: z.string().describe('File or directory, relative to the repository root or absolute'),
+      line: z.number().int().positive().optional().describe('Only refs whose line range covers this line (refs without lines always match)'),
+      project: z.string().optional().describe('Project name (default: current), or "*" for all'),
+    },
+    async ({ path, line, project }) => {
+      try {
+        const records = await db.findByPath(path, { line, project });
+        if (records.length === 0) {
+          return { content: [{ type: 'text', text: `No records reference ${path}.` }] };
+        }
+        return {
+          content: [{ type: 'text', text: JSON.stringify(records, null, 2) }],
+        };
+      } catch (err) {
+        console.error('[dude] find_by_path failed:', err);
+        return { content: [{ type: 'text', text: `Error in find_by_path: ${err.message}` }], isError: true };
+      }
+    },
+  );
+
   // ---- delete_record ----
   server.tool(
     'delete_record',
-    'Delete a record by ID.',
+    'Move a record to the trash. It can be brought back with restore_record until the trash is purged.',
     {
       id: z.number().int().describe('Record ID to delete'),
     },
@@ -124,7 +404,7 @@ export async function startServer() {
       try {
         const deleted = await db.delete(id);
         return {
-          content: [{ type: 'text', text: deleted ? `Record ${id} deleted.` : `Record ${id} not found.` }],
+          content: [{ type: 'text', text: deleted ? `Record ${id} moved to trash.` : `Record ${id} not found.` }],
         };
       } catch (err) {
         console.error('[dude] delete_record failed:', err);
@@ -133,14 +413,159 @@ export async function startServer() {
     },
   );
 
-  // ---- list_projects ----
+  // ---- list_trash ----
   server.tool(
-    'list_projects',
-    'List all known projects.',
+    'list_trash',
+    'List records in the trash (deleted but not yet purged).',
+    {
+      project: z.string().optional().describe('Project name (default: current), or "*" for all'),
+    },
+    async ({ project }) => {
+      try {
+        const records = await db.listTrash({ project });
+        return {
+          content: [{ type: 'text', text: JSON.stringify(records, null, 2) }],
+        };
+      } catch (err) {
+        console.error('[dude] list_trash failed:', err);
+        return { content: [{ type: 'text', text: `Error in list_trash: ${err.message}` }], isError: true };
+      }
+    },
+  );
+
+  // ---- restore_record ----
+  server.tool(
+    'restore_record',
+    'Restore a record from the trash.',
+    {
+      id: z.number().int().describe('Record ID to restore'),
+    },
+    async ({ id }) => {
+      try {
+        const record = await db.restore(id);
+        if (!record) {
+          return { content: [{ type: 'text', text: `Record ${id} is not in the trash.` }], isError: true };
+        }
+        return {
+          content: [{ type: 'text', text: `[dude] Restored ${record.kind}: "${record.title}" (id=${record.id})` }],
+        };
+      } catch (err) {
+        console.error('[dude] restore_record failed:', err);
+        return { content: [{ type: 'text', text: `Error in restore_record: ${err.message}` }], isError: true };
+      }
+    },
+  );
+
+  // ---- purge_trash ----
+  server.tool(
+    'purge_trash',
+    'Permanently delete records from the trash. This cannot be undone. Narrow it with ids, older_than_days or project, or pass all: true to empty the whole trash.',
+    {
+      ids: z.array(z.number().int()).optional().describe('Only purge these trashed records'),
+      older_than_days: z.number().min(0).optional().describe('Only purge records trashed more than this many days ago'),
+      project: z.string().optional().describe('Only purge records of this project ("current" for the current one)'),
+      all: z.boolean().optional().describe('Set to true to purge everything in the trash'),
+    },
+    async ({ ids, older_than_days, project, all }) => {
+      try {
+        if (!ids && older_than_days == null && !project && !all) {
+          return {
+            content: [{ type: 'text', text: 'Nothing purged: pass ids, older_than_days, project, or all: true.' }],
+            isError: true,
+          };
+        }
+        const purged = await db.purgeTrash({ ids, olderThanDays: older_than_days, project });
+        return {
+          content: [{ type: 'text', text: `Purged ${purged} record(s) from the trash.` }],
+        };
+      } catch (err) {
+        console.error('[dude] purge_trash failed:', err);
+        return { content: [{ type: 'text', text: `Error in purge_trash: ${err.message}` }], isError: true };
+      }
+    },
+  );
+
+  // ---- list_kinds ----
+  server.tool(
+    'list_kinds',
+    'List the record kinds with their description, badge color, default status, status workflow, auto-retrieve weight and number of records.',
     {},
     async () => {
       try {
-        const projects = await db.listProjects();
+        const list = await db.listKinds();
+        return {
+          content: [{ type: 'text', text: JSON.stringify(list, null, 2) }],
+        };
+      } catch (err) {
+        console.error('[dude] list_kinds failed:', err);
+        return { content: [{ type: 'text', text: `Error in list_kinds: ${err.message}` }], isError: true };
+      }
+    },
+  );
+
+  // ---- define_kind ----
+  server.tool(
+    'define_kind',
+    'Add a record kind (e.g. runbook, convention, gotcha, decision-log) or change an existing one. Only the given fields change.',
+    {
+      name: z.string().describe('Kind name: lower-case letters, digits, "-" or "_"'),
+      description: z.string().optional().describe('What records of this kind are for'),
+      color: z.string().optional().describe('Badge color in the web UI, as #rrggbb'),
+      default_status: z.string().optional().describe("Status of new records when none is given (default: the workflow's first status)"),
+      workflow: z.object({
+        statuses: z.array(z.string()).min(1).describe('Statuses in order, e.g. ["open", "in_progress", "blocked", "resolved"]; archived is always available'),
+        closed: z.array(z.string()).optional().describe('Statuses that mark a record resolved (default: resolved, if listed)'),
+        transitions: z.record(z.string(), z.array(z.string())).optional()
+          .describe('Allowed moves, e.g. { "open": ["in_progress"], "in_progress": ["blocked", "resolved"] }; omit to allow any'),
+      }).nullable().optional().describe('Status workflow for the kind; null restores the default open/resolved workflow'),
+      retrieve_weight: z.number().min(0).optional().describe('Score multiplier in auto-retrieve: 1 is neutral, 0 leaves the kind out'),
+    },
+    async ({ name, description, color, default_status, retrieve_weight, workflow }) => {
+      try {
+        const kind = await db.defineKind({
+          name, description, color, defaultStatus: default_status, retrieveWeight: retrieve_weight, workflow,
+        });
+        return {
+          content: [{ type: 'text', text: `[dude] Defined kind "${kind.name}"\n\n${JSON.stringify(kind, null, 2)}` }],
+        };
+      } catch (err) {
+        console.error('[dude] define_kind failed:', err);
+        return { content: [{ type: 'text', text: `Error in define_kind: ${err.message}` }], isError: true };
+      }
+    },
+  );
+
+  // ---- delete_kind ----
+  server.tool(
+    'delete_kind',
+    'Delete a custom record kind. Built-in kinds and kinds that records still use cannot be deleted.',
+    {
+      name: z.string().describe('Kind name'),
+    },
+    async ({ name }) => {
+      try {
+        const deleted = await db.deleteKind(name);
+        return {
+          content: [{ type: 'text', text: deleted ? `Kind "${name}" deleted.` : `Kind "${name}" not found.` }],
+        };
+      } catch (err) {
+        console.error('[dude] delete_kind failed:', err);
+        return { content: [{ type: 'text', text: `Error in delete_kind: ${err.message}` }], isError: true };
+      }
+    },
+  );
+
+  // ---- list_projects ----
+  server.tool(
+    'list_projects',
+    'List known projects with their parent. Archived (inactive) projects are hidden unless include_inactive is set.',
+    {
+      parent: projectRef.optional().describe('Only list direct children of this project (id or name)'),
+      include_inactive: z.boolean().optional().describe('Also list archived projects'),
+    },
+    async ({ parent, include_inactive } = {}) => {
+      try {
+        const projects = await db.listProjects({ parent, includeInactive: include_inactive });
         return {
           content: [{ type: 'text', text: JSON.stringify(projects, null, 2) }],
         };
@@ -151,6 +576,192 @@ export async function startServer() {
     },
   );
 
+  // ---- set_project ----
+  server.tool(
+    'set_project',
+    'Switch the active project for this session, e.g. to file records about a sibling repo or a shared library. New records, and list/search defaults, then use it. Call without project to switch back to the project detected from the working directory.',
+    {
+      project: projectRef.optional().describe('Project id or name (omit to go back to the detected project)'),
+      create: z.boolean().optional().describe('Create the project if it does not exist yet'),
+    },
+    async ({ project, create }) => {
+      try {
+        const current = await db.setCurrentProject(project, { create });
+        if (!current) {
+          return { content: [{ type: 'text', text: `Project ${project} not found. Pass create: true to create it.` }], isError: true };
+        }
+        return {
+          content: [{ type: 'text', text: `[dude] Active project is now "${current.name}" (id=${current.id})` }],
+        };
+      } catch (err) {
+        console.error('[dude] set_project failed:', err);
+        return { content: [{ type: 'text', text: `Error in set_project: ${err.message}` }], isError: true };
+      }
+    },
+  );
+
+  // ---- get_project ----
+  server.tool(
+    'get_project',
+    'Get a project with its parent, child projects and record counts by kind and status.',
+    {
+      project: projectRef.optional().describe('Project id or name (default: current)'),
+    },
+    async ({ project }) => {
+      try {
+        const found = await db.getProject(project);
+        if (!found) {
+          return { content: [{ type: 'text', text: `Project ${project} not found.` }], isError: true };
+        }
+        return {
+          content: [{ type: 'text', text: JSON.stringify(found, null, 2) }],
+        };
+      } catch (err) {
+        console.error('[dude] get_project failed:', err);
+        return { content: [{ type: 'text', text: `Error in get_project: ${err.message}` }], isError: true };
+      }
+    },
+  );
+
+  // ---- get_project_context ----
+  server.tool(
+    'get_project_context',
+    'Load a project together with all its open issues and specs (full bodies). Use when starting work on a codebase.',
+    {
+      project: projectRef.optional().describe('Project id or name (default: current)'),
+      include_subprojects: z.boolean().optional().describe('Also include the context of child projects, recursively (default false)'),
+    },
+    async ({ project, include_subprojects }) => {
+      try {
+        const context = await db.getProjectContext(project, { includeSubprojects: include_subprojects });
+        if (!context) {
+          return { content: [{ type: 'text', text: `Project ${project} not found.` }], isError: true };
+        }
+        return {
+          content: [{ type: 'text', text: JSON.stringify(context, null, 2) }],
+        };
+      } catch (err) {
+        console.error('[dude] get_project_context failed:', err);
+        return { content: [{ type: 'text', text: `Error in get_project_context: ${err.message}` }], isError: true };
+      }
+    },
+  );
+
+  // ---- create_project ----
+  server.tool(
+    'create_project',
+    'Create a project, optionally nested under a parent project.',
+    {
+      name: z.string().describe('Project name, e.g. "myorg/frontend"'),
+      directory: z.string().optional().describe('Project directory on disk'),
+      parent: projectRef.optional().describe('Parent project id or name'),
+    },
+    async ({ name, directory, parent }) => {
+      try {
+        const project = await db.createProject({ name, directory, parent });
+        return {
+          content: [{ type: 'text', text: `[dude] Created project "${project.name}" (id=${project.id})` }],
+        };
+      } catch (err) {
+        console.error('[dude] create_project failed:', err);
+        return { content: [{ type: 'text', text: `Error in create_project: ${err.message}` }], isError: true };
+      }
+    },
+  );
+
+  // ---- update_project ----
+  server.tool(
+    'update_project',
+    'Update a project. Omitted fields are kept. Set parent to null to make it top-level; set active to false to archive it (its records are kept) and true to reactivate it.',
+    {
+      project: projectRef.describe('Project id or name'),
+      name: z.string().optional().describe('New name'),
+      directory: z.string().nullable().optional().describe('New directory (null to clear)'),
+      parent: projectRef.nullable().optional().describe('New parent project id or name (null for top-level)'),
+      active: z.boolean().optional().describe('false to archive, true to reactivate'),
+    },
+    async ({ project, name, directory, parent, active }) => {
+      try {
+        const updated = await db.updateProject(project, { name, directory, parent, active });
+        if (!updated) {
+          return { content: [{ type: 'text', text: `Project ${project} not found.` }], isError: true };
+        }
+        return {
+          content: [{ type: 'text', text: `[dude] Updated project "${updated.name}" (id=${updated.id})` }],
+        };
+      } catch (err) {
+        console.error('[dude] update_project failed:', err);
+        return { content: [{ type: 'text', text: `Error in update_project: ${err.message}` }], isError: true };
+      }
+    },
+  );
+
+  // ---- rename_project ----
+  server.tool(
+    'rename_project',
+    'Rename a project (e.g. after a repo rename or transfer). Records keep their ids and history; the old name stays as an alias that still resolves to the project.',
+    {
+      project: projectRef.describe('Project id or current name'),
+      name: z.string().describe('New name, e.g. "neworg/repo"'),
+    },
+    async ({ project, name }) => {
+      try {
+        const renamed = await db.renameProject(project, name);
+        if (!renamed) {
+          return { content: [{ type: 'text', text: `Project ${project} not found.` }], isError: true };
+        }
+        return {
+          content: [{ type: 'text', text: `[dude] Renamed project to "${renamed.name}" (id=${renamed.id})` }],
+        };
+      } catch (err) {
+        console.error('[dude] rename_project failed:', err);
+        return { content: [{ type: 'text', text: `Error in rename_project: ${err.message}` }], isError: true };
+      }
+    },
+  );
+
+  // ---- merge_projects ----
+  server.tool(
+    'merge_projects',
+    'Merge one project into another when memory got split (renamed, transferred or forked repos). All records, subprojects and aliases of the source move to the target; the source is deleted and its name becomes an alias of the target.',
+    {
+      source: projectRef.describe('Project to merge away (id or name)'),
+      target: projectRef.describe('Project to keep (id or name)'),
+    },
+    async ({ source, target }) => {
+      try {
+        const { project, moved } = await db.mergeProjects(source, target, { source: 'mcp' });
+        return {
+          content: [{ type: 'text', text: `[dude] Merged ${source} into "${project.name}" (id=${project.id}), moving ${moved} record(s)` }],
+        };
+      } catch (err) {
+        console.error('[dude] merge_projects failed:', err);
+        return { content: [{ type: 'text', text: `Error in merge_projects: ${err.message}` }], isError: true };
+      }
+    },
+  );
+
+  // ---- move_records ----
+  server.tool(
+    'move_records',
+    'Move records to another project, keeping their ids, tags, links and history.',
+    {
+      ids: z.array(z.number().int()).min(1).describe('Records to move'),
+      project: projectRef.describe('Destination project (id or name)'),
+    },
+    async ({ ids, project }) => {
+      try {
+        const moved = await db.moveRecords(ids, project, { source: 'mcp' });
+        return {
+          content: [{ type: 'text', text: `Moved ${moved} record(s) to ${project}.` }],
+        };
+      } catch (err) {
+        console.error('[dude] move_records failed:', err);
+        return { content: [{ type: 'text', text: `Error in move_records: ${err.message}` }], isError: true };
+      }
+    },
+  );
+
   // Start transport
   const transport = new StdioServerTransport();
   await server.connect(transport);
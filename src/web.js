@@ -5,6 +5,9 @@ import { join } from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { embed } from './embed.js';
 import { initDb } from './db.js';
+import { loadConfig } from './config.js';
+import { LINK_TYPES } from './db-libsql.js';
+import { captureGitContext, resolveCommits } from './git-context.js';
 
 const __dirname = fileURLToPath(new URL('.', import.meta.url));
 const INDEX_HTML = readFileSync(join(__dirname, '..', 'web', 'index.html'), 'utf8');
@@ -14,6 +17,13 @@ function json(res, data, status = 200) {
   res.end(JSON.stringify(data));
 }
 
+/** SHAs a `commit_range` filter stands for, resolved in the checkout of `project` (default: current). */
+async function commitsFor(db, range, project) {
+  if (!range) return undefined;
+  const ref = project && project !== '*' ? project : (await db.getCurrentProject()).id;
+  return resolveCommits(range, await db.projectDirectory(ref));
+}
+
 function notFound(res) {
   json(res, { error: 'Not found' }, 404);
 }
@@ -37,7 +47,8 @@ async function parseJsonBody(req, res) {
   }
 }
 
-async function handleRequest(db, req, res) {
+/** Route one API or UI request against `db`. Exported for tests. */
+export async function handleRequest(db, req, res) {
   const { method } = req;
   const url = new URL(req.url, `http://${req.headers.host}`);
   const path = url.pathname;
@@ -66,18 +77,286 @@ async function handleRequest(db, req, res) {
     return json(res, await db.listProjects());
   }
 
+  // GET /api/projects/current — the project new records go to by default
+  if (method === 'GET' && path === '/api/projects/current') {
+    return json(res, await db.getCurrentProject());
+  }
+
+  // Project routes: /api/projects/:id/(rename|merge)
+  const projectMatch = path.match(/^\/api\/projects\/(\d+)\/(rename|merge)$/);
+  if (projectMatch && method === 'POST') {
+    const id = Number(projectMatch[1]);
+    const body = await parseJsonBody(req, res);
+    if (!body) return;
+    if (!(await db.getProject(id))) return notFound(res);
+
+    try {
+      // POST /api/projects/:id/rename — { name }
+      if (projectMatch[2] === 'rename') {
+        if (!body.name) return json(res, { error: 'name is required' }, 400);
+        return json(res, await db.renameProject(id, body.name));
+      }
+      // POST /api/projects/:id/merge — { into } (target id or name)
+      if (body.into == null) return json(res, { error: 'into is required' }, 400);
+      return json(res, await db.mergeProjects(id, body.into, { source: 'web' }));
+    } catch (err) {
+      return json(res, { error: err.message }, 400);
+    }
+  }
+
+  // POST /api/records/move — { ids, project }
+  if (method === 'POST' && path === '/api/records/move') {
+    const body = await parseJsonBody(req, res);
+    if (!body) return;
+    if (!Array.isArray(body.ids) || body.project == null) {
+      return json(res, { error: 'ids and project are required' }, 400);
+    }
+    try {
+      return json(res, { ok: true, moved: await db.moveRecords(body.ids.map(Number), body.project, { source: 'web' }) });
+    } catch (err) {
+      return json(res, { error: err.message }, 400);
+    }
+  }
+
   // POST /api/search
   if (method === 'POST' && path === '/api/search') {
     const body = await parseJsonBody(req, res);
     if (!body) return;
-    const embedding = await embed(body.query || '');
-    const results = await db.search(embedding, {
-      kind: body.kind,
-      limit: body.limit,
-    });
+    let commits;
+    try {
+      commits = await commitsFor(db, body.commit_range, body.project);
+    } catch (err) {
+      return json(res, { error: err.message }, 400);
+    }
+    const embedding = body.mode === 'lexical' ? null : await embed(body.query || '');
+    let results;
+    try {
+      results = await db.search(embedding, {
+        query: body.query,
+        mode: body.mode,
+        kind: body.kind,
+        status: body.status,
+        tags: body.tags,
+        since: body.since,
+        until: body.until,
+        project: body.project,
+        projects: body.projects,
+        strict: body.strict,
+        branch: body.branch,
+        commits,
+        limit: body.limit,
+        ranking: body.ranking,
+      });
+    } catch (err) {
+      return json(res, { error: err.message }, 400);
+    }
     return json(res, results);
   }
 
+  // GET /api/kinds
+  if (method === 'GET' && path === '/api/kinds') {
+    return json(res, await db.listKinds());
+  }
+
+  // Kind routes: /api/kinds/:name
+  const kindMatch = path.match(/^\/api\/kinds\/([^/]+)$/);
+  if (kindMatch) {
+    const name = decodeURIComponent(kindMatch[1]);
+
+    // PUT /api/kinds/:name — { description, color, defaultStatus, retrieveWeight, workflow }; creates or updates
+    if (method === 'PUT') {
+      const body = await parseJsonBody(req, res);
+      if (!body) return;
+      try {
+        return json(res, await db.defineKind({
+          name,
+          description: body.description,
+          color: body.color,
+          defaultStatus: body.defaultStatus,
+          retrieveWeight: body.retrieveWeight,
+          workflow: body.workflow,
+        }));
+      } catch (err) {
+        return json(res, { error: err.message }, 400);
+      }
+    }
+
+    // DELETE /api/kinds/:name
+    if (method === 'DELETE') {
+      try {
+        const deleted = await db.deleteKind(name);
+        if (!deleted) return notFound(res);
+        return json(res, { ok: true });
+      } catch (err) {
+        return json(res, { error: err.message }, 400);
+      }
+    }
+  }
+
+  // GET /api/tags
+  if (method === 'GET' && path === '/api/tags') {
+    const project = url.searchParams.get('project') || undefined;
+    return json(res, await db.listTags({ project }));
+  }
+
+  // Tag routes: /api/tags/:name
+  const tagMatch = path.match(/^\/api\/tags\/([^/]+)$/);
+  if (tagMatch) {
+    const name = decodeURIComponent(tagMatch[1]);
+
+    // PUT /api/tags/:name — rename (merges into an existing tag)
+    if (method === 'PUT') {
+      const body = await parseJsonBody(req, res);
+      if (!body) return;
+      if (!body.name) return json(res, { error: 'name is required' }, 400);
+      try {
+        const renamed = await db.renameTag(name, body.name, { source: 'web' });
+        if (!renamed) return notFound(res);
+        return json(res, { ok: true });
+      } catch (err) {
+        return json(res, { error: err.message }, 400);
+      }
+    }
+
+    // DELETE /api/tags/:name
+    if (method === 'DELETE') {
+      try {
+        const deleted = await db.deleteTag(name, { source: 'web' });
+        if (!deleted) return notFound(res);
+        return json(res, { ok: true });
+      } catch (err) {
+        return json(res, { error: err.message }, 400);
+      }
+    }
+  }
+
+  // Record tag routes: /api/records/:id/tags[/:name]
+  const recordTagMatch = path.match(/^\/api\/records\/(\d+)\/tags(?:\/([^/]+))?$/);
+  if (recordTagMatch) {
+    const id = Number(recordTagMatch[1]);
+    const name = recordTagMatch[2] ? decodeURIComponent(recordTagMatch[2]) : null;
+
+    // POST /api/records/:id/tags — add tags
+    if (method === 'POST' && !name) {
+      const body = await parseJsonBody(req, res);
+      if (!body) return;
+      try {
+        const tags = await db.addTags(id, body.tags ?? [], { source: 'web' });
+        if (!tags) return notFound(res);
+        return json(res, tags);
+      } catch (err) {
+        return json(res, { error: err.message }, 400);
+      }
+    }
+
+    // DELETE /api/records/:id/tags/:name
+    if (method === 'DELETE' && name) {
+      try {
+        const tags = await db.removeTags(id, [name], { source: 'web' });
+        if (!tags) return notFound(res);
+        return json(res, tags);
+      } catch (err) {
+        return json(res, { error: err.message }, 400);
+      }
+    }
+  }
+
+  // GET /api/trash
+  if (method === 'GET' && path === '/api/trash') {
+    const project = url.searchParams.get('project') || undefined;
+    return json(res, await db.listTrash({ project }));
+  }
+
+  // DELETE /api/trash[?project=&olderThanDays=] — empty the trash
+  if (method === 'DELETE' && path === '/api/trash') {
+    const project = url.searchParams.get('project') || undefined;
+    const days = url.searchParams.get('olderThanDays');
+    if (days && !(Number(days) >= 0)) return json(res, { error: 'olderThanDays must be a number of days' }, 400);
+    const purged = await db.purgeTrash({ project, olderThanDays: days ? Number(days) : undefined });
+    return json(res, { ok: true, purged });
+  }
+
+  // Trash item routes: /api/trash/:id[/restore]
+  const trashMatch = path.match(/^\/api\/trash\/(\d+)(\/restore)?$/);
+  if (trashMatch) {
+    const id = Number(trashMatch[1]);
+
+    // POST /api/trash/:id/restore
+    if (method === 'POST' && trashMatch[2]) {
+      const record = await db.restore(id);
+      if (!record) return notFound(res);
+      return json(res, record);
+    }
+
+    // DELETE /api/trash/:id — purge one record
+    if (method === 'DELETE' && !trashMatch[2]) {
+      const purged = await db.purgeTrash({ ids: [id] });
+      if (!purged) return notFound(res);
+      return json(res, { ok: true });
+    }
+  }
+
+  // Record history routes: /api/records/:id/history[/:revisionId/restore]
+  const historyMatch = path.match(/^\/api\/records\/(\d+)\/history(?:\/(\d+)\/restore)?$/);
+  if (historyMatch) {
+    const id = Number(historyMatch[1]);
+    const revisionId = historyMatch[2] ? Number(historyMatch[2]) : null;
+
+    // GET /api/records/:id/history
+    if (method === 'GET' && !revisionId) {
+      const history = await db.getHistory(id);
+      if (!history) return notFound(res);
+      return json(res, history);
+    }
+
+    // POST /api/records/:id/history/:revisionId/restore
+    if (method === 'POST' && revisionId) {
+      const revision = await db.getRevision(revisionId);
+      if (!revision || revision.record_id !== id) return notFound(res);
+      const embedding = await embed(`${revision.title} ${revision.body || ''}`.trim());
+      try {
+        const record = await db.restoreRevision(revisionId, embedding, { source: 'web' });
+        if (!record) return notFound(res);
+        return json(res, record);
+      } catch (err) {
+        return json(res, { error: err.message }, 400);
+      }
+    }
+  }
+
+  // Record link routes: /api/records/:id/links[/:targetId]
+  const linkMatch = path.match(/^\/api\/records\/(\d+)\/links(?:\/(\d+))?$/);
+  if (linkMatch) {
+    const id = Number(linkMatch[1]);
+    const targetId = linkMatch[2] ? Number(linkMatch[2]) : null;
+    if (!(await db.get(id))) return notFound(res);
+
+    // GET /api/records/:id/links
+    if (method === 'GET' && !targetId) {
+      return json(res, await db.getLinks(id));
+    }
+
+    // POST /api/records/:id/links — { target_id, type }
+    if (method === 'POST' && !targetId) {
+      const body = await parseJsonBody(req, res);
+      if (!body) return;
+      const type = body.type || 'relates_to';
+      if (!LINK_TYPES.includes(type)) {
+        return json(res, { error: `type must be one of ${LINK_TYPES.join(', ')}` }, 400);
+      }
+      if (Number(body.target_id) === id) return json(res, { error: 'A record cannot be linked to itself' }, 400);
+      if (!(await db.get(Number(body.target_id)))) return notFound(res);
+      return json(res, await db.link(id, Number(body.target_id), type), 201);
+    }
+
+    // DELETE /api/records/:id/links/:targetId[?type=]
+    if (method === 'DELETE' && targetId) {
+      const removed = await db.unlink(id, targetId, url.searchParams.get('type') || undefined);
+      if (!removed) return notFound(res);
+      return json(res, { ok: true, removed });
+    }
+  }
+
   // Record routes: /api/records[/:id]
   const recordMatch = path.match(/^\/api\/records(?:\/(\d+))?$/);
 
@@ -89,7 +368,28 @@ async function handleRequest(db, req, res) {
       const kind = url.searchParams.get('kind') || undefined;
       const status = url.searchParams.get('status') || undefined;
       const project = url.searchParams.get('project') || undefined;
-      return json(res, await db.list({ kind, status, project }));
+      const tags = url.searchParams.get('tags') || undefined;
+      const triage = {
+        priority: url.searchParams.get('priority') || undefined,
+        severity: url.searchParams.get('severity') || undefined,
+        overdue: url.searchParams.get('overdue') === 'true',
+        dueBefore: url.searchParams.get('due_before') || undefined,
+        sort: url.searchParams.get('sort') || undefined,
+      };
+      const refFilter = {
+        path: url.searchParams.get('path') || undefined,
+        symbol: url.searchParams.get('symbol') || undefined,
+        commit: url.searchParams.get('commit') || undefined,
+      };
+      const branch = url.searchParams.get('branch') || undefined;
+      try {
+        const commits = await commitsFor(db, url.searchParams.get('commit_range'), project);
+        return json(res, await db.list({
+          kind, status, project, tags: tags?.split(','), ...triage, ...refFilter, branch, commits,
+        }));
+      } catch (err) {
+        return json(res, { error: err.message }, 400);
+      }
     }
 
     // GET /api/records/:id
@@ -103,20 +403,37 @@ async function handleRequest(db, req, res) {
     if (method === 'POST' && !id) {
       const body = await parseJsonBody(req, res);
       if (!body) return;
+      // `project` (id or name) files the record under another project than the current one
+      const project = body.project == null || body.project === ''
+        ? await db.getCurrentProject()
+        : await db.getProject(body.project);
+      if (!project) return json(res, { error: `Project ${body.project} not found` }, 400);
       const text = `${body.title || ''} ${body.body || ''}`.trim();
       const embedding = await embed(text);
-      const project = await db.getCurrentProject();
-      const record = await db.upsert(
-        {
-          projectId: project.id,
-          kind: body.kind || 'issue',
-          title: body.title || '',
-          body: body.body || '',
-          status: body.status || 'open',
-        },
-        embedding,
-      );
-      return json(res, record, 201);
+      let record;
+      try {
+        record = await db.upsert(
+          {
+            projectId: project.id,
+            kind: body.kind || 'issue',
+            title: body.title || '',
+            body: body.body || '',
+            status: body.status || undefined,
+            tags: body.tags,
+            refs: body.refs,
+            priority: body.priority,
+            severity: body.severity,
+            dueDate: body.due_date,
+            git: captureGitContext(await db.projectDirectory(project.id)),
+            source: 'web',
+            dedup: body.dedup,
+          },
+          embedding,
+        );
+      } catch (err) {
+        return json(res, { error: err.message }, 400);
+      }
+      return json(res, record, record.dedup?.action === 'created' ? 201 : 200);
     }
 
     // PUT /api/records/:id
@@ -127,17 +444,29 @@ async function handleRequest(db, req, res) {
       if (!body) return;
       const text = `${body.title || existing.title} ${body.body || existing.body}`.trim();
       const embedding = await embed(text);
-      const record = await db.upsert(
-        {
-          id,
-          projectId: existing.project_id,
-          kind: body.kind || existing.kind,
-          title: body.title || existing.title,
-          body: body.body ?? existing.body,
-          status: body.status || existing.status,
-        },
-        embedding,
-      );
+      let record;
+      try {
+        record = await db.upsert(
+          {
+            id,
+            projectId: existing.project_id,
+            kind: body.kind || existing.kind,
+            title: body.title || existing.title,
+            body: body.body ?? existing.body,
+            status: body.status || existing.status,
+            tags: body.tags,
+            refs: body.refs,
+            priority: body.priority,
+            severity: body.severity,
+            dueDate: body.due_date,
+            git: captureGitContext(await db.projectDirectory(existing.project_id)),
+            source: 'web',
+          },
+          embedding,
+        );
+      } catch (err) {
+        return json(res, { error: err.message }, 400);
+      }
       return json(res, record);
     }
 
@@ -154,7 +483,7 @@ async function handleRequest(db, req, res) {
 
 export async function startWebServer() {
   const db = await initDb();
-  const port = Number(process.env.DUDE_PORT) || 3456;
+  const { port } = loadConfig();
   const server = createServer((req, res) => {
     handleRequest(db, req, res).catch(err => {
       console.error('[dude] Request error:', err);
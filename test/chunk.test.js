@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { chunkText, CHUNK_SIZE } from '../src/chunk.js';
+
+describe('chunk.js', () => {
+  it('should leave texts that fit in one chunk alone', () => {
+    expect(chunkText('')).toEqual([]);
+    expect(chunkText('x'.repeat(CHUNK_SIZE))).toEqual([]);
+  });
+
+  it('should cover the whole text with overlapping chunks', () => {
+    const text = Array.from({ length: 300 }, (_, i) => `word${i}`).join(' ');
+    const chunks = chunkText(text, { size: 400, overlap: 100 });
+    expect(chunks[0].start).toBe(0);
+    expect(chunks.at(-1).end).toBe(text.length);
+    for (const [i, { start, end }] of chunks.entries()) {
+      expect(end - start).toBeLessThanOrEqual(400);
+      if (i > 0) expect(start).toBeLessThan(chunks[i - 1].end);
+    }
+  });
+
+  it('should break at paragraphs and start chunks on a word', () => {
+    const para = 'Lorem ipsum dolor sit amet, consectetur adipiscing elit. '.repeat(4).trim();
+    const text = [para, para, para, para].join('\n\n');
+    const chunks = chunkText(text, { size: 500, overlap: 80 });
+    expect(text.slice(chunks[0].end - 2, chunks[0].end)).toBe('\n\n');
+    for (const { start } of chunks.slice(1)) expect(text[start - 1]).toMatch(/\s/);
+  });
+
+  it('should cut unbroken text at the window size', () => {
+    const chunks = chunkText('x'.repeat(250), { size: 100, overlap: 20 });
+    expect(chunks).toEqual([{ start: 0, end: 100 }, { start: 80, end: 180 }, { start: 160, end: 250 }]);
+  });
+});
@@ -0,0 +1,153 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, readFileSync, writeFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import {
+  loadConfig, getConfigValue, setConfigValue, unsetConfigValue, getConfigPath,
+} from '../src/config.js';
+
+const ENV_KEYS = ['DUDE_CONFIG', 'DUDE_DATA_DIR', 'DUDE_PORT', 'DUDE_CONTEXT_LIMIT', 'DUDE_RECENCY_HOURS', 'DUDE_SEARCH_MODE'];
+
+describe('config.js', () => {
+  let dir;
+  let savedEnv;
+
+  beforeEach(() => {
+    savedEnv = Object.fromEntries(ENV_KEYS.map(k => [k, process.env[k]]));
+    for (const k of ENV_KEYS) delete process.env[k];
+    dir = mkdtempSync(join(tmpdir(), 'dude-config-test-'));
+    process.env.DUDE_CONFIG = join(dir, 'config.json');
+  });
+
+  afterEach(() => {
+    for (const k of ENV_KEYS) {
+      if (savedEnv[k] === undefined) delete process.env[k];
+      else process.env[k] = savedEnv[k];
+    }
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  function writeConfig(obj) {
+    writeFileSync(getConfigPath(), JSON.stringify(obj));
+  }
+
+  it('should return defaults when no config file exists', () => {
+    const config = loadConfig();
+    expect(config.port).toBe(3456);
+    expect(config.contextLimit).toBe(5);
+    expect(config.recencyHours).toBe(1);
+    expect(config.search.mode).toBe('hybrid');
+    expect(config.search.minSimilarity).toBe(0.3);
+    expect(config.search.projectBoost).toBe(0.1);
+    expect(config.dedup.similarity).toBe(0.85);
+    expect(config.trash.purgeAfterDays).toBe(30);
+    expect(config.dataDir).toContain('.dude-claude');
+  });
+
+  it('should read values from the config file and fill in nested defaults', () => {
+    writeConfig({ contextLimit: 8, search: { ranking: { halfLifeDays: 30 } } });
+    const config = loadConfig();
+    expect(config.contextLimit).toBe(8);
+    expect(config.search.ranking.halfLifeDays).toBe(30);
+    expect(config.search.ranking.recencyWeight).toBe(0.25);
+  });
+
+  it('should apply per-project overrides only for that project', () => {
+    writeConfig({ contextLimit: 8, projects: { 'org/repo': { contextLimit: 12, dedup: { similarity: 0.95 } } } });
+    expect(loadConfig({ project: 'org/repo' }).contextLimit).toBe(12);
+    expect(loadConfig({ project: 'org/repo' }).dedup.similarity).toBe(0.95);
+    expect(loadConfig({ project: 'other/repo' }).contextLimit).toBe(8);
+    expect(loadConfig().contextLimit).toBe(8);
+  });
+
+  it('should let env vars override the file and project settings', () => {
+    writeConfig({ port: 4000, projects: { 'org/repo': { contextLimit: 12 } } });
+    process.env.DUDE_PORT = '5000';
+    process.env.DUDE_CONTEXT_LIMIT = '3';
+    process.env.DUDE_SEARCH_MODE = 'vector';
+    const config = loadConfig({ project: 'org/repo' });
+    expect(config.port).toBe(5000);
+    expect(config.contextLimit).toBe(3);
+    expect(config.search.mode).toBe('vector');
+  });
+
+  it('should use DUDE_DATA_DIR for the data directory', () => {
+    process.env.DUDE_DATA_DIR = dir;
+    expect(loadConfig().dataDir).toBe(dir);
+  });
+
+  it('should accept dedup policy and per-kind thresholds', () => {
+    writeConfig({ dedup: { policy: 'append', kinds: { issue: { similarity: 0.9 } } } });
+    const { dedup } = loadConfig();
+    expect(dedup).toEqual({ similarity: 0.85, policy: 'append', kinds: { issue: { similarity: 0.9 } } });
+    writeConfig({ dedup: { policy: 'overwrite' } });
+    expect(() => loadConfig()).toThrow('dedup.policy');
+  });
+
+  it('should default the project identity settings and validate them', () => {
+    expect(loadConfig().identity).toEqual({
+      remote: 'origin', hosts: [], hostAliases: {}, monorepo: { enabled: false, markers: ['package.json'] },
+    });
+    writeConfig({ identity: { hosts: ['git.*.corp'], monorepo: { enabled: true } } });
+    expect(loadConfig().identity).toMatchObject({ hosts: ['git.*.corp'], monorepo: { enabled: true, markers: ['package.json'] } });
+    writeConfig({ identity: { monorepo: { markers: [] } } });
+    expect(() => loadConfig()).toThrow('identity.monorepo.markers');
+  });
+
+  it('should default the embedding model and keep it global', () => {
+    expect(loadConfig().embedding).toEqual({
+      model: 'Xenova/all-MiniLM-L6-v2', dimension: 384, pooling: 'mean', cacheSize: 10000,
+    });
+    writeConfig({ embedding: { model: 'Xenova/multilingual-e5-small', localPath: '/models', cacheSize: 0 } });
+    expect(loadConfig().embedding).toEqual({
+      model: 'Xenova/multilingual-e5-small', dimension: 384, pooling: 'mean', localPath: '/models', cacheSize: 0,
+    });
+    expect(() => setConfigValue('embedding.dimension', 768, { project: 'org/repo' })).toThrow('project "org/repo"');
+    writeConfig({ embedding: { pooling: 'max' } });
+    expect(() => loadConfig()).toThrow('embedding.pooling');
+  });
+
+  it('should default the daemon settings and keep them global', () => {
+    expect(loadConfig().daemon).toEqual({ autoStart: true, idleMinutes: 30 });
+    expect(() => setConfigValue('daemon.idleMinutes', 5, { project: 'org/repo' })).toThrow('project "org/repo"');
+  });
+
+  it('should reject invalid values and unknown keys', () => {
+    writeConfig({ contextLimit: -1 });
+    expect(() => loadConfig()).toThrow('contextLimit');
+    writeConfig({ contxtLimit: 5 });
+    expect(() => loadConfig()).toThrow('Unrecognized key');
+  });
+
+  it('should report malformed JSON with the file path', () => {
+    writeFileSync(getConfigPath(), '{ nope');
+    expect(() => loadConfig()).toThrow(getConfigPath());
+  });
+
+  describe('get/set/unset', () => {
+    it('should set and get a nested value', () => {
+      setConfigValue('search.ranking.halfLifeDays', 45);
+      expect(getConfigValue('search.ranking.halfLifeDays')).toBe(45);
+      expect(JSON.parse(readFileSync(getConfigPath(), 'utf8'))).toEqual({ search: { ranking: { halfLifeDays: 45 } } });
+    });
+
+    it('should set per-project values', () => {
+      setConfigValue('contextLimit', 9, { project: 'org/repo' });
+      expect(getConfigValue('contextLimit', { project: 'org/repo' })).toBe(9);
+      expect(getConfigValue('contextLimit')).toBe(5);
+    });
+
+    it('should refuse to write an invalid value', () => {
+      expect(() => setConfigValue('search.mode', 'fuzzy')).toThrow('search.mode');
+      expect(() => setConfigValue('port', 1, { project: 'org/repo' })).toThrow('project "org/repo"');
+      expect(loadConfig().search.mode).toBe('hybrid');
+    });
+
+    it('should unset values and prune empty objects', () => {
+      setConfigValue('search.ranking.halfLifeDays', 45, { project: 'org/repo' });
+      expect(unsetConfigValue('search.ranking.halfLifeDays', { project: 'org/repo' })).toBe(true);
+      expect(JSON.parse(readFileSync(getConfigPath(), 'utf8'))).toEqual({});
+      expect(unsetConfigValue('contextLimit')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,198 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { existsSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { createServer } from 'node:net';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+
+vi.mock('node:child_process', async (importOriginal) => ({
+  ...(await importOriginal()),
+  spawn: vi.fn(() => ({ unref: vi.fn() })),
+}));
+
+vi.mock('../src/embed.js', () => ({
+  embed: vi.fn(async () => new Float32Array(384)),
+}));
+
+// One fake adapter per working directory
+const adapters = new Map();
+const fakeAdapter = (cwd) => ({ cwd, close: vi.fn(async () => {}) });
+vi.mock('../src/db.js', () => ({
+  initDbAt: vi.fn(async (cwd) => {
+    const db = fakeAdapter(cwd);
+    adapters.set(cwd, db);
+    return db;
+  }),
+  initDb: vi.fn(async () => fakeAdapter(process.cwd())),
+  closeDb: vi.fn(async db => db.close()),
+}));
+
+// Echo the hook name and the project directory the handler connected to;
+// a "hold" hook keeps its database in use until release() is called
+let release = () => {};
+vi.mock('../src/hooks.js', () => ({
+  handleHook: vi.fn(async (name, raw, connect) => {
+    if (name === 'broken') throw new Error('Unknown hook "broken"');
+    const db = await connect();
+    if (name === 'hold') await new Promise((resolve) => { release = resolve; });
+    return { stdout: `${name} in ${db.cwd}: ${raw}\n`, stderr: '' };
+  }),
+}));
+
+const { spawn } = await import('node:child_process');
+const { initDb, initDbAt } = await import('../src/db.js');
+const { handleHook } = await import('../src/hooks.js');
+const { MAX_SESSIONS, startDaemon } = await import('../src/daemon.js');
+const { daemonSocketPath, dispatchHook, requestDaemon } = await import('../src/daemon-client.js');
+
+const ENV_KEYS = ['DUDE_CONFIG', 'DUDE_DATA_DIR'];
+
+describe('daemon', () => {
+  let dir;
+  let socketPath;
+  let savedEnv;
+  let daemon;
+
+  beforeEach(() => {
+    savedEnv = Object.fromEntries(ENV_KEYS.map(k => [k, process.env[k]]));
+    dir = mkdtempSync(join(tmpdir(), 'dude-daemon-test-'));
+    process.env.DUDE_CONFIG = join(dir, 'config.json');
+    process.env.DUDE_DATA_DIR = dir;
+    socketPath = daemonSocketPath(dir);
+    adapters.clear();
+    vi.clearAllMocks();
+    daemon = null;
+  });
+
+  afterEach(async () => {
+    await daemon?.close();
+    for (const k of ENV_KEYS) {
+      if (savedEnv[k] === undefined) delete process.env[k];
+      else process.env[k] = savedEnv[k];
+    }
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const start = async (opts = {}) => {
+    daemon = await startDaemon({ socketPath, idleMinutes: 0, warmUp: false, ...opts });
+    return daemon;
+  };
+  const send = message => requestDaemon(message, { socketPath, timeoutMs: 2000 });
+
+  it('should put the socket in the data directory', () => {
+    if (process.platform === 'win32') return;
+    expect(socketPath).toBe(join(dir, 'daemon.sock'));
+  });
+
+  it('should run hooks with one database session per working directory', async () => {
+    await start();
+    expect(await send({ command: 'hook', name: 'auto-retrieve', cwd: '/work/a', input: '{"prompt":"x"}' }))
+      .toEqual({ ok: true, stdout: 'auto-retrieve in /work/a: {"prompt":"x"}\n', stderr: '' });
+    await send({ command: 'hook', name: 'auto-persist', cwd: '/work/a', input: '{}' });
+    await send({ command: 'hook', name: 'auto-retrieve', cwd: '/work/b', input: '{}' });
+
+    expect(initDbAt.mock.calls).toEqual([['/work/a'], ['/work/b']]);
+    const status = await send({ command: 'ping' });
+    expect(status).toMatchObject({ ok: true, pid: process.pid, sessions: ['/work/a', '/work/b'] });
+  });
+
+  it('should close the least recently used database that no hook is using', async () => {
+    await start();
+    const hook = cwd => send({ command: 'hook', name: 'auto-retrieve', cwd, input: '' });
+    const held = send({ command: 'hook', name: 'hold', cwd: '/work/0', input: '' });
+    await vi.waitFor(() => expect(adapters.has('/work/0')).toBe(true));
+    for (let i = 1; i <= MAX_SESSIONS; i++) await hook(`/work/${i}`);
+
+    // /work/0 is in use, so /work/1 goes instead
+    expect(adapters.get('/work/0').close).not.toHaveBeenCalled();
+    expect(adapters.get('/work/1').close).toHaveBeenCalled();
+    release();
+    expect((await held).ok).toBe(true);
+    expect((await send({ command: 'ping' })).sessions).toHaveLength(MAX_SESSIONS);
+
+    // Now free and least recently used
+    await hook('/work/1');
+    expect(adapters.get('/work/0').close).toHaveBeenCalled();
+    expect((await send({ command: 'ping' })).sessions).not.toContain('/work/0');
+    expect(initDbAt).toHaveBeenCalledTimes(MAX_SESSIONS + 2);
+  });
+
+  it('should answer bad requests with an error', async () => {
+    await start();
+    expect(await send({ command: 'hook', name: 'auto-retrieve', cwd: 'relative', input: '' }))
+      .toEqual({ ok: false, error: 'A hook request needs the absolute cwd of the hook' });
+    expect(await send({ command: 'hook', name: 'broken', cwd: '/work/a', input: '' }))
+      .toEqual({ ok: false, error: 'Unknown hook "broken"' });
+    expect(await send({ command: 'reboot' })).toEqual({ ok: false, error: 'Unknown command "reboot"' });
+  });
+
+  it('should refuse to start twice and replace a socket left by a dead daemon', async () => {
+    await start();
+    await expect(startDaemon({ socketPath, warmUp: false })).rejects.toThrow('A daemon is already running');
+    await daemon.close();
+
+    if (process.platform !== 'win32') {
+      // A leftover file nobody listens on
+      writeFileSync(socketPath, '');
+      await start();
+      expect((await send({ command: 'ping' })).ok).toBe(true);
+    }
+  });
+
+  it('should close its sessions and remove the socket on stop', async () => {
+    await start();
+    await send({ command: 'hook', name: 'auto-retrieve', cwd: '/work/a', input: '' });
+    expect(await send({ command: 'stop' })).toEqual({ ok: true });
+    await daemon.closed;
+    expect(adapters.get('/work/a').close).toHaveBeenCalled();
+    if (process.platform !== 'win32') expect(existsSync(socketPath)).toBe(false);
+    await expect(send({ command: 'ping' })).rejects.toMatchObject({ sent: false });
+  });
+
+  it('should stop after idleMinutes without requests', async () => {
+    await start({ idleMinutes: 0.001 });
+    await daemon.closed;
+    await expect(send({ command: 'ping' })).rejects.toThrow();
+  });
+
+  describe('dispatchHook', () => {
+    it('should hand the hook to the running daemon', async () => {
+      await start();
+      const result = await dispatchHook('auto-retrieve', '{"prompt":"x"}', { cwd: '/work/a', socketPath });
+      expect(result.stdout).toBe('auto-retrieve in /work/a: {"prompt":"x"}\n');
+      expect(initDb).not.toHaveBeenCalled();
+      expect(spawn).not.toHaveBeenCalled();
+    });
+
+    it('should start the daemon and run in-process when none is listening', async () => {
+      const result = await dispatchHook('auto-persist', '{}', { cwd: '/work/a', socketPath });
+      expect(result.stdout).toBe(`auto-persist in ${process.cwd()}: {}\n`);
+      expect(initDb).toHaveBeenCalled();
+      expect(spawn).toHaveBeenCalledWith(process.execPath, [expect.stringMatching(/dude-claude\.js$/), 'daemon', 'start'],
+        expect.objectContaining({ detached: true, cwd: dir }));
+    });
+
+    it('should not start the daemon when daemon.autoStart is off', async () => {
+      writeFileSync(process.env.DUDE_CONFIG, JSON.stringify({ daemon: { autoStart: false } }));
+      await dispatchHook('auto-retrieve', '{}', { socketPath });
+      expect(spawn).not.toHaveBeenCalled();
+      expect(handleHook).toHaveBeenCalledWith('auto-retrieve', '{}', expect.any(Function));
+    });
+
+    it('should retry only read-only hooks in-process when the daemon stops answering', async () => {
+      const silent = createServer(() => {});
+      await new Promise(resolve => silent.listen(socketPath, resolve));
+      try {
+        const retrieved = await dispatchHook('auto-retrieve', '{}', { socketPath, timeoutMs: 50 });
+        expect(retrieved.stdout).toBe(`auto-retrieve in ${process.cwd()}: {}\n`);
+
+        vi.clearAllMocks();
+        const persisted = await dispatchHook('auto-persist', '{}', { socketPath, timeoutMs: 50 });
+        expect(persisted).toEqual({ stdout: '', stderr: expect.stringContaining('not retried in-process') });
+        expect(handleHook).not.toHaveBeenCalled();
+        expect(spawn).not.toHaveBeenCalled();
+      } finally {
+        silent.close();
+      }
+    });
+  });
+});
@@ -1,9 +1,11 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdirSync, rmSync, writeFileSync } from 'node:fs';
 import { fakeEmbedding, seededEmbedding } from './helpers.js';
 
 // Mock child_process so _detectProject() doesn't shell out
 vi.mock('node:child_process', () => ({
-  execSync: vi.fn((cmd) => {
+  execFileSync: vi.fn((file, args) => {
+    const cmd = [file, ...args].join(' ');
     if (cmd === 'git rev-parse --show-toplevel') return '/home/user/test-project\n';
     if (cmd === 'git remote get-url origin') return 'https://github.com/testorg/test-project.git\n';
     throw new Error('Unknown command');
@@ -22,7 +24,16 @@ vi.mock('node:os', async (importOriginal) => {
   };
 });
 
-const { LibsqlAdapter } = await import('../src/db-libsql.js');
+const { LibsqlAdapter, normalizeRefs } = await import('../src/db-libsql.js');
+const { homedir } = await import('node:os');
+
+/** Normalised weighted mix of two embeddings — w=0.5 gives similarity ~0.7 to each. */
+function mix(a, b, w = 0.5) {
+  const out = new Float32Array(a.length);
+  for (let i = 0; i < a.length; i++) out[i] = w * a[i] + (1 - w) * b[i];
+  const norm = Math.sqrt(out.reduce((sum, v) => sum + v * v, 0));
+  return out.map(v => v / norm);
+}
 
 describe('LibsqlAdapter', () => {
   /** @type {LibsqlAdapter} */
@@ -54,6 +65,20 @@ describe('LibsqlAdapter', () => {
       const proj = await adapter.getCurrentProject();
       expect(proj.name).toBe('testorg/test-project');
     });
+
+    it('should keep the identity and nest a resolved package under its parent', async () => {
+      expect(adapter.identity).toMatchObject({ name: 'testorg/test-project', source: 'remote' });
+
+      const mono = new LibsqlAdapter({ url: 'file::memory:' });
+      mono._detectProject = () => ({
+        name: 'acme/mono/packages/api', parent: 'acme/mono', source: 'remote', package: 'packages/api',
+      });
+      await mono.init();
+      const project = await mono.getProject();
+      expect(project).toMatchObject({ name: 'acme/mono/packages/api', parent: 'acme/mono' });
+      expect((await mono.listProjects({ parent: 'acme/mono' })).map(p => p.id)).toEqual([project.id]);
+      await mono.close();
+    });
   });
 
   // -----------------------------------------------------------------------
@@ -81,6 +106,235 @@ describe('LibsqlAdapter', () => {
     });
   });
 
+  describe('project hierarchy', () => {
+    it('should create nested projects and list children of a parent', async () => {
+      const parent = await adapter.createProject({ name: 'acme/platform', directory: '/src/platform' });
+      const web = await adapter.createProject({ name: 'acme/web', parent: 'acme/platform' });
+      await adapter.createProject({ name: 'acme/api', parent: parent.id });
+
+      expect(web).toMatchObject({ parent_id: parent.id, parent: 'acme/platform', active: 1 });
+      expect((await adapter.listProjects({ parent: 'acme/platform' })).map(p => p.name)).toEqual(['acme/api', 'acme/web']);
+      expect(await adapter.listProjects({ parent: 'nope' })).toEqual([]);
+
+      const got = await adapter.getProject('acme/platform');
+      expect(got.directory).toBe('/src/platform');
+      expect(got.children.map(c => c.name)).toEqual(['acme/api', 'acme/web']);
+      expect((await adapter.getProject()).name).toBe('testorg/test-project');
+      expect(await adapter.getProject(99999)).toBeNull();
+    });
+
+    it('should reject duplicate names and unknown parents', async () => {
+      await expect(adapter.createProject({ name: 'testorg/test-project' })).rejects.toThrow('already exists');
+      await expect(adapter.createProject({ name: 'x', parent: 'ghost' })).rejects.toThrow('Parent project "ghost" not found');
+      await expect(adapter.createProject({ name: '  ' })).rejects.toThrow('name is required');
+    });
+
+    it('should update, re-parent and archive projects without cycles', async () => {
+      const root = await adapter.createProject({ name: 'root' });
+      const child = await adapter.createProject({ name: 'child', parent: root.id });
+
+      await expect(adapter.updateProject(root.id, { parent: child.id })).rejects.toThrow('cannot be nested');
+      await expect(adapter.updateProject(root.id, { parent: root.id })).rejects.toThrow('cannot be nested');
+      await expect(adapter.updateProject(child.id, { name: 'root' })).rejects.toThrow('already exists');
+
+      const moved = await adapter.updateProject('child', { name: 'leaf', parent: null, directory: '/tmp/leaf' });
+      expect(moved).toMatchObject({ name: 'leaf', parent_id: null, directory: '/tmp/leaf' });
+
+      await adapter.updateProject('leaf', { active: false });
+      expect((await adapter.listProjects()).map(p => p.name)).not.toContain('leaf');
+      expect((await adapter.listProjects({ includeInactive: true })).map(p => p.name)).toContain('leaf');
+      expect(await adapter.updateProject('ghost', { active: true })).toBeNull();
+    });
+
+    it('should return open issues and specs as project context, with subprojects on request', async () => {
+      const { id: currentId } = await adapter.getCurrentProject();
+      const sub = await adapter.createProject({ name: 'testorg/sub', parent: currentId });
+      await adapter.upsert({ kind: 'issue', title: 'Open bug', body: 'Details', tags: ['bug'] }, seededEmbedding(1100));
+      await adapter.upsert({ kind: 'issue', title: 'Fixed bug', status: 'resolved' }, seededEmbedding(1101));
+      await adapter.upsert({ kind: 'spec', title: 'Open spec' }, seededEmbedding(1102));
+      await adapter.upsert({ kind: 'arch', title: 'Layering' }, seededEmbedding(1103));
+      await adapter.upsert({ projectId: sub.id, kind: 'issue', title: 'Sub bug' }, seededEmbedding(1104));
+
+      const context = await adapter.getProjectContext();
+      expect(context.issues.map(r => r.title)).toEqual(['Open bug']);
+      expect(context.issues[0]).toMatchObject({ body: 'Details', tags: ['bug'] });
+      expect(context.specs.map(r => r.title)).toEqual(['Open spec']);
+      expect(context.record_counts).toMatchObject({ issue: { open: 1, resolved: 1 }, arch: { open: 1 } });
+      expect(context.subprojects).toBeUndefined();
+
+      const nested = await adapter.getProjectContext(currentId, { includeSubprojects: true });
+      expect(nested.subprojects).toHaveLength(1);
+      expect(nested.subprojects[0]).toMatchObject({ name: 'testorg/sub', subprojects: [] });
+      expect(nested.subprojects[0].issues.map(r => r.title)).toEqual(['Sub bug']);
+    });
+  });
+
+  describe('setCurrentProject', () => {
+    it('should switch where new records and default scopes go, and switch back', async () => {
+      const other = await adapter.createProject({ name: 'testorg/shared-lib' });
+      adapter.settings.dedup.policy = 'skip';
+
+      expect(await adapter.setCurrentProject('testorg/shared-lib')).toEqual({ id: other.id, name: 'testorg/shared-lib' });
+      const rec = await adapter.upsert({ kind: 'issue', title: 'Lib bug' }, seededEmbedding(1300));
+      expect(rec.project).toBe('testorg/shared-lib');
+      expect((await adapter.list()).map(r => r.id)).toEqual([rec.id]);
+      // Settings are reloaded for the new project
+      expect(adapter.settings.dedup.policy).toBe('merge');
+
+      expect((await adapter.setCurrentProject()).name).toBe('testorg/test-project');
+      expect(await adapter.list()).toEqual([]);
+    });
+
+    it('should only create missing projects when asked', async () => {
+      expect(await adapter.setCurrentProject('testorg/new-sibling')).toBeNull();
+      expect((await adapter.getCurrentProject()).name).toBe('testorg/test-project');
+
+      const created = await adapter.setCurrentProject('testorg/new-sibling', { create: true });
+      expect(created.name).toBe('testorg/new-sibling');
+      expect((await adapter.getProject('testorg/new-sibling')).id).toBe(created.id);
+    });
+  });
+
+  describe('project rename, merge and move', () => {
+    it('should rename a project and keep resolving the old name', async () => {
+      const rec = await adapter.upsert({ kind: 'issue', title: 'Survives rename' }, seededEmbedding(1200));
+      const renamed = await adapter.renameProject('testorg/test-project', 'neworg/test-project');
+
+      expect(renamed).toMatchObject({ id: rec.project_id, name: 'neworg/test-project', aliases: ['testorg/test-project'] });
+      expect((await adapter.getCurrentProject()).name).toBe('neworg/test-project');
+      expect((await adapter.get(rec.id)).project).toBe('neworg/test-project');
+      expect((await adapter.list({ project: 'testorg/test-project' })).map(r => r.id)).toEqual([rec.id]);
+      expect((await adapter.getProject('testorg/test-project')).id).toBe(rec.project_id);
+      expect((await adapter._upsertProject('testorg/test-project')).id).toBe(rec.project_id);
+      await expect(adapter.createProject({ name: 'testorg/test-project' })).rejects.toThrow('already exists');
+
+      // Renaming back reclaims the name and drops it as an alias
+      const back = await adapter.renameProject(rec.project_id, 'testorg/test-project');
+      expect(back.aliases).toEqual(['neworg/test-project']);
+      expect(await adapter.renameProject('ghost', 'x')).toBeNull();
+    });
+
+    it('should merge projects, moving records, subprojects and aliases', async () => {
+      const { id: currentId } = await adapter.getCurrentProject();
+      const fork = await adapter.createProject({ name: 'fork/test-project' });
+      const child = await adapter.createProject({ name: 'fork/docs', parent: fork.id });
+      await adapter.renameProject(fork.id, 'fork/renamed');
+      const live = await adapter.upsert({ projectId: fork.id, kind: 'issue', title: 'Fork bug' }, seededEmbedding(1210));
+      const trashed = await adapter.upsert({ projectId: fork.id, kind: 'spec', title: 'Old spec' }, seededEmbedding(1211));
+      await adapter.delete(trashed.id);
+
+      const { project, moved } = await adapter.mergeProjects('fork/renamed', currentId);
+      expect(moved).toBe(2);
+      expect(project.aliases).toEqual(['fork/renamed', 'fork/test-project']);
+      expect(project.children.map(c => c.id)).toEqual([child.id]);
+      expect((await adapter.get(live.id)).project).toBe('testorg/test-project');
+      expect((await adapter.listTrash()).map(r => r.id)).toEqual([trashed.id]);
+      expect(await adapter.getProject(fork.id)).toBeNull();
+      expect((await adapter.getProject('fork/test-project')).id).toBe(currentId);
+      const [move] = await adapter.getHistory(live.id);
+      expect(move).toMatchObject({ action: 'move', project_id: fork.id, project: 'fork/renamed' });
+      expect(move.diff).toEqual({ project: { from: 'fork/renamed', to: 'testorg/test-project' } });
+
+      await expect(adapter.mergeProjects(currentId, 'testorg/test-project')).rejects.toThrow('into itself');
+      await expect(adapter.mergeProjects('ghost', currentId)).rejects.toThrow('Project "ghost" not found');
+    });
+
+    it('should let a subproject take the place of the parent merged into it', async () => {
+      const top = await adapter.createProject({ name: 'top' });
+      const mid = await adapter.createProject({ name: 'mid', parent: top.id });
+      const sub = await adapter.createProject({ name: 'sub', parent: mid.id });
+      await adapter.createProject({ name: 'sibling', parent: mid.id });
+
+      const { project } = await adapter.mergeProjects('mid', 'sub');
+      expect(project.parent_id).toBe(top.id);
+      expect(project.children.map(c => c.name)).toEqual(['sibling']);
+      expect(sub.id).toBe(project.id);
+    });
+
+    it('should move records between projects keeping ids and history', async () => {
+      const other = await adapter.createProject({ name: 'testorg/other' });
+      const a = await adapter.upsert({ kind: 'issue', title: 'Move me' }, seededEmbedding(1220));
+      await adapter.upsert({ id: a.id, kind: 'issue', title: 'Move me (edited)' }, seededEmbedding(1220));
+      const b = await adapter.upsert({ kind: 'issue', title: 'Stay' }, seededEmbedding(1221));
+
+      expect(await adapter.moveRecords([a.id, 99999], 'testorg/other', { source: 'cli' })).toBe(1);
+      expect((await adapter.get(a.id)).project_id).toBe(other.id);
+      const [move, edit] = await adapter.getHistory(a.id);
+      expect(move).toMatchObject({ action: 'move', source: 'cli', title: 'Move me (edited)' });
+      expect(move.diff).toEqual({ project: { from: 'testorg/test-project', to: 'testorg/other' } });
+      expect(edit.diff).toEqual({ title: { from: 'Move me', to: 'Move me (edited)' } });
+      expect((await adapter.list()).map(r => r.id)).toEqual([b.id]);
+      expect(await adapter.moveRecords([], 'testorg/other')).toBe(0);
+      await expect(adapter.moveRecords([b.id], 'ghost')).rejects.toThrow('not found');
+
+      // Restoring the revision moves the record back
+      await adapter.restoreRevision(move.id, seededEmbedding(1220));
+      expect((await adapter.get(a.id)).project).toBe('testorg/test-project');
+    });
+
+    it('should not roll back writes made beside a failed move', async () => {
+      await adapter.createProject({ name: 'testorg/other' });
+      const a = await adapter.upsert({ kind: 'issue', title: 'Move me' }, seededEmbedding(1223));
+      let fail;
+      const failing = new Promise((resolve) => { fail = resolve; });
+      const execute = adapter.db.execute.bind(adapter.db);
+      vi.spyOn(adapter.db, 'execute').mockImplementation(async (stmt) => {
+        if (String(stmt.sql ?? stmt).startsWith('UPDATE record SET project_id')) {
+          await failing;
+          throw new Error('disk full');
+        }
+        return execute(stmt);
+      });
+
+      const move = adapter.moveRecords([a.id], 'testorg/other');
+      await vi.waitFor(() => expect(adapter._transactionOpen).toBe(true));
+      const saved = adapter.upsert({ kind: 'issue', title: 'Saved beside it' }, seededEmbedding(1224));
+      fail();
+      await expect(move).rejects.toThrow('disk full');
+      const b = await saved;
+      adapter.db.execute.mockRestore();
+
+      expect((await adapter.get(b.id)).title).toBe('Saved beside it');
+      expect((await adapter.get(a.id)).project).toBe('testorg/test-project');
+      expect(await adapter.getHistory(a.id)).toEqual([]);
+    });
+
+    it('should run transactions one after the other', async () => {
+      const order = [];
+      const first = adapter._transaction(async () => {
+        await adapter.db.execute('SELECT 1');
+        await new Promise(resolve => setTimeout(resolve, 20));
+        order.push('first');
+      });
+      const second = adapter._transaction(async () => {
+        order.push('second');
+      });
+      await Promise.all([first, second]);
+      expect(order).toEqual(['first', 'second']);
+    });
+
+    it('should take revisions without a project to be in the project of the next one', async () => {
+      const a = await adapter.upsert({ kind: 'issue', title: 'Before' }, seededEmbedding(1222));
+      await adapter.upsert({ id: a.id, kind: 'issue', title: 'After' }, seededEmbedding(1222));
+      await adapter.db.execute({ sql: 'UPDATE record_revision SET project_id = NULL, project = NULL WHERE record_id = ?', args: [a.id] });
+
+      const [edit] = await adapter.getHistory(a.id);
+      expect(edit).toMatchObject({ project_id: a.project_id, project: 'testorg/test-project' });
+      expect(edit.diff).toEqual({ title: { from: 'Before', to: 'After' } });
+      await adapter.restoreRevision(edit.id, seededEmbedding(1222));
+      expect((await adapter.get(a.id)).project_id).toBe(a.project_id);
+    });
+
+    it('should fold a basename project into its org/repo name without an alias', async () => {
+      const old = await adapter.createProject({ name: 'test-project' });
+      const rec = await adapter.upsert({ projectId: old.id, kind: 'issue', title: 'Pre-remote' }, seededEmbedding(1230));
+
+      await adapter._migrateProjectNames('testorg/test-project');
+      expect((await adapter.get(rec.id)).project).toBe('testorg/test-project');
+      expect(await adapter.getProject('test-project')).toBeNull();
+    });
+  });
+
   // -----------------------------------------------------------------------
   // Record CRUD via upsert/get
   // -----------------------------------------------------------------------
@@ -234,6 +488,72 @@ describe('LibsqlAdapter', () => {
       expect(gone).toBeNull();
     });
 
+    it('should move the record to the trash instead of removing it', async () => {
+      const record = await adapter.upsert({ kind: 'issue', title: 'Trashed', tags: ['bug'] }, seededEmbedding(500));
+      await adapter.delete(record.id);
+
+      expect(await adapter.list()).toEqual([]);
+      expect(await adapter.search(seededEmbedding(500), { mode: 'vector' })).toEqual([]);
+      expect(await adapter.listTags()).toEqual([]);
+      expect(await adapter.delete(record.id)).toBe(false);
+
+      const trash = await adapter.listTrash();
+      expect(trash).toHaveLength(1);
+      expect(trash[0]).toMatchObject({ id: record.id, title: 'Trashed', tags: ['bug'] });
+      expect(trash[0].deleted_at).toBeTruthy();
+    });
+
+    it('should not dedup into a trashed record', async () => {
+      const record = await adapter.upsert({ kind: 'issue', title: 'Old' }, seededEmbedding(501));
+      await adapter.delete(record.id);
+      const fresh = await adapter.upsert({ kind: 'issue', title: 'New' }, seededEmbedding(501));
+      expect(fresh.id).not.toBe(record.id);
+    });
+
+    it('should restore a trashed record', async () => {
+      const record = await adapter.upsert({ kind: 'issue', title: 'Back' }, seededEmbedding(502));
+      await adapter.delete(record.id);
+
+      const restored = await adapter.restore(record.id);
+      expect(restored).toMatchObject({ id: record.id, title: 'Back' });
+      expect(await adapter.listTrash()).toEqual([]);
+      expect(await adapter.restore(record.id)).toBeNull();
+    });
+
+    it('should purge the trash by id, age, or entirely', async () => {
+      const ids = [];
+      for (const seed of [503, 504, 505]) {
+        const r = await adapter.upsert({ kind: 'issue', title: `Purge ${seed}` }, seededEmbedding(seed));
+        await adapter.delete(r.id);
+        ids.push(r.id);
+      }
+      const live = await adapter.upsert({ kind: 'issue', title: 'Live' }, seededEmbedding(506));
+      await adapter.db.execute({
+        sql: 'UPDATE record SET deleted_at = ? WHERE id = ?',
+        args: [new Date(Date.now() - 40 * 86_400_000).toISOString(), ids[0]],
+      });
+
+      expect(await adapter.purgeTrash({ olderThanDays: 30 })).toBe(1);
+      expect(await adapter.purgeTrash({ ids: [ids[1], live.id] })).toBe(1);
+      expect(await adapter.purgeTrash()).toBe(1);
+      expect(await adapter.listTrash()).toEqual([]);
+      expect(await adapter.get(live.id)).not.toBeNull();
+    });
+
+    it('should auto-purge old trash on init', async () => {
+      const record = await adapter.upsert({ kind: 'issue', title: 'Ancient' }, seededEmbedding(507));
+      await adapter.delete(record.id);
+      await adapter.db.execute({
+        sql: 'UPDATE record SET deleted_at = ? WHERE id = ?',
+        args: [new Date(Date.now() - 31 * 86_400_000).toISOString(), record.id],
+      });
+
+      // Re-run init on the same connection
+      adapter.currentProject = null;
+      await adapter.init();
+      expect(await adapter.listTrash()).toEqual([]);
+    });
+
     it('should return false for non-existent record', async () => {
       const deleted = await adapter.delete(99999);
       expect(deleted).toBe(false);
@@ -304,6 +624,1043 @@ describe('LibsqlAdapter', () => {
     });
   });
 
+  // -----------------------------------------------------------------------
+  // Project scoping in search
+  // -----------------------------------------------------------------------
+
+  describe('search project scoping', () => {
+    let otherId;
+
+    beforeEach(async () => {
+      await adapter.db.execute("INSERT INTO project (name) VALUES ('other/repo')");
+      const p = await adapter.db.execute("SELECT id FROM project WHERE name = 'other/repo'");
+      otherId = p.rows[0].id;
+
+      await adapter.upsert({ kind: 'issue', title: 'Current Rec' }, seededEmbedding(300));
+      await adapter.upsert({ projectId: otherId, kind: 'issue', title: 'Other Rec' }, seededEmbedding(301));
+    });
+
+    it('should boost the current project by default', async () => {
+      const query = mix(seededEmbedding(300), seededEmbedding(302));
+      const boosted = await adapter.search(query, { limit: 5 });
+      const equal = await adapter.search(query, { project: '*', limit: 5 });
+
+      const b = boosted.find(r => r.title === 'Current Rec');
+      const e = equal.find(r => r.title === 'Current Rec');
+      expect(b.similarity - e.similarity).toBeCloseTo(0.1, 5);
+    });
+
+    it('should boost a named project instead of the current one', async () => {
+      const query = mix(seededEmbedding(301), seededEmbedding(302));
+      const named = await adapter.search(query, { project: 'other/repo', limit: 5 });
+      const equal = await adapter.search(query, { project: '*', limit: 5 });
+
+      const n = named.find(r => r.title === 'Other Rec');
+      const e = equal.find(r => r.title === 'Other Rec');
+      expect(n.similarity - e.similarity).toBeCloseTo(0.1, 5);
+    });
+
+    it('should restrict to the named project in strict mode', async () => {
+      const results = await adapter.search(seededEmbedding(301), { project: 'other/repo', strict: true, limit: 5 });
+      expect(results.length).toBeGreaterThan(0);
+      expect(results.every(r => r.project === 'other/repo')).toBe(true);
+    });
+
+    it('should restrict to a list of projects', async () => {
+      const results = await adapter.search(seededEmbedding(300), { project: '*', projects: ['other/repo'], limit: 5 });
+      expect(results.every(r => r.project === 'other/repo')).toBe(true);
+    });
+
+    it('should return nothing when scoped to an unknown project', async () => {
+      const results = await adapter.search(seededEmbedding(300), { project: 'no/such', strict: true, limit: 5 });
+      expect(results).toEqual([]);
+    });
+  });
+
+  // -----------------------------------------------------------------------
+  // Filter-aware search
+  // -----------------------------------------------------------------------
+
+  describe('filtered search fills the limit', () => {
+    const query = seededEmbedding(500);
+
+    /** Insert directly so near-identical rows aren't merged by dedup. */
+    async function insertRaw(kind, emb, fields = {}) {
+      const proj = await adapter.getCurrentProject();
+      const now = fields.updated_at || new Date().toISOString();
+      await adapter.db.execute({
+        sql: `INSERT INTO record (project_id, kind, title, status, embedding, embedding_model, created_at, updated_at)
+              VALUES (?, ?, ?, ?, vector(?), ?, ?, ?)`,
+        args: [proj.id, kind, fields.title || kind, fields.status || 'open',
+          JSON.stringify(Array.from(emb)), adapter.settings.embedding.model, now, now],
+      });
+    }
+
+    beforeEach(async () => {
+      // 40 issues very close to the query crowd out everything else in the first k
+      for (let i = 0; i < 40; i++) {
+        await insertRaw('issue', mix(query, seededEmbedding(600 + i), 0.9));
+      }
+      // A handful of rarer, less similar (but still relevant) records
+      for (let i = 0; i < 6; i++) {
+        await insertRaw('arch', mix(query, seededEmbedding(700 + i), 0.4), {
+          title: `arch ${i}`,
+          status: i < 3 ? 'open' : 'resolved',
+          updated_at: i % 2 ? '2024-01-01T00:00:00.000Z' : '2025-06-01T00:00:00.000Z',
+        });
+      }
+    });
+
+    it('should return up to limit records of a rare kind', async () => {
+      const results = await adapter.search(query, { kind: 'arch', mode: 'vector', limit: 5 });
+      expect(results).toHaveLength(5);
+      expect(results.every(r => r.kind === 'arch')).toBe(true);
+    });
+
+    it('should filter by status', async () => {
+      const results = await adapter.search(query, { kind: 'arch', status: 'resolved', mode: 'vector', limit: 5 });
+      expect(results).toHaveLength(3);
+      expect(results.every(r => r.status === 'resolved')).toBe(true);
+    });
+
+    it('should filter by updated_at range', async () => {
+      const results = await adapter.search(query, { kind: 'arch', since: '2025-01-01', mode: 'vector', limit: 10 });
+      expect(results).toHaveLength(3);
+      const older = await adapter.search(query, { kind: 'arch', until: '2024-12-31', mode: 'vector', limit: 10 });
+      expect(older).toHaveLength(3);
+    });
+
+    it('should stop widening once candidates fall below the threshold', async () => {
+      const results = await adapter.search(seededEmbedding(9999), { kind: 'arch', mode: 'vector', limit: 5 });
+      expect(results).toEqual([]);
+    });
+
+    it('should reject invalid dates', async () => {
+      await expect(adapter.search(query, { since: 'not a date' })).rejects.toThrow('Invalid since date');
+    });
+  });
+
+  // -----------------------------------------------------------------------
+  // Status- and recency-aware ranking
+  // -----------------------------------------------------------------------
+
+  describe('ranking', () => {
+    async function backdate(id, iso) {
+      await adapter.db.execute({ sql: 'UPDATE record SET updated_at = ? WHERE id = ?', args: [iso, id] });
+    }
+
+    it('should exclude archived records by default', async () => {
+      const emb = seededEmbedding(800);
+      await adapter.upsert({ kind: 'issue', title: 'Archived one', status: 'archived' }, emb);
+
+      expect(await adapter.search(emb, { mode: 'vector' })).toEqual([]);
+      const all = await adapter.search(emb, { mode: 'vector', status: 'all' });
+      expect(all).toHaveLength(1);
+      expect(all[0].breakdown.status).toBe(0.5);
+    });
+
+    it('should rank resolved records below equally similar open ones', async () => {
+      const emb = seededEmbedding(801);
+      await adapter.upsert({ kind: 'issue', title: 'Resolved one', status: 'resolved' }, emb);
+      await adapter.upsert({ kind: 'spec', title: 'Open one', status: 'open' }, emb);
+
+      const results = await adapter.search(emb, { mode: 'vector' });
+      expect(results.map(r => r.title)).toEqual(['Open one', 'Resolved one']);
+      expect(results[1].breakdown.status).toBe(0.8);
+    });
+
+    it('should decay old records and expose the score breakdown', async () => {
+      const emb = seededEmbedding(802);
+      const old = await adapter.upsert({ kind: 'issue', title: 'Old one' }, emb);
+      await adapter.upsert({ kind: 'spec', title: 'New one' }, emb);
+      await backdate(old.id, new Date(Date.now() - 90 * 86_400_000).toISOString());
+
+      const results = await adapter.search(emb, { mode: 'vector' });
+      expect(results[0].title).toBe('New one');
+
+      const b = results[1].breakdown;
+      expect(b.recency).toBeCloseTo(0.875, 2); // one half-life at weight 0.25
+      expect(b.similarity).toBeCloseTo(1.0, 3);
+      expect(b.projectBoost).toBeCloseTo(0, 3); // capped at 1.0
+      expect(results[1].score).toBeCloseTo(b.relevance * b.recency * b.status, 6);
+    });
+
+    it('should accept ranking overrides', async () => {
+      const emb = seededEmbedding(803);
+      const rec = await adapter.upsert({ kind: 'issue', title: 'Ancient', status: 'resolved' }, emb);
+      await backdate(rec.id, '2020-01-01 00:00:00');
+
+      const [r] = await adapter.search(emb, {
+        mode: 'vector',
+        ranking: { recencyWeight: 0, statusWeights: { resolved: 1 } },
+      });
+      expect(r.breakdown.recency).toBe(1);
+      expect(r.breakdown.status).toBe(1);
+    });
+
+    it('should scale scores by kind weight and leave out kinds weighted 0', async () => {
+      const emb = seededEmbedding(804);
+      await adapter.upsert({ kind: 'issue', title: 'Issue one' }, emb);
+      await adapter.upsert({ kind: 'spec', title: 'Spec one' }, emb);
+      await adapter.upsert({ kind: 'update', title: 'Update one' }, emb);
+
+      const results = await adapter.search(emb, { mode: 'vector', ranking: { kindWeights: { issue: 0.5, update: 0 } } });
+      expect(results.map(r => r.title)).toEqual(['Spec one', 'Issue one']);
+      expect(results[1].breakdown.kind).toBe(0.5);
+      expect(results[1].score).toBeCloseTo(results[0].score * 0.5, 6);
+    });
+  });
+
+  // -----------------------------------------------------------------------
+  // Kinds
+  // -----------------------------------------------------------------------
+
+  describe('kinds', () => {
+    it('should start with the built-in kinds', async () => {
+      const kinds = await adapter.listKinds();
+      expect(kinds.map(k => k.name)).toEqual(['arch', 'issue', 'spec', 'update']);
+      expect(kinds[1]).toMatchObject({ builtin: true, default_status: 'open', retrieve_weight: 1, color: '#c62828', record_count: 0 });
+    });
+
+    it('should accept records of a custom kind once it is defined', async () => {
+      await expect(adapter.upsert({ kind: 'runbook', title: 'Restart the queue' }, seededEmbedding(820)))
+        .rejects.toThrow('Unknown kind "runbook" (expected arch, issue, spec, update)');
+
+      await adapter.defineKind({ name: 'runbook', description: 'operational procedure', color: '#00796B', defaultStatus: 'resolved' });
+      const rec = await adapter.upsert({ kind: 'runbook', title: 'Restart the queue' }, seededEmbedding(820));
+      expect(rec).toMatchObject({ kind: 'runbook', status: 'resolved' });
+      expect(await adapter.getKind('runbook')).toMatchObject({ color: '#00796b', retrieve_weight: 1, builtin: false });
+      expect((await adapter.listKinds()).find(k => k.name === 'runbook').record_count).toBe(1);
+
+      // An update without a status keeps the record's status
+      const updated = await adapter.upsert({ id: rec.id, kind: 'runbook', title: 'Restart the queue safely' }, seededEmbedding(820));
+      expect(updated.status).toBe('resolved');
+      await expect(adapter.upsert({ id: rec.id, kind: 'gotcha', title: 'x' }, seededEmbedding(820))).rejects.toThrow('Unknown kind');
+    });
+
+    it('should only change the given fields of an existing kind', async () => {
+      await adapter.defineKind({ name: 'decision-log', description: 'why we did it', retrieveWeight: 0.5 });
+      const kind = await adapter.defineKind({ name: 'decision-log', color: '#123abc' });
+      expect(kind).toMatchObject({ description: 'why we did it', retrieve_weight: 0.5, color: '#123abc', default_status: 'open' });
+    });
+
+    it('should validate kind definitions', async () => {
+      await expect(adapter.defineKind({ name: 'Runbook' })).rejects.toThrow('Invalid kind name');
+      await expect(adapter.defineKind({ name: 'all' })).rejects.toThrow('Invalid kind name');
+      await expect(adapter.defineKind({ name: 'gotcha', color: 'red' })).rejects.toThrow('Invalid color');
+      await expect(adapter.defineKind({ name: 'gotcha', defaultStatus: 'done' })).rejects.toThrow('not in the gotcha workflow');
+      await expect(adapter.defineKind({ name: 'gotcha', retrieveWeight: -1 })).rejects.toThrow('Retrieve weight');
+    });
+
+    it('should only delete unused custom kinds', async () => {
+      await adapter.defineKind({ name: 'gotcha' });
+      await adapter.defineKind({ name: 'convention' });
+      const rec = await adapter.upsert({ kind: 'gotcha', title: 'Dates are UTC' }, seededEmbedding(821));
+      await adapter.delete(rec.id);
+
+      await expect(adapter.deleteKind('issue')).rejects.toThrow('built-in');
+      await expect(adapter.deleteKind('gotcha')).rejects.toThrow('used by 1 record(s)');
+      expect(await adapter.deleteKind('convention')).toBe(true);
+      expect(await adapter.deleteKind('convention')).toBe(false);
+    });
+  });
+
+  describe('status workflows', () => {
+    const TASK_WORKFLOW = {
+      statuses: ['open', 'in_progress', 'blocked', 'resolved'],
+      transitions: { open: ['in_progress'], in_progress: ['blocked', 'resolved'], blocked: ['in_progress'], resolved: ['open'] },
+    };
+
+    it('should validate transitions and track when the status changed and closed', async () => {
+      await adapter.defineKind({ name: 'task', workflow: TASK_WORKFLOW });
+      const rec = await adapter.upsert({ kind: 'task', title: 'Ship it' }, seededEmbedding(830));
+      expect(rec).toMatchObject({ status: 'open', resolved_at: null });
+      expect(rec.status_changed_at).toBe(rec.created_at);
+
+      const edit = (status) => adapter.upsert({ id: rec.id, kind: 'task', title: 'Ship it', status, source: 'mcp' }, seededEmbedding(830));
+      await expect(edit('resolved')).rejects.toThrow('A task can\'t move from "open" to "resolved" (allowed: in_progress, archived)');
+      await expect(edit('done')).rejects.toThrow('Status "done" is not in the task workflow');
+
+      const started = await edit('in_progress');
+      expect(started.status_changed_at >= rec.status_changed_at).toBe(true);
+      const resolved = await edit('resolved');
+      expect(resolved.resolved_at).toBe(resolved.status_changed_at);
+
+      // Archiving is always allowed, keeps resolved_at, and can go back to any status
+      expect((await edit('archived')).resolved_at).toBe(resolved.resolved_at);
+      const reopened = await edit('blocked');
+      expect(reopened.resolved_at).toBeNull();
+
+      expect(reopened.status_history.map(h => [h.from, h.to, h.source])).toEqual([
+        [null, 'open', null],
+        ['open', 'in_progress', 'mcp'],
+        ['in_progress', 'resolved', 'mcp'],
+        ['resolved', 'archived', 'mcp'],
+        ['archived', 'blocked', 'mcp'],
+      ]);
+    });
+
+    it('should let revision restores go against the transitions', async () => {
+      await adapter.defineKind({ name: 'task', workflow: TASK_WORKFLOW });
+      const rec = await adapter.upsert({ kind: 'task', title: 'Undo me' }, seededEmbedding(831));
+      await adapter.upsert({ id: rec.id, kind: 'task', title: 'Undo me', status: 'in_progress' }, seededEmbedding(831));
+      const [rev] = await adapter.getHistory(rec.id);
+
+      const restored = await adapter.restoreRevision(rev.id, seededEmbedding(831));
+      expect(restored.status).toBe('open');
+    });
+
+    it('should keep the matched record\'s status on a dedup merge unless one is given', async () => {
+      const rec = await adapter.upsert({ kind: 'issue', title: 'Crash on save', status: 'resolved' }, seededEmbedding(832));
+      const merged = await adapter.upsert({ kind: 'issue', title: 'Crash on save again' }, seededEmbedding(832));
+      expect(merged).toMatchObject({ id: rec.id, status: 'resolved' });
+      const reopened = await adapter.upsert({ kind: 'issue', title: 'Crash on save again', status: 'open' }, seededEmbedding(832));
+      expect(reopened).toMatchObject({ id: rec.id, status: 'open', resolved_at: null });
+    });
+
+    it('should refuse workflows that drop statuses records still have, and reset to the default', async () => {
+      await adapter.defineKind({ name: 'task', workflow: TASK_WORKFLOW, defaultStatus: 'blocked' });
+      await adapter.upsert({ kind: 'task', title: 'Stuck' }, seededEmbedding(833));
+
+      await expect(adapter.defineKind({ name: 'task', workflow: { statuses: ['open', 'resolved'] } }))
+        .rejects.toThrow('still have statuses the new workflow lacks: "blocked" (1)');
+      await expect(adapter.defineKind({ name: 'task', workflow: { statuses: ['open', 'archived'] } })).rejects.toThrow('always available');
+      await expect(adapter.defineKind({ name: 'task', workflow: { statuses: ['open'], closed: ['done'] } })).rejects.toThrow('Unknown status "done"');
+
+      await adapter.db.execute("UPDATE record SET status = 'open' WHERE kind = 'task'");
+      const reset = await adapter.defineKind({ name: 'task', workflow: null });
+      expect(reset.workflow).toEqual({ statuses: ['open', 'resolved'], closed: ['resolved'], transitions: null });
+      expect(reset.default_status).toBe('open');
+    });
+
+    it('should treat any unclosed status as open in the project context', async () => {
+      await adapter.defineKind({ name: 'issue', workflow: { statuses: ['open', 'in_progress', 'wontfix', 'resolved'], closed: ['wontfix', 'resolved'] } });
+      await adapter.upsert({ kind: 'issue', title: 'Working on it', status: 'in_progress' }, seededEmbedding(834));
+      await adapter.upsert({ kind: 'issue', title: 'Not fixing', status: 'wontfix' }, seededEmbedding(835));
+
+      const context = await adapter.getProjectContext();
+      expect(context.issues.map(r => r.title)).toEqual(['Working on it']);
+    });
+  });
+
+  // -----------------------------------------------------------------------
+  // Priority, severity and due dates
+  // -----------------------------------------------------------------------
+
+  describe('priority, severity and due dates', () => {
+    const add = (title, fields, n) => adapter.upsert({ kind: 'issue', title, ...fields }, seededEmbedding(n));
+
+    it('should store, normalise, keep and clear triage fields', async () => {
+      const rec = await add('Login down', { priority: 'p1', severity: 'Major', dueDate: '2030-02-01T12:00:00Z' }, 840);
+      expect(rec).toMatchObject({ priority: 'P1', severity: 'major', due_date: '2030-02-01' });
+
+      const edit = (fields) => adapter.upsert({ id: rec.id, kind: 'issue', title: 'Login down', ...fields }, seededEmbedding(840));
+      expect(await edit({ body: 'still down' })).toMatchObject({ priority: 'P1', severity: 'major', due_date: '2030-02-01' });
+      const cleared = await edit({ body: 'still down', priority: 'P0', dueDate: null });
+      expect(cleared).toMatchObject({ priority: 'P0', severity: 'major', due_date: null });
+
+      const [latest] = await adapter.getHistory(rec.id);
+      expect(latest.diff).toEqual({
+        priority: { from: 'P1', to: 'P0' },
+        due_date: { from: '2030-02-01', to: null },
+      });
+
+      await expect(edit({ priority: 'P4' })).rejects.toThrow('Unknown priority "P4" (expected P0, P1, P2, P3)');
+      await expect(edit({ severity: 'huge' })).rejects.toThrow('Unknown severity "huge"');
+      await expect(edit({ dueDate: 'someday' })).rejects.toThrow('Invalid due date "someday"');
+    });
+
+    it('should keep triage fields on a dedup merge unless given', async () => {
+      const rec = await add('Checkout fails', { priority: 'P2' }, 841);
+      const merged = await add('Checkout fails', { severity: 'critical' }, 841);
+      expect(merged.id).toBe(rec.id);
+      expect(merged).toMatchObject({ priority: 'P2', severity: 'critical' });
+    });
+
+    it('should filter and sort by priority, severity and due date', async () => {
+      await add('Untriaged', {}, 842);
+      await add('Minor P1', { priority: 'P1', severity: 'minor', dueDate: '2031-01-01' }, 843);
+      await add('Critical P1', { priority: 'P1', severity: 'critical' }, 844);
+      await add('P3 soon', { priority: 'P3', dueDate: '2030-06-01' }, 845);
+      await add('Overdue', { dueDate: '2020-01-01' }, 846);
+      const done = await add('Overdue but resolved', { dueDate: '2020-01-02', status: 'resolved' }, 847);
+      expect(done.resolved_at).not.toBeNull();
+
+      const titles = async (filters) => (await adapter.list(filters)).map(r => r.title);
+      expect(await titles({ sort: 'priority' }))
+        .toEqual(['Critical P1', 'Minor P1', 'P3 soon', 'Overdue', 'Overdue but resolved', 'Untriaged']);
+      expect((await titles({ sort: 'severity' })).slice(0, 2)).toEqual(['Critical P1', 'Minor P1']);
+      expect((await titles({ sort: 'due' })).slice(0, 4)).toEqual(['Overdue', 'Overdue but resolved', 'P3 soon', 'Minor P1']);
+
+      expect(await titles({ priority: ['P1', 'p3'], sort: 'priority' })).toEqual(['Critical P1', 'Minor P1', 'P3 soon']);
+      expect(await titles({ priority: 'P1', severity: 'critical' })).toEqual(['Critical P1']);
+      expect(await titles({ overdue: true })).toEqual(['Overdue']);
+      expect(await titles({ dueBefore: '2030-12-31', sort: 'due' })).toEqual(['Overdue', 'Overdue but resolved', 'P3 soon']);
+      await expect(adapter.list({ sort: 'random' })).rejects.toThrow('Unknown sort "random"');
+    });
+
+    it('should return open P0 and overdue records as urgent', async () => {
+      await add('P0 outage', { priority: 'P0', severity: 'critical' }, 848);
+      await add('Overdue spec', { dueDate: '2020-05-01' }, 849);
+      await add('Due later', { priority: 'P1', dueDate: '2099-01-01' }, 850);
+      await add('Closed P0', { priority: 'P0', status: 'resolved' }, 851);
+      const archived = await add('Archived overdue', { dueDate: '2020-01-01' }, 852);
+      await adapter.upsert({ id: archived.id, kind: 'issue', title: 'Archived overdue', status: 'archived' }, seededEmbedding(852));
+
+      const proj = await adapter.getCurrentProject();
+      const urgent = await adapter.getUrgentRecords(proj.id);
+      expect(urgent.map(r => r.title)).toEqual(['P0 outage', 'Overdue spec']);
+      expect(urgent[0]).toMatchObject({ priority: 'P0', severity: 'critical', tags: [] });
+      expect(await adapter.getUrgentRecords(proj.id, { limit: 1 })).toHaveLength(1);
+    });
+  });
+
+  // -----------------------------------------------------------------------
+  // Code references
+  // -----------------------------------------------------------------------
+
+  describe('code references', () => {
+    const ref = (fields) => ({ path: null, line_start: null, line_end: null, symbol: null, commit: null, ...fields });
+
+    it('should parse, normalise and validate references', () => {
+      expect(normalizeRefs([
+        './src\\db-libsql.js:120-180#search',
+        'src/db-libsql.js:7',
+        '#parseArgs',
+        '3F2A9C1',
+        'src/web.js@3f2a9c1d',
+        { path: 'src/db-libsql.js', line_start: 120, line_end: 180, symbol: 'search' },
+      ])).toEqual([
+        ref({ commit: '3f2a9c1' }),
+        ref({ symbol: 'parseArgs' }),
+        ref({ path: 'src/db-libsql.js', line_start: 7, line_end: 7 }),
+        ref({ path: 'src/db-libsql.js', line_start: 120, line_end: 180, symbol: 'search' }),
+        ref({ path: 'src/web.js', commit: '3f2a9c1d' }),
+      ]);
+      expect(() => normalizeRefs([{}])).toThrow('Empty code reference');
+      expect(() => normalizeRefs([{ commit: 'xyz' }])).toThrow('Invalid commit SHA "xyz"');
+      expect(() => normalizeRefs(['src/a.js:20-10'])).toThrow('Invalid line range 20-10 for src/a.js');
+      expect(() => normalizeRefs([{ symbol: 'fn', line_start: 3 }])).toThrow('Line numbers need a path');
+    });
+
+    it('should store refs, replace them by id, add them on dedup and keep them in revisions', async () => {
+      const rec = await adapter.upsert({ kind: 'issue', title: 'Search drops results', refs: ['src/db-libsql.js#search'] }, seededEmbedding(860));
+      expect(rec.refs).toEqual([ref({ path: 'src/db-libsql.js', symbol: 'search' })]);
+
+      const merged = await adapter.upsert({ kind: 'issue', title: 'Search drops results', refs: ['abc1234'] }, seededEmbedding(860));
+      expect(merged.id).toBe(rec.id);
+      expect(merged.refs.map(r => r.commit ?? r.path)).toEqual(['abc1234', 'src/db-libsql.js']);
+
+      const edit = (refs) => adapter.upsert({ id: rec.id, kind: 'issue', title: 'Search drops results', refs }, seededEmbedding(860));
+      expect((await edit(undefined)).refs).toHaveLength(2);
+      const replaced = await edit(['src/web.js:10']);
+      expect(replaced.refs).toEqual([ref({ path: 'src/web.js', line_start: 10, line_end: 10 })]);
+
+      const [latest] = await adapter.getHistory(rec.id);
+      expect(latest.refs).toHaveLength(2);
+      expect(latest.diff.refs.to).toEqual(replaced.refs);
+      const restored = await adapter.restoreRevision(latest.id, seededEmbedding(860));
+      expect(restored.refs).toEqual(merged.refs);
+    });
+
+    it('should find records by file, directory, absolute path and line', async () => {
+      const other = await adapter.createProject({ name: 'testorg/other' });
+      await adapter.upsert({ kind: 'issue', title: 'Search bug', refs: ['src/db-libsql.js:100-200#search'] }, seededEmbedding(861));
+      await adapter.upsert({ kind: 'arch', title: 'Adapter design', refs: ['src/db-libsql.js', 'src/db-adapter.js'] }, seededEmbedding(862));
+      await adapter.upsert({ kind: 'spec', title: 'Web routes', refs: ['src/web.js#handle'] }, seededEmbedding(863));
+      await adapter.upsert({ projectId: other.id, kind: 'issue', title: 'Elsewhere', refs: ['src/db-libsql.js'] }, seededEmbedding(864));
+      const trashed = await adapter.upsert({ kind: 'issue', title: 'Trashed', refs: ['src/db-libsql.js'] }, seededEmbedding(865));
+      await adapter.delete(trashed.id);
+
+      const titles = async (path, opts) => (await adapter.findByPath(path, opts)).map(r => r.title).sort();
+      expect(await titles('src/db-libsql.js')).toEqual(['Adapter design', 'Search bug']);
+      expect(await titles('/home/me/checkout/src/db-libsql.js')).toEqual(['Adapter design', 'Search bug']);
+      expect(await titles('./src/')).toEqual(['Adapter design', 'Search bug', 'Web routes']);
+      expect(await titles('src/db')).toEqual([]);
+      expect(await titles('src/db-libsql.js', { line: 150 })).toEqual(['Adapter design', 'Search bug']);
+      expect(await titles('src/db-libsql.js', { line: 250 })).toEqual(['Adapter design']);
+      expect(await titles('src/db-libsql.js', { project: '*' })).toEqual(['Adapter design', 'Elsewhere', 'Search bug']);
+
+      const [design] = await adapter.findByPath('src/db-adapter.js');
+      expect(design).toMatchObject({ title: 'Adapter design', kind: 'arch', tags: [] });
+      expect(design.refs).toEqual([ref({ path: 'src/db-adapter.js' })]);
+
+      const listed = async (filters) => (await adapter.list(filters)).map(r => r.title).sort();
+      expect(await listed({ path: 'src' })).toEqual(['Adapter design', 'Search bug', 'Web routes']);
+      expect(await listed({ symbol: 'handle' })).toEqual(['Web routes']);
+    });
+
+    it('should match abbreviated and full commit SHAs', async () => {
+      await adapter.upsert({ kind: 'update', title: 'Faster search', refs: ['3f2a9c1d8e'] }, seededEmbedding(866));
+      expect((await adapter.list({ commit: '3f2a9c1' })).map(r => r.title)).toEqual(['Faster search']);
+      expect((await adapter.list({ commit: '3F2A9C1D8E77' })).map(r => r.title)).toEqual(['Faster search']);
+      expect(await adapter.list({ commit: '3f2a9c2' })).toEqual([]);
+    });
+  });
+
+  // -----------------------------------------------------------------------
+  // Chunks
+  // -----------------------------------------------------------------------
+
+  describe('chunks', () => {
+    const NEEDLE = 'The writer crashed with ERR_PIPE when the socket closed early.';
+    const filler = Array.from({ length: 40 }, (_, i) => `Paragraph ${i} covers unrelated build setup details.`).join('\n\n');
+    // Chunks mentioning the needle embed close to seededEmbedding(950), everything else far away
+    const embedMany = vi.fn(async (texts) => texts.map(text => (
+      text.includes('ERR_PIPE') ? seededEmbedding(950) : seededEmbedding(951 + text.length))));
+    const chunkCount = async (id) => (await adapter.db.execute({
+      sql: 'SELECT COUNT(*) AS n FROM record_chunk WHERE record_id = ?', args: [id],
+    })).rows[0].n;
+
+    beforeEach(async () => {
+      await adapter.close();
+      adapter = new LibsqlAdapter({ url: 'file::memory:', embedMany });
+      await adapter.init();
+      embedMany.mockClear();
+    });
+
+    it('should find a long record by a passage past the first chunk and return it as the snippet', async () => {
+      const rec = await adapter.upsert({ kind: 'spec', title: 'Streaming plan', body: `${filler}\n\n${NEEDLE}` }, seededEmbedding(960));
+      expect(await chunkCount(rec.id)).toBeGreaterThan(2);
+      // All chunks of a record are embedded in one call
+      expect(embedMany).toHaveBeenCalledTimes(1);
+      expect(embedMany.mock.calls[0][0]).toHaveLength(await chunkCount(rec.id));
+      expect(embedMany).toHaveBeenCalledWith(expect.arrayContaining([expect.stringMatching(/^Streaming plan\n/)]));
+
+      const [hit] = await adapter.search(seededEmbedding(950), { mode: 'vector' });
+      expect(hit).toMatchObject({ id: rec.id, title: 'Streaming plan' });
+      expect(hit.similarity).toBeCloseTo(1, 1);
+      expect(hit.snippet).toContain(NEEDLE);
+      expect(hit.snippet.length).toBeLessThan(hit.body.length);
+    });
+
+    it('should skip short bodies and rewrite chunks only when the text changes', async () => {
+      const short = await adapter.upsert({ kind: 'issue', title: 'Short', body: NEEDLE }, seededEmbedding(961));
+      expect(await chunkCount(short.id)).toBe(0);
+      expect(embedMany).not.toHaveBeenCalled();
+
+      const rec = await adapter.upsert({ kind: 'spec', title: 'Long', body: filler }, seededEmbedding(962));
+      const chunks = await chunkCount(rec.id);
+      embedMany.mockClear();
+      await adapter.upsert({ id: rec.id, kind: 'spec', title: 'Long', body: filler, status: 'resolved' }, seededEmbedding(962));
+      expect(embedMany).not.toHaveBeenCalled();
+      expect(await chunkCount(rec.id)).toBe(chunks);
+
+      await adapter.upsert({ id: rec.id, kind: 'spec', title: 'Long', body: 'Now short.' }, seededEmbedding(962));
+      expect(await chunkCount(rec.id)).toBe(0);
+    });
+
+    it('should drop chunks with purged records', async () => {
+      const rec = await adapter.upsert({ kind: 'spec', title: 'Long', body: filler }, seededEmbedding(963));
+      await adapter.delete(rec.id);
+      expect(await chunkCount(rec.id)).toBeGreaterThan(0);
+      await adapter.purgeTrash();
+      expect(await chunkCount(rec.id)).toBe(0);
+    });
+
+    it('should give lexical hits the matching passage and short records their body', async () => {
+      await adapter.upsert({ kind: 'spec', title: 'Streaming plan', body: `${filler}\n\n${NEEDLE}` }, seededEmbedding(964));
+      await adapter.upsert({ kind: 'issue', title: 'Pipe error', body: 'ERR_PIPE on shutdown' }, seededEmbedding(965));
+      const results = await adapter.search(null, { query: 'ERR_PIPE', mode: 'lexical', limit: 5 });
+      const byTitle = Object.fromEntries(results.map(r => [r.title, r.snippet]));
+      expect(byTitle['Streaming plan']).toContain('ERR_PIPE');
+      expect(byTitle['Streaming plan'].length).toBeLessThan(500);
+      expect(byTitle['Pipe error']).toBe('ERR_PIPE on shutdown');
+    });
+  });
+
+  // -----------------------------------------------------------------------
+  // Re-embedding
+  // -----------------------------------------------------------------------
+
+  describe('re-embedding', () => {
+    /** Unit vector along axis `i` of a `dim`-dimension space. */
+    const axis = (i, dim) => Float32Array.from({ length: dim }, (_, j) => (j === i ? 1 : 0));
+
+    it('should leave vectors of another model out of vector search until they are rebuilt', async () => {
+      const first = await adapter.upsert({ kind: 'issue', title: 'First' }, seededEmbedding(970));
+      await adapter.upsert({ kind: 'issue', title: 'Second' }, seededEmbedding(971));
+      expect(await adapter.embeddingStatus()).toEqual({
+        model: 'Xenova/all-MiniLM-L6-v2', dimension: 384, storedDimension: 384, total: 2, pending: 0,
+      });
+
+      adapter.settings.embedding = { ...adapter.settings.embedding, model: 'Xenova/multilingual-e5-small' };
+      expect((await adapter.embeddingStatus()).pending).toBe(2);
+      expect(await adapter.search(seededEmbedding(970), { mode: 'vector' })).toEqual([]);
+
+      const [next] = await adapter.pendingEmbeddings({ limit: 1 });
+      expect(next).toMatchObject({ id: first.id, title: 'First' });
+      expect(await adapter.setEmbedding(first.id, seededEmbedding(972))).toBe(true);
+      expect(await adapter.setEmbedding(9999, seededEmbedding(972))).toBe(false);
+
+      expect((await adapter.embeddingStatus()).pending).toBe(1);
+      const [hit] = await adapter.search(seededEmbedding(972), { mode: 'vector' });
+      expect(hit.title).toBe('First');
+      // Re-embedding isn't an edit
+      expect(await adapter.getHistory(first.id)).toEqual([]);
+      expect((await adapter.get(first.id)).updated_at).toBe(first.updated_at);
+    });
+
+    it('should resize the vector columns when the dimension changes', async () => {
+      const rec = await adapter.upsert({ kind: 'spec', title: 'Kept text', body: 'Body survives' }, seededEmbedding(973));
+      adapter.settings.embedding = { ...adapter.settings.embedding, model: 'test/tiny', dimension: 8 };
+      expect((await adapter.embeddingStatus()).storedDimension).toBe(384);
+
+      await adapter.resetEmbeddings();
+      expect(await adapter.embeddingStatus()).toMatchObject({ dimension: 8, storedDimension: 8, total: 1, pending: 1 });
+      expect(await adapter.get(rec.id)).toMatchObject({ title: 'Kept text', body: 'Body survives' });
+
+      await expect(adapter.upsert({ kind: 'spec', title: 'Old size' }, seededEmbedding(974)))
+        .rejects.toThrow('Got a 384-dimension embedding but the database stores 8-dimension vectors');
+      await adapter.setEmbedding(rec.id, axis(2, 8));
+      await adapter.upsert({ kind: 'spec', title: 'New size' }, axis(5, 8));
+      const results = await adapter.search(axis(2, 8), { mode: 'vector' });
+      expect(results.map(r => r.title)).toEqual(['Kept text']);
+      expect((await adapter.embeddingStatus()).pending).toBe(0);
+    });
+
+    it('should mark every vector stale on a reset without a resize', async () => {
+      await adapter.upsert({ kind: 'issue', title: 'One' }, seededEmbedding(975));
+      await adapter.resetEmbeddings();
+      expect(await adapter.embeddingStatus()).toMatchObject({ storedDimension: 384, pending: 1 });
+    });
+  });
+
+  // -----------------------------------------------------------------------
+  // Embedding cache
+  // -----------------------------------------------------------------------
+
+  describe('embedding cache', () => {
+    const MODEL = 'Xenova/all-MiniLM-L6-v2';
+    const cacheRows = async () => (await adapter.db.execute(
+      'SELECT model, text_hash FROM embedding_cache ORDER BY text_hash',
+    )).rows.map(row => `${row.model}:${row.text_hash}`);
+
+    it('should return stored vectors by model and hash', async () => {
+      await adapter.cacheEmbeddings(MODEL, [
+        { hash: 'aaa', embedding: seededEmbedding(980) },
+        { hash: 'bbb', embedding: seededEmbedding(981) },
+      ]);
+      const found = await adapter.getCachedEmbeddings(MODEL, ['aaa', 'bbb', 'ccc']);
+      expect([...found.keys()].sort()).toEqual(['aaa', 'bbb']);
+      expect(Array.from(found.get('aaa'))).toEqual(Array.from(seededEmbedding(980)));
+      expect((await adapter.getCachedEmbeddings('other/model', ['aaa'])).size).toBe(0);
+      expect((await adapter.getCachedEmbeddings(MODEL, [])).size).toBe(0);
+    });
+
+    it('should keep vectors of any size', async () => {
+      const small = Float32Array.from([0.5, -0.25, 1]);
+      await adapter.cacheEmbeddings('test/tiny', [{ hash: 'aaa', embedding: small }]);
+      expect(Array.from((await adapter.getCachedEmbeddings('test/tiny', ['aaa'])).get('aaa'))).toEqual([0.5, -0.25, 1]);
+    });
+
+    it('should drop the least recently used vectors beyond embedding.cacheSize', async () => {
+      adapter.settings.embedding = { ...adapter.settings.embedding, cacheSize: 2 };
+      const usedAt = (hash, iso) => adapter.db.execute({
+        sql: 'UPDATE embedding_cache SET used_at = ? WHERE text_hash = ?', args: [iso, hash],
+      });
+      await adapter.cacheEmbeddings(MODEL, [
+        { hash: 'aaa', embedding: seededEmbedding(982) },
+        { hash: 'bbb', embedding: seededEmbedding(983) },
+      ]);
+      await usedAt('aaa', '2026-01-01T00:00:00.000Z');
+      await usedAt('bbb', '2026-01-02T00:00:00.000Z');
+      // A hit counts as a use, so aaa now outlives bbb
+      await adapter.getCachedEmbeddings(MODEL, ['aaa']);
+      await adapter.cacheEmbeddings(MODEL, [{ hash: 'ccc', embedding: seededEmbedding(984) }]);
+      expect(await cacheRows()).toEqual([`${MODEL}:aaa`, `${MODEL}:ccc`]);
+    });
+
+    it('should neither store nor return vectors when cacheSize is 0', async () => {
+      await adapter.cacheEmbeddings(MODEL, [{ hash: 'aaa', embedding: seededEmbedding(985) }]);
+      adapter.settings.embedding = { ...adapter.settings.embedding, cacheSize: 0 };
+      await adapter.cacheEmbeddings(MODEL, [{ hash: 'bbb', embedding: seededEmbedding(986) }]);
+      expect((await adapter.getCachedEmbeddings(MODEL, ['aaa', 'bbb'])).size).toBe(0);
+      expect(await cacheRows()).toEqual([`${MODEL}:aaa`]);
+    });
+  });
+
+  // -----------------------------------------------------------------------
+  // Git context
+  // -----------------------------------------------------------------------
+
+  describe('git context', () => {
+    const MAIN = 'a'.repeat(40);
+    const FEATURE = 'b1c2d3e4f5'.padEnd(40, '0');
+
+    it('should store the branch, sha and dirty files and keep them on updates without a context', async () => {
+      const rec = await adapter.upsert(
+        { kind: 'issue', title: 'Flaky', git: { branch: 'feature/x', sha: FEATURE.toUpperCase(), dirty: ['src/db.js'] } },
+        seededEmbedding(870),
+      );
+      expect(rec).toMatchObject({ git_branch: 'feature/x', git_sha: FEATURE, git_dirty: ['src/db.js'] });
+
+      const kept = await adapter.upsert({ id: rec.id, kind: 'issue', title: 'Flaky test' }, seededEmbedding(870));
+      expect(kept).toMatchObject({ git_branch: 'feature/x', git_sha: FEATURE, git_dirty: ['src/db.js'] });
+
+      const moved = await adapter.upsert(
+        { id: rec.id, kind: 'issue', title: 'Flaky test', git: { branch: null, sha: MAIN, dirty: [] } },
+        seededEmbedding(870),
+      );
+      expect(moved).toMatchObject({ git_branch: null, git_sha: MAIN, git_dirty: [] });
+
+      const plain = await adapter.upsert({ kind: 'spec', title: 'No git' }, seededEmbedding(871));
+      expect(plain).toMatchObject({ git_branch: null, git_sha: null, git_dirty: null });
+      await expect(adapter.upsert({ kind: 'spec', title: 'Bad', git: { sha: 'nope' } }, seededEmbedding(872)))
+        .rejects.toThrow('Invalid git commit SHA "nope"');
+    });
+
+    it('should filter list and search by branch and commits', async () => {
+      await adapter.upsert({ kind: 'issue', title: 'On feature', git: { branch: 'feature/x', sha: FEATURE, dirty: [] } }, seededEmbedding(873));
+      await adapter.upsert({ kind: 'issue', title: 'On main', git: { branch: 'main', sha: MAIN, dirty: [] } }, seededEmbedding(874));
+      await adapter.upsert({ kind: 'issue', title: 'Untracked' }, seededEmbedding(875));
+
+      const listed = async (filters) => (await adapter.list(filters)).map(r => r.title).sort();
+      expect(await listed({ branch: 'feature/x' })).toEqual(['On feature']);
+      expect(await listed({ commits: [MAIN, FEATURE] })).toEqual(['On feature', 'On main']);
+      expect(await listed({ commits: ['b1c2d3e'] })).toEqual(['On feature']);
+      expect(await listed({ commits: [] })).toEqual([]);
+
+      const [listedFeature] = await adapter.list({ branch: 'feature/x' });
+      expect(listedFeature).toMatchObject({ git_branch: 'feature/x', git_sha: FEATURE });
+
+      const found = await adapter.search(seededEmbedding(874), { branch: 'main', limit: 10 });
+      expect(found.map(r => r.title)).toEqual(['On main']);
+      expect(await adapter.search(seededEmbedding(873), { branch: 'main', limit: 10 })).toEqual([]);
+      const byCommit = await adapter.search(seededEmbedding(873), { commits: ['b1c2d3e'], limit: 10 });
+      expect(byCommit.map(r => r.title)).toEqual(['On feature']);
+    });
+
+    it('should report the directory of the detected project only', async () => {
+      const current = await adapter.getCurrentProject();
+      const other = await adapter.createProject({ name: 'testorg/other' });
+      expect(await adapter.projectDirectory(current.id)).toBe(adapter.identity.cwd);
+      expect(await adapter.projectDirectory(other.id)).toBeNull();
+      expect(await adapter.projectDirectory('testorg/missing')).toBeNull();
+    });
+  });
+
+  // -----------------------------------------------------------------------
+  // Tags
+  // -----------------------------------------------------------------------
+
+  describe('tags', () => {
+    it('should store normalised tags on insert and return them from get', async () => {
+      const rec = await adapter.upsert(
+        { kind: 'issue', title: 'Tagged', tags: ['BUG', ' blocker ', '#bug', 'needs triage'] },
+        seededEmbedding(700),
+      );
+      expect(rec.tags).toEqual(['blocker', 'bug', 'needs-triage']);
+      expect((await adapter.get(rec.id)).tags).toEqual(['blocker', 'bug', 'needs-triage']);
+    });
+
+    it('should replace tags on update by id and keep them when omitted', async () => {
+      const rec = await adapter.upsert({ kind: 'issue', title: 'Tagged', tags: ['bug'] }, seededEmbedding(701));
+      const kept = await adapter.upsert({ id: rec.id, kind: 'issue', title: 'Renamed' }, seededEmbedding(701));
+      expect(kept.tags).toEqual(['bug']);
+      const replaced = await adapter.upsert({ id: rec.id, kind: 'issue', title: 'Renamed', tags: ['task'] }, seededEmbedding(701));
+      expect(replaced.tags).toEqual(['task']);
+    });
+
+    it('should add tags on a dedup match', async () => {
+      const first = await adapter.upsert({ kind: 'issue', title: 'Dup', tags: ['bug'] }, seededEmbedding(702));
+      const second = await adapter.upsert({ kind: 'issue', title: 'Dup', tags: ['blocker'] }, seededEmbedding(702));
+      expect(second.id).toBe(first.id);
+      expect(second.tags).toEqual(['blocker', 'bug']);
+    });
+
+    it('should filter list and search by all given tags', async () => {
+      await adapter.upsert({ kind: 'issue', title: 'Both', tags: ['bug', 'blocker'] }, seededEmbedding(703));
+      await adapter.upsert({ kind: 'issue', title: 'Only bug', tags: ['bug'] }, seededEmbedding(704));
+      await adapter.upsert({ kind: 'issue', title: 'Untagged' }, seededEmbedding(705));
+
+      expect((await adapter.list({ tags: ['bug'] })).map(r => r.title).sort()).toEqual(['Both', 'Only bug']);
+      expect((await adapter.list({ tags: ['BUG', 'blocker'] })).map(r => r.title)).toEqual(['Both']);
+      expect((await adapter.list()).find(r => r.title === 'Untagged').tags).toEqual([]);
+
+      const results = await adapter.search(mix(seededEmbedding(703), seededEmbedding(704)), { mode: 'vector', tags: ['blocker'], limit: 5 });
+      expect(results.map(r => r.title)).toEqual(['Both']);
+      expect(results[0].tags).toEqual(['blocker', 'bug']);
+    });
+
+    it('should list tags with counts, add and remove tags', async () => {
+      const a = await adapter.upsert({ kind: 'issue', title: 'A', tags: ['bug'] }, seededEmbedding(706));
+      await adapter.upsert({ kind: 'issue', title: 'B', tags: ['bug', 'ui'] }, seededEmbedding(707));
+
+      expect(await adapter.listTags()).toEqual([{ name: 'bug', count: 2 }, { name: 'ui', count: 1 }]);
+      expect(await adapter.addTags(a.id, ['ui', 'P1'])).toEqual(['bug', 'p1', 'ui']);
+      expect(await adapter.removeTags(a.id, ['bug'])).toEqual(['p1', 'ui']);
+      expect(await adapter.addTags(99999, ['x'])).toBeNull();
+    });
+
+    it('should save the previous tags as a revision when tags are added or removed', async () => {
+      const a = await adapter.upsert({ kind: 'issue', title: 'A', tags: ['bug'] }, seededEmbedding(706));
+      await adapter.addTags(a.id, ['ui'], { source: 'web' });
+      await adapter.addTags(a.id, ['ui']);
+      await adapter.removeTags(a.id, ['bug']);
+
+      const history = await adapter.getHistory(a.id);
+      expect(history.map(rev => [rev.source, rev.tags])).toEqual([['api', ['bug', 'ui']], ['web', ['bug']]]);
+      expect(history[1].diff).toEqual({ tags: { from: ['bug'], to: ['bug', 'ui'] } });
+    });
+
+    it('should rename tags, merging into an existing tag', async () => {
+      const a = await adapter.upsert({ kind: 'issue', title: 'A', tags: ['defect', 'bug'] }, seededEmbedding(708));
+      const b = await adapter.upsert({ kind: 'issue', title: 'B', tags: ['defect'] }, seededEmbedding(709));
+
+      expect(await adapter.renameTag('defect', 'bug')).toBe(true);
+      expect((await adapter.get(a.id)).tags).toEqual(['bug']);
+      expect((await adapter.get(b.id)).tags).toEqual(['bug']);
+      expect(await adapter.listTags()).toEqual([{ name: 'bug', count: 2 }]);
+      expect(await adapter.renameTag('missing', 'x')).toBe(false);
+    });
+
+    it('should delete tags and drop them with their records', async () => {
+      const a = await adapter.upsert({ kind: 'issue', title: 'A', tags: ['bug', 'ui'] }, seededEmbedding(710));
+      expect(await adapter.deleteTag('ui')).toBe(true);
+      expect((await adapter.get(a.id)).tags).toEqual(['bug']);
+      expect(await adapter.deleteTag('ui')).toBe(false);
+
+      await adapter.delete(a.id);
+      expect(await adapter.listTags()).toEqual([]);
+    });
+
+    it('should save a revision of each record a tag is renamed or deleted on', async () => {
+      const a = await adapter.upsert({ kind: 'issue', title: 'A', tags: ['defect', 'ui'] }, seededEmbedding(711));
+      const b = await adapter.upsert({ kind: 'issue', title: 'B', tags: ['defect'] }, seededEmbedding(712));
+      const c = await adapter.upsert({ kind: 'issue', title: 'C', tags: ['other'] }, seededEmbedding(713));
+      await adapter.delete(b.id);
+
+      await adapter.renameTag('defect', 'bug', { source: 'web' });
+      await adapter.deleteTag('ui');
+
+      const history = await adapter.getHistory(a.id);
+      expect(history.map(rev => [rev.source, rev.action, rev.tags])).toEqual([
+        ['api', 'update', ['bug', 'ui']],
+        ['web', 'update', ['defect', 'ui']],
+      ]);
+      expect(history[1].diff).toEqual({ tags: { from: ['defect', 'ui'], to: ['bug', 'ui'] } });
+      expect(history[0].diff).toEqual({ tags: { from: ['bug', 'ui'], to: ['bug'] } });
+
+      await adapter.restore(b.id);
+      expect((await adapter.getHistory(b.id)).map(rev => rev.tags)).toEqual([['defect']]);
+      expect(await adapter.getHistory(c.id)).toEqual([]);
+    });
+  });
+
+  // -----------------------------------------------------------------------
+  // Links
+  // -----------------------------------------------------------------------
+
+  describe('links', () => {
+    let issue, update, spec;
+
+    beforeEach(async () => {
+      issue = await adapter.upsert({ kind: 'issue', title: 'Crash on save' }, seededEmbedding(800));
+      update = await adapter.upsert({ kind: 'update', title: 'Guard null path' }, seededEmbedding(801));
+      spec = await adapter.upsert({ kind: 'spec', title: 'Save flow' }, seededEmbedding(802));
+    });
+
+    it('should return outbound and inbound links from get', async () => {
+      await adapter.link(update.id, issue.id, 'fixes');
+      await adapter.link(issue.id, spec.id);
+
+      const rec = await adapter.get(issue.id);
+      expect(rec.links.outbound).toEqual([
+        expect.objectContaining({ type: 'relates_to', id: spec.id, kind: 'spec', title: 'Save flow' }),
+      ]);
+      expect(rec.links.inbound).toEqual([
+        expect.objectContaining({ type: 'fixes', id: update.id, kind: 'update', project: 'testorg/test-project' }),
+      ]);
+    });
+
+    it('should ignore duplicate links but allow different types on the same pair', async () => {
+      await adapter.link(update.id, issue.id, 'fixes');
+      await adapter.link(update.id, issue.id, 'fixes');
+      await adapter.link(update.id, issue.id, 'relates_to');
+      const { outbound } = await adapter.getLinks(update.id);
+      expect(outbound.map(l => l.type)).toEqual(['fixes', 'relates_to']);
+    });
+
+    it('should reject unknown types, self links and missing records', async () => {
+      await expect(adapter.link(update.id, issue.id, 'caused')).rejects.toThrow('Unknown link type');
+      await expect(adapter.link(issue.id, issue.id)).rejects.toThrow('itself');
+      await expect(adapter.link(issue.id, 99999)).rejects.toThrow('Record 99999 not found');
+    });
+
+    it('should unlink by type or all types', async () => {
+      await adapter.link(update.id, issue.id, 'fixes');
+      await adapter.link(update.id, issue.id, 'relates_to');
+
+      expect(await adapter.unlink(update.id, issue.id, 'fixes')).toBe(1);
+      expect((await adapter.getLinks(update.id)).outbound.map(l => l.type)).toEqual(['relates_to']);
+      expect(await adapter.unlink(update.id, issue.id)).toBe(1);
+      expect(await adapter.unlink(update.id, issue.id)).toBe(0);
+    });
+
+    it('should drop links when a record is deleted', async () => {
+      await adapter.link(update.id, issue.id, 'fixes');
+      await adapter.delete(update.id);
+      expect((await adapter.get(issue.id)).links.inbound).toEqual([]);
+    });
+  });
+
+  // -----------------------------------------------------------------------
+  // Revisions
+  // -----------------------------------------------------------------------
+
+  describe('revision history', () => {
+    it('should store the previous values on update, newest first with a diff', async () => {
+      const rec = await adapter.upsert({ kind: 'issue', title: 'v1', body: 'first', tags: ['bug'] }, seededEmbedding(600));
+      await adapter.upsert({ id: rec.id, kind: 'issue', title: 'v2', body: 'first', source: 'web' }, seededEmbedding(600));
+      await adapter.upsert({ id: rec.id, kind: 'issue', title: 'v2', body: 'second', status: 'resolved', tags: [], source: 'mcp' }, seededEmbedding(600));
+
+      const history = await adapter.getHistory(rec.id);
+      expect(history).toHaveLength(2);
+      expect(history[0]).toMatchObject({ title: 'v2', body: 'first', status: 'open', tags: ['bug'], source: 'mcp', action: 'update' });
+      expect(history[0].diff).toEqual({
+        body: { from: 'first', to: 'second' },
+        status: { from: 'open', to: 'resolved' },
+        tags: { from: ['bug'], to: [] },
+      });
+      expect(history[1]).toMatchObject({ title: 'v1', source: 'web' });
+      expect(history[1].diff).toEqual({ title: { from: 'v1', to: 'v2' } });
+    });
+
+    it('should not write a revision for an update that changes nothing', async () => {
+      const rec = await adapter.upsert({ kind: 'issue', title: 'Same', body: 'b' }, seededEmbedding(601));
+      await adapter.upsert({ id: rec.id, kind: 'issue', title: 'Same', body: 'b' }, seededEmbedding(601));
+      expect(await adapter.getHistory(rec.id)).toEqual([]);
+    });
+
+    it('should record dedup merges with the overwritten values', async () => {
+      const rec = await adapter.upsert({ kind: 'issue', title: 'Good summary', body: 'detailed' }, seededEmbedding(602));
+      const merged = await adapter.upsert({ kind: 'issue', title: 'Worse summary', source: 'auto-persist' }, seededEmbedding(602));
+      expect(merged.id).toBe(rec.id);
+
+      const [rev] = await adapter.getHistory(rec.id);
+      expect(rev).toMatchObject({ title: 'Good summary', body: 'detailed', source: 'auto-persist', action: 'dedup' });
+    });
+
+    it('should restore a revision and keep the replaced values as a new revision', async () => {
+      const rec = await adapter.upsert({ kind: 'issue', title: 'Good', body: 'keep me', tags: ['bug'] }, seededEmbedding(603));
+      await adapter.upsert({ id: rec.id, kind: 'issue', title: 'Bad', body: '', tags: [] }, seededEmbedding(603));
+      const [rev] = await adapter.getHistory(rec.id);
+
+      const restored = await adapter.restoreRevision(rev.id, seededEmbedding(603), { source: 'web' });
+      expect(restored).toMatchObject({ id: rec.id, title: 'Good', body: 'keep me', tags: ['bug'] });
+
+      const history = await adapter.getHistory(rec.id);
+      expect(history).toHaveLength(2);
+      expect(history[0]).toMatchObject({ title: 'Bad', action: 'restore', source: 'web' });
+    });
+
+    it('should return null for unknown records and revisions', async () => {
+      expect(await adapter.getHistory(99999)).toBeNull();
+      expect(await adapter.getRevision(99999)).toBeNull();
+      expect(await adapter.restoreRevision(99999, seededEmbedding(604))).toBeNull();
+    });
+
+    it('should not restore a revision of a trashed record', async () => {
+      const rec = await adapter.upsert({ kind: 'issue', title: 'Good' }, seededEmbedding(605));
+      await adapter.upsert({ id: rec.id, kind: 'issue', title: 'Bad' }, seededEmbedding(606));
+      const [rev] = await adapter.getHistory(rec.id);
+      await adapter.delete(rec.id);
+      expect(await adapter.restoreRevision(rev.id, seededEmbedding(605))).toBeNull();
+    });
+  });
+
+  // -----------------------------------------------------------------------
+  // Config-driven settings
+  // -----------------------------------------------------------------------
+
+  describe('settings from config file', () => {
+    const configDir = () => `${homedir()}/.dude-claude`;
+
+    afterEach(() => {
+      rmSync(`${configDir()}/config.json`, { force: true });
+    });
+
+    it('should apply per-project overrides for the detected project', async () => {
+      mkdirSync(configDir(), { recursive: true });
+      writeFileSync(`${configDir()}/config.json`, JSON.stringify({
+        projects: { 'testorg/test-project': { search: { minSimilarity: 0.9 }, dedup: { similarity: 0.99 } } },
+      }));
+
+      const configured = new LibsqlAdapter({ url: 'file::memory:' });
+      await configured.init();
+      try {
+        expect(configured.settings.search.minSimilarity).toBe(0.9);
+        expect(configured.settings.dedup.similarity).toBe(0.99);
+
+        await configured.upsert({ kind: 'issue', title: 'Mid match' }, seededEmbedding(900));
+        const query = mix(seededEmbedding(900), seededEmbedding(901));
+        expect(await configured.search(query, { mode: 'vector' })).toEqual([]);
+      } finally {
+        await configured.close();
+      }
+    });
+  });
+
+  // -----------------------------------------------------------------------
+  // Lexical + hybrid search
+  // -----------------------------------------------------------------------
+
+  describe('lexical and hybrid search', () => {
+    beforeEach(async () => {
+      await adapter.upsert(
+        { kind: 'issue', title: 'BUG: socket drops', body: 'Server throws ERR_CONN_RESET under load' },
+        seededEmbedding(400),
+      );
+      await adapter.upsert(
+        { kind: 'spec', title: 'Auth plan', body: 'Use JWT with refresh tokens' },
+        seededEmbedding(401),
+      );
+    });
+
+    it('should find exact identifiers in lexical mode', async () => {
+      const results = await adapter.search(null, { query: 'ERR_CONN_RESET', mode: 'lexical', limit: 5 });
+      expect(results).toHaveLength(1);
+      expect(results[0].title).toBe('BUG: socket drops');
+      expect(results[0].bm25).toBeLessThan(0);
+      expect(results[0].similarity).toBeNull();
+    });
+
+    it('should tolerate FTS syntax characters in the query', async () => {
+      const results = await adapter.search(null, { query: 'BUG: "socket" (drops) AND -', mode: 'lexical', limit: 5 });
+      expect(results[0].title).toBe('BUG: socket drops');
+    });
+
+    it('should surface keyword matches in hybrid mode even when vectors disagree', async () => {
+      // Query vector is close to the auth spec, but the text names the socket bug's error code
+      const results = await adapter.search(seededEmbedding(401), { query: 'ERR_CONN_RESET', limit: 5 });
+      const titles = results.map(r => r.title);
+      expect(titles).toContain('BUG: socket drops');
+      expect(titles).toContain('Auth plan');
+      expect(results.every(r => r.score > 0)).toBe(true);
+    });
+
+    it('should rank records found by both methods first', async () => {
+      const results = await adapter.search(seededEmbedding(400), { query: 'socket drops', limit: 5 });
+      expect(results[0].title).toBe('BUG: socket drops');
+    });
+
+    it('should keep the FTS index in sync with updates and deletes', async () => {
+      const [rec] = await adapter.search(null, { query: 'JWT', mode: 'lexical' });
+      await adapter.upsert({ id: rec.id, kind: 'spec', title: 'Auth plan', body: 'Use OAuth2 sessions' }, seededEmbedding(401));
+
+      expect(await adapter.search(null, { query: 'JWT', mode: 'lexical' })).toEqual([]);
+      expect(await adapter.search(null, { query: 'OAuth2', mode: 'lexical' })).toHaveLength(1);
+
+      await adapter.delete(rec.id);
+      expect(await adapter.search(null, { query: 'OAuth2', mode: 'lexical' })).toEqual([]);
+    });
+
+    it('should reject unknown modes', async () => {
+      await expect(adapter.search(fakeEmbedding(), { mode: 'fuzzy' })).rejects.toThrow('Unknown search mode');
+    });
+  });
+
   // -----------------------------------------------------------------------
   // Dedup logic
   // -----------------------------------------------------------------------
@@ -366,6 +1723,186 @@ describe('LibsqlAdapter', () => {
 
       expect(spec.id).not.toBe(issue.id);
     });
+
+    it('should report the match and similarity', async () => {
+      const first = await adapter.upsert({ kind: 'issue', title: 'Original' }, seededEmbedding(43));
+      expect(first.dedup).toMatchObject({ policy: 'merge', action: 'created', match: null, threshold: 0.85 });
+
+      const second = await adapter.upsert({ kind: 'issue', title: 'Again' }, seededEmbedding(43));
+      expect(second.dedup.action).toBe('merged');
+      expect(second.dedup.match).toMatchObject({ id: first.id, title: 'Original' });
+      expect(second.dedup.match.similarity).toBeCloseTo(1, 5);
+    });
+
+    it('should append the new text to the match with dedup=append', async () => {
+      const first = await adapter.upsert({ kind: 'issue', title: 'Crash on save', body: 'Root cause: null path' }, seededEmbedding(44));
+      const second = await adapter.upsert(
+        { kind: 'issue', title: 'Save crash fixed', body: 'Added a guard', status: 'resolved', dedup: 'append' },
+        seededEmbedding(44),
+      );
+
+      expect(second.id).toBe(first.id);
+      expect(second.dedup.action).toBe('appended');
+      expect(second.title).toBe('Crash on save');
+      expect(second.body).toBe('Root cause: null path\n\n---\n\nSave crash fixed\nAdded a guard');
+      expect(second.status).toBe('resolved');
+
+      const [rev] = await adapter.getHistory(first.id);
+      expect(rev).toMatchObject({ action: 'append', body: 'Root cause: null path' });
+    });
+
+    it('should leave the match untouched with dedup=skip and dedup=ask', async () => {
+      const first = await adapter.upsert({ kind: 'issue', title: 'Keep me', body: 'good' }, seededEmbedding(45));
+
+      for (const policy of ['skip', 'ask']) {
+        const result = await adapter.upsert({ kind: 'issue', title: 'Worse', dedup: policy }, seededEmbedding(45));
+        expect(result.id).toBe(first.id);
+        expect(result.title).toBe('Keep me');
+        expect(result.dedup.action).toBe(policy === 'skip' ? 'skipped' : 'ask');
+      }
+      expect(await adapter.getHistory(first.id)).toEqual([]);
+      expect(await adapter.list({ kind: 'issue' })).toHaveLength(1);
+    });
+
+    it('should insert anyway with dedup=create but still report the match', async () => {
+      const first = await adapter.upsert({ kind: 'issue', title: 'One' }, seededEmbedding(46));
+      const second = await adapter.upsert({ kind: 'issue', title: 'Two', dedup: 'create' }, seededEmbedding(46));
+      expect(second.id).not.toBe(first.id);
+      expect(second.dedup).toMatchObject({ action: 'created', match: { id: first.id } });
+    });
+
+    it('should use the configured policy and per-kind thresholds', async () => {
+      adapter.settings.dedup.policy = 'skip';
+      adapter.settings.dedup.kinds = { issue: { similarity: 0.6 } };
+
+      const first = await adapter.upsert({ kind: 'issue', title: 'Loose' }, seededEmbedding(47));
+      const near = mix(seededEmbedding(47), seededEmbedding(48));
+      const issue = await adapter.upsert({ kind: 'issue', title: 'Loose match' }, near);
+      expect(issue.dedup).toMatchObject({ policy: 'skip', action: 'skipped', threshold: 0.6, match: { id: first.id } });
+
+      await adapter.upsert({ kind: 'spec', title: 'Spec' }, seededEmbedding(47));
+      const spec = await adapter.upsert({ kind: 'spec', title: 'Spec near' }, near);
+      expect(spec.dedup).toMatchObject({ action: 'created', threshold: 0.85, match: null });
+    });
+
+    it('should reject unknown dedup policies', async () => {
+      await expect(adapter.upsert({ kind: 'issue', title: 'X', dedup: 'maybe' }, seededEmbedding(49)))
+        .rejects.toThrow('Unknown dedup policy');
+    });
+  });
+
+  // -----------------------------------------------------------------------
+  // Find and merge duplicates
+  // -----------------------------------------------------------------------
+
+  describe('findDuplicates and mergeRecords', () => {
+    const add = (fields, embedding) => adapter.upsert({ kind: 'issue', dedup: 'create', ...fields }, embedding);
+
+    it('should cluster near duplicates of the same kind, oldest first', async () => {
+      const a = await add({ title: 'Login fails' }, seededEmbedding(900));
+      const b = await add({ title: 'Login broken' }, mix(seededEmbedding(900), seededEmbedding(901), 0.95));
+      const c = await add({ title: 'Cannot log in' }, mix(seededEmbedding(900), seededEmbedding(902), 0.95));
+      await add({ title: 'Unrelated' }, seededEmbedding(903));
+      await add({ kind: 'spec', title: 'Login spec' }, seededEmbedding(904));
+
+      const clusters = await adapter.findDuplicates();
+      expect(clusters).toHaveLength(1);
+      expect(clusters[0].records.map(r => r.id)).toEqual([a.id, b.id, c.id]);
+      expect(clusters[0].similarity).toBeGreaterThan(0.95);
+      expect(clusters[0].pairs.length).toBeGreaterThanOrEqual(2);
+      expect(clusters[0].records[0]).not.toHaveProperty('embedding');
+
+      expect(await adapter.findDuplicates({ kind: 'spec' })).toEqual([]);
+      expect(await adapter.findDuplicates({ threshold: 0.9999 })).toEqual([]);
+    });
+
+    it('should pair near duplicates of different kinds unless one kind is asked for', async () => {
+      const issue = await add({ title: 'Session expires early' }, seededEmbedding(905));
+      const update = await add({ kind: 'update', title: 'Session lifetime fix' }, mix(seededEmbedding(905), seededEmbedding(906), 0.97));
+
+      const [cluster] = await adapter.findDuplicates();
+      expect(cluster.records.map(r => [r.id, r.kind])).toEqual([[issue.id, 'issue'], [update.id, 'update']]);
+      expect(await adapter.findDuplicates({ kind: 'issue' })).toEqual([]);
+    });
+
+    it('should not let records of other projects crowd out a duplicate', async () => {
+      const a = await add({ title: 'Flaky deploy' }, seededEmbedding(907));
+      const near = mix(seededEmbedding(907), seededEmbedding(908), 0.95);
+      const b = await add({ title: 'Deploy flakes' }, near);
+      // More exact copies of b elsewhere than one vector_top_k page holds
+      const other = await adapter._upsertProject('someone/else');
+      for (let i = 0; i < 15; i++) await add({ title: `Copy ${i}`, projectId: other.id }, near);
+
+      const clusters = await adapter.findDuplicates();
+      expect(clusters).toHaveLength(1);
+      expect(clusters[0].records.map(r => r.id)).toEqual([a.id, b.id]);
+    });
+
+    it('should merge bodies, tags and links into the target and trash the sources', async () => {
+      const target = await add({ title: 'Login fails', body: 'On Safari.', tags: ['auth'] }, seededEmbedding(910));
+      const dupe = await add({ title: 'Login broken', body: 'Also on Firefox.', tags: ['ui'] }, seededEmbedding(911));
+      const fix = await add({ kind: 'update', title: 'Fix cookie' }, seededEmbedding(912));
+      await adapter.link(fix.id, dupe.id, 'fixes');
+      await adapter.link(dupe.id, target.id, 'duplicate_of');
+      await adapter.db.execute({
+        sql: 'UPDATE record SET created_at = ? WHERE id = ?',
+        args: ['2020-01-01T00:00:00.000Z', dupe.id],
+      });
+
+      const merged = await adapter.mergeRecords(target.id, [dupe.id], { source: 'cli' });
+      expect(merged.title).toBe('Login fails');
+      expect(merged.body).toBe('On Safari.\n\n---\n\nLogin broken\nAlso on Firefox.');
+      expect(merged.tags).toEqual(['auth', 'ui']);
+      expect(merged.created_at).toBe('2020-01-01T00:00:00.000Z');
+      expect(merged.absorbed_ids).toEqual([dupe.id]);
+      expect(merged.links.inbound).toEqual([expect.objectContaining({ type: 'fixes', id: fix.id })]);
+      expect(merged.links.outbound).toEqual([]);
+
+      expect(await adapter.get(dupe.id)).toBeNull();
+      expect((await adapter.listTrash()).map(r => r.id)).toEqual([dupe.id]);
+      const [revision] = await adapter.getHistory(target.id);
+      expect(revision).toMatchObject({ action: 'merge', source: 'cli', body: 'On Safari.' });
+    });
+
+    it('should carry earlier absorptions over and release restored records', async () => {
+      const a = await add({ title: 'A' }, seededEmbedding(920));
+      const b = await add({ title: 'B' }, seededEmbedding(921));
+      const c = await add({ title: 'C' }, seededEmbedding(922));
+      await adapter.mergeRecords(b.id, [c.id]);
+      expect((await adapter.mergeRecords(a.id, [b.id])).absorbed_ids).toEqual([b.id, c.id]);
+
+      await adapter.restore(b.id);
+      expect((await adapter.get(a.id)).absorbed_ids).toEqual([c.id]);
+    });
+
+    it('should leave every record as it was when the merge fails partway', async () => {
+      const target = await add({ title: 'Login fails', body: 'On Safari.' }, seededEmbedding(925));
+      const dupe = await add({ title: 'Login broken', body: 'Also on Firefox.' }, seededEmbedding(926));
+      const execute = adapter.db.execute.bind(adapter.db);
+      vi.spyOn(adapter.db, 'execute').mockImplementation(async (stmt) => {
+        if (String(stmt.sql ?? stmt).startsWith('UPDATE record SET deleted_at')) throw new Error('disk full');
+        return execute(stmt);
+      });
+
+      await expect(adapter.mergeRecords(target.id, [dupe.id])).rejects.toThrow('disk full');
+      adapter.db.execute.mockRestore();
+      expect((await adapter.get(target.id)).body).toBe('On Safari.');
+      expect(await adapter.get(dupe.id)).not.toBeNull();
+      expect(await adapter.getHistory(target.id)).toEqual([]);
+      expect((await adapter.mergeRecords(target.id, [dupe.id])).absorbed_ids).toEqual([dupe.id]);
+    });
+
+    it('should reject empty, missing and cross-project sources', async () => {
+      const a = await add({ title: 'A' }, seededEmbedding(930));
+      const other = await adapter._upsertProject('someone/else');
+      const b = await add({ title: 'B', projectId: other.id }, seededEmbedding(931));
+
+      expect(await adapter.mergeRecords(99999, [a.id])).toBeNull();
+      await expect(adapter.mergeRecords(a.id, [a.id])).rejects.toThrow('Nothing to merge');
+      await expect(adapter.mergeRecords(a.id, [99999])).rejects.toThrow('Record 99999 not found');
+      await expect(adapter.mergeRecords(a.id, [b.id])).rejects.toThrow('belongs to project "someone/else"');
+      expect((await adapter.get(b.id)).absorbed_ids).toEqual([]);
+    });
   });
 
   // -----------------------------------------------------------------------
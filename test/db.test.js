@@ -8,7 +8,8 @@ const testHome = mkdtempSync(join(tmpdir(), 'dude-test-'));
 
 // Mock child_process so detectProject() doesn't shell out
 vi.mock('node:child_process', () => ({
-  execSync: vi.fn((cmd) => {
+  execFileSync: vi.fn((file, args) => {
+    const cmd = [file, ...args].join(' ');
     if (cmd === 'git rev-parse --show-toplevel') return '/home/user/test-project\n';
     if (cmd === 'git remote get-url origin') return 'https://github.com/testorg/test-project.git\n';
     throw new Error('Unknown command');
@@ -553,4 +554,19 @@ describe('db.js factory (initDb)', () => {
     const gone = await db.get(created.id);
     expect(gone).toBeNull();
   });
+
+  it('should hand the shared instance to a session still open when closeDb evicts it', async () => {
+    const dbModule = await import('../src/db.js');
+    dbModule._resetForTesting();
+
+    const first = await dbModule.initDbAt(testHome);
+    const second = await dbModule.initDbAt(testHome);
+    expect(dbModule.getDb()).toBe(first);
+
+    await dbModule.closeDb(first);
+    expect(dbModule.getDb()).toBe(second);
+
+    await dbModule.closeDb(second);
+    expect(dbModule.getDb()).toBeNull();
+  });
 });
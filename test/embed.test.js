@@ -1,31 +1,56 @@
-import { describe, it, expect, vi, beforeAll } from 'vitest';
+import { describe, it, expect, vi, beforeAll, beforeEach, afterAll } from 'vitest';
 
-// Mock @huggingface/transformers before importing embed
-const mockExtractor = vi.fn(async (text, opts) => {
-  // Return a mock result with a 384-dim Float32Array
+/** Deterministic 384-dim vector for a text. */
+function fakeVector(text) {
   const data = new Float32Array(384);
-  for (let i = 0; i < 384; i++) {
-    let hash = 0;
-    for (let j = 0; j < text.length; j++) {
-      hash = ((hash << 5) - hash + text.charCodeAt(j)) | 0;
-    }
-    data[i] = Math.sin(hash + i);
+  let hash = 0;
+  for (let j = 0; j < text.length; j++) {
+    hash = ((hash << 5) - hash + text.charCodeAt(j)) | 0;
   }
+  for (let i = 0; i < 384; i++) data[i] = Math.sin(hash + i);
+  return data;
+}
+
+// Mock @huggingface/transformers before importing embed
+const mockExtractor = vi.fn(async (texts, opts) => {
+  // Like the real pipeline: one text, or a batch flattened into one tensor
+  const batch = Array.isArray(texts) ? texts : [texts];
+  const data = new Float32Array(384 * batch.length);
+  batch.forEach((text, i) => data.set(fakeVector(text), i * 384));
   return { data };
 });
 
 const mockPipeline = vi.fn(async () => mockExtractor);
 
 vi.mock('@huggingface/transformers', () => ({
+  env: {},
   pipeline: mockPipeline,
 }));
 
+// An open database with an in-memory embedding cache, or none (getDb() → null)
+const cache = new Map();
+const mockDb = {
+  getCachedEmbeddings: vi.fn(async (model, hashes) => new Map(
+    hashes.filter(hash => cache.has(`${model}:${hash}`)).map(hash => [hash, cache.get(`${model}:${hash}`)]),
+  )),
+  cacheEmbeddings: vi.fn(async (model, entries) => {
+    for (const { hash, embedding } of entries) cache.set(`${model}:${hash}`, embedding);
+  }),
+};
+const mockGetDb = vi.fn(() => null);
+
+vi.mock('../src/db.js', () => ({
+  getDb: () => mockGetDb(),
+}));
+
 describe('embed.js', () => {
   let embed;
+  let embedMany;
 
   beforeAll(async () => {
     const mod = await import('../src/embed.js');
     embed = mod.embed;
+    embedMany = mod.embedMany;
   });
 
   it('should export an embed function', () => {
@@ -50,7 +75,7 @@ describe('embed.js', () => {
 
   it('should call extractor with pooling and normalize options', async () => {
     await embed('check options');
-    expect(mockExtractor).toHaveBeenCalledWith('check options', { pooling: 'mean', normalize: true });
+    expect(mockExtractor).toHaveBeenCalledWith(['check options'], { pooling: 'mean', normalize: true });
   });
 
   it('should handle empty string input', async () => {
@@ -66,6 +91,94 @@ describe('embed.js', () => {
     expect(result.length).toBe(384);
   });
 
+  it('should reject vectors whose length differs from embedding.dimension', async () => {
+    mockExtractor.mockResolvedValueOnce({ data: new Float32Array(768) });
+    await expect(embed('wrong model')).rejects.toThrow(
+      'Embedding model Xenova/all-MiniLM-L6-v2 returned 768 dimensions, but embedding.dimension is 384',
+    );
+  });
+
+  it('should normalise whitespace before embedding', async () => {
+    mockExtractor.mockClear();
+    const r1 = await embed('  spaced\n\n  out\ttext ');
+    expect(mockExtractor).toHaveBeenCalledWith(['spaced out text'], expect.any(Object));
+    expect(Array.from(r1)).toEqual(Array.from(await embed('spaced out text')));
+  });
+
+  describe('embedMany', () => {
+    beforeEach(() => {
+      mockExtractor.mockClear();
+    });
+
+    it('should return one vector per text, in order, embedding repeated texts once', async () => {
+      const result = await embedMany(['alpha', 'beta', 'alpha']);
+      expect(result.map(v => Array.from(v))).toEqual(['alpha', 'beta', 'alpha'].map(t => Array.from(fakeVector(t))));
+      expect(mockExtractor).toHaveBeenCalledTimes(1);
+      expect(mockExtractor).toHaveBeenCalledWith(['alpha', 'beta'], { pooling: 'mean', normalize: true });
+    });
+
+    it('should split large inputs into batches of 32', async () => {
+      const texts = Array.from({ length: 70 }, (_, i) => `text ${i}`);
+      const result = await embedMany(texts);
+      expect(result).toHaveLength(70);
+      expect(mockExtractor.mock.calls.map(([batch]) => batch.length)).toEqual([32, 32, 6]);
+      expect(Array.from(result[69])).toEqual(Array.from(fakeVector('text 69')));
+    });
+
+    it('should return an empty list without calling the model', async () => {
+      expect(await embedMany([])).toEqual([]);
+      expect(mockExtractor).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('with the database open', () => {
+    beforeEach(() => {
+      cache.clear();
+      mockExtractor.mockClear();
+      mockDb.getCachedEmbeddings.mockClear();
+      mockDb.cacheEmbeddings.mockClear();
+      mockGetDb.mockReturnValue(mockDb);
+    });
+
+    afterAll(() => {
+      mockGetDb.mockReturnValue(null);
+    });
+
+    it('should serve repeated texts from the cache without calling the model', async () => {
+      const first = await embed('Fix the login timeout');
+      expect(mockExtractor).toHaveBeenCalledTimes(1);
+      expect(mockDb.cacheEmbeddings).toHaveBeenCalledWith('Xenova/all-MiniLM-L6-v2', [
+        { hash: expect.stringMatching(/^[0-9a-f]{64}$/), embedding: first },
+      ]);
+
+      const again = await embed('Fix the  login timeout\n');
+      expect(mockExtractor).toHaveBeenCalledTimes(1);
+      expect(Array.from(again)).toEqual(Array.from(first));
+    });
+
+    it('should only embed the texts missing from the cache', async () => {
+      await embed('cached');
+      mockExtractor.mockClear();
+      const [cached, fresh] = await embedMany(['cached', 'fresh']);
+      expect(mockExtractor).toHaveBeenCalledWith(['fresh'], expect.any(Object));
+      expect(Array.from(cached)).toEqual(Array.from(fakeVector('cached')));
+      expect(Array.from(fresh)).toEqual(Array.from(fakeVector('fresh')));
+    });
+
+    it('should keep embedding when the cache fails', async () => {
+      mockDb.getCachedEmbeddings.mockRejectedValueOnce(new Error('no such table: embedding_cache'));
+      mockDb.cacheEmbeddings.mockRejectedValueOnce(new Error('database is locked'));
+      const errors = vi.spyOn(console, 'error').mockImplementation(() => {});
+      try {
+        const result = await embed('still works');
+        expect(Array.from(result)).toEqual(Array.from(fakeVector('still works')));
+        expect(errors).toHaveBeenCalledWith(expect.stringContaining('no such table: embedding_cache'));
+      } finally {
+        errors.mockRestore();
+      }
+    });
+  });
+
   it('should cache the extractor (lazy singleton) — pipeline called only once', () => {
     // pipeline should only have been called once across all tests
     // because getExtractor() caches the result
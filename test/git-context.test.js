@@ -0,0 +1,81 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// Answers for git invocations (args joined by spaces), set per test; anything else fails like git would
+let gitAnswers = {};
+vi.mock('node:child_process', () => ({
+  execFileSync: vi.fn((cmd, args) => {
+    const key = args.join(' ');
+    if (key in gitAnswers) return gitAnswers[key];
+    throw new Error(`fatal: git ${key}`);
+  }),
+}));
+
+const { captureGitContext, resolveCommits, MAX_DIRTY_FILES } = await import('../src/git-context.js');
+
+const SHA = '3f2a9c1d8e77b0c4a5f6e7d8c9b0a1f2e3d4c5b6';
+
+describe('git-context.js', () => {
+  beforeEach(() => {
+    gitAnswers = {};
+  });
+
+  describe('captureGitContext', () => {
+    it('should read the branch, HEAD and changed paths', () => {
+      gitAnswers = {
+        'rev-parse --verify -q HEAD': `${SHA}\n`,
+        'symbolic-ref --short -q HEAD': 'feature/x\n',
+        'status --porcelain -z': ' M src/db.js\0R  src/new.js\0src/old.js\0?? notes.md\0',
+      };
+      expect(captureGitContext('/repo')).toEqual({
+        branch: 'feature/x',
+        sha: SHA,
+        dirty: ['src/db.js', 'src/new.js', 'notes.md'],
+      });
+    });
+
+    it('should report a detached HEAD as a null branch', () => {
+      gitAnswers = {
+        'rev-parse --verify -q HEAD': `${SHA}\n`,
+        'status --porcelain -z': '',
+      };
+      expect(captureGitContext('/repo')).toEqual({ branch: null, sha: SHA, dirty: [] });
+    });
+
+    it('should cap the dirty file list', () => {
+      gitAnswers = {
+        'rev-parse --verify -q HEAD': `${SHA}\n`,
+        'symbolic-ref --short -q HEAD': 'main\n',
+        'status --porcelain -z': Array.from({ length: MAX_DIRTY_FILES + 5 }, (_, i) => `?? f${i}.txt\0`).join(''),
+      };
+      expect(captureGitContext('/repo').dirty).toHaveLength(MAX_DIRTY_FILES);
+    });
+
+    it('should return null outside git, before the first commit or without a directory', () => {
+      expect(captureGitContext('/not-a-repo')).toBeNull();
+      expect(captureGitContext(null)).toBeNull();
+    });
+  });
+
+  describe('resolveCommits', () => {
+    it('should expand a range with rev-list', () => {
+      gitAnswers = { 'rev-list --max-count=5000 main..feature/x': `${SHA}\n${'a'.repeat(40)}\n` };
+      expect(resolveCommits('main..feature/x', '/repo')).toEqual([SHA, 'a'.repeat(40)]);
+    });
+
+    it('should resolve a branch, tag or SHA to one commit', () => {
+      gitAnswers = { 'rev-parse --verify -q v1.2^{commit}': `${SHA}\n` };
+      expect(resolveCommits('v1.2', '/repo')).toEqual([SHA]);
+    });
+
+    it('should keep an unknown SHA as a prefix', () => {
+      expect(resolveCommits('3F2A9C1', '/repo')).toEqual(['3f2a9c1']);
+      expect(resolveCommits('3f2a9c1', null)).toEqual(['3f2a9c1']);
+    });
+
+    it('should reject what it cannot resolve', () => {
+      expect(() => resolveCommits('no-such-branch', '/repo')).toThrow('Unknown commit "no-such-branch"');
+      expect(() => resolveCommits('main..x', null)).toThrow('Could not resolve commit range "main..x" without a git checkout');
+      expect(() => resolveCommits('--all', '/repo')).toThrow('Invalid commit range "--all"');
+    });
+  });
+});
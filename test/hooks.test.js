@@ -1,8 +1,18 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 
+vi.mock('../src/embed.js', () => ({
+  embed: vi.fn(async () => new Float32Array(384)),
+}));
+
+vi.mock('../src/git-context.js', () => ({
+  captureGitContext: vi.fn(() => ({ branch: 'main', sha: 'a'.repeat(40), dirty: [] })),
+}));
+
+const { handleHook } = await import('../src/hooks.js');
+const { embed } = await import('../src/embed.js');
+
 // These tests validate the logic patterns used in the hook scripts.
-// Since the hooks are top-level-await scripts (not exporting functions),
-// we test the core logic patterns they rely on.
+// The handlers shared by the scripts and the daemon are tested at the end.
 
 describe('auto-persist hook logic', () => {
   it('should skip on malformed JSON', () => {
@@ -186,3 +196,94 @@ describe('auto-retrieve hook logic', () => {
     expect(truncated.endsWith('…')).toBe(true);
   });
 });
+
+describe('handleHook', () => {
+  let mockDb;
+  const connect = vi.fn(async () => mockDb);
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockDb = {
+      settings: { contextLimit: 5, recencyHours: 1, search: { mode: 'hybrid' } },
+      getCurrentProject: vi.fn(async () => ({ id: 1, name: 'org/repo' })),
+      listKinds: vi.fn(async () => [{ name: 'issue', retrieve_weight: 1 }, { name: 'note', retrieve_weight: 0 }]),
+      getRecentRecords: vi.fn(async () => [
+        { kind: 'issue', title: 'Bug A', id: 1, status: 'open', updated_at: '2025-01-01' },
+        { kind: 'note', title: 'Hidden', id: 2, status: 'open', updated_at: '2025-01-01' },
+      ]),
+      getUrgentRecords: vi.fn(async () => [{ kind: 'issue', title: 'Outage', id: 3, status: 'open', priority: 'P0' }]),
+      search: vi.fn(async () => [
+        { kind: 'issue', title: 'Auth Bug', body: 'Login page broken', snippet: 'page broken', project: 'org/repo', status: 'open', similarity: 0.87 },
+      ]),
+      projectDirectory: vi.fn(async () => '/work/repo'),
+      upsert: vi.fn(async (fields) => ({ id: 7, title: fields.title })),
+    };
+  });
+
+  it('should reject unknown hooks', async () => {
+    await expect(handleHook('nope', '{}', connect)).rejects.toThrow('Unknown hook "nope"');
+  });
+
+  it('should print project, recent, urgent and related records for a prompt', async () => {
+    const { stdout, stderr } = await handleHook('auto-retrieve', '{"prompt":"login broken"}', connect);
+    expect(stderr).toBe('');
+    expect(stdout).toBe([
+      '[dude] Project: org/repo (id=1)',
+      '[dude] Recently updated records:',
+      '- [issue] Bug A (id=1, status=open, updated: 2025-01-01)',
+      '[dude] Needs attention (P0 or overdue):',
+      '- [issue] Outage (id=3, status=open, P0)',
+      '[dude] Relevant context from memory:',
+      '- [issue] Auth Bug (project: org/repo, status: open, similarity: 0.87)',
+      '  page broken',
+      '',
+    ].join('\n'));
+    expect(embed).toHaveBeenCalledWith('login broken');
+  });
+
+  it('should not open the database for an empty prompt', async () => {
+    expect(await handleHook('auto-retrieve', '{"prompt":"  "}', connect)).toEqual({ stdout: '', stderr: '' });
+    expect(connect).not.toHaveBeenCalled();
+  });
+
+  it('should keep partial context and report errors', async () => {
+    mockDb.search.mockRejectedValueOnce(new Error('database is locked'));
+    const { stdout, stderr } = await handleHook('auto-retrieve', '{"prompt":"x"}', connect);
+    expect(stdout).toContain('[dude] Project: org/repo (id=1)');
+    expect(stderr).toBe('[dude] auto-retrieve error: database is locked\n');
+  });
+
+  it('should upsert the classified record with its git context', async () => {
+    const raw = JSON.stringify({ action: 'upsert', title: 'Auth Bug', body: 'Fixed OAuth', status: 'resolved', dedup: 'append' });
+    const { stdout } = await handleHook('auto-persist', raw, connect);
+    expect(stdout).toBe('Auto-persisted issue: "Auth Bug" (id=7)\n');
+    expect(embed).toHaveBeenCalledWith('Auth Bug Fixed OAuth');
+    expect(mockDb.upsert).toHaveBeenCalledWith(expect.objectContaining({
+      projectId: 1, kind: 'issue', title: 'Auth Bug', status: 'resolved', dedup: 'append', source: 'auto-persist',
+      git: { branch: 'main', sha: 'a'.repeat(40), dirty: [] },
+    }), expect.any(Float32Array));
+  });
+
+  it('should save plans as specs and report dedup skips', async () => {
+    mockDb.upsert.mockResolvedValueOnce({ id: 4, title: 'Old plan', dedup: { action: 'skipped', match: { similarity: 0.93 } } });
+    const { stdout } = await handleHook('auto-persist-plan', '{"action":"upsert"}', connect);
+    expect(mockDb.upsert).toHaveBeenCalledWith(expect.objectContaining({ kind: 'spec', title: 'Untitled Plan', source: 'auto-persist-plan' }),
+      expect.any(Float32Array));
+    expect(stdout).toBe('Auto-persist-plan skipped: similar spec "Old plan" already exists (id=4, similarity 0.93)\n');
+  });
+
+  it('should skip malformed JSON and action=none without touching the database', async () => {
+    expect((await handleHook('auto-persist', 'not json', connect)).stdout)
+      .toBe('Auto-persist skipped: malformed JSON from classification prompt\n');
+    expect(await handleHook('auto-persist', '{"action":"none"}', connect)).toEqual({ stdout: '', stderr: '' });
+    expect(connect).not.toHaveBeenCalled();
+  });
+
+  it('should report persist errors on stdout and stderr', async () => {
+    mockDb.upsert.mockRejectedValueOnce(new Error('Unknown kind "bogus"'));
+    expect(await handleHook('auto-persist', '{"action":"upsert","kind":"bogus"}', connect)).toEqual({
+      stdout: 'Auto-persist skipped: Unknown kind "bogus"\n',
+      stderr: '[dude] auto-persist error: Unknown kind "bogus"\n',
+    });
+  });
+});
@@ -0,0 +1,157 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+
+// Answers for git commands, set per test; anything else fails like git would
+let gitAnswers = {};
+vi.mock('node:child_process', () => ({
+  execFileSync: vi.fn((file, args) => {
+    const cmd = [file, ...args].join(' ');
+    if (cmd in gitAnswers) return `${gitAnswers[cmd]}\n`;
+    throw new Error(`fatal: ${cmd}`);
+  }),
+}));
+
+const { resolveProject, parseRemoteUrl, matchesGlob, sshHostName } = await import('../src/project-identity.js');
+
+describe('project-identity.js', () => {
+  let dir, repo, sshConfig;
+
+  /** Pretend `repo` is a git checkout with the given origin URL. */
+  function gitRepo(remote, { commonDir = join(repo, '.git') } = {}) {
+    gitAnswers = {
+      'git rev-parse --show-toplevel': repo,
+      'git rev-parse --path-format=absolute --git-common-dir': commonDir,
+    };
+    if (remote) gitAnswers['git remote get-url origin'] = remote;
+  }
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'dude-identity-test-'));
+    repo = join(dir, 'checkout');
+    mkdirSync(repo);
+    sshConfig = join(dir, 'ssh_config');
+    gitAnswers = {};
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('parseRemoteUrl', () => {
+    it('should keep dots in repo names and every group level', () => {
+      expect(parseRemoteUrl('https://github.com/socketio/socket.io.git')).toEqual({ host: 'github.com', path: 'socketio/socket.io' });
+      expect(parseRemoteUrl('git@gitlab.com:group/sub/repo.git')).toEqual({ host: 'gitlab.com', path: 'group/sub/repo' });
+      expect(parseRemoteUrl('ssh://git@git.example.com:2222/team/app')).toEqual({ host: 'git.example.com', path: 'team/app' });
+      expect(parseRemoteUrl('gh-work:acme/api.js.git')).toEqual({ host: 'gh-work', path: 'acme/api.js' });
+      expect(parseRemoteUrl('not a url')).toBeNull();
+    });
+
+    it('should match host globs case-insensitively', () => {
+      expect(matchesGlob('git.corp.example.com', 'git.*.example.com')).toBe(true);
+      expect(matchesGlob('GitHub.com', 'github.com')).toBe(true);
+      expect(matchesGlob('githubXcom', 'github.com')).toBe(false);
+    });
+  });
+
+  describe('sshHostName', () => {
+    it('should resolve aliases from the first matching Host block', () => {
+      writeFileSync(sshConfig, [
+        '# work account',
+        'Host gh-work gh-*',
+        '  HostName github.com',
+        'Host gh-work',
+        '  HostName ignored.example.com',
+        'Host *.internal !bad.internal',
+        '  HostName=%h.example.com',
+      ].join('\n'));
+      expect(sshHostName('gh-work', sshConfig)).toBe('github.com');
+      expect(sshHostName('gh-personal', sshConfig)).toBe('github.com');
+      expect(sshHostName('git.internal', sshConfig)).toBe('git.internal.example.com');
+      expect(sshHostName('bad.internal', sshConfig)).toBeNull();
+      expect(sshHostName('gh-work', join(dir, 'missing'))).toBeNull();
+    });
+  });
+
+  describe('resolveProject', () => {
+    it('should name the project after the remote path on known hosts', () => {
+      gitRepo('git@github.com:socketio/socket.io.git');
+      expect(resolveProject({ cwd: repo, sshConfigPath: sshConfig })).toMatchObject({
+        name: 'socketio/socket.io', source: 'remote', host: 'github.com', root: repo,
+      });
+    });
+
+    it('should fall back to the directory name for unknown hosts unless configured', () => {
+      gitRepo('https://gitea.corp.net/team/app.git');
+      expect(resolveProject({ cwd: repo, sshConfigPath: sshConfig })).toMatchObject({ name: 'checkout', source: 'directory' });
+
+      const identity = { hosts: ['*.corp.net'] };
+      expect(resolveProject({ cwd: repo, identity, sshConfigPath: sshConfig })).toMatchObject({ name: 'team/app', source: 'remote' });
+    });
+
+    it('should pass the configured remote name to git as a single argument', async () => {
+      const { execFileSync } = await import('node:child_process');
+      gitRepo();
+      gitAnswers['git remote get-url up; touch pwned'] = 'git@github.com:acme/api.git';
+      const identity = { remote: 'up; touch pwned' };
+      expect(resolveProject({ cwd: repo, identity, sshConfigPath: sshConfig })).toMatchObject({ name: 'acme/api' });
+      expect(execFileSync).toHaveBeenCalledWith('git', ['remote', 'get-url', 'up; touch pwned'], expect.anything());
+    });
+
+    it('should resolve SSH host aliases from config and ~/.ssh/config', () => {
+      gitRepo('git@gh-work:acme/api.git');
+      writeFileSync(sshConfig, 'Host gh-work\n  HostName github.com\n');
+      expect(resolveProject({ cwd: repo, sshConfigPath: sshConfig }))
+        .toMatchObject({ name: 'acme/api', host: 'github.com', sshAlias: 'gh-work' });
+
+      gitRepo('git@corp:acme/api.git');
+      const identity = { hostAliases: { corp: 'gitlab.com' } };
+      expect(resolveProject({ cwd: repo, identity, sshConfigPath: sshConfig }))
+        .toMatchObject({ name: 'acme/api', host: 'gitlab.com', sshAlias: 'corp' });
+    });
+
+    it('should use the main worktree directory name for linked worktrees', () => {
+      const main = join(dir, 'main-repo');
+      gitRepo(null, { commonDir: join(main, '.git') });
+      expect(resolveProject({ cwd: repo, sshConfigPath: sshConfig })).toMatchObject({
+        name: 'main-repo', source: 'directory', root: repo, mainRoot: main,
+      });
+    });
+
+    it('should prefer a .dude.json override anywhere between the cwd and the git root', () => {
+      gitRepo('git@github.com:acme/api.git');
+      const nested = join(repo, 'src', 'deep');
+      mkdirSync(nested, { recursive: true });
+      writeFileSync(join(repo, '.dude.json'), JSON.stringify({ project: 'acme/pinned', parent: 'acme' }));
+
+      expect(resolveProject({ cwd: nested, sshConfigPath: sshConfig })).toMatchObject({
+        name: 'acme/pinned', parent: 'acme', source: 'override', overrideFile: join(repo, '.dude.json'),
+      });
+
+      writeFileSync(join(repo, '.dude.json'), '{ "name": "wrong key" }');
+      expect(() => resolveProject({ cwd: nested, sshConfigPath: sshConfig })).toThrow('must set "project"');
+    });
+
+    it('should scope to the nearest package when monorepo scoping is enabled', () => {
+      gitRepo('git@github.com:acme/mono.git');
+      const pkg = join(repo, 'packages', 'api');
+      mkdirSync(join(pkg, 'src'), { recursive: true });
+      writeFileSync(join(pkg, 'package.json'), '{}');
+      writeFileSync(join(repo, 'package.json'), '{}');
+      const cwd = join(pkg, 'src');
+
+      expect(resolveProject({ cwd, sshConfigPath: sshConfig }).name).toBe('acme/mono');
+      expect(resolveProject({ cwd, identity: { monorepo: { enabled: true } }, sshConfigPath: sshConfig })).toMatchObject({
+        name: 'acme/mono/packages/api', parent: 'acme/mono', package: 'packages/api',
+      });
+      // At the root itself there is no package to scope to
+      expect(resolveProject({ cwd: repo, identity: { monorepo: { enabled: true } }, sshConfigPath: sshConfig }))
+        .toMatchObject({ name: 'acme/mono', parent: null, package: null });
+    });
+
+    it('should use the working directory outside git', () => {
+      expect(resolveProject({ cwd: dir, sshConfigPath: sshConfig })).toMatchObject({ name: dir, source: 'cwd', root: null });
+    });
+  });
+});
@@ -0,0 +1,213 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createClient } from '@libsql/client';
+import { migrateSchema, getSchemaStatus, getSchemaVersion, LATEST_VERSION } from '../src/schema.js';
+
+async function tableNames(db) {
+  const result = await db.execute("SELECT name FROM sqlite_master WHERE type = 'table'");
+  return result.rows.map(r => r.name);
+}
+
+describe('schema migrations (libsql)', () => {
+  let db;
+
+  beforeEach(() => {
+    db = createClient({ url: 'file::memory:' });
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('should report version 0 for an empty database', async () => {
+    expect(await getSchemaVersion(db)).toBe(0);
+  });
+
+  it('should migrate a fresh database to the latest version', async () => {
+    const result = await migrateSchema(db);
+    expect(result.from).toBe(0);
+    expect(result.to).toBe(LATEST_VERSION);
+    expect(result.applied[0]).toBe(1);
+
+    const tables = await tableNames(db);
+    expect(tables).toContain('project');
+    expect(tables).toContain('record');
+    expect(tables).toContain('schema_version');
+    expect(await getSchemaVersion(db)).toBe(LATEST_VERSION);
+  });
+
+  it('should be idempotent', async () => {
+    await migrateSchema(db);
+    const second = await migrateSchema(db);
+    expect(second.applied).toEqual([]);
+    expect(second.from).toBe(LATEST_VERSION);
+  });
+
+  it('should adopt a pre-existing unversioned database without losing data', async () => {
+    await db.execute(`CREATE TABLE project (
+      id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT NOT NULL UNIQUE,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )`);
+    await db.execute("INSERT INTO project (name) VALUES ('legacy')");
+
+    await migrateSchema(db);
+
+    const result = await db.execute('SELECT name FROM project');
+    expect(result.rows.map(r => r.name)).toContain('legacy');
+    expect(await getSchemaVersion(db)).toBe(LATEST_VERSION);
+  });
+
+  it('should stop at the requested version', async () => {
+    const result = await migrateSchema(db, { to: 1 });
+    expect(result.applied).toEqual([1]);
+    expect(await getSchemaVersion(db)).toBe(1);
+  });
+
+  it('should index records that existed before the FTS migration', async () => {
+    await migrateSchema(db, { to: 1 });
+    await db.execute("INSERT INTO project (name) VALUES ('p')");
+    await db.execute("INSERT INTO record (project_id, kind, title, body) VALUES (1, 'issue', 'Legacy crash', 'segfault in parser')");
+
+    await migrateSchema(db);
+
+    const result = await db.execute("SELECT rowid FROM record_fts WHERE record_fts MATCH 'segfault'");
+    expect(result.rows).toHaveLength(1);
+  });
+
+  it('should keep records, their children and the indexes when rebuilding the record table for kinds', async () => {
+    await migrateSchema(db, { to: 9 });
+    await db.execute("INSERT INTO project (name) VALUES ('p')");
+    const vec = JSON.stringify(Array.from({ length: 384 }, (_, i) => (i === 0 ? 1 : 0)));
+    await db.execute({
+      sql: "INSERT INTO record (project_id, kind, title, body, embedding) VALUES (1, 'issue', 'Legacy crash', 'segfault', vector(?))",
+      args: [vec],
+    });
+    await db.execute("INSERT INTO tag (name) VALUES ('bug')");
+    await db.execute('INSERT INTO record_tag (record_id, tag_id) VALUES (1, 1)');
+
+    await migrateSchema(db);
+
+    expect((await db.execute('SELECT COUNT(*) AS n FROM record_tag')).rows[0].n).toBe(1);
+    const nearest = await db.execute({
+      sql: "SELECT id FROM vector_top_k('idx_record_embedding', vector(?), 1)",
+      args: [vec],
+    });
+    expect(nearest.rows[0].id).toBe(1);
+
+    // FTS triggers are back, and kinds are checked against record_kind
+    await db.execute("INSERT INTO record (project_id, kind, title) VALUES (1, 'spec', 'Parser rewrite')");
+    expect((await db.execute("SELECT rowid FROM record_fts WHERE record_fts MATCH 'parser OR segfault'")).rows).toHaveLength(2);
+    await expect(db.execute("INSERT INTO record (project_id, kind, title) VALUES (1, 'runbook', 'x')")).rejects.toThrow();
+    await db.execute("INSERT INTO record_kind (name) VALUES ('runbook')");
+    await db.execute("INSERT INTO record (project_id, kind, title) VALUES (1, 'runbook', 'x')");
+  });
+
+  it('should keep child rows when rebuilding the record table over a remote client', async () => {
+    // Remote clients can't be handed a connection with foreign keys off
+    const remote = {
+      protocol: 'libsql',
+      execute: (stmt) => db.execute(stmt),
+      migrate: vi.fn((stmts) => db.migrate(stmts)),
+      transaction: () => { throw new Error('not expected'); },
+    };
+    await db.execute('PRAGMA foreign_keys = ON');
+    await migrateSchema(remote, { to: 9 });
+    await db.execute("INSERT INTO project (name) VALUES ('p')");
+    await db.execute("INSERT INTO record (project_id, kind, title) VALUES (1, 'issue', 'a'), (1, 'spec', 'b')");
+    await db.execute("INSERT INTO tag (name) VALUES ('bug')");
+    await db.execute('INSERT INTO record_tag (record_id, tag_id) VALUES (1, 1)');
+    await db.execute("INSERT INTO record_link (source_id, target_id, type) VALUES (1, 2, 'relates')");
+    await db.execute("INSERT INTO record_revision (record_id, kind, title, status) VALUES (1, 'issue', 'a', 'open')");
+
+    await migrateSchema(remote);
+
+    expect(remote.migrate).toHaveBeenCalled();
+    expect(await getSchemaVersion(db)).toBe(LATEST_VERSION);
+    for (const table of ['record_tag', 'record_link', 'record_revision']) {
+      expect((await db.execute(`SELECT COUNT(*) AS n FROM ${table}`)).rows[0].n).toBe(1);
+    }
+  });
+
+  it('should backfill status change times from the revisions', async () => {
+    await migrateSchema(db, { to: 10 });
+    await db.execute("INSERT INTO project (name) VALUES ('p')");
+    await db.execute(`INSERT INTO record (project_id, kind, title, status, created_at) VALUES
+      (1, 'issue', 'Fixed', 'resolved', '2025-01-01T00:00:00.000Z'),
+      (1, 'spec', 'Untouched', 'open', '2025-02-01T00:00:00.000Z')`);
+    await db.execute(`INSERT INTO record_revision (record_id, kind, title, body, status, tags, source, action, created_at)
+      VALUES (1, 'issue', 'Fixed', '', 'open', '[]', 'mcp', 'update', '2025-01-05T00:00:00.000Z')`);
+
+    await migrateSchema(db);
+
+    const rows = (await db.execute('SELECT status_changed_at, resolved_at FROM record ORDER BY id')).rows;
+    expect(rows[0]).toMatchObject({ status_changed_at: '2025-01-05T00:00:00.000Z', resolved_at: '2025-01-05T00:00:00.000Z' });
+    expect(rows[1]).toMatchObject({ status_changed_at: '2025-02-01T00:00:00.000Z', resolved_at: null });
+    await db.execute("INSERT INTO record (project_id, kind, title, status) VALUES (1, 'issue', 'Custom', 'in_progress')");
+  });
+
+  it('should list applied and pending migrations in status', async () => {
+    const before = await getSchemaStatus(db);
+    expect(before.current).toBe(0);
+    expect(before.latest).toBe(LATEST_VERSION);
+    expect(before.pending[0]).toEqual({ version: 1, name: 'initial' });
+
+    await migrateSchema(db);
+    const after = await getSchemaStatus(db);
+    expect(after.pending).toEqual([]);
+    expect(after.applied[0].version).toBe(1);
+    expect(after.applied[0].name).toBe('initial');
+    expect(after.applied[0].applied_at).toBeTruthy();
+  });
+
+  it('should reject unknown target versions', async () => {
+    await expect(migrateSchema(db, { to: LATEST_VERSION + 1 })).rejects.toThrow('Unknown schema version');
+  });
+
+  it('should refuse to downgrade', async () => {
+    await migrateSchema(db);
+    await db.execute("INSERT INTO schema_version (version, name) VALUES (999, 'future')");
+    await expect(migrateSchema(db)).rejects.toThrow('newer than this build supports');
+  });
+});
+
+describe('schema migrations — failure handling', () => {
+  afterEach(() => {
+    vi.doUnmock('../src/migrations/libsql/index.js');
+    vi.resetModules();
+  });
+
+  it('should roll back a failing migration and keep the previous version', async () => {
+    vi.resetModules();
+    vi.doMock('../src/migrations/libsql/index.js', () => ({
+      MIGRATIONS: [
+        {
+          version: 1,
+          name: 'ok',
+          up: async (tx) => { await tx.execute('CREATE TABLE a (id INTEGER PRIMARY KEY)'); },
+        },
+        {
+          version: 2,
+          name: 'broken',
+          up: async (tx) => {
+            await tx.execute('CREATE TABLE b (id INTEGER PRIMARY KEY)');
+            await tx.execute('THIS IS NOT SQL');
+          },
+        },
+      ],
+    }));
+    const schema = await import('../src/schema.js');
+    const db = createClient({ url: 'file::memory:' });
+
+    await expect(schema.migrateSchema(db)).rejects.toThrow('Migration 2 (broken) failed');
+
+    const tables = await tableNames(db);
+    expect(tables).toContain('a');
+    expect(tables).not.toContain('b');
+    expect(await schema.getSchemaVersion(db)).toBe(1);
+
+    // Connection is still usable and foreign keys are restored
+    const fk = await db.execute('PRAGMA foreign_keys');
+    expect(Number(fk.rows[0].foreign_keys)).toBe(1);
+    db.close();
+  });
+});
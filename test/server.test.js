@@ -8,12 +8,41 @@ vi.mock('../src/embed.js', () => ({
 // Mock db.js — initDb must return an adapter-shaped object
 const mockDb = {
   search: vi.fn(async () => []),
+  listKinds: vi.fn(async () => [
+    { name: 'issue', description: 'bug or problem to fix' },
+    { name: 'runbook', description: '' },
+  ]),
+  defineKind: vi.fn(async ({ name }) => {
+    if (name === 'Bad') throw new Error('Invalid kind name "Bad"');
+    return { name, default_status: 'open' };
+  }),
+  deleteKind: vi.fn(async (name) => name !== 'ghost'),
   getCurrentProject: vi.fn(async () => ({ id: 1, name: 'test-project' })),
   upsert: vi.fn(async (fields) => ({ id: fields.id || 1, ...fields })),
   get: vi.fn(async (id) => (id === 999 ? null : { id, kind: 'issue', title: 'Test', status: 'open' })),
   list: vi.fn(async () => []),
   delete: vi.fn(async (id) => id !== 999),
   listProjects: vi.fn(async () => [{ id: 1, name: 'test-project' }]),
+  link: vi.fn(async (source_id, target_id, type) => ({ id: 1, source_id, target_id, type })),
+  unlink: vi.fn(async () => 1),
+  getHistory: vi.fn(async (id) => (id === 999 ? null : [{ id: 4, record_id: id, title: 'Old', diff: {} }])),
+  getRevision: vi.fn(async (id) => (id === 999 ? null : { id, record_id: 1, title: 'Old', body: 'old body' })),
+  restoreRevision: vi.fn(async () => ({ id: 1, kind: 'issue', title: 'Old' })),
+  listTrash: vi.fn(async () => [{ id: 7, title: 'Gone', deleted_at: '2025-01-01' }]),
+  restore: vi.fn(async (id) => (id === 999 ? null : { id, kind: 'issue', title: 'Back' })),
+  purgeTrash: vi.fn(async () => 2),
+  findDuplicates: vi.fn(async () => []),
+  getProject: vi.fn(async (ref) => (ref === 'ghost' ? null : { id: 1, name: 'test-project', children: [] })),
+  getProjectContext: vi.fn(async (ref) => (ref === 'ghost' ? null : { id: 1, name: 'test-project', issues: [], specs: [] })),
+  createProject: vi.fn(async ({ name }) => ({ id: 2, name })),
+  setCurrentProject: vi.fn(async (ref) => (ref === 'ghost' ? null : { id: 2, name: ref ?? 'test-project' })),
+  renameProject: vi.fn(async (ref, name) => (ref === 'ghost' ? null : { id: 1, name })),
+  mergeProjects: vi.fn(async () => ({ project: { id: 1, name: 'test-project' }, moved: 3 })),
+  moveRecords: vi.fn(async (ids) => ids.length),
+  updateProject: vi.fn(async (ref, changes) => (ref === 'ghost' ? null : { id: 2, name: changes.name ?? 'sub' })),
+  projectDirectory: vi.fn(async (ref) => (ref === 2 ? '/work/other' : null)),
+  findByPath: vi.fn(async (path) => (path === 'src/none.js' ? [] : [{ id: 3, title: 'Search bug', refs: [{ path }] }])),
+  mergeRecords: vi.fn(async (id) => (id === 999 ? null : { id, kind: 'issue', title: 'Kept', absorbed_ids: [5] })),
 };
 
 vi.mock('../src/db.js', () => ({
@@ -61,8 +90,8 @@ describe('server.js', () => {
     expect(typeof serverModule.startServer).toBe('function');
   });
 
-  it('should register all 6 MCP tools', () => {
-    expect(registeredTools).toHaveLength(6);
+  it('should register all 27 MCP tools', () => {
+    expect(registeredTools).toHaveLength(27);
     const names = registeredTools.map(t => t.name);
     expect(names).toContain('search');
     expect(names).toContain('upsert_record');
@@ -70,6 +99,27 @@ describe('server.js', () => {
     expect(names).toContain('list_records');
     expect(names).toContain('delete_record');
     expect(names).toContain('list_projects');
+    expect(names).toContain('link_records');
+    expect(names).toContain('unlink_records');
+    expect(names).toContain('get_record_history');
+    expect(names).toContain('restore_revision');
+    expect(names).toContain('list_trash');
+    expect(names).toContain('restore_record');
+    expect(names).toContain('purge_trash');
+    expect(names).toContain('find_duplicates');
+    expect(names).toContain('merge_records');
+    expect(names).toContain('get_project');
+    expect(names).toContain('get_project_context');
+    expect(names).toContain('create_project');
+    expect(names).toContain('update_project');
+    expect(names).toContain('rename_project');
+    expect(names).toContain('merge_projects');
+    expect(names).toContain('move_records');
+    expect(names).toContain('set_project');
+    expect(names).toContain('list_kinds');
+    expect(names).toContain('define_kind');
+    expect(names).toContain('delete_kind');
+    expect(names).toContain('find_by_path');
   });
 
   it('should initialize DB before registering tools', async () => {
@@ -91,6 +141,26 @@ describe('server.js', () => {
       expect(result.content[0].type).toBe('text');
     });
 
+    it('search should pass project scoping options to db.search', async () => {
+      mockDb.search.mockClear();
+      await toolHandlers.search({ query: 'scoped', project: 'org/repo', projects: ['a', 'b'], strict: true, limit: 3 });
+      expect(mockDb.search).toHaveBeenCalledWith(expect.any(Float32Array), expect.objectContaining({
+        project: 'org/repo', projects: ['a', 'b'], strict: true, limit: 3,
+      }));
+    });
+
+    it('search in lexical mode should skip embedding and pass the query text', async () => {
+      const { embed } = await import('../src/embed.js');
+      embed.mockClear();
+      mockDb.search.mockClear();
+
+      await toolHandlers.search({ query: 'ERR_CONN_RESET', mode: 'lexical' });
+      expect(embed).not.toHaveBeenCalled();
+      expect(mockDb.search).toHaveBeenCalledWith(null, expect.objectContaining({
+        query: 'ERR_CONN_RESET', mode: 'lexical',
+      }));
+    });
+
     it('search should return error on failure', async () => {
       mockDb.search.mockRejectedValueOnce(new Error('DB failure'));
 
@@ -125,6 +195,72 @@ describe('server.js', () => {
       expect(result.content[0].text).toContain('Updated');
     });
 
+    it('upsert_record and list_records should pass tags through', async () => {
+      mockDb.upsert.mockClear();
+      mockDb.list.mockClear();
+      const result = await toolHandlers.upsert_record({ kind: 'issue', title: 'Crash', tags: ['bug', 'blocker'] });
+      expect(mockDb.upsert).toHaveBeenCalledWith(expect.objectContaining({ tags: ['bug', 'blocker'] }), expect.any(Float32Array));
+      expect(result.content[0].text).toContain('tags=bug,blocker');
+
+      await toolHandlers.list_records({ tags: ['bug'] });
+      expect(mockDb.list).toHaveBeenCalledWith(expect.objectContaining({ tags: ['bug'] }));
+    });
+
+    it('upsert_record and list_records should pass priority, severity and due dates through', async () => {
+      mockDb.upsert.mockClear();
+      const result = await toolHandlers.upsert_record({
+        kind: 'issue', title: 'Outage', priority: 'P0', severity: 'critical', due_date: '2026-11-01',
+      });
+      expect(mockDb.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({ priority: 'P0', severity: 'critical', dueDate: '2026-11-01' }),
+        expect.any(Float32Array),
+      );
+
+      await toolHandlers.list_records({ kind: 'issue', priority: ['P0', 'P1'], overdue: true, due_before: '2026-12-01', sort: 'priority' });
+      expect(mockDb.list).toHaveBeenLastCalledWith(expect.objectContaining({
+        priority: ['P0', 'P1'], overdue: true, dueBefore: '2026-12-01', sort: 'priority',
+      }));
+      expect(result.content[0].text).toContain('P0, critical');
+    });
+
+    it('upsert_record should pass refs through and find_by_path should look them up', async () => {
+      mockDb.upsert.mockClear();
+      const refs = ['src/db-libsql.js:120-180#search', { commit: 'abc1234' }];
+      await toolHandlers.upsert_record({ kind: 'issue', title: 'Search bug', refs });
+      expect(mockDb.upsert).toHaveBeenCalledWith(expect.objectContaining({ refs }), expect.any(Float32Array));
+
+      const found = await toolHandlers.find_by_path({ path: 'src/db-libsql.js', line: 150 });
+      expect(mockDb.findByPath).toHaveBeenLastCalledWith('src/db-libsql.js', { line: 150, project: undefined });
+      expect(JSON.parse(found.content[0].text)[0].title).toBe('Search bug');
+
+      const none = await toolHandlers.find_by_path({ path: 'src/none.js' });
+      expect(none.content[0].text).toBe('No records reference src/none.js.');
+
+      await toolHandlers.list_records({ path: 'src/', commit: 'abc1234' });
+      expect(mockDb.list).toHaveBeenLastCalledWith(expect.objectContaining({ path: 'src/', commit: 'abc1234' }));
+    });
+
+    it('upsert_record, list_records and search should handle git context and commit ranges', async () => {
+      mockDb.projectDirectory.mockClear();
+      await toolHandlers.upsert_record({ kind: 'issue', title: 'Branch bug' });
+      expect(mockDb.projectDirectory).toHaveBeenLastCalledWith(1);
+      // No checkout for the test project, so nothing to capture
+      expect(mockDb.upsert).toHaveBeenLastCalledWith(expect.objectContaining({ git: null }), expect.any(Float32Array));
+
+      await toolHandlers.list_records({ branch: 'feature/x', commit_range: 'ABC1234' });
+      expect(mockDb.list).toHaveBeenLastCalledWith(expect.objectContaining({ branch: 'feature/x', commits: ['abc1234'] }));
+
+      await toolHandlers.search({ query: 'flaky', branch: 'feature/x' });
+      expect(mockDb.search).toHaveBeenLastCalledWith(
+        expect.any(Float32Array),
+        expect.objectContaining({ branch: 'feature/x', commits: undefined }),
+      );
+
+      const range = await toolHandlers.list_records({ commit_range: 'main..feature/x' });
+      expect(range.isError).toBe(true);
+      expect(range.content[0].text).toContain('without a git checkout');
+    });
+
     it('get_record should return record data', async () => {
       const result = await toolHandlers.get_record({ id: 1 });
       expect(result.content[0].type).toBe('text');
@@ -145,9 +281,144 @@ describe('server.js', () => {
       expect(Array.isArray(data)).toBe(true);
     });
 
-    it('delete_record should confirm deletion', async () => {
+    it('delete_record should confirm the record went to the trash', async () => {
       const result = await toolHandlers.delete_record({ id: 1 });
-      expect(result.content[0].text).toContain('deleted');
+      expect(result.content[0].text).toContain('moved to trash');
+    });
+
+    it('list_trash and restore_record should use the trash', async () => {
+      const list = await toolHandlers.list_trash({});
+      expect(JSON.parse(list.content[0].text)[0].id).toBe(7);
+
+      const restored = await toolHandlers.restore_record({ id: 7 });
+      expect(restored.content[0].text).toContain('Restored');
+      const missing = await toolHandlers.restore_record({ id: 999 });
+      expect(missing.isError).toBe(true);
+    });
+
+    it('purge_trash should refuse to run without a scope', async () => {
+      mockDb.purgeTrash.mockClear();
+      const refused = await toolHandlers.purge_trash({});
+      expect(refused.isError).toBe(true);
+      expect(mockDb.purgeTrash).not.toHaveBeenCalled();
+
+      const result = await toolHandlers.purge_trash({ older_than_days: 7 });
+      expect(mockDb.purgeTrash).toHaveBeenCalledWith({ ids: undefined, olderThanDays: 7, project: undefined });
+      expect(result.content[0].text).toContain('Purged 2');
+    });
+
+    it('find_duplicates should pass filters and report empty results', async () => {
+      const none = await toolHandlers.find_duplicates({ threshold: 0.9, kind: 'issue' });
+      expect(mockDb.findDuplicates).toHaveBeenCalledWith({ threshold: 0.9, kind: 'issue', project: undefined });
+      expect(none.content[0].text).toBe('No duplicates found.');
+
+      mockDb.findDuplicates.mockResolvedValueOnce([{ similarity: 0.97, records: [{ id: 1 }, { id: 5 }], pairs: [] }]);
+      const found = await toolHandlers.find_duplicates({});
+      expect(JSON.parse(found.content[0].text)[0].records).toHaveLength(2);
+    });
+
+    it('merge_records should merge into the target', async () => {
+      const result = await toolHandlers.merge_records({ target_id: 1, source_ids: [5] });
+      expect(mockDb.mergeRecords).toHaveBeenCalledWith(1, [5], { source: 'mcp' });
+      expect(result.content[0].text).toContain('Merged 5 into issue: "Kept"');
+
+      const missing = await toolHandlers.merge_records({ target_id: 999, source_ids: [5] });
+      expect(missing.isError).toBe(true);
+      mockDb.mergeRecords.mockRejectedValueOnce(new Error('Record 6 not found'));
+      const failed = await toolHandlers.merge_records({ target_id: 1, source_ids: [6] });
+      expect(failed.content[0].text).toContain('Record 6 not found');
+    });
+
+    it('list_projects should pass the parent filter', async () => {
+      await toolHandlers.list_projects({ parent: 'test-project', include_inactive: true });
+      expect(mockDb.listProjects).toHaveBeenLastCalledWith({ parent: 'test-project', includeInactive: true });
+    });
+
+    it('get_project and get_project_context should return JSON or not found', async () => {
+      const project = await toolHandlers.get_project({});
+      expect(JSON.parse(project.content[0].text).name).toBe('test-project');
+      expect((await toolHandlers.get_project({ project: 'ghost' })).isError).toBe(true);
+
+      const context = await toolHandlers.get_project_context({ project: 1, include_subprojects: true });
+      expect(mockDb.getProjectContext).toHaveBeenCalledWith(1, { includeSubprojects: true });
+      expect(JSON.parse(context.content[0].text).issues).toEqual([]);
+      expect((await toolHandlers.get_project_context({ project: 'ghost' })).isError).toBe(true);
+    });
+
+    it('create_project and update_project should pass fields through', async () => {
+      const created = await toolHandlers.create_project({ name: 'sub', parent: 1 });
+      expect(mockDb.createProject).toHaveBeenCalledWith({ name: 'sub', directory: undefined, parent: 1 });
+      expect(created.content[0].text).toContain('Created project "sub"');
+
+      const updated = await toolHandlers.update_project({ project: 'sub', parent: null, active: false });
+      expect(mockDb.updateProject).toHaveBeenCalledWith('sub', { name: undefined, directory: undefined, parent: null, active: false });
+      expect(updated.content[0].text).toContain('Updated project');
+      expect((await toolHandlers.update_project({ project: 'ghost' })).isError).toBe(true);
+
+      mockDb.createProject.mockRejectedValueOnce(new Error('Project "sub" already exists'));
+      const clash = await toolHandlers.create_project({ name: 'sub' });
+      expect(clash.isError).toBe(true);
+    });
+
+    it('rename_project, merge_projects and move_records should report results', async () => {
+      const renamed = await toolHandlers.rename_project({ project: 'old/name', name: 'new/name' });
+      expect(mockDb.renameProject).toHaveBeenCalledWith('old/name', 'new/name');
+      expect(renamed.content[0].text).toContain('Renamed project to "new/name"');
+      expect((await toolHandlers.rename_project({ project: 'ghost', name: 'x' })).isError).toBe(true);
+
+      const merged = await toolHandlers.merge_projects({ source: 'fork/repo', target: 1 });
+      expect(mockDb.mergeProjects).toHaveBeenCalledWith('fork/repo', 1, { source: 'mcp' });
+      expect(merged.content[0].text).toContain('moving 3 record(s)');
+
+      const moved = await toolHandlers.move_records({ ids: [4, 5], project: 'test-project' });
+      expect(mockDb.moveRecords).toHaveBeenCalledWith([4, 5], 'test-project', { source: 'mcp' });
+      expect(moved.content[0].text).toBe('Moved 2 record(s) to test-project.');
+
+      mockDb.mergeProjects.mockRejectedValueOnce(new Error('Cannot merge a project into itself'));
+      const failed = await toolHandlers.merge_projects({ source: 1, target: 1 });
+      expect(failed.isError).toBe(true);
+    });
+
+    it('should describe the registered kinds in tool descriptions', () => {
+      const upsert = registeredTools.find(t => t.name === 'upsert_record');
+      expect(upsert.schema.kind.description).toContain('issue (bug or problem to fix), runbook');
+      expect(upsert.schema.kind.safeParse('decision-log').success).toBe(true);
+    });
+
+    it('define_kind and delete_kind should manage kinds', async () => {
+      const defined = await toolHandlers.define_kind({ name: 'runbook', color: '#00796b', retrieve_weight: 0.5 });
+      expect(mockDb.defineKind).toHaveBeenLastCalledWith(expect.objectContaining({ name: 'runbook', color: '#00796b', retrieveWeight: 0.5 }));
+      expect(defined.content[0].text).toContain('Defined kind "runbook"');
+
+      const workflow = { statuses: ['proposed', 'accepted', 'superseded'], closed: ['superseded'] };
+      await toolHandlers.define_kind({ name: 'arch', workflow });
+      expect(mockDb.defineKind).toHaveBeenLastCalledWith(expect.objectContaining({ name: 'arch', workflow }));
+
+      const invalid = await toolHandlers.define_kind({ name: 'Bad' });
+      expect(invalid.isError).toBe(true);
+
+      expect((await toolHandlers.delete_kind({ name: 'runbook' })).content[0].text).toBe('Kind "runbook" deleted.');
+      expect((await toolHandlers.delete_kind({ name: 'ghost' })).content[0].text).toBe('Kind "ghost" not found.');
+    });
+
+    it('set_project should switch the active project', async () => {
+      const result = await toolHandlers.set_project({ project: 'testorg/lib', create: true });
+      expect(mockDb.setCurrentProject).toHaveBeenCalledWith('testorg/lib', { create: true });
+      expect(result.content[0].text).toContain('Active project is now "testorg/lib"');
+
+      const missing = await toolHandlers.set_project({ project: 'ghost' });
+      expect(missing.isError).toBe(true);
+      expect(missing.content[0].text).toContain('create: true');
+    });
+
+    it('upsert_record should file new records under the given project', async () => {
+      await toolHandlers.upsert_record({ kind: 'issue', title: 'Lib bug', project: 'testorg/lib' });
+      expect(mockDb.getProject).toHaveBeenLastCalledWith('testorg/lib');
+      expect(mockDb.upsert).toHaveBeenLastCalledWith(expect.objectContaining({ projectId: 1 }), expect.any(Float32Array));
+
+      const missing = await toolHandlers.upsert_record({ kind: 'issue', title: 'Lost', project: 'ghost' });
+      expect(missing.isError).toBe(true);
+      expect(missing.content[0].text).toContain('Project ghost not found');
     });
 
     it('delete_record should handle missing record', async () => {
@@ -155,6 +426,83 @@ describe('server.js', () => {
       expect(result.content[0].text).toContain('not found');
     });
 
+    it('upsert_record should pass the dedup policy and report the match', async () => {
+      mockDb.upsert.mockResolvedValueOnce({
+        id: 12, kind: 'issue', title: 'Existing', status: 'open', tags: [],
+        dedup: { policy: 'append', action: 'appended', match: { id: 12, title: 'Existing', similarity: 0.912 }, threshold: 0.85 },
+      });
+      const result = await toolHandlers.upsert_record({ kind: 'issue', title: 'New text', dedup: 'append' });
+      expect(mockDb.upsert).toHaveBeenLastCalledWith(expect.objectContaining({ dedup: 'append' }), expect.any(Float32Array));
+      expect(result.content[0].text).toContain('Appended to existing issue');
+      expect(result.content[0].text).toContain('similarity 0.91');
+    });
+
+    it('upsert_record should explain how to proceed when dedup=ask finds a match', async () => {
+      mockDb.upsert.mockResolvedValueOnce({
+        id: 12, kind: 'issue', title: 'Existing', status: 'open',
+        dedup: { policy: 'ask', action: 'ask', match: { id: 12, title: 'Existing', similarity: 0.9 }, threshold: 0.85 },
+      });
+      const result = await toolHandlers.upsert_record({ kind: 'issue', title: 'New', dedup: 'ask' });
+      expect(result.content[0].text).toContain('Not saved');
+      expect(result.content[0].text).toContain('id=12');
+    });
+
+    it('upsert_record should report a missing id', async () => {
+      mockDb.upsert.mockResolvedValueOnce(null);
+      const result = await toolHandlers.upsert_record({ id: 999, kind: 'issue', title: 'Ghost' });
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain('not found');
+    });
+
+    it('upsert_record should attribute the change to mcp', async () => {
+      mockDb.upsert.mockClear();
+      await toolHandlers.upsert_record({ id: 5, kind: 'issue', title: 'Edited' });
+      expect(mockDb.upsert).toHaveBeenCalledWith(expect.objectContaining({ source: 'mcp' }), expect.any(Float32Array));
+    });
+
+    it('get_record_history should return revisions or an error', async () => {
+      const result = await toolHandlers.get_record_history({ id: 1 });
+      expect(JSON.parse(result.content[0].text)[0].title).toBe('Old');
+
+      const missing = await toolHandlers.get_record_history({ id: 999 });
+      expect(missing.isError).toBe(true);
+    });
+
+    it('restore_revision should re-embed the revision text and restore it', async () => {
+      const { embed } = await import('../src/embed.js');
+      embed.mockClear();
+      const result = await toolHandlers.restore_revision({ revision_id: 4 });
+      expect(embed).toHaveBeenCalledWith('Old old body');
+      expect(mockDb.restoreRevision).toHaveBeenCalledWith(4, expect.any(Float32Array), { source: 'mcp' });
+      expect(result.content[0].text).toContain('Restored');
+
+      const missing = await toolHandlers.restore_revision({ revision_id: 999 });
+      expect(missing.isError).toBe(true);
+
+      mockDb.restoreRevision.mockResolvedValueOnce(null);
+      const trashed = await toolHandlers.restore_revision({ revision_id: 4 });
+      expect(trashed).toMatchObject({ isError: true, content: [{ text: 'Record 1 not found or in trash.' }] });
+    });
+
+    it('link_records should default to relates_to', async () => {
+      const result = await toolHandlers.link_records({ source_id: 2, target_id: 3 });
+      expect(mockDb.link).toHaveBeenCalledWith(2, 3, 'relates_to');
+      expect(result.content[0].text).toContain('Linked 2 relates_to 3');
+    });
+
+    it('link_records should report adapter errors', async () => {
+      mockDb.link.mockRejectedValueOnce(new Error('Record 99 not found'));
+      const result = await toolHandlers.link_records({ source_id: 2, target_id: 99, type: 'fixes' });
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain('Record 99 not found');
+    });
+
+    it('unlink_records should pass the optional type', async () => {
+      const result = await toolHandlers.unlink_records({ source_id: 2, target_id: 3, type: 'fixes' });
+      expect(mockDb.unlink).toHaveBeenCalledWith(2, 3, 'fixes');
+      expect(result.content[0].text).toContain('Removed 1 link');
+    });
+
     it('list_projects should return projects', async () => {
       const result = await toolHandlers.list_projects();
       expect(result.content[0].type).toBe('text');
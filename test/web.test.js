@@ -323,3 +323,284 @@ describe('web.js module', () => {
     expect(typeof webModule.startWebServer).toBe('function');
   });
 });
+
+const { normalizeTags } = await import('../src/db-libsql.js');
+
+describe('handleRequest', () => {
+  let routed;
+  let routedUrl;
+  const adapter = {
+    search: vi.fn(async (_embedding, { mode }) => {
+      if (mode === 'fuzzy') throw new Error('Unknown search mode "fuzzy" (expected vector, lexical, hybrid)');
+      return [];
+    }),
+    list: vi.fn(async () => []),
+    listTags: vi.fn(async () => [{ name: 'bug', count: 2 }]),
+    renameTag: vi.fn(async (from, to) => {
+      normalizeTags([to]);
+      return from === 'bug';
+    }),
+    deleteTag: vi.fn(async name => name === 'bug'),
+    addTags: vi.fn(async (id, tags) => (id === 999 ? null : ['bug', ...normalizeTags(tags)].sort())),
+    removeTags: vi.fn(async (id, tags) => (id === 999 ? null : ['bug'].filter(t => !normalizeTags(tags).includes(t)))),
+    get: vi.fn(async id => (id === 999 ? null : { id, project_id: 1, kind: 'issue', title: `Record ${id}`, body: '' })),
+    getLinks: vi.fn(async () => ({ outbound: [{ id: 2, type: 'fixes' }], inbound: [] })),
+    link: vi.fn(async (sourceId, targetId, type) => ({ source_id: sourceId, target_id: targetId, type })),
+    unlink: vi.fn(async (_sourceId, targetId) => (targetId === 3 ? 0 : 1)),
+    getHistory: vi.fn(async id => (id === 999 ? null : [{ id: 5, record_id: id, action: 'update', diff: {} }])),
+    // Revision 8 belongs to record 2, the others to record 1; 7 is of a trashed record
+    getRevision: vi.fn(async id => (id === 999 ? null : { id, record_id: id === 8 ? 2 : 1, title: 'Old', body: 'old body' })),
+    restoreRevision: vi.fn(async (id) => {
+      if (id === 6) throw new Error('Unknown status "triaged" for kind "issue"');
+      return id === 7 ? null : { id: 1, title: 'Old' };
+    }),
+    listTrash: vi.fn(async () => [{ id: 4, title: 'Gone' }]),
+    restore: vi.fn(async id => (id === 999 ? null : { id, title: 'Back' })),
+    purgeTrash: vi.fn(async ({ ids }) => (ids?.[0] === 999 ? 0 : 2)),
+    listProjects: vi.fn(async () => [{ id: 1, name: 'org/repo' }]),
+    getCurrentProject: vi.fn(async () => ({ id: 1, name: 'org/repo' })),
+    getProject: vi.fn(async ref => (ref === 999 ? null : { id: ref, name: 'org/repo' })),
+    renameProject: vi.fn(async (id, name) => {
+      if (name === 'org/taken') throw new Error('Project "org/taken" already exists');
+      return { id, name };
+    }),
+    mergeProjects: vi.fn(async (id, into) => {
+      if (into === id) throw new Error('Cannot merge a project into itself');
+      return { project: { id: into, name: 'org/main' }, moved: 3 };
+    }),
+    moveRecords: vi.fn(async (ids, project) => {
+      if (project === 'ghost') throw new Error('Project "ghost" not found');
+      return ids.length;
+    }),
+    listKinds: vi.fn(async () => [{ name: 'issue', builtin: true }]),
+    defineKind: vi.fn(async (kind) => {
+      if (kind.name === 'Bad Name') throw new Error('Invalid kind name "Bad Name"');
+      return kind;
+    }),
+    deleteKind: vi.fn(async (name) => {
+      if (name === 'issue') throw new Error('Kind "issue" is built in and cannot be deleted');
+      return name === 'runbook';
+    }),
+  };
+
+  beforeAll(async () => {
+    const { handleRequest } = await import('../src/web.js');
+    routed = createServer((req, res) => handleRequest(adapter, req, res));
+    routed.listen(0, '127.0.0.1');
+    await once(routed, 'listening');
+    routedUrl = `http://127.0.0.1:${routed.address().port}`;
+  });
+
+  afterAll(() => routed.close());
+
+  beforeEach(() => {
+    for (const fn of Object.values(adapter)) fn.mockClear();
+  });
+
+  const request = async (path, { method = 'GET', body } = {}) => {
+    const resp = await fetch(`${routedUrl}${path}`, { method, body: body === undefined ? undefined : JSON.stringify(body) });
+    return { status: resp.status, data: await resp.json() };
+  };
+
+  describe('POST /api/search', () => {
+    it('should answer search validation errors with 400', async () => {
+      expect(await request('/api/search', { method: 'POST', body: { query: 'x', mode: 'fuzzy' } })).toEqual({
+        status: 400,
+        data: { error: 'Unknown search mode "fuzzy" (expected vector, lexical, hybrid)' },
+      });
+      expect((await request('/api/search', { method: 'POST', body: { query: 'x' } })).status).toBe(200);
+    });
+
+    it('should forward project scoping parameters', async () => {
+      const { status } = await request('/api/search', {
+        method: 'POST',
+        body: { query: 'test', project: 'org/repo', projects: ['org/lib'], strict: true },
+      });
+      expect(status).toBe(200);
+      expect(adapter.search).toHaveBeenCalledWith(expect.any(Float32Array), expect.objectContaining({
+        query: 'test',
+        project: 'org/repo',
+        projects: ['org/lib'],
+        strict: true,
+      }));
+    });
+  });
+
+  describe('tags', () => {
+    const long = 'x'.repeat(65);
+    const tooLong = { error: 'Tag "xxxxxxxxxxxxxxxxxxxx…" is longer than 64 characters' };
+
+    it('should list tags for a project', async () => {
+      expect(await request('/api/tags?project=org%2Frepo')).toEqual({ status: 200, data: [{ name: 'bug', count: 2 }] });
+      expect(adapter.listTags).toHaveBeenCalledWith({ project: 'org/repo' });
+    });
+
+    it('should split the tags query param of the record list', async () => {
+      expect((await request('/api/records?tags=bug,blocker')).status).toBe(200);
+      expect(adapter.list).toHaveBeenCalledWith(expect.objectContaining({ tags: ['bug', 'blocker'] }));
+    });
+
+    it('should rename and delete tags', async () => {
+      expect(await request('/api/tags/bug', { method: 'PUT', body: { name: 'defect' } })).toEqual({ status: 200, data: { ok: true } });
+      expect(adapter.renameTag).toHaveBeenCalledWith('bug', 'defect', { source: 'web' });
+      expect((await request('/api/tags/ghost', { method: 'PUT', body: { name: 'defect' } })).status).toBe(404);
+      expect(await request('/api/tags/bug', { method: 'PUT', body: {} })).toEqual({ status: 400, data: { error: 'name is required' } });
+      expect(await request('/api/tags/bug', { method: 'PUT', body: { name: long } })).toEqual({ status: 400, data: tooLong });
+
+      expect(await request('/api/tags/bug', { method: 'DELETE' })).toEqual({ status: 200, data: { ok: true } });
+      expect(adapter.deleteTag).toHaveBeenCalledWith('bug', { source: 'web' });
+      expect((await request('/api/tags/ghost', { method: 'DELETE' })).status).toBe(404);
+    });
+
+    it('should add and remove the tags of a record', async () => {
+      expect(await request('/api/records/1/tags', { method: 'POST', body: { tags: ['UI'] } })).toEqual({ status: 200, data: ['bug', 'ui'] });
+      expect(adapter.addTags).toHaveBeenCalledWith(1, ['UI'], { source: 'web' });
+      expect(await request('/api/records/1/tags/bug', { method: 'DELETE' })).toEqual({ status: 200, data: [] });
+      expect(adapter.removeTags).toHaveBeenCalledWith(1, ['bug'], { source: 'web' });
+
+      expect((await request('/api/records/999/tags', { method: 'POST', body: { tags: ['ui'] } })).status).toBe(404);
+      expect((await request('/api/records/999/tags/bug', { method: 'DELETE' })).status).toBe(404);
+      expect(await request('/api/records/1/tags', { method: 'POST', body: { tags: [long] } })).toEqual({ status: 400, data: tooLong });
+      expect(await request(`/api/records/1/tags/${long}`, { method: 'DELETE' })).toEqual({ status: 400, data: tooLong });
+    });
+  });
+
+  describe('links', () => {
+    it('should list the links of a record', async () => {
+      expect(await request('/api/records/1/links')).toEqual({ status: 200, data: { outbound: [{ id: 2, type: 'fixes' }], inbound: [] } });
+      expect((await request('/api/records/999/links')).status).toBe(404);
+    });
+
+    it('should link records, relates_to by default', async () => {
+      expect(await request('/api/records/1/links', { method: 'POST', body: { target_id: 2, type: 'fixes' } }))
+        .toEqual({ status: 201, data: { source_id: 1, target_id: 2, type: 'fixes' } });
+      await request('/api/records/1/links', { method: 'POST', body: { target_id: 2 } });
+      expect(adapter.link).toHaveBeenLastCalledWith(1, 2, 'relates_to');
+    });
+
+    it('should reject bad links', async () => {
+      const { status, data } = await request('/api/records/1/links', { method: 'POST', body: { target_id: 2, type: 'likes' } });
+      expect(status).toBe(400);
+      expect(data.error).toMatch(/^type must be one of relates_to, /);
+      expect(await request('/api/records/1/links', { method: 'POST', body: { target_id: 1 } }))
+        .toEqual({ status: 400, data: { error: 'A record cannot be linked to itself' } });
+      expect((await request('/api/records/1/links', { method: 'POST', body: { target_id: 999 } })).status).toBe(404);
+      expect((await request('/api/records/999/links', { method: 'POST', body: { target_id: 2 } })).status).toBe(404);
+      expect(adapter.link).not.toHaveBeenCalled();
+    });
+
+    it('should unlink records, optionally by type', async () => {
+      expect(await request('/api/records/1/links/2?type=fixes', { method: 'DELETE' })).toEqual({ status: 200, data: { ok: true, removed: 1 } });
+      expect(adapter.unlink).toHaveBeenCalledWith(1, 2, 'fixes');
+      await request('/api/records/1/links/2', { method: 'DELETE' });
+      expect(adapter.unlink).toHaveBeenLastCalledWith(1, 2, undefined);
+      expect((await request('/api/records/1/links/3', { method: 'DELETE' })).status).toBe(404);
+    });
+  });
+
+  describe('history', () => {
+    it('should list the revisions of a record', async () => {
+      expect(await request('/api/records/1/history')).toEqual({ status: 200, data: [{ id: 5, record_id: 1, action: 'update', diff: {} }] });
+      expect((await request('/api/records/999/history')).status).toBe(404);
+    });
+
+    it('should restore a revision of the record', async () => {
+      expect(await request('/api/records/1/history/5/restore', { method: 'POST' })).toEqual({ status: 200, data: { id: 1, title: 'Old' } });
+      expect(adapter.restoreRevision).toHaveBeenCalledWith(5, expect.any(Float32Array), { source: 'web' });
+    });
+
+    it('should not restore unknown revisions, those of other records or of trashed records', async () => {
+      expect((await request('/api/records/1/history/999/restore', { method: 'POST' })).status).toBe(404);
+      expect((await request('/api/records/1/history/8/restore', { method: 'POST' })).status).toBe(404);
+      expect(adapter.restoreRevision).not.toHaveBeenCalled();
+      expect((await request('/api/records/1/history/7/restore', { method: 'POST' })).status).toBe(404);
+    });
+
+    it('should answer a restore the record cannot take with 400', async () => {
+      expect(await request('/api/records/1/history/6/restore', { method: 'POST' }))
+        .toEqual({ status: 400, data: { error: 'Unknown status "triaged" for kind "issue"' } });
+    });
+  });
+
+  describe('trash', () => {
+    it('should list the trash of a project', async () => {
+      expect(await request('/api/trash?project=org%2Frepo')).toEqual({ status: 200, data: [{ id: 4, title: 'Gone' }] });
+      expect(adapter.listTrash).toHaveBeenCalledWith({ project: 'org/repo' });
+    });
+
+    it('should empty the trash, optionally only older records', async () => {
+      expect(await request('/api/trash?olderThanDays=30', { method: 'DELETE' })).toEqual({ status: 200, data: { ok: true, purged: 2 } });
+      expect(adapter.purgeTrash).toHaveBeenCalledWith({ project: undefined, olderThanDays: 30 });
+      expect(await request('/api/trash?olderThanDays=soon', { method: 'DELETE' }))
+        .toEqual({ status: 400, data: { error: 'olderThanDays must be a number of days' } });
+      expect(adapter.purgeTrash).toHaveBeenCalledTimes(1);
+    });
+
+    it('should restore and purge single records', async () => {
+      expect(await request('/api/trash/4/restore', { method: 'POST' })).toEqual({ status: 200, data: { id: 4, title: 'Back' } });
+      expect((await request('/api/trash/999/restore', { method: 'POST' })).status).toBe(404);
+      expect(await request('/api/trash/4', { method: 'DELETE' })).toEqual({ status: 200, data: { ok: true } });
+      expect(adapter.purgeTrash).toHaveBeenCalledWith({ ids: [4] });
+      expect((await request('/api/trash/999', { method: 'DELETE' })).status).toBe(404);
+    });
+  });
+
+  describe('projects', () => {
+    it('should list projects and name the current one', async () => {
+      expect(await request('/api/projects')).toEqual({ status: 200, data: [{ id: 1, name: 'org/repo' }] });
+      expect(await request('/api/projects/current')).toEqual({ status: 200, data: { id: 1, name: 'org/repo' } });
+    });
+
+    it('should rename a project', async () => {
+      expect(await request('/api/projects/1/rename', { method: 'POST', body: { name: 'org/new' } }))
+        .toEqual({ status: 200, data: { id: 1, name: 'org/new' } });
+      expect(await request('/api/projects/1/rename', { method: 'POST', body: {} }))
+        .toEqual({ status: 400, data: { error: 'name is required' } });
+      expect(await request('/api/projects/1/rename', { method: 'POST', body: { name: 'org/taken' } }))
+        .toEqual({ status: 400, data: { error: 'Project "org/taken" already exists' } });
+      expect((await request('/api/projects/999/rename', { method: 'POST', body: { name: 'org/new' } })).status).toBe(404);
+    });
+
+    it('should merge a project into another', async () => {
+      expect(await request('/api/projects/1/merge', { method: 'POST', body: { into: 2 } }))
+        .toEqual({ status: 200, data: { project: { id: 2, name: 'org/main' }, moved: 3 } });
+      expect(adapter.mergeProjects).toHaveBeenCalledWith(1, 2, { source: 'web' });
+      expect(await request('/api/projects/1/merge', { method: 'POST', body: {} }))
+        .toEqual({ status: 400, data: { error: 'into is required' } });
+      expect(await request('/api/projects/1/merge', { method: 'POST', body: { into: 1 } }))
+        .toEqual({ status: 400, data: { error: 'Cannot merge a project into itself' } });
+      expect((await request('/api/projects/999/merge', { method: 'POST', body: { into: 2 } })).status).toBe(404);
+    });
+
+    it('should move records to another project', async () => {
+      expect(await request('/api/records/move', { method: 'POST', body: { ids: ['4', 5], project: 'org/main' } }))
+        .toEqual({ status: 200, data: { ok: true, moved: 2 } });
+      expect(adapter.moveRecords).toHaveBeenCalledWith([4, 5], 'org/main', { source: 'web' });
+      expect(await request('/api/records/move', { method: 'POST', body: { ids: [4] } }))
+        .toEqual({ status: 400, data: { error: 'ids and project are required' } });
+      expect(await request('/api/records/move', { method: 'POST', body: { ids: [4], project: 'ghost' } }))
+        .toEqual({ status: 400, data: { error: 'Project "ghost" not found' } });
+    });
+  });
+
+  describe('kinds', () => {
+    it('should list kinds', async () => {
+      expect(await request('/api/kinds')).toEqual({ status: 200, data: [{ name: 'issue', builtin: true }] });
+    });
+
+    it('should define a kind from its URL name and the body', async () => {
+      const body = { description: 'How to', color: '#123456', defaultStatus: 'draft', retrieveWeight: 0.5, workflow: { statuses: ['draft'] } };
+      expect(await request('/api/kinds/runbook', { method: 'PUT', body }))
+        .toEqual({ status: 200, data: { name: 'runbook', ...body } });
+      expect(await request('/api/kinds/Bad%20Name', { method: 'PUT', body: {} }))
+        .toEqual({ status: 400, data: { error: 'Invalid kind name "Bad Name"' } });
+    });
+
+    it('should delete a kind', async () => {
+      expect(await request('/api/kinds/runbook', { method: 'DELETE' })).toEqual({ status: 200, data: { ok: true } });
+      expect((await request('/api/kinds/ghost', { method: 'DELETE' })).status).toBe(404);
+      expect(await request('/api/kinds/issue', { method: 'DELETE' }))
+        .toEqual({ status: 400, data: { error: 'Kind "issue" is built in and cannot be deleted' } });
+    });
+  });
+});